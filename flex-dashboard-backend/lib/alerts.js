@@ -0,0 +1,482 @@
+const axios = require('axios');
+const db = require('./db');
+const { getReviewsByIds } = require('./reviewQuery');
+const { LOW_CATEGORY_RATING, lowCategoryRatings } = require('./analytics');
+
+// Minutes to wait before each retry of a failed delivery; gives up after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// How long a webhook gets to respond
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Seconds between checks for deliveries due a retry
+const RETRY_CHECK_SECONDS = 60;
+
+// Where the link in alert messages points
+const DASHBOARD_URL = process.env.DASHBOARD_URL || 'http://localhost:5173';
+
+// Most deliveries returned by the delivery log
+const MAX_LOG_ENTRIES = 200;
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const validationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Reads an optional rating threshold out of 10
+ * @param {*} value - Input value
+ * @param {string} field - Field name for the error message
+ * @returns {number|null} The threshold, or null when not set
+ */
+const optionalRating = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 10) {
+    throw validationError(`${field} must be a number from 0 to 10.`);
+  }
+  return value;
+};
+
+/**
+ * Reads an optional list of non-empty strings
+ * @param {*} value - Input value
+ * @param {string} field - Field name for the error message
+ * @returns {string[]} Trimmed strings
+ */
+const stringList = (value, field) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+    throw validationError(`${field} must be a list of strings.`);
+  }
+  return [...new Set(value.map(item => item.trim()).filter(Boolean))];
+};
+
+/**
+ * Validates alert input from the API
+ * @param {object} input - Request body
+ * @returns {object} Alert with name, enabled, webhookUrl and conditions
+ * @throws {Error} With `status` 400 when the input is invalid
+ */
+const validateAlert = (input = {}) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) throw validationError('Alert name is required.');
+
+  const webhookUrl = typeof input.webhookUrl === 'string' ? input.webhookUrl.trim() : '';
+  let protocol = null;
+  try {
+    protocol = new URL(webhookUrl).protocol;
+  } catch {
+    // Reported below
+  }
+  if (!['http:', 'https:'].includes(protocol)) {
+    throw validationError('webhookUrl must be an http(s) URL.');
+  }
+
+  const conditions = input.conditions || {};
+  const validated = {
+    maxRating: optionalRating(conditions.maxRating, 'maxRating'),
+    maxCategoryRating: optionalRating(conditions.maxCategoryRating, 'maxCategoryRating'),
+    categories: stringList(conditions.categories, 'categories'),
+    keywords: stringList(conditions.keywords, 'keywords'),
+    listings: stringList(conditions.listings, 'listings')
+  };
+  if (validated.maxRating === null && validated.maxCategoryRating === null && !validated.keywords.length) {
+    throw validationError('Set at least one of maxRating, maxCategoryRating or keywords.');
+  }
+
+  return { name, enabled: input.enabled !== false, webhookUrl, conditions: validated };
+};
+
+/**
+ * Lists why a review triggers an alert. The review matches when it's for one of
+ * the alert's listings (or any, when none are set) and at least one trigger fires:
+ * overall rating at or below maxRating, a category at or below maxCategoryRating
+ * (limited to `categories` when set), or publicReview containing a keyword.
+ * Ratings are out of 10, so one alert covers reviews from every source.
+ * @param {object} conditions - Alert conditions from validateAlert
+ * @param {object} review - Review in the shape served by the API
+ * @returns {string[]} Reasons, empty when the review doesn't match
+ */
+const matchAlert = (conditions, review) => {
+  if (conditions.listings.length && !conditions.listings.includes(review.listingName)) return [];
+
+  const reasons = [];
+  const rating = review.normalizedRating;
+  if (conditions.maxRating !== null && typeof rating === 'number' && rating <= conditions.maxRating) {
+    reasons.push(`Overall rating ${rating}/10`);
+  }
+
+  if (conditions.maxCategoryRating !== null) {
+    lowCategoryRatings(review, conditions.maxCategoryRating)
+      .filter(({ category }) => !conditions.categories.length || conditions.categories.includes(category))
+      .forEach(({ category, rating: categoryRating }) => {
+        reasons.push(`${category.replace(/_/g, ' ')} ${categoryRating}/10`);
+      });
+  }
+
+  const text = (review.publicReview || '').toLowerCase();
+  conditions.keywords
+    .filter(keyword => text.includes(keyword.toLowerCase()))
+    .forEach(keyword => reasons.push(`Mentions "${keyword}"`));
+
+  return reasons;
+};
+
+/**
+ * Builds the JSON posted to the webhook. `text` is what Slack (and compatible
+ * tools such as Mattermost or Discord's /slack endpoint) display; `alert` and
+ * `review` are there for anything parsing the payload.
+ * @param {object} alert - Alert that matched
+ * @param {object} review - Review in the shape served by the API
+ * @param {string[]} reasons - Reasons from matchAlert
+ * @returns {object} Payload
+ */
+const buildPayload = (alert, review, reasons) => {
+  const excerpt = (review.publicReview || '').length > 300
+    ? `${review.publicReview.slice(0, 300).trim()}…`
+    : review.publicReview || '';
+  const rating = typeof review.normalizedRating === 'number' ? `${review.normalizedRating}/10` : 'no overall rating';
+
+  return {
+    text: [
+      `:warning: *${alert.name}*: ${review.guestName || 'A guest'} reviewed *${review.listingName}* (${review.channel || review.source}, ${rating})`,
+      reasons.map(reason => `• ${reason}`).join('\n'),
+      excerpt && `> ${excerpt.replace(/\n/g, '\n> ')}`,
+      `<${DASHBOARD_URL}/dashboard/reviews|Open the dashboard>`
+    ].filter(Boolean).join('\n'),
+    alert: { id: alert.id, name: alert.name },
+    review: {
+      id: review.id,
+      source: review.source,
+      listingName: review.listingName,
+      channel: review.channel,
+      guestName: review.guestName,
+      submittedAt: review.submittedAt,
+      normalizedRating: review.normalizedRating,
+      reviewCategory: review.reviewCategory,
+      publicReview: review.publicReview
+    },
+    reasons
+  };
+};
+
+/**
+ * Converts an alert_rules row into the shape returned by the API
+ * @param {object} row - Row from the alert_rules table
+ * @returns {object} Alert
+ */
+const rowToAlert = (row) => ({
+  id: row.id,
+  name: row.name,
+  enabled: row.enabled === 1,
+  webhookUrl: row.webhook_url,
+  conditions: JSON.parse(row.conditions),
+  updatedBy: row.updated_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Converts an alert_deliveries row into the shape returned by the API
+ * @param {object} row - Row from the alert_deliveries table
+ * @returns {object} Delivery
+ */
+const rowToDelivery = (row) => ({
+  id: row.id,
+  alertId: row.alert_id,
+  alertName: row.alert_name,
+  reviewId: row.review_id,
+  webhookUrl: row.webhook_url,
+  reasons: JSON.parse(row.payload).reasons,
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.next_attempt_at,
+  responseStatus: row.response_status,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+  deliveredAt: row.delivered_at
+});
+
+/**
+ * Returns every alert, oldest first
+ * @returns {object[]} Alerts
+ */
+const listAlerts = () => db.prepare('SELECT * FROM alert_rules ORDER BY id').all().map(rowToAlert);
+
+/**
+ * Returns a single alert
+ * @param {number} alertId - Alert ID
+ * @returns {object|null} Alert, or null if it doesn't exist
+ */
+const getAlert = (alertId) => {
+  const row = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(alertId);
+  return row ? rowToAlert(row) : null;
+};
+
+/**
+ * Creates an alert
+ * @param {object} input - Alert fields, validated with validateAlert
+ * @param {object} actor - User making the change
+ * @returns {object} The created alert
+ */
+const createAlert = (input, actor) => {
+  const alert = validateAlert(input);
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO alert_rules (name, enabled, conditions, webhook_url, updated_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(alert.name, alert.enabled ? 1 : 0, JSON.stringify(alert.conditions), alert.webhookUrl,
+    actor.username, now, now);
+  return getAlert(lastInsertRowid);
+};
+
+/**
+ * Replaces an alert's fields. Deliveries already queued keep their original payload.
+ * @param {number} alertId - Alert ID
+ * @param {object} input - Alert fields, validated with validateAlert
+ * @param {object} actor - User making the change
+ * @returns {object|null} The updated alert, or null if it doesn't exist
+ */
+const updateAlert = (alertId, input, actor) => {
+  const alert = validateAlert(input);
+  const { changes } = db.prepare(`
+    UPDATE alert_rules
+    SET name = ?, enabled = ?, conditions = ?, webhook_url = ?, updated_by = ?, updated_at = ?
+    WHERE id = ?
+  `).run(alert.name, alert.enabled ? 1 : 0, JSON.stringify(alert.conditions), alert.webhookUrl,
+    actor.username, new Date().toISOString(), alertId);
+  return changes ? getAlert(alertId) : null;
+};
+
+/**
+ * Deletes an alert. Its delivery log is kept under the alert's name, and
+ * deliveries still waiting for a retry are abandoned.
+ * @param {number} alertId - Alert ID
+ * @returns {boolean} Whether an alert was deleted
+ */
+const deleteAlert = db.transaction((alertId) => {
+  db.prepare(`
+    UPDATE alert_deliveries SET status = 'failed', next_attempt_at = NULL, last_error = 'Alert was deleted.'
+    WHERE alert_id = ? AND status = 'pending'
+  `).run(alertId);
+  return db.prepare('DELETE FROM alert_rules WHERE id = ?').run(alertId).changes > 0;
+});
+
+/**
+ * Returns the delivery log, newest first
+ * @param {object} [filters]
+ * @param {number} [filters.alertId] - Only this alert's deliveries
+ * @param {string} [filters.status] - 'pending', 'delivered' or 'failed'
+ * @returns {object[]} Up to MAX_LOG_ENTRIES deliveries
+ * @throws {Error} With `status` 400 for an unknown status
+ */
+const listDeliveries = ({ alertId, status } = {}) => {
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    throw validationError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+  return db.prepare(`
+    SELECT * FROM alert_deliveries
+    WHERE (@alertId IS NULL OR alert_id = @alertId) AND (@status IS NULL OR status = @status)
+    ORDER BY id DESC
+    LIMIT ${MAX_LOG_ENTRIES}
+  `).all({ alertId: alertId ?? null, status: status || null }).map(rowToDelivery);
+};
+
+const getDelivery = (deliveryId) => {
+  const row = db.prepare('SELECT * FROM alert_deliveries WHERE id = ?').get(deliveryId);
+  return row ? rowToDelivery(row) : null;
+};
+
+const insertDelivery = db.prepare(`
+  INSERT OR IGNORE INTO alert_deliveries (
+    alert_id, alert_name, review_id, webhook_url, payload, status, next_attempt_at, created_at
+  ) VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+`);
+
+/**
+ * Posts one delivery to its webhook and records the outcome. A failure is
+ * retried after the next delay in RETRY_DELAYS_MINUTES until MAX_ATTEMPTS;
+ * test messages (no review) fail at once, since whoever sent one sees the result.
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<object>} The delivery after the attempt
+ */
+const attemptDelivery = async (deliveryId) => {
+  const row = db.prepare('SELECT * FROM alert_deliveries WHERE id = ?').get(deliveryId);
+  const attempts = row.attempts + 1;
+
+  try {
+    const response = await axios.post(row.webhook_url, JSON.parse(row.payload), {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: DELIVERY_TIMEOUT_MS
+    });
+    db.prepare(`
+      UPDATE alert_deliveries
+      SET status = 'delivered', attempts = ?, next_attempt_at = NULL, response_status = ?, last_error = NULL,
+        delivered_at = ?
+      WHERE id = ?
+    `).run(attempts, response.status, new Date().toISOString(), deliveryId);
+  } catch (error) {
+    const retryDelay = RETRY_DELAYS_MINUTES[attempts - 1];
+    const nextAttemptAt = row.review_id !== null && attempts < MAX_ATTEMPTS
+      ? new Date(Date.now() + retryDelay * 60 * 1000).toISOString()
+      : null;
+    db.prepare(`
+      UPDATE alert_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, last_error = ?
+      WHERE id = ?
+    `).run(nextAttemptAt ? 'pending' : 'failed', attempts, nextAttemptAt, error.response?.status ?? null,
+      error.message, deliveryId);
+    console.error(`❌ Alert delivery #${deliveryId} to ${row.webhook_url} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`);
+  }
+
+  return getDelivery(deliveryId);
+};
+
+/**
+ * Attempts every pending delivery that is due, one at a time
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const attemptDueDeliveries = async () => {
+  let attempted = 0;
+  const dueIds = () => db.prepare(`
+    SELECT id FROM alert_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id
+  `).pluck().all(new Date().toISOString());
+
+  // Pick up deliveries queued while earlier ones were being sent
+  for (let ids = dueIds(); ids.length; ids = dueIds()) {
+    for (const id of ids) {
+      await attemptDelivery(id);
+      attempted++;
+    }
+  }
+  return attempted;
+};
+
+// Run in progress, so overlapping triggers don't post the same delivery twice
+let activeRun = null;
+
+/**
+ * Starts attempting the due deliveries, or joins the run already in progress
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processDueDeliveries = () => {
+  activeRun ||= attemptDueDeliveries().finally(() => {
+    activeRun = null;
+  });
+  return activeRun;
+};
+
+/**
+ * Tells whether a review was written after an alert was set up. Reviews new to the
+ * store aren't always new: a first or full sync, or linking a listing to Google,
+ * brings in the whole history, which an alert shouldn't post.
+ * @param {object} alert - Alert
+ * @param {object} review - Review in the shape served by the API
+ * @returns {boolean} Whether the review was submitted at or after the alert's creation
+ */
+const isSinceAlert = (alert, review) => (
+  // submittedAt is "YYYY-MM-DD HH:mm:ss", so compare the creation time in the same form
+  Boolean(review.submittedAt) && review.submittedAt >= alert.createdAt.slice(0, 19).replace('T', ' ')
+);
+
+/**
+ * Checks newly stored reviews against the enabled alerts, queues a delivery for
+ * each match (once per alert and review, and only for reviews submitted since the
+ * alert was created) and starts sending them
+ * @param {string[]} reviewIds - IDs of reviews that were just inserted
+ * @returns {number} Number of deliveries queued
+ */
+const queueAlerts = (reviewIds) => {
+  const alerts = listAlerts().filter(alert => alert.enabled);
+  if (!alerts.length || !reviewIds.length) return 0;
+
+  const now = new Date().toISOString();
+  let queued = 0;
+  db.transaction(() => {
+    getReviewsByIds(reviewIds).forEach(review => {
+      alerts.forEach(alert => {
+        if (!isSinceAlert(alert, review)) return;
+        const reasons = matchAlert(alert.conditions, review);
+        if (!reasons.length) return;
+        const payload = JSON.stringify(buildPayload(alert, review, reasons));
+        queued += insertDelivery.run(alert.id, alert.name, review.id, alert.webhookUrl, payload, now, now).changes;
+      });
+    });
+  })();
+
+  if (queued) {
+    console.log(`🚨 Queued ${queued} low-rating alert ${queued === 1 ? 'delivery' : 'deliveries'}`);
+    processDueDeliveries().catch(error => console.error('❌ Alert delivery run failed:', error.message));
+  }
+  return queued;
+};
+
+/**
+ * Posts a sample message to an alert's webhook right away, so the URL can be
+ * checked. The attempt is logged like any other delivery.
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<object|null>} The delivery, or null if the alert doesn't exist
+ */
+const sendTestAlert = async (alertId) => {
+  const alert = getAlert(alertId);
+  if (!alert) return null;
+
+  const sampleReview = {
+    id: null,
+    source: 'hostaway',
+    listingName: alert.conditions.listings[0] || 'Sample listing',
+    channel: 'Airbnb',
+    guestName: 'Test guest',
+    submittedAt: new Date().toISOString(),
+    normalizedRating: 4,
+    reviewCategory: [{ category: 'cleanliness', rating: LOW_CATEGORY_RATING - 2 }],
+    publicReview: 'This is a test alert from the Flex Living reviews dashboard.'
+  };
+  const payload = buildPayload(alert, sampleReview, ['Test message']);
+  // No next attempt time, so the background run leaves it to this call; a failure isn't retried
+  const { lastInsertRowid } = insertDelivery.run(alert.id, alert.name, null, alert.webhookUrl,
+    JSON.stringify(payload), null, new Date().toISOString());
+  return attemptDelivery(lastInsertRowid);
+};
+
+/**
+ * Sends a failed delivery again right away, with a fresh set of retries
+ * @param {number} deliveryId - Delivery ID
+ * @returns {Promise<object|null>} The delivery after the attempt, or null if it doesn't exist
+ * @throws {Error} With `status` 409 when the delivery isn't failed
+ */
+const retryDelivery = async (deliveryId) => {
+  const delivery = getDelivery(deliveryId);
+  if (!delivery) return null;
+  if (delivery.status !== 'failed') {
+    throw Object.assign(new Error(`Only failed deliveries can be retried; this one is ${delivery.status}.`), { status: 409 });
+  }
+  db.prepare("UPDATE alert_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NULL WHERE id = ?")
+    .run(deliveryId);
+  return attemptDelivery(deliveryId);
+};
+
+/**
+ * Starts the background check that retries failed deliveries when they are due,
+ * beginning with any left pending when the server last stopped
+ */
+const startAlertScheduler = () => {
+  const run = () => processDueDeliveries().catch(error => console.error('❌ Alert delivery run failed:', error.message));
+  run();
+  setInterval(run, RETRY_CHECK_SECONDS * 1000);
+};
+
+module.exports = {
+  DELIVERY_STATUSES,
+  listAlerts,
+  getAlert,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  matchAlert,
+  listDeliveries,
+  queueAlerts,
+  sendTestAlert,
+  retryDelivery,
+  startAlertScheduler
+};
@@ -0,0 +1,154 @@
+const { toNormalizedRating } = require('./normalize');
+const { SENTIMENT_LABELS } = require('./sentiment');
+const { getTopicLabel } = require('./topics');
+
+// Bands of the rating distribution chart, by lowest normalized rating in the band
+const RATING_BANDS = [
+  { name: 'Excellent (9-10)', min: 9 },
+  { name: 'Good (7-8)', min: 7 },
+  { name: 'Average (5-6)', min: 5 },
+  { name: 'Poor (1-4)', min: -Infinity }
+];
+
+// Category ratings at or below this (out of 10) count as issues for a property
+const LOW_CATEGORY_RATING = 6;
+
+/**
+ * Returns a review's categories rated at or below a threshold, the "issues" the
+ * Analytics tab counts per property and low-rating alerts fire on
+ * @param {object} review - Review in the shape served by the API
+ * @param {number} [threshold=LOW_CATEGORY_RATING] - Highest low rating, out of 10
+ * @returns {object[]} Category names with their normalized rating
+ */
+const lowCategoryRatings = (review, threshold = LOW_CATEGORY_RATING) => (review.reviewCategory || [])
+  .filter(cat => cat && typeof cat.category === 'string' && typeof cat.rating === 'number')
+  .map(cat => ({ category: cat.category, rating: toNormalizedRating(cat.rating, review.ratingScale) }))
+  .filter(cat => cat.rating <= threshold);
+
+/**
+ * Running total that can be averaged
+ * @returns {object} Empty total
+ */
+const newTotal = () => ({ total: 0, count: 0 });
+
+const average = ({ total, count }) => (count > 0 ? total / count : null);
+
+/**
+ * Computes the review analytics shown on the Analytics tab and in email digests.
+ * Every rating is on the normalized 0-10 scale, so all sources count the same.
+ * @param {object[]} reviews - Reviews in the shape served by the API
+ * @returns {object|null} Analytics, or null when there are no reviews
+ */
+const computeAnalytics = (reviews) => {
+  if (!reviews.length) return null;
+
+  const overall = newTotal();
+  const properties = {};
+  const channels = {};
+  const categories = {};
+  const months = {};
+  const sentimentMonths = {};
+  const distribution = Object.fromEntries(RATING_BANDS.map(band => [band.name, 0]));
+
+  reviews.forEach(review => {
+    const property = properties[review.listingName] ||= { ...newTotal(), totalReviews: 0, lowRatings: 0, complaints: {} };
+    const channel = channels[review.channel || 'Unknown'] ||= { ...newTotal(), totalReviews: 0 };
+    property.totalReviews++;
+    channel.totalReviews++;
+
+    // Month the review was submitted ("2025-06"), for the series over time
+    const month = review.submittedAt ? review.submittedAt.slice(0, 7) : null;
+
+    const rating = review.normalizedRating;
+    if (rating) {
+      [overall, property, channel].forEach(total => {
+        total.total += rating;
+        total.count++;
+      });
+      distribution[RATING_BANDS.find(band => rating >= band.min).name]++;
+
+      if (month) {
+        const monthTotal = months[month] ||= newTotal();
+        monthTotal.total += rating;
+        monthTotal.count++;
+      }
+    }
+
+    if (month && review.sentiment.label) {
+      const monthSentiment = sentimentMonths[month] ||= {
+        ...newTotal(),
+        ...Object.fromEntries(SENTIMENT_LABELS.map(label => [label, 0]))
+      };
+      monthSentiment.total += review.sentiment.score;
+      monthSentiment.count++;
+      monthSentiment[review.sentiment.label]++;
+    }
+
+    (review.reviewCategory || []).forEach(cat => {
+      if (!cat || typeof cat.category !== 'string' || typeof cat.rating !== 'number') return;
+      const categoryRating = toNormalizedRating(cat.rating, review.ratingScale);
+      const categoryTotal = categories[cat.category] ||= newTotal();
+      categoryTotal.total += categoryRating;
+      categoryTotal.count++;
+    });
+    property.lowRatings += lowCategoryRatings(review).length;
+
+    (review.topics || []).filter(topic => topic.polarity === 'negative').forEach(({ topic }) => {
+      property.complaints[topic] = (property.complaints[topic] || 0) + 1;
+    });
+  });
+
+  return {
+    totalReviews: reviews.length,
+    overallAverage: average(overall) ?? 0,
+    propertyCount: Object.keys(properties).length,
+    categoryAverages: Object.entries(categories)
+      .map(([category, total]) => ({ category, average: average(total), count: total.count }))
+      .sort((a, b) => a.category.localeCompare(b.category)),
+    ratingDistribution: RATING_BANDS
+      .map(({ name }) => ({ name, value: distribution[name] }))
+      .filter(band => band.value > 0),
+    propertiesByRating: Object.entries(properties)
+      .map(([name, stats]) => ({
+        name,
+        totalReviews: stats.totalReviews,
+        averageRating: average(stats) ?? 0,
+        lowRatings: stats.lowRatings
+      }))
+      .sort((a, b) => b.averageRating - a.averageRating),
+    channelsByVolume: Object.entries(channels)
+      .map(([name, stats]) => ({
+        name,
+        totalReviews: stats.totalReviews,
+        share: stats.totalReviews / reviews.length,
+        averageRating: average(stats)
+      }))
+      .sort((a, b) => b.totalReviews - a.totalReviews),
+    ratingOverTime: Object.entries(months)
+      .map(([month, total]) => ({ month, averageRating: average(total), count: total.count }))
+      .sort((a, b) => a.month.localeCompare(b.month)),
+    // Average sentiment score (-1 to 1) and reviews per label, by month
+    sentimentOverTime: Object.entries(sentimentMonths)
+      .map(([month, stats]) => ({
+        month,
+        averageScore: average(stats),
+        count: stats.count,
+        ...Object.fromEntries(SENTIMENT_LABELS.map(label => [label, stats[label]]))
+      }))
+      .sort((a, b) => a.month.localeCompare(b.month)),
+    // Topics guests complained about per property, most complained-about properties first
+    topComplaints: Object.entries(properties)
+      .map(([name, stats]) => ({
+        name,
+        totalReviews: stats.totalReviews,
+        totalComplaints: Object.values(stats.complaints).reduce((sum, count) => sum + count, 0),
+        complaints: Object.entries(stats.complaints)
+          .map(([topic, count]) => ({ topic, label: getTopicLabel(topic), count }))
+          .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+      }))
+      .filter(property => property.totalComplaints > 0)
+      .sort((a, b) => b.totalComplaints - a.totalComplaints || a.name.localeCompare(b.name))
+  };
+};
+
+module.exports = { LOW_CATEGORY_RATING, lowCategoryRatings, computeAnalytics };
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'manager'];
+
+// How long a login session stays valid
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+
+// Failed logins allowed per username and address before a temporary lockout
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Failed login attempts keyed by "address|username"
+const failedLogins = new Map();
+
+/**
+ * Hashes a password with a random salt using scrypt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash in the form "scrypt$<salt>$<hash>"
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+const verifyPassword = async (password, storedHash) => {
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Session tokens are stored hashed so a leaked database can't be used to log in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Converts a users row into the shape returned by the API
+ * @param {object} row - Row from the users table
+ * @returns {object} User without credentials
+ */
+const rowToUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  role: row.role
+});
+
+/**
+ * Creates a dashboard user
+ * @param {string} username - Unique username
+ * @param {string} password - Plain text password, stored hashed
+ * @param {string} role - 'viewer' or 'manager'
+ * @returns {Promise<object>} The created user
+ */
+const createUser = async (username, password, role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (!username || !password || password.length < 8) {
+    throw new Error('A username and a password of at least 8 characters are required');
+  }
+
+  const passwordHash = await hashPassword(password);
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)
+  `).run(username, passwordHash, role, new Date().toISOString());
+
+  return rowToUser(db.prepare('SELECT * FROM users WHERE id = ?').get(lastInsertRowid));
+};
+
+/**
+ * Creates the first manager from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist yet
+ */
+const ensureInitialUser = async () => {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM users').get();
+  if (count > 0) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.log('⚠️ No dashboard users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD, or run "npm run create-user".');
+    return;
+  }
+
+  await createUser(ADMIN_USERNAME, ADMIN_PASSWORD, 'manager');
+  console.log(`👤 Created initial manager account "${ADMIN_USERNAME}"`);
+};
+
+/**
+ * Verifies credentials and opens a session
+ * @param {string} username - Username
+ * @param {string} password - Plain text password
+ * @param {string} address - Client address, used for lockout tracking
+ * @returns {Promise<object>} Session token, expiry and user
+ * @throws {Error} With `status` 401 for bad credentials or 429 while locked out
+ */
+const login = async (username, password, address) => {
+  const attemptKey = `${address}|${String(username).toLowerCase()}`;
+  const attempts = failedLogins.get(attemptKey);
+  if (attempts && attempts.count >= MAX_FAILED_LOGINS && Date.now() < attempts.lockedUntil) {
+    throw Object.assign(new Error('Too many failed login attempts. Try again later.'), { status: 429 });
+  }
+
+  const row = db.prepare('SELECT * FROM users WHERE username = ?').get(String(username));
+  // Hash anyway for unknown users so response times don't reveal which usernames exist
+  const valid = row
+    ? await verifyPassword(String(password), row.password_hash)
+    : (await hashPassword(String(password)), false);
+
+  if (!valid) {
+    const count = (attempts && Date.now() < attempts.lockedUntil ? attempts.count : 0) + 1;
+    failedLogins.set(attemptKey, { count, lockedUntil: Date.now() + LOCKOUT_MINUTES * 60 * 1000 });
+    throw Object.assign(new Error('Invalid username or password.'), { status: 401 });
+  }
+
+  failedLogins.delete(attemptKey);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  db.prepare(`
+    INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)
+  `).run(hashToken(token), row.id, now.toISOString(), expiresAt.toISOString());
+
+  // Drop expired sessions while we're here
+  db.prepare('DELETE FROM sessions WHERE expires_at < ?').run(now.toISOString());
+
+  return { token, expiresAt: expiresAt.toISOString(), user: rowToUser(row) };
+};
+
+/**
+ * Ends a session
+ * @param {string} token - Session token
+ */
+const logout = (token) => {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+};
+
+/**
+ * Looks up the user for a valid, unexpired session token
+ * @param {string} token - Session token
+ * @returns {object|null} User, or null if the token is unknown or expired
+ */
+const getSessionUser = (token) => {
+  if (!token) return null;
+
+  const row = db.prepare(`
+    SELECT u.* FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ?
+  `).get(hashToken(token), new Date().toISOString());
+
+  return row ? rowToUser(row) : null;
+};
+
+/**
+ * Reads the bearer token from the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null} Token
+ */
+const getRequestToken = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Middleware that rejects requests without a valid session and sets req.user
+ */
+const requireAuth = (req, res, next) => {
+  const user = getSessionUser(getRequestToken(req));
+  if (!user) {
+    return res.status(401).json({ message: 'Authentication required.' });
+  }
+  req.user = user;
+  next();
+};
+
+/**
+ * Middleware that requires a session with at least the given role
+ * @param {string} role - Minimum role, 'viewer' or 'manager'
+ */
+const requireRole = (role) => (req, res, next) => {
+  requireAuth(req, res, () => {
+    if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ message: `This action requires the ${role} role.` });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  ROLES,
+  createUser,
+  ensureInitialUser,
+  login,
+  logout,
+  getSessionUser,
+  getRequestToken,
+  requireAuth,
+  requireRole
+};
@@ -0,0 +1,549 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { analyzeSentiment } = require('./sentiment');
+
+// SQLite database holding normalized reviews, approvals and sync metadata
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'flex-reviews.db');
+
+// Legacy approvals file, imported once into the database
+const LEGACY_APPROVALS_FILE = path.join(__dirname, '..', 'review-approvals.json');
+
+/**
+ * Schema migrations, applied in order. The index + 1 of each entry is
+ * stored in PRAGMA user_version once it has run, so only append to this list.
+ */
+const MIGRATIONS = [
+  // 1: Normalized reviews, approvals and sync metadata
+  `
+  CREATE TABLE reviews (
+    id INTEGER PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    rating REAL,
+    public_review TEXT NOT NULL DEFAULT '',
+    review_category TEXT NOT NULL DEFAULT '[]',
+    submitted_at TEXT NOT NULL DEFAULT '',
+    guest_name TEXT NOT NULL,
+    listing_name TEXT NOT NULL,
+    data_source TEXT NOT NULL,
+    raw TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_reviews_submitted_at ON reviews (submitted_at);
+  CREATE INDEX idx_reviews_listing_name ON reviews (listing_name);
+
+  CREATE TABLE review_approvals (
+    review_id INTEGER PRIMARY KEY,
+    display_on_website INTEGER NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE sync_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  // 2: History of sync runs with their outcome and timing
+  `
+  CREATE TABLE sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    trigger TEXT NOT NULL,
+    status TEXT NOT NULL,
+    since TEXT,
+    data_source TEXT,
+    fetched INTEGER NOT NULL DEFAULT 0,
+    inserted INTEGER NOT NULL DEFAULT 0,
+    updated INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    duration_ms INTEGER
+  );
+  CREATE INDEX idx_sync_runs_started_at ON sync_runs (started_at);
+  `,
+  // 3: One row per category rating, for server-side filtering and sorting
+  `
+  CREATE TABLE review_categories (
+    review_id INTEGER NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+    category TEXT NOT NULL,
+    rating REAL NOT NULL,
+    PRIMARY KEY (review_id, category)
+  );
+  CREATE INDEX idx_review_categories_category ON review_categories (category, rating);
+
+  INSERT OR IGNORE INTO review_categories (review_id, category, rating)
+  SELECT r.id, json_extract(c.value, '$.category'), json_extract(c.value, '$.rating')
+  FROM reviews r, json_each(r.review_category) c
+  WHERE json_type(c.value, '$.category') = 'text'
+    AND json_type(c.value, '$.rating') IN ('integer', 'real');
+  `,
+  // 4: Hostaway listing ID, used by the public listing reviews endpoint
+  `
+  ALTER TABLE reviews ADD COLUMN listing_id INTEGER;
+  CREATE INDEX idx_reviews_listing_id ON reviews (listing_id);
+  UPDATE reviews SET listing_id = json_extract(raw, '$.listingMapId');
+  `,
+  // 5: Dashboard users and their login sessions
+  `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('viewer', 'manager')),
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_sessions_user_id ON sessions (user_id);
+  `,
+  // 6: Append-only audit log of approval changes
+  `
+  CREATE TABLE approval_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id INTEGER NOT NULL,
+    old_value INTEGER NOT NULL,
+    new_value INTEGER NOT NULL,
+    actor_user_id INTEGER,
+    actor_name TEXT NOT NULL,
+    reason TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_approval_audit_review_id ON approval_audit (review_id, id);
+
+  CREATE TRIGGER approval_audit_no_update BEFORE UPDATE ON approval_audit
+  BEGIN SELECT RAISE(ABORT, 'approval_audit is append-only'); END;
+  CREATE TRIGGER approval_audit_no_delete BEFORE DELETE ON approval_audit
+  BEGIN SELECT RAISE(ABORT, 'approval_audit is append-only'); END;
+  `,
+  // 7: Auto-approval rules and the rule that decided each new review
+  `
+  CREATE TABLE approval_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    priority INTEGER NOT NULL DEFAULT 0,
+    conditions TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('auto_approve', 'auto_hide', 'flag')),
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE rule_decisions (
+    review_id INTEGER PRIMARY KEY REFERENCES reviews (id) ON DELETE CASCADE,
+    rule_id INTEGER REFERENCES approval_rules (id) ON DELETE SET NULL,
+    rule_name TEXT NOT NULL,
+    action TEXT NOT NULL,
+    decided_at TEXT NOT NULL
+  );
+  `,
+  // 8: Booking channel, mapped from the Hostaway channel ID
+  `
+  ALTER TABLE reviews ADD COLUMN channel TEXT NOT NULL DEFAULT 'Unknown';
+  CREATE INDEX idx_reviews_channel ON reviews (channel);
+  UPDATE reviews SET channel = CASE json_extract(raw, '$.channelId')
+    WHEN 2000 THEN 'Direct'
+    WHEN 2002 THEN 'Vrbo'
+    WHEN 2005 THEN 'Booking.com'
+    WHEN 2007 THEN 'Expedia'
+    WHEN 2013 THEN 'Direct'
+    WHEN 2018 THEN 'Airbnb'
+    ELSE CASE WHEN json_extract(raw, '$.channelId') IS NULL THEN 'Unknown' ELSE 'Other' END
+  END;
+  `,
+  // 9: Google Places response cache and daily usage per endpoint
+  `
+  CREATE TABLE google_cache (
+    cache_key TEXT PRIMARY KEY,
+    endpoint TEXT NOT NULL,
+    response TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_google_cache_expires_at ON google_cache (expires_at);
+
+  CREATE TABLE google_usage (
+    day TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    sku TEXT NOT NULL,
+    api_calls INTEGER NOT NULL DEFAULT 0,
+    cache_hits INTEGER NOT NULL DEFAULT 0,
+    cost_usd REAL NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, endpoint)
+  );
+  `,
+  // 10: Google place linked to each Hostaway listing, with its latest Google rating
+  `
+  CREATE TABLE listing_places (
+    listing_name TEXT PRIMARY KEY,
+    listing_id INTEGER,
+    place_id TEXT NOT NULL,
+    place_name TEXT NOT NULL,
+    place_address TEXT,
+    google_rating REAL,
+    google_rating_count INTEGER NOT NULL DEFAULT 0,
+    rating_updated_at TEXT NOT NULL,
+    linked_by TEXT NOT NULL,
+    linked_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_listing_places_place_id ON listing_places (place_id);
+  `,
+  // 11: Reviews from more than one source: namespaced text IDs ("hostaway:1001"),
+  // the source and its own review ID, and the scale ratings are given on
+  `
+  CREATE TABLE reviews_new (
+    id TEXT PRIMARY KEY,
+    source TEXT NOT NULL,
+    source_review_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    rating REAL,
+    rating_scale INTEGER NOT NULL,
+    public_review TEXT NOT NULL DEFAULT '',
+    review_category TEXT NOT NULL DEFAULT '[]',
+    submitted_at TEXT NOT NULL DEFAULT '',
+    guest_name TEXT NOT NULL,
+    listing_id INTEGER,
+    listing_name TEXT NOT NULL,
+    channel TEXT NOT NULL DEFAULT 'Unknown',
+    data_source TEXT NOT NULL,
+    raw TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  INSERT INTO reviews_new
+  SELECT 'hostaway:' || id, 'hostaway', CAST(id AS TEXT), type, status, rating, 10, public_review,
+    review_category, submitted_at, guest_name, listing_id, listing_name, channel, data_source, raw,
+    created_at, updated_at
+  FROM reviews;
+  DROP TABLE reviews;
+  ALTER TABLE reviews_new RENAME TO reviews;
+  CREATE INDEX idx_reviews_submitted_at ON reviews (submitted_at);
+  CREATE INDEX idx_reviews_listing_name ON reviews (listing_name);
+  CREATE INDEX idx_reviews_listing_id ON reviews (listing_id);
+  CREATE INDEX idx_reviews_channel ON reviews (channel);
+  CREATE INDEX idx_reviews_source ON reviews (source);
+
+  CREATE TABLE review_approvals_new (
+    review_id TEXT PRIMARY KEY,
+    display_on_website INTEGER NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  INSERT INTO review_approvals_new
+  SELECT 'hostaway:' || review_id, display_on_website, updated_at FROM review_approvals;
+  DROP TABLE review_approvals;
+  ALTER TABLE review_approvals_new RENAME TO review_approvals;
+
+  CREATE TABLE review_categories_new (
+    review_id TEXT NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+    category TEXT NOT NULL,
+    rating REAL NOT NULL,
+    PRIMARY KEY (review_id, category)
+  );
+  INSERT INTO review_categories_new
+  SELECT 'hostaway:' || review_id, category, rating FROM review_categories;
+  DROP TABLE review_categories;
+  ALTER TABLE review_categories_new RENAME TO review_categories;
+  CREATE INDEX idx_review_categories_category ON review_categories (category, rating);
+
+  CREATE TABLE approval_audit_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id TEXT NOT NULL,
+    old_value INTEGER NOT NULL,
+    new_value INTEGER NOT NULL,
+    actor_user_id INTEGER,
+    actor_name TEXT NOT NULL,
+    reason TEXT,
+    created_at TEXT NOT NULL
+  );
+  INSERT INTO approval_audit_new
+  SELECT id, 'hostaway:' || review_id, old_value, new_value, actor_user_id, actor_name, reason, created_at
+  FROM approval_audit;
+  DROP TABLE approval_audit;
+  ALTER TABLE approval_audit_new RENAME TO approval_audit;
+  CREATE INDEX idx_approval_audit_review_id ON approval_audit (review_id, id);
+  CREATE TRIGGER approval_audit_no_update BEFORE UPDATE ON approval_audit
+  BEGIN SELECT RAISE(ABORT, 'approval_audit is append-only'); END;
+  CREATE TRIGGER approval_audit_no_delete BEFORE DELETE ON approval_audit
+  BEGIN SELECT RAISE(ABORT, 'approval_audit is append-only'); END;
+
+  CREATE TABLE rule_decisions_new (
+    review_id TEXT PRIMARY KEY REFERENCES reviews (id) ON DELETE CASCADE,
+    rule_id INTEGER REFERENCES approval_rules (id) ON DELETE SET NULL,
+    rule_name TEXT NOT NULL,
+    action TEXT NOT NULL,
+    decided_at TEXT NOT NULL
+  );
+  INSERT INTO rule_decisions_new
+  SELECT 'hostaway:' || review_id, rule_id, rule_name, action, decided_at FROM rule_decisions;
+  DROP TABLE rule_decisions;
+  ALTER TABLE rule_decisions_new RENAME TO rule_decisions;
+  `,
+  // 12: Ratings converted to a common 0-10 scale, for comparing and filtering across sources
+  `
+  ALTER TABLE reviews ADD COLUMN normalized_rating REAL;
+  UPDATE reviews SET normalized_rating = ROUND(rating * 10.0 / rating_scale, 2);
+  CREATE INDEX idx_reviews_normalized_rating ON reviews (normalized_rating);
+
+  ALTER TABLE review_categories ADD COLUMN normalized_rating REAL;
+  UPDATE review_categories SET normalized_rating = ROUND(
+    rating * 10.0 / (SELECT r.rating_scale FROM reviews r WHERE r.id = review_categories.review_id), 2
+  );
+  DROP INDEX idx_review_categories_category;
+  CREATE INDEX idx_review_categories_category ON review_categories (category, normalized_rating);
+  `,
+  // 13: Hostaway webhook deliveries, keyed by payload so redeliveries are only applied once
+  `
+  CREATE TABLE webhook_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_key TEXT NOT NULL UNIQUE,
+    event TEXT NOT NULL,
+    review_id TEXT,
+    outcome TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    received_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_webhook_events_review ON webhook_events (review_id);
+  `,
+  // 14: Email digest recipients and schedule per property, with the last send
+  `
+  CREATE TABLE digest_subscriptions (
+    listing_name TEXT PRIMARY KEY,
+    recipients TEXT NOT NULL,
+    frequency TEXT NOT NULL,
+    day_of_week INTEGER,
+    hour INTEGER NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    last_sent_at TEXT,
+    last_error TEXT,
+    updated_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `,
+  // 15: Low-rating alerts posted to outgoing webhooks, and every delivery with its retries
+  `
+  CREATE TABLE alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    conditions TEXT NOT NULL,
+    webhook_url TEXT NOT NULL,
+    updated_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE alert_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alert_id INTEGER REFERENCES alert_rules (id) ON DELETE SET NULL,
+    alert_name TEXT NOT NULL,
+    review_id TEXT REFERENCES reviews (id) ON DELETE CASCADE,
+    webhook_url TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    delivered_at TEXT,
+    UNIQUE (alert_id, review_id)
+  );
+  CREATE INDEX idx_alert_deliveries_due ON alert_deliveries (status, next_attempt_at);
+  `,
+  // 16: Sentiment of the review text: score from -1 to 1, label and the sentences behind it.
+  // Reviews already stored are scored once the columns exist (see scoreStoredReviews).
+  `
+  ALTER TABLE reviews ADD COLUMN sentiment_score REAL;
+  ALTER TABLE reviews ADD COLUMN sentiment_label TEXT;
+  ALTER TABLE reviews ADD COLUMN sentiment_sentences TEXT;
+  CREATE INDEX idx_reviews_sentiment ON reviews (sentiment_label, sentiment_score);
+  `,
+  // 17: Topics the review text mentions (check-in, noise, Wi-Fi...) and whether each is praised or
+  // faulted. Stored reviews are tagged at startup, and again whenever the taxonomy changes.
+  `
+  ALTER TABLE reviews ADD COLUMN topics TEXT;
+
+  CREATE TABLE review_topics (
+    review_id TEXT NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+    topic TEXT NOT NULL,
+    polarity TEXT NOT NULL CHECK (polarity IN ('positive', 'negative', 'neutral')),
+    PRIMARY KEY (review_id, topic)
+  );
+  CREATE INDEX idx_review_topics_topic ON review_topics (topic, polarity);
+  `,
+  // 18: Team-only tags and notes on reviews, with who added them and when. Never published.
+  `
+  CREATE TABLE review_tags (
+    review_id TEXT NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+    tag TEXT NOT NULL,
+    added_by TEXT NOT NULL,
+    added_at TEXT NOT NULL,
+    PRIMARY KEY (review_id, tag)
+  );
+  CREATE INDEX idx_review_tags_tag ON review_tags (tag);
+
+  CREATE TABLE review_notes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id TEXT NOT NULL REFERENCES reviews (id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    author_user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    author_name TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_review_notes_review ON review_notes (review_id, id);
+  `,
+  // 19: Moderation workflow per review (state, assignee, follow-up date, owner attention flag)
+  // and an append-only log of every change. Reviews without a row are 'new'; ones already
+  // shown on the website have been moderated, so they start out 'resolved'.
+  `
+  CREATE TABLE review_workflow (
+    review_id TEXT PRIMARY KEY REFERENCES reviews (id) ON DELETE CASCADE,
+    state TEXT NOT NULL CHECK (state IN ('new', 'in_review', 'actioned', 'resolved')),
+    assignee_user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    due_date TEXT,
+    needs_owner_attention INTEGER NOT NULL DEFAULT 0,
+    updated_by TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_review_workflow_queue ON review_workflow (state, assignee_user_id);
+
+  CREATE TABLE workflow_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    review_id TEXT NOT NULL,
+    from_state TEXT NOT NULL,
+    to_state TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    actor_user_id INTEGER,
+    actor_name TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_workflow_audit_review ON workflow_audit (review_id, id);
+
+  CREATE TRIGGER workflow_audit_no_update BEFORE UPDATE ON workflow_audit
+  BEGIN SELECT RAISE(ABORT, 'workflow_audit is append-only'); END;
+  CREATE TRIGGER workflow_audit_no_delete BEFORE DELETE ON workflow_audit
+  BEGIN SELECT RAISE(ABORT, 'workflow_audit is append-only'); END;
+
+  INSERT INTO review_workflow (review_id, state, updated_by, updated_at)
+  SELECT a.review_id, 'resolved', 'Migration', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  FROM review_approvals a
+  JOIN reviews r ON r.id = a.review_id
+  WHERE a.display_on_website = 1;
+  `,
+  // 20: Manager replies to guest reviews: the draft being written, and once published through
+  // Hostaway the text that was sent. A failed publish keeps the draft and Hostaway's error.
+  `
+  CREATE TABLE review_replies (
+    review_id TEXT PRIMARY KEY REFERENCES reviews (id) ON DELETE CASCADE,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('draft', 'sent', 'failed')),
+    error TEXT,
+    sent_body TEXT,
+    sent_by TEXT,
+    sent_at TEXT,
+    updated_by TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_review_replies_status ON review_replies (status);
+  `,
+  // 21: Reply templates with merge variables ({{guestFirstName}}...) and rating band sections
+  `
+  CREATE TABLE reply_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    body TEXT NOT NULL,
+    updated_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `
+];
+
+/**
+ * Imports approvals from the legacy review-approvals.json file
+ * the first time the database is created.
+ * @param {Database} db - Open database connection
+ */
+const importLegacyApprovals = (db) => {
+  let approvals;
+  try {
+    approvals = JSON.parse(fs.readFileSync(LEGACY_APPROVALS_FILE, 'utf8'));
+  } catch (error) {
+    return; // Missing or invalid file, nothing to import
+  }
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO review_approvals (review_id, display_on_website, updated_at)
+    VALUES (?, ?, ?)
+  `);
+  const now = new Date().toISOString();
+  Object.entries(approvals).forEach(([reviewId, displayOnWebsite]) => {
+    insert.run(parseInt(reviewId), displayOnWebsite ? 1 : 0, now);
+  });
+
+  console.log(`📥 Imported ${Object.keys(approvals).length} approvals from review-approvals.json`);
+};
+
+/**
+ * Scores the sentiment of reviews stored before sentiment was added (migration 16)
+ * @param {Database} db - Open database connection
+ */
+const scoreStoredReviews = (db) => {
+  const update = db.prepare(`
+    UPDATE reviews SET sentiment_score = ?, sentiment_label = ?, sentiment_sentences = ? WHERE id = ?
+  `);
+  const rows = db.prepare('SELECT id, public_review FROM reviews').all();
+  rows.forEach(row => {
+    const { score, label, sentences } = analyzeSentiment(row.public_review);
+    update.run(score, label, JSON.stringify(sentences), row.id);
+  });
+
+  if (rows.length) console.log(`💬 Scored the sentiment of ${rows.length} stored reviews`);
+};
+
+/**
+ * Applies any migrations newer than the database's user_version. Foreign keys
+ * are off while migrating so tables can be rebuilt, and are checked before
+ * each migration commits.
+ * @param {Database} db - Open database connection
+ */
+const migrate = (db) => {
+  const currentVersion = db.pragma('user_version', { simple: true });
+
+  MIGRATIONS.slice(currentVersion).forEach((sql, index) => {
+    const version = currentVersion + index + 1;
+    db.transaction(() => {
+      db.exec(sql);
+      if (version === 1) {
+        importLegacyApprovals(db);
+      }
+      if (version === 16) {
+        scoreStoredReviews(db);
+      }
+      if (db.pragma('foreign_key_check').length > 0) {
+        throw new Error(`Database migration ${version} left foreign key violations`);
+      }
+      db.pragma(`user_version = ${version}`);
+    })();
+    console.log(`🗄️ Applied database migration ${version}`);
+  });
+};
+
+fs.mkdirSync(path.dirname(DATABASE_PATH), { recursive: true });
+
+const db = new Database(DATABASE_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = OFF'); // better-sqlite3 turns them on by default
+migrate(db);
+db.pragma('foreign_keys = ON');
+
+module.exports = db;
@@ -0,0 +1,398 @@
+const db = require('./db');
+const { parseReviewQuery, queryReviews } = require('./reviewQuery');
+const { computeAnalytics } = require('./analytics');
+const mailer = require('./mailer');
+
+// How often a digest can be sent, and the period it covers when there's no previous send
+const FREQUENCIES = {
+  daily: { label: 'Daily', days: 1 },
+  weekly: { label: 'Weekly', days: 7 }
+};
+
+// Category averages (out of 10) below this are called out in the digest
+const DIGEST_CATEGORY_THRESHOLD = Number(process.env.DIGEST_CATEGORY_THRESHOLD ?? 7);
+
+// Where the "Open dashboard" link in the email points
+const DASHBOARD_URL = process.env.DASHBOARD_URL || 'http://localhost:5173';
+
+// Minutes between checks for digests that are due
+const DIGEST_CHECK_MINUTES = 15;
+
+// New reviews listed in full in one digest
+const MAX_LISTED_REVIEWS = 20;
+
+const validationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Converts a digest_subscriptions row into the shape returned by the API
+ * @param {object} row - Row from the digest_subscriptions table
+ * @returns {object} Subscription
+ */
+const rowToSubscription = (row) => ({
+  listingName: row.listing_name,
+  recipients: JSON.parse(row.recipients),
+  frequency: row.frequency,
+  dayOfWeek: row.day_of_week,
+  hour: row.hour,
+  enabled: row.enabled === 1,
+  lastSentAt: row.last_sent_at,
+  lastError: row.last_error,
+  updatedBy: row.updated_by,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Returns every property's digest settings
+ * @returns {object[]} Subscriptions ordered by listing name
+ */
+const listSubscriptions = () => db.prepare('SELECT * FROM digest_subscriptions ORDER BY listing_name')
+  .all()
+  .map(rowToSubscription);
+
+const getSubscription = (listingName) => {
+  const row = db.prepare('SELECT * FROM digest_subscriptions WHERE listing_name = ?').get(listingName);
+  return row ? rowToSubscription(row) : null;
+};
+
+/**
+ * Validates digest settings from the API
+ * @param {object} input - Request body
+ * @returns {object} Recipients, frequency, dayOfWeek, hour and enabled
+ * @throws {Error} With `status` 400 when the input is invalid
+ */
+const validateSubscription = (input = {}) => {
+  const recipients = Array.isArray(input.recipients)
+    ? [...new Set(input.recipients.map(email => (typeof email === 'string' ? email.trim() : '')))]
+    : [];
+  if (!recipients.length || !recipients.every(email => /^[^\s@]+@[^\s@]+$/.test(email))) {
+    throw validationError('recipients must be a non-empty list of email addresses.');
+  }
+  if (!FREQUENCIES[input.frequency]) {
+    throw validationError(`frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+  }
+  if (!Number.isInteger(input.hour) || input.hour < 0 || input.hour > 23) {
+    throw validationError('hour must be a whole number from 0 to 23 (UTC).');
+  }
+  const weekly = input.frequency === 'weekly';
+  if (weekly && !(Number.isInteger(input.dayOfWeek) && input.dayOfWeek >= 0 && input.dayOfWeek <= 6)) {
+    throw validationError('dayOfWeek must be a whole number from 0 (Sunday) to 6 for weekly digests.');
+  }
+
+  return {
+    recipients,
+    frequency: input.frequency,
+    dayOfWeek: weekly ? input.dayOfWeek : null,
+    hour: input.hour,
+    enabled: input.enabled !== false
+  };
+};
+
+/**
+ * Creates or replaces a property's digest settings
+ * @param {string} listingName - Listing the digest covers
+ * @param {object} input - Settings, validated with validateSubscription
+ * @param {object} actor - User making the change
+ * @returns {object} The saved subscription
+ * @throws {Error} With `status` 400 for invalid settings, 404 for a listing without reviews
+ */
+const saveSubscription = (listingName, input, actor) => {
+  const settings = validateSubscription(input);
+  if (!db.prepare('SELECT 1 FROM reviews WHERE listing_name = ?').get(listingName)) {
+    throw Object.assign(new Error(`No reviews found for listing "${listingName}".`), { status: 404 });
+  }
+
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO digest_subscriptions (
+      listing_name, recipients, frequency, day_of_week, hour, enabled, updated_by, created_at, updated_at
+    ) VALUES (
+      @listingName, @recipients, @frequency, @dayOfWeek, @hour, @enabled, @updatedBy, @now, @now
+    )
+    ON CONFLICT (listing_name) DO UPDATE SET
+      recipients = excluded.recipients,
+      frequency = excluded.frequency,
+      day_of_week = excluded.day_of_week,
+      hour = excluded.hour,
+      enabled = excluded.enabled,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).run({
+    ...settings,
+    listingName,
+    recipients: JSON.stringify(settings.recipients),
+    enabled: settings.enabled ? 1 : 0,
+    updatedBy: actor.username,
+    now
+  });
+
+  return getSubscription(listingName);
+};
+
+/**
+ * Stops a property's digest
+ * @param {string} listingName - Listing name
+ * @returns {boolean} Whether a subscription was removed
+ */
+const deleteSubscription = (listingName) => db.prepare('DELETE FROM digest_subscriptions WHERE listing_name = ?')
+  .run(listingName).changes > 0;
+
+/**
+ * Returns the most recent time the schedule called for a digest, at or before now
+ * @param {object} subscription - Subscription with frequency, dayOfWeek and hour (UTC)
+ * @param {Date} now - Current time
+ * @returns {Date} Latest scheduled time
+ */
+const latestScheduledAt = (subscription, now) => {
+  const slot = new Date(now);
+  slot.setUTCHours(subscription.hour, 0, 0, 0);
+  if (slot > now) slot.setUTCDate(slot.getUTCDate() - 1);
+  if (subscription.frequency === 'weekly') {
+    while (slot.getUTCDay() !== subscription.dayOfWeek) slot.setUTCDate(slot.getUTCDate() - 1);
+  }
+  return slot;
+};
+
+/**
+ * Gathers a property's digest: new reviews since a time, how the average moved,
+ * categories averaging below the threshold, and reviews nobody has approved or
+ * hidden yet. The figures come from computeAnalytics, as on the Analytics tab.
+ * @param {string} listingName - Listing name
+ * @param {string} since - ISO time; reviews stored after it count as new
+ * @returns {object} Digest contents
+ */
+const buildDigest = (listingName, since) => {
+  const { filters } = parseReviewQuery({ property: listingName });
+  const { reviews } = queryReviews({ filters, sort: 'date-desc', limit: null, offset: 0 });
+
+  const newIds = new Set(db.prepare('SELECT id FROM reviews WHERE listing_name = ? AND created_at > ?')
+    .pluck().all(listingName, since));
+  const pendingIds = new Set(db.prepare(`
+    SELECT r.id FROM reviews r
+    LEFT JOIN review_approvals a ON a.review_id = r.id
+    WHERE r.listing_name = ? AND a.review_id IS NULL
+  `).pluck().all(listingName));
+
+  const current = computeAnalytics(reviews);
+  const previous = computeAnalytics(reviews.filter(review => !newIds.has(review.id)));
+  const previousCategory = (category) => previous?.categoryAverages.find(item => item.category === category)?.average ?? null;
+
+  return {
+    listingName,
+    since,
+    newReviews: reviews.filter(review => newIds.has(review.id)),
+    pendingReviews: reviews.filter(review => pendingIds.has(review.id)),
+    analytics: current,
+    averageRating: current ? current.overallAverage : null,
+    previousAverageRating: previous ? previous.overallAverage : null,
+    averageChange: current && previous ? current.overallAverage - previous.overallAverage : null,
+    threshold: DIGEST_CATEGORY_THRESHOLD,
+    lowCategories: (current ? current.categoryAverages : [])
+      .filter(({ average }) => average < DIGEST_CATEGORY_THRESHOLD)
+      .map(item => ({
+        ...item,
+        previousAverage: previousCategory(item.category),
+        newlyBelow: previousCategory(item.category) !== null && previousCategory(item.category) >= DIGEST_CATEGORY_THRESHOLD
+      }))
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatAverage = (value) => (value === null ? 'N/A' : value.toFixed(1));
+
+// The change in average rating, in brackets after the average. Without an average for
+// both periods there is nothing to compare, which is different from no change.
+const formatChange = (digest) => {
+  if (digest.averageRating === null) return '';
+  if (digest.averageChange === null) return ' (no earlier ratings to compare)';
+  if (Math.abs(digest.averageChange) < 0.05) return ' (no change)';
+  return ` (${digest.averageChange > 0 ? '▲ +' : '▼ '}${digest.averageChange.toFixed(1)})`;
+};
+
+const excerpt = (text, length = 160) => (text.length > length ? `${text.slice(0, length).trim()}…` : text);
+
+/**
+ * Renders a digest as an email
+ * @param {object} digest - Digest from buildDigest
+ * @returns {object} subject, html and text
+ */
+const renderDigest = (digest) => {
+  const { listingName, newReviews, pendingReviews, lowCategories, threshold } = digest;
+  const count = newReviews.length;
+  const subject = `Review digest: ${listingName} (${count} new ${count === 1 ? 'review' : 'reviews'})`;
+  const since = new Date(digest.since).toUTCString();
+  const listed = newReviews.slice(0, MAX_LISTED_REVIEWS);
+  const dashboardLink = `${DASHBOARD_URL}/dashboard/reviews`;
+  const pendingIds = new Set(pendingReviews.map(review => review.id));
+
+  const text = [
+    `${listingName}: review digest since ${since}`,
+    '',
+    `New reviews: ${count}`,
+    `Average rating: ${formatAverage(digest.averageRating)}/10${formatChange(digest)}`,
+    `Waiting for approval: ${pendingReviews.length}`,
+    '',
+    lowCategories.length
+      ? `Categories below ${threshold}/10:\n${lowCategories.map(item => `- ${item.category}: ${formatAverage(item.average)} (was ${formatAverage(item.previousAverage)})`).join('\n')}`
+      : `No categories below ${threshold}/10.`,
+    '',
+    ...listed.map(review => `* ${review.guestName} (${review.channel}, ${formatAverage(review.normalizedRating)}/10): ${excerpt(review.publicReview)}`),
+    count > listed.length ? `…and ${count - listed.length} more` : '',
+    '',
+    `Open the dashboard: ${dashboardLink}`
+  ].join('\n');
+
+  const cell = 'padding:6px 10px;border-bottom:1px solid #eee;text-align:left;';
+  const html = `
+<div style="font-family:Arial,sans-serif;color:#284e4c;max-width:640px">
+  <h2 style="margin-bottom:4px">${escapeHtml(listingName)}</h2>
+  <p style="color:#666;margin-top:0">Review digest since ${escapeHtml(since)}</p>
+  <table style="border-collapse:collapse;margin-bottom:16px">
+    <tr><td style="${cell}">New reviews</td><td style="${cell}"><strong>${count}</strong></td></tr>
+    <tr><td style="${cell}">Average rating</td><td style="${cell}"><strong>${formatAverage(digest.averageRating)}/10</strong>${formatChange(digest)}</td></tr>
+    <tr><td style="${cell}">Waiting for approval</td><td style="${cell}"><strong>${pendingReviews.length}</strong></td></tr>
+  </table>
+  ${lowCategories.length ? `
+  <h3>Categories below ${threshold}/10</h3>
+  <table style="border-collapse:collapse;margin-bottom:16px">
+    <tr><th style="${cell}">Category</th><th style="${cell}">Average</th><th style="${cell}">Before</th></tr>
+    ${lowCategories.map(item => `
+    <tr>
+      <td style="${cell}text-transform:capitalize">${escapeHtml(item.category.replace(/_/g, ' '))}${item.newlyBelow ? ' <span style="color:#d32f2f">(new)</span>' : ''}</td>
+      <td style="${cell}color:#d32f2f">${formatAverage(item.average)}</td>
+      <td style="${cell}">${formatAverage(item.previousAverage)}</td>
+    </tr>`).join('')}
+  </table>` : ''}
+  ${listed.length ? `
+  <h3>New reviews</h3>
+  ${listed.map(review => `
+  <div style="border-left:3px solid #284e4c;padding:4px 10px;margin-bottom:10px">
+    <strong>${escapeHtml(review.guestName)}</strong> · ${escapeHtml(review.channel)} · ${formatAverage(review.normalizedRating)}/10
+    ${pendingIds.has(review.id) ? ' · <em>waiting for approval</em>' : ''}
+    <div style="color:#444">${escapeHtml(excerpt(review.publicReview))}</div>
+  </div>`).join('')}
+  ${count > listed.length ? `<p>…and ${count - listed.length} more.</p>` : ''}` : ''}
+  <p><a href="${escapeHtml(dashboardLink)}" style="color:#284e4c">Open the dashboard</a></p>
+</div>`;
+
+  return { subject, html, text };
+};
+
+/**
+ * Returns when a digest's period starts: its last send, or one period ago
+ * @param {object} subscription - Subscription
+ * @param {Date} now - Current time
+ * @returns {string} ISO time
+ */
+const digestSince = (subscription, now) => subscription.lastSentAt
+  || new Date(now.getTime() - FREQUENCIES[subscription.frequency].days * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Renders the digest a property would get if it were sent now, without sending it
+ * @param {string} listingName - Listing name
+ * @returns {object} subject, html and text
+ * @throws {Error} With `status` 404 when the property has no digest settings
+ */
+const previewDigest = (listingName) => {
+  const subscription = getSubscription(listingName);
+  if (!subscription) {
+    throw Object.assign(new Error(`No digest is set up for "${listingName}".`), { status: 404 });
+  }
+  return renderDigest(buildDigest(listingName, digestSince(subscription, new Date())));
+};
+
+/**
+ * Builds and emails one property's digest, then records the send
+ * @param {string} listingName - Listing name
+ * @param {object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<object>} Digest summary: new and pending counts, and whether mail was sent
+ * @throws {Error} With `status` 404 when the property has no digest settings
+ */
+const sendDigest = async (listingName, { now = new Date() } = {}) => {
+  const subscription = getSubscription(listingName);
+  if (!subscription) {
+    throw Object.assign(new Error(`No digest is set up for "${listingName}".`), { status: 404 });
+  }
+
+  const digest = buildDigest(listingName, digestSince(subscription, now));
+  const summary = { listingName, newReviews: digest.newReviews.length, pendingReviews: digest.pendingReviews.length, sent: false };
+
+  try {
+    // Nothing new and nothing to approve: skip the email but move the window on
+    if (summary.newReviews > 0 || summary.pendingReviews > 0) {
+      await mailer.sendMail({ to: subscription.recipients, ...renderDigest(digest) });
+      summary.sent = true;
+    }
+    db.prepare('UPDATE digest_subscriptions SET last_sent_at = ?, last_error = NULL WHERE listing_name = ?')
+      .run(now.toISOString(), listingName);
+  } catch (error) {
+    db.prepare('UPDATE digest_subscriptions SET last_error = ? WHERE listing_name = ?').run(error.message, listingName);
+    throw error;
+  }
+
+  return summary;
+};
+
+/**
+ * Sends every enabled digest whose scheduled time has passed since it was last sent
+ * (or set up). A failing property is logged and retried on the next check.
+ * @param {object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {boolean} [options.force] - Send every enabled digest regardless of schedule
+ * @returns {Promise<object[]>} Summaries of the digests sent or skipped
+ */
+const runDueDigests = async ({ now = new Date(), force = false } = {}) => {
+  const rows = db.prepare('SELECT * FROM digest_subscriptions WHERE enabled = 1 ORDER BY listing_name').all();
+  const results = [];
+
+  for (const row of rows) {
+    const subscription = rowToSubscription(row);
+    const lastRun = new Date(subscription.lastSentAt || row.created_at);
+    if (!force && latestScheduledAt(subscription, now) <= lastRun) continue;
+
+    try {
+      const summary = await sendDigest(subscription.listingName, { now });
+      console.log(`✉️ Digest for "${summary.listingName}": ${summary.newReviews} new, ${summary.pendingReviews} pending${summary.sent ? '' : ' (nothing to send)'}`);
+      results.push(summary);
+    } catch (error) {
+      console.error(`❌ Digest for "${subscription.listingName}" failed:`, error.message);
+      results.push({ listingName: subscription.listingName, sent: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Starts the background check that sends digests when they are due
+ */
+const startDigestScheduler = () => {
+  if (!mailer.isMailConfigured()) {
+    console.log('⏸️ Email digests disabled (set SMTP_HOST, or MAIL_TRANSPORT=log)');
+    return;
+  }
+
+  setInterval(() => {
+    runDueDigests().catch(error => console.error('❌ Digest run failed:', error.message));
+  }, DIGEST_CHECK_MINUTES * 60 * 1000);
+
+  console.log(`⏰ Checking for due email digests every ${DIGEST_CHECK_MINUTES} minutes`);
+};
+
+module.exports = {
+  FREQUENCIES,
+  listSubscriptions,
+  saveSubscription,
+  deleteSubscription,
+  buildDigest,
+  renderDigest,
+  previewDigest,
+  sendDigest,
+  runDueDigests,
+  startDigestScheduler
+};
@@ -0,0 +1,61 @@
+const { EventEmitter } = require('events');
+
+// Events pushed to connected dashboards
+const EVENT_TYPES = [
+  'review-added', 'review-updated', 'approval-changed', 'annotations-changed', 'workflow-changed', 'reply-changed'
+];
+
+// Reviews sent in full with an event; larger batches (a full sync) only send their
+// count, and dashboards reload instead
+const MAX_EVENT_REVIEWS = 100;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per open dashboard
+
+// Increasing ID sent with each event
+let lastEventId = 0;
+
+/**
+ * Sends an event to every subscriber
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data - Event payload
+ */
+const publish = (type, data) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+  bus.emit('event', { id: ++lastEventId, type, data });
+};
+
+/**
+ * Publishes reviews that were added or changed. Small batches carry the reviews
+ * themselves; big ones carry `reviews: null` and the count.
+ * @param {string} type - 'review-added' or 'review-updated'
+ * @param {string[]} reviewIds - IDs of the affected reviews
+ * @param {Function} loadReviews - Loads reviews by ID, only called for small batches
+ */
+const publishReviews = (type, reviewIds, loadReviews) => {
+  if (!reviewIds.length) return;
+  publish(type, {
+    count: reviewIds.length,
+    reviews: reviewIds.length <= MAX_EVENT_REVIEWS ? loadReviews(reviewIds) : null
+  });
+};
+
+/**
+ * Registers a listener for every event
+ * @param {Function} listener - Called with { id, type, data }
+ * @returns {Function} Unsubscribes the listener
+ */
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+/**
+ * Returns the number of open subscriptions
+ * @returns {number} Subscriber count
+ */
+const countSubscribers = () => bus.listenerCount('event');
+
+module.exports = { EVENT_TYPES, publish, publishReviews, subscribe, countSubscribers };
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const db = require('./db');
+
+// Google Places endpoints we call, with the SKU each request is billed under,
+// its list price in USD per 1000 requests, and how long responses are cached
+const ENDPOINTS = {
+  autocomplete: {
+    url: 'https://maps.googleapis.com/maps/api/place/autocomplete/json',
+    sku: 'Autocomplete - Per Request',
+    pricePer1000: 2.83,
+    ttlMinutes: Number(process.env.GOOGLE_CACHE_TTL_AUTOCOMPLETE_MINUTES || 24 * 60)
+  },
+  search: {
+    url: 'https://maps.googleapis.com/maps/api/place/textsearch/json',
+    sku: 'Text Search',
+    pricePer1000: 32,
+    ttlMinutes: Number(process.env.GOOGLE_CACHE_TTL_SEARCH_MINUTES || 24 * 60)
+  },
+  details: {
+    url: 'https://maps.googleapis.com/maps/api/place/details/json',
+    sku: 'Place Details (Basic + Contact + Atmosphere)',
+    pricePer1000: 25,
+    ttlMinutes: Number(process.env.GOOGLE_CACHE_TTL_DETAILS_MINUTES || 6 * 60)
+  },
+  reviews: {
+    url: 'https://maps.googleapis.com/maps/api/place/details/json',
+    sku: 'Place Details (Basic + Atmosphere)',
+    pricePer1000: 22,
+    ttlMinutes: Number(process.env.GOOGLE_CACHE_TTL_REVIEWS_MINUTES || 6 * 60)
+  }
+};
+
+// Estimated spend allowed per UTC day; 0 disables the budget
+const GOOGLE_DAILY_BUDGET_USD = Number(process.env.GOOGLE_DAILY_BUDGET_USD ?? 10);
+
+// Days of usage returned by the usage report
+const USAGE_HISTORY_DAYS = 7;
+
+// Google statuses whose responses are worth caching
+const CACHEABLE_STATUSES = ['OK', 'ZERO_RESULTS'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const requestCost = (endpoint) => ENDPOINTS[endpoint].pricePer1000 / 1000;
+
+/**
+ * Builds the cache key for an endpoint and its parameters, independent of parameter order
+ * @param {string} endpoint - Endpoint name
+ * @param {object} params - Request parameters, without the API key
+ * @returns {string} Cache key
+ */
+const cacheKey = (endpoint, params) => {
+  const sorted = Object.keys(params).sort().reduce((acc, key) => {
+    if (params[key] !== undefined && params[key] !== '') acc[key] = params[key];
+    return acc;
+  }, {});
+  return `${endpoint}:${crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex')}`;
+};
+
+const recordUsage = db.prepare(`
+  INSERT INTO google_usage (day, endpoint, sku, api_calls, cache_hits, cost_usd)
+  VALUES (@day, @endpoint, @sku, @apiCalls, @cacheHits, @cost)
+  ON CONFLICT (day, endpoint) DO UPDATE SET
+    api_calls = api_calls + excluded.api_calls,
+    cache_hits = cache_hits + excluded.cache_hits,
+    cost_usd = cost_usd + excluded.cost_usd
+`);
+
+/**
+ * Returns the estimated Google spend for a day
+ * @param {string} [day] - UTC date as YYYY-MM-DD, defaults to today
+ * @returns {number} Spend in USD
+ */
+const getDailySpend = (day = today()) => db.prepare(`
+  SELECT COALESCE(SUM(cost_usd), 0) AS spend FROM google_usage WHERE day = ?
+`).get(day).spend;
+
+/**
+ * Calls a Google Places endpoint, serving from the response cache while it is fresh.
+ * Every real call is counted against its SKU and the daily budget.
+ * @param {string} endpoint - 'autocomplete', 'search', 'details' or 'reviews'
+ * @param {object} params - Request parameters, without the API key
+ * @returns {Promise<object>} Google's response body
+ * @throws {Error} With `code` 'QUOTA_EXCEEDED' and `status` 429 once the daily budget is spent
+ */
+const fetchPlaces = async (endpoint, params) => {
+  const config = ENDPOINTS[endpoint];
+  const key = cacheKey(endpoint, params);
+  const now = new Date();
+  const usage = { day: today(), endpoint, sku: config.sku, apiCalls: 0, cacheHits: 0, cost: 0 };
+
+  const cached = db.prepare('SELECT response FROM google_cache WHERE cache_key = ? AND expires_at > ?')
+    .get(key, now.toISOString());
+  if (cached) {
+    recordUsage.run({ ...usage, cacheHits: 1 });
+    return JSON.parse(cached.response);
+  }
+
+  const spent = getDailySpend(usage.day);
+  if (GOOGLE_DAILY_BUDGET_USD > 0 && spent + requestCost(endpoint) > GOOGLE_DAILY_BUDGET_USD) {
+    console.warn(`🚫 Google Places daily budget reached ($${spent.toFixed(2)} of $${GOOGLE_DAILY_BUDGET_USD})`);
+    throw Object.assign(
+      new Error(`Google Places daily budget of $${GOOGLE_DAILY_BUDGET_USD.toFixed(2)} has been reached. Try again tomorrow.`),
+      { status: 429, code: 'QUOTA_EXCEEDED' }
+    );
+  }
+
+  const response = await axios.get(config.url, {
+    params: { ...params, key: process.env.GOOGLE_API_KEY }
+  });
+  recordUsage.run({ ...usage, apiCalls: 1, cost: requestCost(endpoint) });
+
+  if (CACHEABLE_STATUSES.includes(response.data.status)) {
+    const expiresAt = new Date(now.getTime() + config.ttlMinutes * 60 * 1000);
+    db.prepare(`
+      INSERT OR REPLACE INTO google_cache (cache_key, endpoint, response, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(key, endpoint, JSON.stringify(response.data), now.toISOString(), expiresAt.toISOString());
+    db.prepare('DELETE FROM google_cache WHERE expires_at <= ?').run(now.toISOString());
+  }
+
+  return response.data;
+};
+
+/**
+ * Summarizes Google Places usage for the admin view: today's spend per SKU,
+ * cache hit rates, recent daily totals and the current cache contents
+ * @returns {object} Usage report
+ */
+const getUsageReport = () => {
+  const day = today();
+  const hitRate = (hits, calls) => (hits + calls > 0 ? hits / (hits + calls) : null);
+  const round = (usd) => parseFloat(usd.toFixed(4));
+
+  const todayRows = db.prepare('SELECT * FROM google_usage WHERE day = ?').all(day);
+  const endpoints = Object.entries(ENDPOINTS).map(([endpoint, config]) => {
+    const row = todayRows.find(candidate => candidate.endpoint === endpoint)
+      || { api_calls: 0, cache_hits: 0, cost_usd: 0 };
+    return {
+      endpoint,
+      sku: config.sku,
+      pricePer1000: config.pricePer1000,
+      ttlMinutes: config.ttlMinutes,
+      apiCalls: row.api_calls,
+      cacheHits: row.cache_hits,
+      hitRate: hitRate(row.cache_hits, row.api_calls),
+      spend: round(row.cost_usd)
+    };
+  });
+
+  const spend = getDailySpend(day);
+  const history = db.prepare(`
+    SELECT day, SUM(api_calls) AS apiCalls, SUM(cache_hits) AS cacheHits, SUM(cost_usd) AS spend
+    FROM google_usage
+    GROUP BY day
+    ORDER BY day DESC
+    LIMIT ?
+  `).all(USAGE_HISTORY_DAYS).map(row => ({
+    ...row,
+    spend: round(row.spend),
+    hitRate: hitRate(row.cacheHits, row.apiCalls)
+  }));
+
+  const cache = db.prepare(`
+    SELECT endpoint, COUNT(*) AS entries FROM google_cache WHERE expires_at > ? GROUP BY endpoint
+  `).all(new Date().toISOString());
+
+  return {
+    day,
+    budget: GOOGLE_DAILY_BUDGET_USD || null,
+    spend: round(spend),
+    remaining: GOOGLE_DAILY_BUDGET_USD > 0 ? round(Math.max(GOOGLE_DAILY_BUDGET_USD - spend, 0)) : null,
+    endpoints,
+    history,
+    cacheEntries: Object.fromEntries(cache.map(({ endpoint, entries }) => [endpoint, entries]))
+  };
+};
+
+/**
+ * Empties the response cache
+ * @returns {number} Number of entries removed
+ */
+const clearCache = () => db.prepare('DELETE FROM google_cache').run().changes;
+
+module.exports = { fetchPlaces, getUsageReport, clearCache };
@@ -0,0 +1,51 @@
+const db = require('./db');
+const googlePlaces = require('./googlePlaces');
+const { ingestReviews } = require('./ingest');
+
+// Place Details fields holding the reviews. Matches the Google reviews endpoint,
+// so both share one cache entry per place.
+const REVIEW_FIELDS = 'place_id,name,rating,user_ratings_total,reviews';
+
+/**
+ * Imports Google reviews for places linked to our listings into the review store.
+ * Google only returns a place's five most relevant reviews, so each run adds
+ * whichever of those are new. A failing place is skipped; a spent daily budget
+ * stops the run.
+ * @param {object} [options]
+ * @param {string} [options.listingName] - Only import for this listing
+ * @returns {Promise<object>} Places imported and inserted/updated review counts
+ */
+const importGoogleReviews = async ({ listingName } = {}) => {
+  const totals = { places: 0, inserted: 0, updated: 0 };
+  if (!process.env.GOOGLE_API_KEY) return totals;
+
+  const links = db.prepare(`
+    SELECT listing_name, listing_id, place_id FROM listing_places
+    ${listingName ? 'WHERE listing_name = ?' : ''}
+    ORDER BY listing_name
+  `).all(...(listingName ? [listingName] : []));
+
+  for (const link of links) {
+    try {
+      const data = await googlePlaces.fetchPlaces('reviews', { place_id: link.place_id, fields: REVIEW_FIELDS });
+      if (data.status !== 'OK') {
+        throw new Error(`Google Place Details returned ${data.status}`);
+      }
+
+      const { inserted, updated } = ingestReviews(data.result.reviews || [], 'google_places', {
+        source: 'google',
+        context: { placeId: link.place_id, listingId: link.listing_id, listingName: link.listing_name }
+      });
+      totals.places++;
+      totals.inserted += inserted;
+      totals.updated += updated;
+    } catch (error) {
+      console.warn(`⚠️ Could not import Google reviews for "${link.listing_name}":`, error.message);
+      if (error.code === 'QUOTA_EXCEEDED') break;
+    }
+  }
+
+  return totals;
+};
+
+module.exports = { importGoogleReviews };
@@ -0,0 +1,238 @@
+const axios = require('axios'); // HTTP client for external APIs
+
+/**
+ * Hostaway API integration
+ */
+
+// Base URL of the Hostaway API; point it at a local stand-in (npm run hostaway-stub) to test offline
+const HOSTAWAY_API_URL = (process.env.HOSTAWAY_API_URL || 'https://api.hostaway.com/v1').replace(/\/+$/, '');
+
+// How long a reply can take to reach Hostaway before it counts as failed
+const HOSTAWAY_REPLY_TIMEOUT_MS = 15000;
+
+// Cached access token
+let hostawayAccessToken = null;
+let tokenExpiry = null;
+
+/**
+ * Authenticate with Hostaway API using OAuth2
+ */
+const authenticateHostaway = async () => {
+  try {
+    if (hostawayAccessToken && tokenExpiry && Date.now() < tokenExpiry) {
+      return hostawayAccessToken; // Token still valid
+    }
+
+    console.log('🔑 Authenticating with Hostaway API...');
+    
+    const params = new URLSearchParams();
+    params.append('grant_type', 'client_credentials');
+    params.append('client_id', process.env.HOSTAWAY_ACCOUNT_ID);
+    params.append('client_secret', process.env.HOSTAWAY_API_KEY);
+    params.append('scope', 'general');
+
+    const response = await axios.post(`${HOSTAWAY_API_URL}/accessTokens`, params, {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Cache-control': 'no-cache'
+      }
+    });
+
+    if (response.data && response.data.access_token) {
+      hostawayAccessToken = response.data.access_token;
+      // Set token expiry; default is one hour
+      const expiresIn = response.data.expires_in || 3600; // default to 1 hour
+      tokenExpiry = Date.now() + (expiresIn * 1000);
+      
+      console.log('✅ Hostaway authentication successful');
+      return hostawayAccessToken;
+    } else {
+      throw new Error('No access token received');
+    }
+  } catch (error) {
+    console.error('❌ Hostaway authentication failed:', error.response?.data || error.message);
+    return null;
+  }
+};
+
+// Number of reviews requested per Hostaway page
+const HOSTAWAY_PAGE_SIZE = 100;
+// Safety stop in case the API keeps returning full pages
+const HOSTAWAY_MAX_PAGES = 1000;
+
+// Progress of the current (or most recent) Hostaway review import
+const hostawayImportProgress = {
+  status: 'idle', // idle | running | completed | failed
+  pagesFetched: 0,
+  reviewsFetched: 0,
+  totalReviews: null, // Total reported by Hostaway, when available
+  startedAt: null,
+  finishedAt: null,
+  error: null
+};
+
+/**
+ * Returns the time a raw Hostaway review last changed, in Hostaway's
+ * "YYYY-MM-DD HH:mm:ss" format so values compare correctly as strings
+ * @param {object} review - Raw Hostaway review
+ * @returns {string} Update time, falling back to the submission time
+ */
+const getReviewChangedAt = (review) => review.updatedOn || review.submittedAt || '';
+
+/**
+ * Retrieve reviews from Hostaway API, walking every page with offset/limit.
+ * With `since`, pages are requested newest first and paging stops at the
+ * first page where every review is older than the watermark. Hostaway doesn't
+ * promise to order by update time, so a review edited since the watermark can
+ * sit on a page that also holds older ones; only an entirely older page ends it.
+ * @param {object} [options]
+ * @param {string} [options.since] - Only return reviews changed at or after this time
+ * @returns {object[]} Raw reviews across every page fetched
+ * @throws {Error} If authentication or a page request fails, or the page cap is hit before the last page
+ */
+const fetchHostawayReviews = async ({ since = null } = {}) => {
+  try {
+    const token = await authenticateHostaway();
+    if (!token) {
+      throw new Error('Hostaway authentication failed');
+    }
+
+    console.log(since
+      ? `📊 Fetching reviews changed since ${since} from Hostaway API...`
+      : '📊 Fetching reviews from Hostaway API...');
+
+    Object.assign(hostawayImportProgress, {
+      status: 'running',
+      pagesFetched: 0,
+      reviewsFetched: 0,
+      totalReviews: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null
+    });
+
+    const reviews = [];
+    let offset = 0;
+    let reachedWatermark = false;
+    let reachedEnd = false;
+
+    while (hostawayImportProgress.pagesFetched < HOSTAWAY_MAX_PAGES) {
+      const response = await axios.get(`${HOSTAWAY_API_URL}/reviews`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        params: {
+          limit: HOSTAWAY_PAGE_SIZE,
+          offset,
+          includeResources: 'listing,conversation,reservation',
+          ...(since && { sortOrder: 'desc' })
+        }
+      });
+
+      // Fail the run rather than return part of the reviews, so the watermark doesn't move past the gap
+      if (!response.data || response.data.status !== 'success') {
+        throw new Error(`Unexpected Hostaway API response at offset ${offset}`);
+      }
+
+      const page = Array.isArray(response.data.result) ? response.data.result : [];
+      const changedReviews = since
+        ? page.filter(review => getReviewChangedAt(review) >= since)
+        : page;
+      reviews.push(...changedReviews);
+      reachedWatermark = Boolean(since) && page.length > 0 && changedReviews.length === 0;
+
+      hostawayImportProgress.pagesFetched++;
+      hostawayImportProgress.reviewsFetched = reviews.length;
+      if (typeof response.data.count === 'number') {
+        hostawayImportProgress.totalReviews = response.data.count;
+      }
+
+      console.log(`📄 Page ${hostawayImportProgress.pagesFetched}: ${page.length} reviews (offset ${offset})`);
+
+      // A short page, or reaching the reported total, means this was the last page
+      const reachedTotal = typeof response.data.count === 'number' && offset + page.length >= response.data.count;
+      if (page.length < HOSTAWAY_PAGE_SIZE || reachedTotal || reachedWatermark) {
+        reachedEnd = true;
+        break;
+      }
+
+      offset += page.length;
+    }
+
+    // Hitting the page cap leaves reviews unfetched, so fail like any other partial run
+    if (!reachedEnd) {
+      throw new Error(`Stopped after ${HOSTAWAY_MAX_PAGES} pages without reaching the last one`);
+    }
+
+    Object.assign(hostawayImportProgress, {
+      status: 'completed',
+      finishedAt: new Date().toISOString()
+    });
+
+    console.log(`✅ Retrieved ${reviews.length} reviews from Hostaway across ${hostawayImportProgress.pagesFetched} page(s)`);
+    return reviews;
+  } catch (error) {
+    console.error('❌ Error fetching Hostaway reviews:', error.response?.data || error.message);
+
+    Object.assign(hostawayImportProgress, {
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: error.response?.data?.message || error.message
+    });
+
+    // Ignore 404 or no-review errors in the sandbox
+    if (error.response?.status === 404 || error.response?.data?.message?.includes('no reviews')) {
+      console.log('ℹ️ No reviews available in Hostaway sandbox (expected)');
+      return [];
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Publishes the host's response to a guest review. Hostaway passes it on to the
+ * channel the review came from (Airbnb, Booking.com...).
+ * @param {string} reviewId - Hostaway review ID
+ * @param {string} text - Response text
+ * @returns {object} The review as returned by Hostaway
+ * @throws {Error} If authentication or the request fails, with Hostaway's message when it gives one
+ */
+const publishHostawayReviewResponse = async (reviewId, text) => {
+  const token = await authenticateHostaway();
+  if (!token) {
+    throw new Error('Hostaway authentication failed');
+  }
+
+  try {
+    const response = await axios.put(`${HOSTAWAY_API_URL}/reviews/${encodeURIComponent(reviewId)}/response`, {
+      revieweeResponse: text
+    }, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: HOSTAWAY_REPLY_TIMEOUT_MS
+    });
+
+    if (!response.data || response.data.status !== 'success') {
+      throw new Error(response.data?.message || 'Unexpected Hostaway API response');
+    }
+    return response.data.result;
+  } catch (error) {
+    // A revoked or expired token is dropped so the next attempt authenticates again
+    if (error.response?.status === 401) {
+      hostawayAccessToken = null;
+    }
+    throw new Error(error.response?.data?.message || error.message);
+  }
+};
+
+module.exports = {
+  authenticateHostaway,
+  fetchHostawayReviews,
+  publishHostawayReviewResponse,
+  getReviewChangedAt,
+  hostawayImportProgress
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { storeReviews, announceReviews } = require('./ingest');
+const { toReviewId } = require('./normalize');
+
+// Hostaway unified webhook events we act on; anything else is acknowledged and ignored
+const REVIEW_EVENTS = ['review.created', 'review.updated'];
+
+/**
+ * Tells whether the webhook credentials are configured
+ * @returns {boolean} True when both username and password are set
+ */
+const isWebhookConfigured = () => Boolean(
+  process.env.HOSTAWAY_WEBHOOK_USERNAME && process.env.HOSTAWAY_WEBHOOK_PASSWORD
+);
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} Whether they are equal
+ */
+const safeEqual = (a, b) => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+/**
+ * Checks a request's basic-auth header against the login and password
+ * configured for the unified webhook in Hostaway
+ * @param {string} [authorization] - Authorization header
+ * @returns {boolean} Whether the credentials match
+ */
+const verifyWebhookAuth = (authorization) => {
+  const [scheme, encoded] = (authorization || '').split(' ');
+  if (scheme !== 'Basic' || !encoded) return false;
+
+  const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return false;
+
+  // Check both parts so a wrong username takes as long as a wrong password
+  const usernameMatches = safeEqual(decoded.slice(0, separator), process.env.HOSTAWAY_WEBHOOK_USERNAME);
+  const passwordMatches = safeEqual(decoded.slice(separator + 1), process.env.HOSTAWAY_WEBHOOK_PASSWORD);
+  return usernameMatches && passwordMatches;
+};
+
+/**
+ * Builds the key identifying a delivery. Hostaway redelivers the same payload
+ * when it gets no 2xx, while a real change to the review changes the payload.
+ * @param {string} event - Event name
+ * @param {object} data - Event data
+ * @returns {string} Delivery key
+ */
+const deliveryKey = (event, data) => crypto.createHash('sha256')
+  .update(`${event}:${JSON.stringify(data)}`)
+  .digest('hex');
+
+const insertEvent = db.prepare(`
+  INSERT INTO webhook_events (delivery_key, event, review_id, outcome, payload, received_at)
+  VALUES (@deliveryKey, @event, @reviewId, @outcome, @payload, @receivedAt)
+  ON CONFLICT (delivery_key) DO NOTHING
+`);
+
+/**
+ * Stores the review from a delivery and records the delivery, in one transaction
+ * so a failed delivery is retried in full when Hostaway redelivers it. Alerts and
+ * dashboards are told by the caller once it has committed.
+ * @returns {object|null} Ingest outcome with the inserted and changed review IDs,
+ * or null for a delivery already handled
+ */
+const applyDelivery = db.transaction(({ event, data, key, payload }) => {
+  const receivedAt = new Date().toISOString();
+  const record = { deliveryKey: key, event, reviewId: toReviewId('hostaway', data.id), payload, receivedAt };
+
+  if (insertEvent.run({ ...record, outcome: 'pending' }).changes === 0) {
+    return null;
+  }
+
+  const { stored, inserted, decisions, insertedIds, changedIds } = storeReviews([data], 'webhook');
+  const outcome = stored === 0 ? 'skipped' : inserted ? 'inserted' : 'updated';
+  db.prepare('UPDATE webhook_events SET outcome = ? WHERE delivery_key = ?').run(outcome, key);
+
+  return { outcome, decisions, insertedIds, changedIds };
+});
+
+/**
+ * Handles a Hostaway unified webhook delivery. Review created/updated events are
+ * normalized and stored like a sync would, running the auto-approval rules for
+ * new reviews; other events are ignored. Redeliveries of a payload already
+ * handled are acknowledged without being applied again.
+ * @param {object} payload - Request body: { event, data }, data being a Hostaway review
+ * @returns {object} Event, review ID and outcome ('inserted', 'updated', 'skipped', 'duplicate' or 'ignored')
+ * @throws {Error} With status 400 for a malformed review event
+ */
+const handleWebhookEvent = (payload) => {
+  const { event, data } = payload || {};
+  if (typeof event !== 'string') {
+    throw Object.assign(new Error('Webhook payload must include an event.'), { status: 400 });
+  }
+
+  if (!REVIEW_EVENTS.includes(event)) {
+    return { event, reviewId: null, outcome: 'ignored' };
+  }
+
+  if (!data || typeof data !== 'object' || data.id === undefined || data.id === null) {
+    throw Object.assign(new Error(`A ${event} event must include the review as data.`), { status: 400 });
+  }
+
+  const reviewId = toReviewId('hostaway', data.id);
+  const result = applyDelivery({ event, data, key: deliveryKey(event, data), payload: JSON.stringify(payload) });
+  if (!result) {
+    console.log(`📬 Hostaway webhook ${event} for ${reviewId} already handled, skipping redelivery`);
+    return { event, reviewId, outcome: 'duplicate' };
+  }
+
+  console.log(`📬 Hostaway webhook ${event} for ${reviewId}: ${result.outcome}`);
+  announceReviews(result.insertedIds, result.changedIds);
+  const { decisions } = result;
+  if (decisions.auto_approve || decisions.auto_hide || decisions.flag) {
+    console.log(`🤖 Rules: ${decisions.auto_approve} auto-approved, ${decisions.auto_hide} auto-hidden, ${decisions.flag} flagged`);
+  }
+
+  return { event, reviewId, outcome: result.outcome };
+};
+
+module.exports = { REVIEW_EVENTS, isWebhookConfigured, verifyWebhookAuth, handleWebhookEvent };
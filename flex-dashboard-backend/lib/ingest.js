@@ -0,0 +1,61 @@
+const { normalizeReview } = require('./normalize');
+const reviewStore = require('./reviewStore');
+const { applyRules } = require('./rules');
+const { getReviewsByIds } = require('./reviewQuery');
+const events = require('./events');
+const alerts = require('./alerts');
+
+/**
+ * Normalizes raw reviews from a source, stores them and runs the auto-approval
+ * rules over the ones that are new to the store. Only writes to the database, so
+ * it can run inside a caller's transaction; pass the returned IDs to
+ * announceReviews once the changes are committed.
+ * @param {object[]} rawReviews - Reviews in the source's own format
+ * @param {string} dataSource - Where the data came from ('real_api', 'webhook', 'mock_data' or 'google_places')
+ * @param {object} [options]
+ * @param {string} [options.source='hostaway'] - Review source, picks the normalizer
+ * @param {object} [options.context] - Extra details passed to the source's normalizer
+ * @returns {object} Stored review count, inserted/updated counts, rule decisions and
+ * the inserted and changed review IDs
+ */
+const storeReviews = (rawReviews, dataSource, { source = 'hostaway', context = {} } = {}) => {
+  const entries = rawReviews
+    // Keep the raw payload next to the normalized review
+    .map(raw => ({ review: normalizeReview(raw, source, context), raw }))
+    // We only care about reviews written by guests about the property
+    .filter(({ review }) => review.type === 'guest-to-host')
+    .filter(({ review }) => review.id !== null);
+
+  const { inserted, updated, insertedIds, changedIds } = reviewStore.upsertReviews(entries, dataSource);
+  const decisions = applyRules(insertedIds);
+
+  return { stored: entries.length, inserted, updated, decisions, insertedIds, changedIds };
+};
+
+/**
+ * Queues low-rating alerts for newly stored reviews and tells open dashboards
+ * about new and changed ones
+ * @param {string[]} insertedIds - IDs of reviews that were just inserted
+ * @param {string[]} changedIds - IDs of reviews whose content changed
+ */
+const announceReviews = (insertedIds, changedIds) => {
+  alerts.queueAlerts(insertedIds);
+
+  events.publishReviews('review-added', insertedIds, getReviewsByIds);
+  events.publishReviews('review-updated', changedIds, getReviewsByIds);
+};
+
+/**
+ * Stores raw reviews from a source (see storeReviews) and announces them right away
+ * @param {object[]} rawReviews - Reviews in the source's own format
+ * @param {string} dataSource - Where the data came from
+ * @param {object} [options] - Passed on to storeReviews
+ * @returns {object} Stored review count, inserted/updated counts and rule decisions
+ */
+const ingestReviews = (rawReviews, dataSource, options) => {
+  const { insertedIds, changedIds, ...outcome } = storeReviews(rawReviews, dataSource, options);
+  announceReviews(insertedIds, changedIds);
+  return outcome;
+};
+
+module.exports = { storeReviews, announceReviews, ingestReviews };
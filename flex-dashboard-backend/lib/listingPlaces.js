@@ -0,0 +1,216 @@
+const db = require('./db');
+const googlePlaces = require('./googlePlaces');
+
+// Place Details fields needed to link a listing; only Basic and Atmosphere data
+const PLACE_FIELDS = 'place_id,name,formatted_address,rating,user_ratings_total';
+
+// Linked Google ratings older than this are refreshed when listings are requested
+const RATING_REFRESH_HOURS = 24;
+
+// Share of a listing name's words a place must contain to be suggested
+const SUGGESTION_THRESHOLD = 0.5;
+
+// Words too common in listing names and addresses to say anything about a match
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'in', 'near', 'of', 'on', 'the', 'to', 'with',
+  'apartment', 'apartments', 'bed', 'bedroom', 'flat', 'flats', 'home', 'house',
+  'room', 'rooms', 'studio', 'view'
+]);
+
+/**
+ * Splits a name or address into lowercase, accent-free words that are worth matching on
+ * @param {string} text - Listing name, place name or address
+ * @returns {Set<string>} Distinct words
+ */
+const tokenize = (text) => new Set(
+  (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+);
+
+/**
+ * Scores how well a Google place matches a listing: the share of the listing
+ * name's words found in the place's name or address
+ * @param {string} listingName - Hostaway listing name
+ * @param {object} place - Place with `name` and `address`
+ * @returns {number} Score between 0 and 1
+ */
+const matchScore = (listingName, place) => {
+  const listingWords = tokenize(listingName);
+  if (!listingWords.size) return 0;
+  const placeWords = tokenize(`${place.name} ${place.address || ''}`);
+  const shared = [...listingWords].filter(word => placeWords.has(word)).length;
+  return shared / listingWords.size;
+};
+
+/**
+ * Converts a listing_places row into the shape returned by the API
+ * @param {object} row - Row from the listing_places table
+ * @returns {object} Google place link
+ */
+const rowToLink = (row) => ({
+  placeId: row.place_id,
+  placeName: row.place_name,
+  placeAddress: row.place_address,
+  rating: row.google_rating,
+  ratingCount: row.google_rating_count,
+  ratingUpdatedAt: row.rating_updated_at,
+  linkedBy: row.linked_by,
+  linkedAt: row.linked_at
+});
+
+/**
+ * Returns every listing with reviews, its Hostaway review stats and its linked Google place
+ * @returns {object[]} Listings ordered by name
+ */
+const listListings = () => db.prepare(`
+  SELECT
+    r.listing_name,
+    MAX(r.listing_id) AS listing_id,
+    COUNT(*) AS review_count,
+    AVG(r.normalized_rating) AS average_rating,
+    p.place_id, p.place_name, p.place_address, p.google_rating, p.google_rating_count,
+    p.rating_updated_at, p.linked_by, p.linked_at
+  FROM reviews r
+  LEFT JOIN listing_places p ON p.listing_name = r.listing_name
+  WHERE r.type = 'guest-to-host' AND r.source = 'hostaway'
+  GROUP BY r.listing_name
+  ORDER BY r.listing_name
+`).all().map(row => ({
+  listingName: row.listing_name,
+  listingId: row.listing_id,
+  hostaway: {
+    reviewCount: row.review_count,
+    averageRating: row.average_rating === null ? null : parseFloat(row.average_rating.toFixed(2))
+  },
+  google: row.place_id ? rowToLink(row) : null
+}));
+
+/**
+ * Looks up the place fields stored with a link
+ * @param {string} placeId - Google place ID
+ * @returns {Promise<object>} Place name, address, rating and rating count
+ * @throws {Error} With `status` 404 when Google doesn't know the place, or 429 once the daily budget is spent
+ */
+const fetchPlace = async (placeId) => {
+  const data = await googlePlaces.fetchPlaces('details', { place_id: placeId, fields: PLACE_FIELDS });
+  if (data.status !== 'OK') {
+    throw Object.assign(new Error(`Google place not found (${data.status}).`), { status: 404 });
+  }
+  return {
+    name: data.result.name,
+    address: data.result.formatted_address || null,
+    rating: data.result.rating ?? null,
+    ratingCount: data.result.user_ratings_total || 0
+  };
+};
+
+/**
+ * Links a listing to a Google place, replacing any earlier link
+ * @param {string} listingName - Hostaway listing name
+ * @param {string} placeId - Google place ID
+ * @param {object} actor - User making the link ({ username })
+ * @returns {Promise<object>} The listing with its new link
+ * @throws {Error} With `status` 404 when the listing or place doesn't exist
+ */
+const linkListing = async (listingName, placeId, actor) => {
+  const listing = db.prepare(`
+    SELECT MAX(listing_id) AS listing_id, COUNT(*) AS review_count
+    FROM reviews
+    WHERE listing_name = ? AND source = 'hostaway'
+  `).get(listingName);
+  if (!listing.review_count) {
+    throw Object.assign(new Error('Listing not found.'), { status: 404 });
+  }
+
+  const place = await fetchPlace(placeId);
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT OR REPLACE INTO listing_places (
+      listing_name, listing_id, place_id, place_name, place_address,
+      google_rating, google_rating_count, rating_updated_at, linked_by, linked_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(listingName, listing.listing_id, placeId, place.name, place.address,
+    place.rating, place.ratingCount, now, actor.username, now);
+
+  return listListings().find(candidate => candidate.listingName === listingName);
+};
+
+/**
+ * Removes a listing's Google place link
+ * @param {string} listingName - Hostaway listing name
+ * @returns {boolean} Whether a link was removed
+ */
+const unlinkListing = (listingName) => db.prepare('DELETE FROM listing_places WHERE listing_name = ?')
+  .run(listingName).changes > 0;
+
+/**
+ * Refreshes linked Google ratings older than RATING_REFRESH_HOURS. Failures,
+ * including a spent daily budget, keep the previous rating.
+ * @returns {Promise<number>} Number of ratings refreshed
+ */
+const refreshStaleRatings = async () => {
+  const staleBefore = new Date(Date.now() - RATING_REFRESH_HOURS * 60 * 60 * 1000).toISOString();
+  const stale = db.prepare('SELECT listing_name, place_id FROM listing_places WHERE rating_updated_at < ?')
+    .all(staleBefore);
+
+  const update = db.prepare(`
+    UPDATE listing_places
+    SET place_name = ?, place_address = ?, google_rating = ?, google_rating_count = ?, rating_updated_at = ?
+    WHERE listing_name = ?
+  `);
+
+  let refreshed = 0;
+  for (const { listing_name: listingName, place_id: placeId } of stale) {
+    try {
+      const place = await fetchPlace(placeId);
+      update.run(place.name, place.address, place.rating, place.ratingCount, new Date().toISOString(), listingName);
+      refreshed++;
+    } catch (error) {
+      console.warn(`⚠️ Could not refresh Google rating for "${listingName}":`, error.message);
+      if (error.code === 'QUOTA_EXCEEDED') break;
+    }
+  }
+  return refreshed;
+};
+
+/**
+ * Suggests the listing a Google place most likely belongs to, by matching the
+ * listing name against the place's name and address
+ * @param {object} place - Place with `name` and `address`
+ * @returns {object|null} Best matching listing name and score, or null below the threshold
+ */
+const suggestListing = (place) => {
+  const listingNames = db.prepare(`
+    SELECT DISTINCT listing_name FROM reviews WHERE type = 'guest-to-host' AND source = 'hostaway'
+  `).pluck().all();
+
+  const best = listingNames
+    .map(listingName => ({ listingName, score: matchScore(listingName, place) }))
+    .sort((a, b) => b.score - a.score)[0];
+
+  return best && best.score >= SUGGESTION_THRESHOLD
+    ? { listingName: best.listingName, score: parseFloat(best.score.toFixed(2)) }
+    : null;
+};
+
+/**
+ * Returns the listings already linked to a Google place
+ * @param {string} placeId - Google place ID
+ * @returns {string[]} Listing names
+ */
+const getLinkedListings = (placeId) => db.prepare(`
+  SELECT listing_name FROM listing_places WHERE place_id = ? ORDER BY listing_name
+`).pluck().all(placeId);
+
+module.exports = {
+  listListings,
+  linkListing,
+  unlinkListing,
+  refreshStaleRatings,
+  suggestListing,
+  getLinkedListings
+};
@@ -0,0 +1,72 @@
+const nodemailer = require('nodemailer');
+
+// Sender address for outgoing mail
+const MAIL_FROM = process.env.MAIL_FROM || 'Flex Living Reviews <reviews@localhost>';
+
+// Prints messages instead of sending them (MAIL_TRANSPORT=log)
+const logTransport = {
+  sendMail: async (message) => {
+    console.log(`✉️ [log transport] To: ${[].concat(message.to).join(', ')} | Subject: ${message.subject}`);
+    console.log(message.text);
+    return { messageId: null };
+  }
+};
+
+// Transport in use; created from the environment on first send unless one is set
+let transport = null;
+
+/**
+ * Creates the transport described by the environment: SMTP when SMTP_HOST is set
+ * (e.g. a local catch-all such as Mailpit on localhost:1025 during development),
+ * or the log transport with MAIL_TRANSPORT=log
+ * @returns {object|null} Transport with a sendMail(message) method, or null when unconfigured
+ */
+const createTransportFromEnv = () => {
+  if (process.env.MAIL_TRANSPORT === 'log') return logTransport;
+  if (!process.env.SMTP_HOST) return null;
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+/**
+ * Replaces the transport, e.g. with another provider's client. Anything with a
+ * nodemailer-style sendMail(message) method works.
+ * @param {object} customTransport - Transport to use from now on
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const getTransport = () => {
+  transport ||= createTransportFromEnv();
+  return transport;
+};
+
+/**
+ * Tells whether mail can be sent
+ * @returns {boolean} True when a transport is set or configured
+ */
+const isMailConfigured = () => Boolean(getTransport());
+
+/**
+ * Sends an email from MAIL_FROM
+ * @param {object} message - to, subject, text and html
+ * @returns {Promise<object>} The transport's result
+ * @throws {Error} With status 503 when no transport is configured
+ */
+const sendMail = async (message) => {
+  const activeTransport = getTransport();
+  if (!activeTransport) {
+    throw Object.assign(new Error('Email is not configured. Set SMTP_HOST, or MAIL_TRANSPORT=log.'), { status: 503 });
+  }
+  return activeTransport.sendMail({ from: MAIL_FROM, ...message });
+};
+
+module.exports = { isMailConfigured, setTransport, sendMail };
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { analyzeSentiment } = require('./sentiment');
+const { tagTopics } = require('./topics');
+
+// Booking channel names by Hostaway channel ID
+const CHANNEL_NAMES = {
+  2000: 'Direct',
+  2002: 'Vrbo',
+  2005: 'Booking.com',
+  2007: 'Expedia',
+  2013: 'Direct',
+  2018: 'Airbnb'
+};
+
+/**
+ * Maps a Hostaway channel ID to the booking channel name shown in the dashboard
+ * @param {number} channelId - Hostaway channel ID
+ * @returns {string} Channel name, 'Other' for unmapped IDs or 'Unknown' when missing
+ */
+const getChannelName = (channelId) => {
+  if (channelId === undefined || channelId === null) return 'Unknown';
+  return CHANNEL_NAMES[channelId] || 'Other';
+};
+
+/**
+ * Review sources the store understands, with the scale their ratings are given on
+ */
+const SOURCES = {
+  hostaway: { label: 'Hostaway', ratingScale: 10 },
+  google: { label: 'Google', ratingScale: 5 }
+};
+
+// Scale every rating is converted to for comparisons across sources
+const NORMALIZED_SCALE = 10;
+
+/**
+ * Converts a rating from its source's scale to the common 0-10 scale
+ * @param {number|null} rating - Rating on the source's scale
+ * @param {number} ratingScale - Highest rating on the source's scale
+ * @returns {number|null} Rating out of 10, or null when there is no rating
+ */
+const toNormalizedRating = (rating, ratingScale) => (
+  typeof rating === 'number' ? parseFloat((rating * NORMALIZED_SCALE / ratingScale).toFixed(2)) : null
+);
+
+/**
+ * Builds the store-wide review ID from a source and the source's own review ID
+ * @param {string} source - Review source, e.g. 'hostaway'
+ * @param {string|number} sourceReviewId - ID of the review within the source
+ * @returns {string} Namespaced ID such as "hostaway:1001"
+ */
+const toReviewId = (source, sourceReviewId) => `${source}:${sourceReviewId}`;
+
+/**
+ * Formats a date the way Hostaway does ("2020-08-21 22:45:14", UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatSubmittedAt = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Normalizes a raw review object from the Hostaway API format
+ * into a structured format suitable for the frontend dashboard.
+ * Approval state is stored separately and joined in when reviews are read.
+ * @param {object} review - The raw review object.
+ * @returns {object} A normalized review object.
+ */
+const normalizeHostawayReview = (review) => {
+  // Validate and safely process review categories
+  const reviewCategories = Array.isArray(review.reviewCategory) ? review.reviewCategory : [];
+
+  // Flatten review categories into a key-value object with validation
+  const ratings = reviewCategories.reduce((acc, cat) => {
+    if (cat && typeof cat.category === 'string' && typeof cat.rating === 'number') {
+      acc[cat.category] = cat.rating;
+    }
+    return acc;
+  }, {});
+
+  // Calculate the average rating, falling back to the overall rating (also out of 10)
+  const categoryRatings = Object.values(ratings);
+  const averageRating = categoryRatings.length
+    ? parseFloat((categoryRatings.reduce((sum, val) => sum + val, 0) / categoryRatings.length).toFixed(2))
+    : review.rating || null;
+
+  // Return the normalized review object with safe field access
+  return {
+    id: review.id ? toReviewId('hostaway', review.id) : null,
+    source: 'hostaway',
+    sourceReviewId: review.id ? String(review.id) : null,
+    type: review.type || 'unknown',
+    status: review.status || 'unknown',
+    rating: averageRating,
+    ratingScale: SOURCES.hostaway.ratingScale,
+    normalizedRating: toNormalizedRating(averageRating, SOURCES.hostaway.ratingScale),
+    publicReview: review.publicReview || '',
+    reviewCategory: reviewCategories,
+    submittedAt: review.submittedAt || '',
+    guestName: review.guestName || 'Unknown Guest',
+    listingId: review.listingMapId || null,
+    listingName: review.listingName || 'Unknown Property',
+    channel: getChannelName(review.channelId)
+  };
+};
+
+/**
+ * Normalizes a review from the Google Places API for a place linked to one of
+ * our listings. Google reviews have no ID of their own, so one is derived from
+ * the place, the author and the review time.
+ * @param {object} review - Review as returned in Place Details
+ * @param {object} context
+ * @param {string} context.placeId - Google place the review belongs to
+ * @param {number} context.listingId - Hostaway ID of the linked listing
+ * @param {string} context.listingName - Name of the linked listing
+ * @returns {object} A normalized review object
+ */
+const normalizeGoogleReview = (review, { placeId, listingId, listingName }) => {
+  const author = review.author_url || review.author_name || '';
+  const sourceReviewId = typeof review.time === 'number'
+    ? crypto.createHash('sha256').update(`${placeId}|${author}|${review.time}`).digest('hex').slice(0, 24)
+    : null;
+
+  return {
+    id: sourceReviewId ? toReviewId('google', sourceReviewId) : null,
+    source: 'google',
+    sourceReviewId,
+    // Google reviews are always public reviews of the place by a visitor
+    type: 'guest-to-host',
+    status: 'published',
+    rating: typeof review.rating === 'number' ? review.rating : null,
+    ratingScale: SOURCES.google.ratingScale,
+    normalizedRating: toNormalizedRating(review.rating, SOURCES.google.ratingScale),
+    publicReview: review.text || '',
+    reviewCategory: [],
+    submittedAt: sourceReviewId ? formatSubmittedAt(new Date(review.time * 1000)) : '',
+    guestName: review.author_name || 'Google User',
+    listingId: listingId || null,
+    listingName: listingName || 'Unknown Property',
+    channel: SOURCES.google.label
+  };
+};
+
+// Normalizer for each source's raw review format
+const ADAPTERS = {
+  hostaway: normalizeHostawayReview,
+  google: normalizeGoogleReview
+};
+
+/**
+ * Normalizes a raw review from any supported source into the review model
+ * shared by the store, the rules and the dashboard, then scores the sentiment
+ * of its text and tags the topics it mentions
+ * @param {object} review - Raw review in the source's format
+ * @param {string} [source='hostaway'] - Review source
+ * @param {object} [context] - Extra details the source's reviews don't carry themselves
+ * @returns {object} A normalized review object
+ */
+const normalizeReview = (review, source = 'hostaway', context = {}) => {
+  const adapter = ADAPTERS[source];
+  if (!adapter) {
+    throw new Error(`Unknown review source: ${source}`);
+  }
+  const normalized = adapter(review, context);
+  return {
+    ...normalized,
+    sentiment: analyzeSentiment(normalized.publicReview),
+    topics: tagTopics(normalized.publicReview)
+  };
+};
+
+module.exports = {
+  SOURCES,
+  NORMALIZED_SCALE,
+  normalizeReview,
+  getChannelName,
+  toReviewId,
+  toNormalizedRating
+};
@@ -0,0 +1,79 @@
+const db = require('./db');
+const { toNormalizedRating } = require('./normalize');
+
+/**
+ * Shortens a guest name to the first name so full names never reach the public site
+ * @param {string} guestName - Full guest name
+ * @returns {string} First name
+ */
+const toFirstName = (guestName) => (guestName || '').trim().split(/\s+/)[0] || 'Guest';
+
+/**
+ * Builds the public-safe shape of an approved review. Only fields listed
+ * here are published; anything else on the review stays internal.
+ * @param {object} row - Row from the reviews table
+ * @returns {object} Public review
+ */
+const rowToPublicReview = (row) => ({
+  id: row.id,
+  source: row.source,
+  guestName: toFirstName(row.guest_name),
+  rating: row.rating,
+  ratingScale: row.rating_scale,
+  normalizedRating: row.normalized_rating,
+  // Hostaway's category list can hold nulls or other junk; only well-formed entries are published
+  reviewCategory: JSON.parse(row.review_category)
+    .filter(cat => cat && typeof cat === 'object' && !Array.isArray(cat))
+    .map(({ category, rating }) => ({ category, rating })),
+  publicReview: row.public_review,
+  submittedAt: row.submitted_at.slice(0, 10) // Date only
+});
+
+/**
+ * Returns approved reviews for a listing together with aggregate rating stats
+ * @param {number} listingId - Hostaway listing ID
+ * @returns {object} Public reviews and stats
+ */
+const getPublicListingReviews = (listingId) => {
+  const rows = db.prepare(`
+    SELECT r.*
+    FROM reviews r
+    JOIN review_approvals a ON a.review_id = r.id AND a.display_on_website = 1
+    WHERE r.listing_id = ? AND r.type = 'guest-to-host'
+    ORDER BY r.submitted_at DESC
+  `).all(listingId);
+
+  const reviews = rows.map(rowToPublicReview);
+
+  // Aggregate rating stats across the approved reviews, averaging the
+  // normalized ratings so every source counts on the same 0-10 scale
+  const rated = reviews.filter(review => typeof review.normalizedRating === 'number');
+  const categoryTotals = {};
+  reviews.forEach(review => {
+    review.reviewCategory.forEach(({ category, rating }) => {
+      if (typeof rating !== 'number' || !category) return;
+      categoryTotals[category] = categoryTotals[category] || { total: 0, count: 0 };
+      categoryTotals[category].total += toNormalizedRating(rating, review.ratingScale);
+      categoryTotals[category].count++;
+    });
+  });
+
+  const round = (value) => parseFloat(value.toFixed(2));
+
+  return {
+    listingId,
+    listingName: rows[0] ? rows[0].listing_name : null,
+    stats: {
+      reviewCount: reviews.length,
+      averageRating: rated.length
+        ? round(rated.reduce((sum, review) => sum + review.normalizedRating, 0) / rated.length)
+        : null,
+      categoryAverages: Object.fromEntries(
+        Object.entries(categoryTotals).map(([category, { total, count }]) => [category, round(total / count)])
+      )
+    },
+    reviews
+  };
+};
+
+module.exports = { toFirstName, getPublicListingReviews };
@@ -0,0 +1,257 @@
+const db = require('./db');
+const { getReviewsByIds } = require('./reviewQuery');
+const { toFirstName } = require('./publicReviews');
+
+// Longest template accepted, the same as a reply
+const MAX_TEMPLATE_LENGTH = 2000;
+
+// Merge variables a template can use as {{name}}
+const TEMPLATE_VARIABLES = [
+  { name: 'guestFirstName', description: 'Guest\'s first name' },
+  { name: 'listingName', description: 'Property name' },
+  { name: 'stayMonth', description: 'Month of the stay, e.g. "May" (from the review date)' },
+  { name: 'bestCategory', description: 'Highest-rated category, e.g. "cleanliness"' },
+  { name: 'worstCategory', description: 'Lowest-rated category, e.g. "communication"' }
+];
+
+// Sections a template can limit to a rating band as {{#band}}...{{/band}}, by the overall
+// rating out of 10. The bands match the rating colors in the dashboard.
+const RATING_BANDS = [
+  { name: 'excellent', description: 'Rated 9 or more', min: 9 },
+  { name: 'good', description: 'Rated 7 to 9', min: 7 },
+  { name: 'poor', description: 'Rated below 7', min: 0 }
+];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Any {{...}} tag: a variable, or a section's opening (#) or closing (/) tag
+const TAG = /\{\{\s*([#/]?)\s*(\w*)\s*\}\}/g;
+
+const validationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Checks a template's tags: known variables, known bands, and every section closed
+ * before the next one opens (sections don't nest)
+ * @param {string} body - Template text
+ * @throws {Error} With status 400 naming the first problem
+ */
+const checkTags = (body) => {
+  let openSection = null;
+  for (const [tag, kind, name] of body.matchAll(TAG)) {
+    if (kind === '') {
+      if (!TEMPLATE_VARIABLES.some(variable => variable.name === name)) {
+        throw validationError(`Unknown variable ${tag}. Use one of: ${TEMPLATE_VARIABLES.map(v => v.name).join(', ')}.`);
+      }
+    } else if (!RATING_BANDS.some(band => band.name === name)) {
+      throw validationError(`Unknown section ${tag}. Sections are: ${RATING_BANDS.map(band => band.name).join(', ')}.`);
+    } else if (kind === '#') {
+      if (openSection) {
+        throw validationError(`{{#${name}}} starts before {{/${openSection}}} ends; sections can't be nested.`);
+      }
+      openSection = name;
+    } else {
+      if (openSection !== name) {
+        throw validationError(`${tag} has no matching {{#${name}}}.`);
+      }
+      openSection = null;
+    }
+  }
+  if (openSection) {
+    throw validationError(`{{#${openSection}}} is never closed with {{/${openSection}}}.`);
+  }
+};
+
+/**
+ * Validates template input from the API
+ * @param {object} input - Request body
+ * @returns {object} Template with name and body
+ * @throws {Error} With `status` 400 when the input is invalid
+ */
+const validateTemplate = (input = {}) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) throw validationError('Template name is required.');
+
+  const body = typeof input.body === 'string' ? input.body.trim() : '';
+  if (!body) throw validationError('A template needs some text.');
+  if (body.length > MAX_TEMPLATE_LENGTH) {
+    throw validationError(`Templates can be at most ${MAX_TEMPLATE_LENGTH} characters.`);
+  }
+  checkTags(body);
+
+  return { name, body };
+};
+
+/**
+ * Converts a reply_templates row into the shape returned by the API
+ * @param {object} row - Row from the reply_templates table
+ * @returns {object} Template
+ */
+const rowToTemplate = (row) => ({
+  id: row.id,
+  name: row.name,
+  body: row.body,
+  updatedBy: row.updated_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Returns every template by name
+ * @returns {object[]} Templates
+ */
+const listTemplates = () => db.prepare('SELECT * FROM reply_templates ORDER BY name').all().map(rowToTemplate);
+
+/**
+ * Returns a single template
+ * @param {number} templateId - Template ID
+ * @returns {object|null} Template, or null if it doesn't exist
+ */
+const getTemplate = (templateId) => {
+  const row = db.prepare('SELECT * FROM reply_templates WHERE id = ?').get(templateId);
+  return row ? rowToTemplate(row) : null;
+};
+
+/**
+ * Checks that no other template has the name (names are compared case-insensitively)
+ * @param {string} name - Template name
+ * @param {number} [templateId] - Template being renamed
+ * @throws {Error} With status 409 when the name is taken
+ */
+const checkNameFree = (name, templateId = null) => {
+  const taken = db.prepare('SELECT 1 FROM reply_templates WHERE name = ? AND id IS NOT ?').get(name, templateId);
+  if (taken) {
+    throw Object.assign(new Error(`A template named "${name}" already exists.`), { status: 409 });
+  }
+};
+
+/**
+ * Creates a template
+ * @param {object} input - Template fields, validated with validateTemplate
+ * @param {object} actor - User making the change
+ * @returns {object} The created template
+ */
+const createTemplate = (input, actor) => {
+  const template = validateTemplate(input);
+  checkNameFree(template.name);
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO reply_templates (name, body, updated_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+  `).run(template.name, template.body, actor.username, now, now);
+  return getTemplate(lastInsertRowid);
+};
+
+/**
+ * Replaces a template's name and text
+ * @param {number} templateId - Template ID
+ * @param {object} input - Template fields, validated with validateTemplate
+ * @param {object} actor - User making the change
+ * @returns {object|null} The updated template, or null if it doesn't exist
+ */
+const updateTemplate = (templateId, input, actor) => {
+  const template = validateTemplate(input);
+  checkNameFree(template.name, templateId);
+  const { changes } = db.prepare(`
+    UPDATE reply_templates SET name = ?, body = ?, updated_by = ?, updated_at = ? WHERE id = ?
+  `).run(template.name, template.body, actor.username, new Date().toISOString(), templateId);
+  return changes ? getTemplate(templateId) : null;
+};
+
+/**
+ * Deletes a template. Replies already written from it are unaffected.
+ * @param {number} templateId - Template ID
+ * @returns {boolean} Whether a template was deleted
+ */
+const deleteTemplate = (templateId) => db.prepare('DELETE FROM reply_templates WHERE id = ?').run(templateId).changes > 0;
+
+/**
+ * Works out the values of the merge variables for a review
+ * @param {object} review - Review in the shape served by the API
+ * @returns {object} Value per variable name, '' when the review doesn't have it
+ */
+const getTemplateValues = (review) => {
+  // Rated categories as written in replies; ties go to the category listed first
+  const categories = review.reviewCategory
+    .filter(cat => cat && typeof cat.category === 'string' && typeof cat.rating === 'number')
+    .map(({ category, rating }) => ({ name: category.replace(/_/g, ' '), rating }));
+  const pick = (better) => categories.reduce((best, category) => (better(category, best) ? category : best), categories[0]);
+
+  const month = parseInt((review.submittedAt || '').slice(5, 7));
+
+  return {
+    guestFirstName: toFirstName(review.guestName),
+    listingName: review.listingName,
+    stayMonth: MONTH_NAMES[month - 1] || '',
+    bestCategory: categories.length ? pick((category, best) => category.rating > best.rating).name : '',
+    worstCategory: categories.length ? pick((category, best) => category.rating < best.rating).name : ''
+  };
+};
+
+/**
+ * Returns the rating band of a review
+ * @param {object} review - Review in the shape served by the API
+ * @returns {string|null} Band name, or null for reviews without an overall rating
+ */
+const getRatingBand = (review) => (
+  typeof review.normalizedRating === 'number'
+    ? RATING_BANDS.find(band => review.normalizedRating >= band.min).name
+    : null
+);
+
+/**
+ * Fills a template in for a review: sections for other rating bands are dropped
+ * and variables replaced with the review's values
+ * @param {string} body - Template text
+ * @param {object} review - Review in the shape served by the API
+ * @returns {object} The reply text, and the variables used that the review has no value for
+ */
+const renderTemplate = (body, review) => {
+  const values = getTemplateValues(review);
+  const band = getRatingBand(review);
+  const missing = new Set();
+
+  const text = body
+    .replace(/\{\{\s*#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\1\s*\}\}/g, (section, name, content) => (name === band ? content : ''))
+    .replace(TAG, (tag, kind, name) => {
+      if (!values[name]) missing.add(name);
+      return values[name];
+    })
+    // Tidy the gaps left by dropped sections and empty values
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { body: text, missing: [...missing] };
+};
+
+/**
+ * Renders a saved template for a review
+ * @param {number} templateId - Template ID
+ * @param {string} reviewId - Review ID
+ * @returns {object|null} The reply text and missing variables (see renderTemplate), or
+ * null if the template doesn't exist
+ * @throws {Error} With status 404 when the review doesn't exist
+ */
+const renderForReview = (templateId, reviewId) => {
+  const template = getTemplate(templateId);
+  if (!template) return null;
+
+  const [review] = typeof reviewId === 'string' ? getReviewsByIds([reviewId]) : [];
+  if (!review) {
+    throw Object.assign(new Error('Review not found.'), { status: 404 });
+  }
+  return renderTemplate(template.body, review);
+};
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  RATING_BANDS,
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplate,
+  renderForReview
+};
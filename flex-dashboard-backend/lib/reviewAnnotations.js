@@ -0,0 +1,200 @@
+const db = require('./db');
+
+// Limits on team tags and notes
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTE_LENGTH = 2000;
+
+const validationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Normalizes a tag so "Follow up" and "follow  up" are the same tag
+ * @param {string} tag - Tag as typed
+ * @returns {string} Trimmed, lowercase tag with single spaces
+ */
+const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Checks and normalizes a review's full list of tags
+ * @param {*} tags - Input value
+ * @returns {string[]} Unique normalized tags
+ * @throws {Error} With status 400 when the list is invalid
+ */
+const validateTags = (tags) => {
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    throw validationError('tags must be an array of strings.');
+  }
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) {
+    throw validationError(`A review can have at most ${MAX_TAGS} tags.`);
+  }
+  const tooLong = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw validationError(`Tags can be at most ${MAX_TAG_LENGTH} characters: "${tooLong}".`);
+  }
+  return normalized;
+};
+
+/**
+ * Checks a note's text
+ * @param {*} body - Input value
+ * @returns {string} Trimmed note text
+ * @throws {Error} With status 400 when the text is missing or too long
+ */
+const validateNoteBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw validationError('A note needs some text.');
+  }
+  if (body.trim().length > MAX_NOTE_LENGTH) {
+    throw validationError(`Notes can be at most ${MAX_NOTE_LENGTH} characters.`);
+  }
+  return body.trim();
+};
+
+/**
+ * Converts a review_tags row into the shape returned by the API
+ * @param {object} row - Row from the review_tags table
+ * @returns {object} Tag with who added it and when
+ */
+const rowToTag = (row) => ({ tag: row.tag, addedBy: row.added_by, addedAt: row.added_at });
+
+/**
+ * Converts a review_notes row into the shape returned by the API
+ * @param {object} row - Row from the review_notes table
+ * @returns {object} Note
+ */
+const rowToNote = (row) => ({
+  id: row.id,
+  reviewId: row.review_id,
+  body: row.body,
+  author: { id: row.author_user_id, name: row.author_name },
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Returns a review's tags in alphabetical order
+ * @param {string} reviewId - Review ID
+ * @returns {object[]} Tags with who added them and when
+ */
+const getTags = (reviewId) => db.prepare(`
+  SELECT * FROM review_tags WHERE review_id = ? ORDER BY tag
+`).all(reviewId).map(rowToTag);
+
+/**
+ * Replaces a review's tags. Tags it already had keep their original author and date.
+ * @param {string} reviewId - Review ID
+ * @param {string[]} tags - The review's complete list of tags
+ * @param {object} actor - User making the change
+ * @returns {object[]} The review's tags after the change
+ */
+const setTags = db.transaction((reviewId, tags, actor) => {
+  const normalized = validateTags(tags);
+  const now = new Date().toISOString();
+
+  db.prepare(`
+    DELETE FROM review_tags WHERE review_id = ? AND tag NOT IN (SELECT value FROM json_each(?))
+  `).run(reviewId, JSON.stringify(normalized));
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO review_tags (review_id, tag, added_by, added_at) VALUES (?, ?, ?, ?)
+  `);
+  normalized.forEach(tag => insert.run(reviewId, tag, actor.username, now));
+
+  return getTags(reviewId);
+});
+
+/**
+ * Returns every tag in use, for the tag filter and tag suggestions
+ * @returns {string[]} Tags in alphabetical order
+ */
+const listAllTags = () => db.prepare('SELECT DISTINCT tag FROM review_tags ORDER BY tag').pluck().all();
+
+/**
+ * Returns a review's notes, oldest first so they read as a conversation
+ * @param {string} reviewId - Review ID
+ * @returns {object[]} Notes
+ */
+const listNotes = (reviewId) => db.prepare(`
+  SELECT * FROM review_notes WHERE review_id = ? ORDER BY id
+`).all(reviewId).map(rowToNote);
+
+/**
+ * Returns the number of notes on a review
+ * @param {string} reviewId - Review ID
+ * @returns {number} Note count
+ */
+const countNotes = (reviewId) => db.prepare('SELECT COUNT(*) FROM review_notes WHERE review_id = ?').pluck().get(reviewId);
+
+/**
+ * Adds a note to a review
+ * @param {string} reviewId - Review ID
+ * @param {string} body - Note text
+ * @param {object} actor - User writing the note
+ * @returns {object} The new note
+ */
+const addNote = (reviewId, body, actor) => {
+  const text = validateNoteBody(body);
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO review_notes (review_id, body, author_user_id, author_name, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(reviewId, text, actor.id, actor.username, now, now);
+  return rowToNote(db.prepare('SELECT * FROM review_notes WHERE id = ?').get(lastInsertRowid));
+};
+
+/**
+ * Loads a note that the actor may change: their own, or any note for managers
+ * @param {string} reviewId - Review ID
+ * @param {number} noteId - Note ID
+ * @param {object} actor - User changing the note
+ * @returns {object} The note's row
+ * @throws {Error} With status 404 when the note isn't on the review, 403 when it isn't the actor's
+ */
+const getEditableNote = (reviewId, noteId, actor) => {
+  const row = db.prepare('SELECT * FROM review_notes WHERE id = ? AND review_id = ?').get(noteId, reviewId);
+  if (!row) {
+    throw Object.assign(new Error('Note not found.'), { status: 404 });
+  }
+  if (row.author_user_id !== actor.id && actor.role !== 'manager') {
+    throw Object.assign(new Error('Only the author or a manager can change this note.'), { status: 403 });
+  }
+  return row;
+};
+
+/**
+ * Changes the text of a note
+ * @param {string} reviewId - Review ID
+ * @param {number} noteId - Note ID
+ * @param {string} body - New note text
+ * @param {object} actor - User making the change
+ * @returns {object} The updated note
+ */
+const updateNote = (reviewId, noteId, body, actor) => {
+  const text = validateNoteBody(body);
+  getEditableNote(reviewId, noteId, actor);
+  db.prepare('UPDATE review_notes SET body = ?, updated_at = ? WHERE id = ?').run(text, new Date().toISOString(), noteId);
+  return rowToNote(db.prepare('SELECT * FROM review_notes WHERE id = ?').get(noteId));
+};
+
+/**
+ * Deletes a note
+ * @param {string} reviewId - Review ID
+ * @param {number} noteId - Note ID
+ * @param {object} actor - User deleting the note
+ */
+const deleteNote = (reviewId, noteId, actor) => {
+  getEditableNote(reviewId, noteId, actor);
+  db.prepare('DELETE FROM review_notes WHERE id = ?').run(noteId);
+};
+
+module.exports = {
+  normalizeTag,
+  getTags,
+  setTags,
+  listAllTags,
+  listNotes,
+  countNotes,
+  addNote,
+  updateNote,
+  deleteNote
+};
@@ -0,0 +1,124 @@
+const ExcelJS = require('exceljs');
+const db = require('./db');
+const { queryReviews } = require('./reviewQuery');
+const { SOURCES } = require('./normalize');
+const { getTopicLabel } = require('./topics');
+
+// Output formats the export endpoint accepts
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// How each auto-approval rule action reads in the export
+const DECISION_LABELS = { auto_approve: 'Auto-approved', auto_hide: 'Auto-hidden', flag: 'Flagged' };
+
+// Columns before the per-category ones: header, width in the spreadsheet, and value
+const BASE_COLUMNS = [
+  { header: 'Review ID', width: 18, value: review => review.id },
+  { header: 'Source', width: 10, value: review => SOURCES[review.source]?.label || review.source },
+  { header: 'Listing', width: 40, value: review => review.listingName },
+  { header: 'Channel', width: 14, value: review => review.channel },
+  { header: 'Guest', width: 20, value: review => review.guestName },
+  { header: 'Submitted At', width: 20, value: review => review.submittedAt },
+  { header: 'Rating', width: 8, value: review => review.rating },
+  { header: 'Rating Scale', width: 12, value: review => review.ratingScale },
+  { header: 'Rating (out of 10)', width: 16, value: review => review.normalizedRating }
+];
+
+// Columns after the per-category ones
+const TRAILING_COLUMNS = [
+  { header: 'Sentiment', width: 12, value: review => review.sentiment.label },
+  { header: 'Sentiment Score', width: 16, value: review => review.sentiment.score },
+  { header: 'Complaints', width: 30, value: review => review.topics.filter(t => t.polarity === 'negative').map(t => getTopicLabel(t.topic)).join(', ') },
+  { header: 'Shown on Website', width: 16, value: review => (review.displayOnWebsite ? 'Yes' : 'No') },
+  { header: 'Approval Updated At', width: 24, value: (review, approvalDates) => approvalDates.get(review.id) || null },
+  { header: 'Rule Decision', width: 24, value: review => (review.ruleDecision ? `${DECISION_LABELS[review.ruleDecision.action]} by ${review.ruleDecision.ruleName}` : null) },
+  { header: 'Review', width: 80, value: review => review.publicReview }
+];
+
+/**
+ * Turns a category key such as "respect_house_rules" into a column header
+ * @param {string} category - Category key
+ * @returns {string} Header text
+ */
+const categoryHeader = (category) => category
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * Builds the export table for the reviews matching a query: one row per review,
+ * with a column for each category found in those reviews
+ * @param {object} reviewQuery - Parsed query from parseReviewQuery; pagination is ignored
+ * @returns {object} Column definitions and rows of cell values
+ */
+const buildReviewTable = (reviewQuery) => {
+  const { reviews } = queryReviews({ ...reviewQuery, limit: null, offset: 0 });
+
+  const categories = [...new Set(reviews.flatMap(review => review.reviewCategory.map(cat => cat?.category)))]
+    .filter(Boolean)
+    .sort();
+  const approvalDates = new Map(
+    db.prepare('SELECT review_id, updated_at FROM review_approvals').all()
+      .map(row => [row.review_id, row.updated_at])
+  );
+
+  const columns = [
+    ...BASE_COLUMNS,
+    ...categories.map(category => ({
+      header: categoryHeader(category),
+      width: 14,
+      value: review => review.reviewCategory.find(cat => cat?.category === category)?.rating ?? null
+    })),
+    ...TRAILING_COLUMNS
+  ];
+
+  return {
+    columns,
+    rows: reviews.map(review => columns.map(column => column.value(review, approvalDates) ?? null))
+  };
+};
+
+/**
+ * Formats one CSV cell. Text that a spreadsheet would read as a formula is
+ * prefixed with a quote, since review text comes from guests.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders the reviews matching a query as a CSV or XLSX file
+ * @param {object} reviewQuery - Parsed query from parseReviewQuery
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Buffer>} File contents
+ */
+const exportReviews = async (reviewQuery, format) => {
+  const { columns, rows } = buildReviewTable(reviewQuery);
+
+  if (format === 'csv') {
+    const lines = [columns.map(column => column.header), ...rows].map(row => row.map(toCsvCell).join(','));
+    // The byte order mark makes Excel read the file as UTF-8
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet('Reviews', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(({ header, width }) => ({ header, width }));
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = { EXPORT_FORMATS, exportReviews };
@@ -0,0 +1,328 @@
+const db = require('./db');
+const { ANNOTATION_COLUMNS, rowToReview } = require('./reviewStore');
+const { normalizeTag, listAllTags } = require('./reviewAnnotations');
+const { SENTIMENT_LABELS } = require('./sentiment');
+const { TOPICS } = require('./topics');
+const { WORKFLOW_STATES, WORKFLOW_JOIN, WORKFLOW_COLUMNS, today, listAssignees } = require('./workflow');
+const { REPLY_COLUMN } = require('./reviewReplies');
+
+// Largest page a client can request
+const MAX_PAGE_SIZE = 200;
+
+// Reviews with their approval, rule decision, workflow and reply, as filtered and served
+const REVIEW_FROM = `
+  FROM reviews r
+  LEFT JOIN review_approvals a ON a.review_id = r.id
+  LEFT JOIN rule_decisions d ON d.review_id = r.id
+  ${WORKFLOW_JOIN}
+`;
+
+const REVIEW_COLUMNS = `
+  r.*, a.display_on_website,
+  d.rule_id AS decision_rule_id, d.rule_name AS decision_rule_name, d.action AS decision_action, d.decided_at,
+  ${WORKFLOW_COLUMNS},
+  ${ANNOTATION_COLUMNS},
+  ${REPLY_COLUMN}
+`;
+
+/**
+ * Parses "cleanliness:8-10,communication:5-10" into { cleanliness: [8, 10], ... }.
+ * Ranges are on the normalized 0-10 scale; ones covering all of it are dropped
+ * since they filter nothing.
+ * @param {string} value - Comma-separated category ranges
+ * @returns {object} Ranges keyed by category
+ */
+const parseCategoryRanges = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return {};
+
+  return value.split(',').reduce((acc, part) => {
+    const match = part.trim().match(/^(.+):(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+    if (match) {
+      const [, category, min, max] = match;
+      if (!(Number(min) === 0 && Number(max) === 10)) {
+        acc[category] = [Number(min), Number(max)];
+      }
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Reads filter, sort and pagination options from request query parameters.
+ * Unknown or invalid values fall back to their defaults.
+ * @param {object} query - Express request query
+ * @returns {object} Parsed filters, sort and pagination
+ */
+const parseReviewQuery = (query = {}) => {
+  const limit = parseInt(query.limit);
+  const offset = parseInt(query.offset);
+  const assigneeId = parseInt(query.assignee);
+
+  return {
+    filters: {
+      property: query.property && query.property !== 'all' ? String(query.property) : null,
+      channel: query.channel && query.channel !== 'all' ? String(query.channel) : null,
+      source: query.source && query.source !== 'all' ? String(query.source) : null,
+      display: ['shown', 'hidden'].includes(query.display) ? query.display : 'all',
+      decision: ['auto_approve', 'auto_hide', 'flag', 'none'].includes(query.decision) ? query.decision : 'all',
+      sentiment: SENTIMENT_LABELS.includes(query.sentiment) ? query.sentiment : 'all',
+      topic: TOPICS.some(topic => topic.id === query.topic) ? query.topic : null,
+      topicPolarity: ['positive', 'negative'].includes(query.topicPolarity) ? query.topicPolarity : 'all',
+      state: WORKFLOW_STATES.includes(query.state) ? query.state : 'all',
+      // 'unassigned', a user ID, or null for anyone
+      assignee: query.assignee === 'unassigned' ? 'unassigned' : (assigneeId > 0 ? assigneeId : null),
+      ownerAttention: query.ownerAttention === 'true' || query.ownerAttention === true,
+      overdue: query.overdue === 'true' || query.overdue === true,
+      tags: typeof query.tags === 'string' ? [...new Set(query.tags.split(',').map(normalizeTag).filter(Boolean))] : [],
+      search: typeof query.search === 'string' ? query.search.trim() : '',
+      categoryRanges: parseCategoryRanges(query.categoryRanges)
+    },
+    sort: typeof query.sort === 'string' && /^.+-(asc|desc)$/.test(query.sort) ? query.sort : 'date-desc',
+    // Without a limit every matching review is returned
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : null,
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0
+  };
+};
+
+/**
+ * Builds the WHERE clause for a set of filters
+ * @param {object} filters - Filters from parseReviewQuery
+ * @returns {object} SQL clause and its positional parameters
+ */
+const buildWhere = (filters) => {
+  const clauses = [];
+  const params = [];
+
+  if (filters.property) {
+    clauses.push('r.listing_name = ?');
+    params.push(filters.property);
+  }
+
+  if (filters.channel) {
+    clauses.push('r.channel = ?');
+    params.push(filters.channel);
+  }
+
+  if (filters.source) {
+    clauses.push('r.source = ?');
+    params.push(filters.source);
+  }
+
+  if (filters.display === 'shown') {
+    clauses.push('a.display_on_website = 1');
+  } else if (filters.display === 'hidden') {
+    clauses.push('COALESCE(a.display_on_website, 0) = 0');
+  }
+
+  if (filters.decision === 'none') {
+    clauses.push('d.action IS NULL');
+  } else if (filters.decision !== 'all') {
+    clauses.push('d.action = ?');
+    params.push(filters.decision);
+  }
+
+  if (filters.sentiment !== 'all') {
+    clauses.push('r.sentiment_label = ?');
+    params.push(filters.sentiment);
+  }
+
+  // Reviews mentioning the topic, optionally only where it is praised or faulted
+  if (filters.topic) {
+    clauses.push(`EXISTS (
+      SELECT 1 FROM review_topics t
+      WHERE t.review_id = r.id AND t.topic = ? AND (? = 'all' OR t.polarity = ?)
+    )`);
+    params.push(filters.topic, filters.topicPolarity, filters.topicPolarity);
+  }
+
+  if (filters.state !== 'all') {
+    clauses.push("COALESCE(w.state, 'new') = ?");
+    params.push(filters.state);
+  }
+
+  if (filters.assignee === 'unassigned') {
+    clauses.push('w.assignee_user_id IS NULL');
+  } else if (filters.assignee) {
+    clauses.push('w.assignee_user_id = ?');
+    params.push(filters.assignee);
+  }
+
+  if (filters.ownerAttention) {
+    clauses.push('w.needs_owner_attention = 1');
+  }
+
+  // Follow-up date passed and the review still open
+  if (filters.overdue) {
+    clauses.push("w.due_date < ? AND w.state != 'resolved'");
+    params.push(today());
+  }
+
+  // Reviews carrying every one of the tags
+  filters.tags.forEach(tag => {
+    clauses.push('EXISTS (SELECT 1 FROM review_tags g WHERE g.review_id = r.id AND g.tag = ?)');
+    params.push(tag);
+  });
+
+  if (filters.search) {
+    const pattern = `%${filters.search.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    clauses.push(`(
+      r.public_review LIKE ? ESCAPE '\\'
+      OR r.guest_name LIKE ? ESCAPE '\\'
+      OR r.listing_name LIKE ? ESCAPE '\\'
+    )`);
+    params.push(pattern, pattern, pattern);
+  }
+
+  // Reviews without a category are kept rather than excluded
+  Object.entries(filters.categoryRanges).forEach(([category, [min, max]]) => {
+    clauses.push(`NOT EXISTS (
+      SELECT 1 FROM review_categories c
+      WHERE c.review_id = r.id AND c.category = ? AND (c.normalized_rating < ? OR c.normalized_rating > ?)
+    )`);
+    params.push(category, min, max);
+  });
+
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * Builds the join and ORDER BY clause for a sort option such as
+ * "date-desc", "rating-asc", "sentiment-asc", "due-asc" or "<category>-desc". Ratings sort by their
+ * normalized value so reviews on different scales compare correctly.
+ * @param {string} sort - Sort option
+ * @returns {object} SQL join, order clause and join parameters
+ */
+const buildOrder = (sort) => {
+  const separator = sort.lastIndexOf('-');
+  const field = sort.slice(0, separator);
+  const direction = sort.slice(separator + 1) === 'asc' ? 'ASC' : 'DESC';
+
+  if (field === 'date') {
+    return { join: '', order: `ORDER BY r.submitted_at ${direction}, r.id ${direction}`, params: [] };
+  }
+
+  if (field === 'rating') {
+    return { join: '', order: `ORDER BY COALESCE(r.normalized_rating, 0) ${direction}, r.submitted_at DESC, r.id DESC`, params: [] };
+  }
+
+  if (field === 'sentiment') {
+    return { join: '', order: `ORDER BY COALESCE(r.sentiment_score, 0) ${direction}, r.submitted_at DESC, r.id DESC`, params: [] };
+  }
+
+  // Follow-up date sort: reviews without one go to the end
+  if (field === 'due') {
+    return { join: '', order: `ORDER BY w.due_date IS NULL, w.due_date ${direction}, r.submitted_at DESC, r.id DESC`, params: [] };
+  }
+
+  // Category sort: reviews missing the category go to the end
+  return {
+    join: 'LEFT JOIN review_categories s ON s.review_id = r.id AND s.category = ?',
+    order: `ORDER BY s.normalized_rating IS NULL, s.normalized_rating ${direction}, r.submitted_at DESC, r.id DESC`,
+    params: [field]
+  };
+};
+
+/**
+ * Returns one page of reviews matching the filters, plus the total match count
+ * @param {object} options - Parsed query from parseReviewQuery
+ * @returns {object} Matching reviews and total count
+ */
+const queryReviews = ({ filters, sort, limit, offset }) => {
+  const { where, params } = buildWhere(filters);
+  const { join, order, params: joinParams } = buildOrder(sort);
+
+  const total = db.prepare(`SELECT COUNT(*) AS count ${REVIEW_FROM} ${where}`).get(...params).count;
+
+  const pagination = limit ? 'LIMIT ? OFFSET ?' : '';
+  const pageParams = limit ? [limit, offset] : [];
+  const rows = db.prepare(`
+    SELECT ${REVIEW_COLUMNS}
+    ${REVIEW_FROM}
+    ${join}
+    ${where}
+    ${order}
+    ${pagination}
+  `).all(...joinParams, ...params, ...pageParams);
+
+  return { reviews: rows.map(rowToReview), total };
+};
+
+/**
+ * Returns the IDs of every review matching the filters, ignoring pagination
+ * @param {object} filters - Filters from parseReviewQuery
+ * @returns {string[]} Matching review IDs
+ */
+const queryReviewIds = (filters) => {
+  const { where, params } = buildWhere(filters);
+  return db.prepare(`
+    SELECT r.id
+    ${REVIEW_FROM}
+    ${where}
+  `).pluck().all(...params);
+};
+
+/**
+ * Returns the given reviews in their served shape, newest first
+ * @param {string[]} reviewIds - Review IDs
+ * @returns {object[]} Reviews that exist
+ */
+const getReviewsByIds = (reviewIds) => db.prepare(`
+  SELECT ${REVIEW_COLUMNS}
+  ${REVIEW_FROM}
+  WHERE r.id IN (SELECT value FROM json_each(?))
+  ORDER BY r.submitted_at DESC, r.id DESC
+`).all(JSON.stringify(reviewIds)).map(rowToReview);
+
+/**
+ * Counts the reviews matching the filters in each moderation queue. State counts ignore
+ * the state filter and assignee counts ignore the assignee filter, so switching queues
+ * shows what each one holds.
+ * @param {object} filters - Filters from parseReviewQuery
+ * @returns {object} Reviews per state, per assignee ('unassigned' or user ID), needing
+ * owner attention and overdue
+ */
+const getQueueCounts = (filters) => {
+  const countBy = (queueFilters, key) => {
+    const { where, params } = buildWhere(queueFilters);
+    return db.prepare(`SELECT ${key} AS key, COUNT(*) AS count ${REVIEW_FROM} ${where} GROUP BY key`)
+      .all(...params)
+      .reduce((acc, { key, count }) => ({ ...acc, [key ?? 'unassigned']: count }), {});
+  };
+
+  const states = countBy({ ...filters, state: 'all' }, "COALESCE(w.state, 'new')");
+  const flagged = countBy({ ...filters, ownerAttention: true }, 1);
+  const overdue = countBy({ ...filters, overdue: true }, 1);
+  return {
+    states: Object.fromEntries(WORKFLOW_STATES.map(state => [state, states[state] || 0])),
+    assignees: countBy({ ...filters, assignee: null }, 'w.assignee_user_id'),
+    ownerAttention: flagged[1] || 0,
+    overdue: overdue[1] || 0
+  };
+};
+
+/**
+ * Returns the values available for each filter, independent of the current filters
+ * @returns {object} Properties, channels, sources, categories and team tags present in
+ * the store, the topics of the taxonomy and the team members reviews can be assigned to
+ */
+const getReviewFacets = () => ({
+  properties: db.prepare('SELECT DISTINCT listing_name FROM reviews ORDER BY listing_name').pluck().all(),
+  channels: db.prepare('SELECT DISTINCT channel FROM reviews ORDER BY channel').pluck().all(),
+  sources: db.prepare('SELECT DISTINCT source FROM reviews ORDER BY source').pluck().all(),
+  categories: db.prepare('SELECT DISTINCT category FROM review_categories ORDER BY category').pluck().all(),
+  topics: TOPICS,
+  tags: listAllTags(),
+  assignees: listAssignees()
+});
+
+module.exports = {
+  parseReviewQuery,
+  queryReviews,
+  queryReviewIds,
+  getReviewsByIds,
+  getQueueCounts,
+  getReviewFacets
+};
@@ -0,0 +1,152 @@
+const db = require('./db');
+const { publishHostawayReviewResponse } = require('./hostaway');
+
+// Longest reply accepted
+const MAX_REPLY_LENGTH = 2000;
+
+// A review's reply, selected alongside `r.*` for rowToReview (null when there is none)
+const REPLY_COLUMN = `
+  (SELECT json_object(
+    'status', p.status, 'body', p.body, 'error', p.error,
+    'sentBody', p.sent_body, 'sentBy', p.sent_by, 'sentAt', p.sent_at,
+    'updatedBy', p.updated_by, 'updatedAt', p.updated_at
+  ) FROM review_replies p WHERE p.review_id = r.id) AS reply
+`;
+
+// Reviews whose reply is being sent to Hostaway right now, so it isn't sent twice
+const publishing = new Set();
+
+const validationError = (message) => Object.assign(new Error(message), { status: 400 });
+const conflictError = (message) => Object.assign(new Error(message), { status: 409 });
+
+/**
+ * Returns a review's reply
+ * @param {string} reviewId - Review ID
+ * @returns {object|null} Status ('draft', 'sent' or 'failed'), the draft text, the text sent and
+ * when and by whom, the last publish error, and who last changed it; null when there is no reply
+ */
+const getReply = (reviewId) => {
+  const reply = db.prepare(`SELECT ${REPLY_COLUMN} FROM reviews r WHERE r.id = ?`).pluck().get(reviewId);
+  return reply ? JSON.parse(reply) : null;
+};
+
+/**
+ * Checks that a review can be answered through Hostaway: only guest reviews of our
+ * properties that came from Hostaway, since Google reviews are answered on Google
+ * @param {string} reviewId - Review ID
+ * @returns {object} The review's source and Hostaway ID
+ * @throws {Error} With status 400 when the review can't be answered here
+ */
+const getReplyTarget = (reviewId) => {
+  const review = db.prepare('SELECT source, source_review_id, type FROM reviews WHERE id = ?').get(reviewId);
+  if (review.source !== 'hostaway' || review.type !== 'guest-to-host') {
+    throw validationError('Only guest reviews from Hostaway can be answered here.');
+  }
+  return review;
+};
+
+/**
+ * Checks that a review's reply can still change
+ * @param {string} reviewId - Review ID
+ * @returns {object|null} The current reply
+ * @throws {Error} With status 409 once the reply has been published, or while it is being published
+ */
+const getChangeableReply = (reviewId) => {
+  const reply = getReply(reviewId);
+  if (reply?.status === 'sent') {
+    throw conflictError('This reply has already been published.');
+  }
+  if (publishing.has(reviewId)) {
+    throw conflictError('This reply is being published.');
+  }
+  return reply;
+};
+
+/**
+ * Saves the draft reply to a review, replacing any earlier draft. Editing a
+ * reply that failed to publish makes it a draft again.
+ * @param {string} reviewId - Review ID
+ * @param {string} body - Reply text
+ * @param {object} actor - User writing the reply
+ * @returns {object} The reply
+ */
+const saveDraft = (reviewId, body, actor) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw validationError('A reply needs some text.');
+  }
+  if (body.trim().length > MAX_REPLY_LENGTH) {
+    throw validationError(`Replies can be at most ${MAX_REPLY_LENGTH} characters.`);
+  }
+  getReplyTarget(reviewId);
+  getChangeableReply(reviewId);
+
+  db.prepare(`
+    INSERT INTO review_replies (review_id, body, status, updated_by, updated_at)
+    VALUES (?, ?, 'draft', ?, ?)
+    ON CONFLICT (review_id) DO UPDATE SET
+      body = excluded.body, status = 'draft', error = NULL,
+      updated_by = excluded.updated_by, updated_at = excluded.updated_at
+  `).run(reviewId, body.trim(), actor.username, new Date().toISOString());
+  return getReply(reviewId);
+};
+
+/**
+ * Discards a review's unpublished reply
+ * @param {string} reviewId - Review ID
+ * @returns {boolean} Whether there was a reply to discard
+ */
+const discardDraft = (reviewId) => {
+  getChangeableReply(reviewId);
+  return db.prepare('DELETE FROM review_replies WHERE review_id = ?').run(reviewId).changes > 0;
+};
+
+/**
+ * Publishes a review's draft reply through Hostaway to the review's channel. The
+ * outcome is stored either way: 'sent' with the text that went out, or 'failed'
+ * with Hostaway's error so the draft can be corrected and published again.
+ * @param {string} reviewId - Review ID
+ * @param {object} actor - User publishing the reply
+ * @returns {Promise<object>} The reply once sent
+ * @throws {Error} With status 400 without a draft, 409 once published, 502 when Hostaway
+ * rejects it (the error carries the failed reply as `reply`)
+ */
+const publishReply = async (reviewId, actor) => {
+  const { source_review_id: hostawayReviewId } = getReplyTarget(reviewId);
+  const reply = getChangeableReply(reviewId);
+  if (!reply) {
+    throw validationError('Save a draft reply before publishing it.');
+  }
+
+  publishing.add(reviewId);
+  try {
+    await publishHostawayReviewResponse(hostawayReviewId, reply.body);
+  } catch (error) {
+    db.prepare(`
+      UPDATE review_replies SET status = 'failed', error = ?, updated_by = ?, updated_at = ? WHERE review_id = ?
+    `).run(error.message, actor.username, new Date().toISOString(), reviewId);
+    console.error(`❌ Failed to publish the reply to ${reviewId}:`, error.message);
+    throw Object.assign(new Error(`Hostaway did not accept the reply: ${error.message}`), {
+      status: 502,
+      reply: getReply(reviewId)
+    });
+  } finally {
+    publishing.delete(reviewId);
+  }
+
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE review_replies SET status = 'sent', error = NULL, sent_body = body, sent_by = ?, sent_at = ?,
+      updated_by = ?, updated_at = ?
+    WHERE review_id = ?
+  `).run(actor.username, now, actor.username, now, reviewId);
+  console.log(`💬 Published the reply to ${reviewId} through Hostaway`);
+  return getReply(reviewId);
+};
+
+module.exports = {
+  REPLY_COLUMN,
+  getReply,
+  saveDraft,
+  discardDraft,
+  publishReply
+};
@@ -0,0 +1,333 @@
+const db = require('./db');
+const { toNormalizedRating } = require('./normalize');
+const { TAXONOMY_VERSION, tagTopics } = require('./topics');
+const { rowToWorkflow } = require('./workflow');
+
+// Team tags and note count of a review, selected alongside `r.*` for rowToReview.
+// Internal only: public endpoints build their own review shape without them.
+const ANNOTATION_COLUMNS = `
+  (SELECT json_group_array(json_object('tag', t.tag, 'addedBy', t.added_by, 'addedAt', t.added_at))
+    FROM (SELECT * FROM review_tags WHERE review_id = r.id ORDER BY tag) t) AS tags,
+  (SELECT COUNT(*) FROM review_notes n WHERE n.review_id = r.id) AS note_count
+`;
+
+/**
+ * Converts a database row into the normalized review shape served to the frontend
+ * @param {object} row - Row from the reviews table joined with approvals
+ * @returns {object} A normalized review object
+ */
+const rowToReview = (row) => ({
+  id: row.id,
+  source: row.source,
+  sourceReviewId: row.source_review_id,
+  type: row.type,
+  status: row.status,
+  rating: row.rating,
+  ratingScale: row.rating_scale,
+  normalizedRating: row.normalized_rating,
+  publicReview: row.public_review,
+  reviewCategory: JSON.parse(row.review_category),
+  submittedAt: row.submitted_at,
+  guestName: row.guest_name,
+  listingId: row.listing_id,
+  listingName: row.listing_name,
+  channel: row.channel,
+  // Sentiment of publicReview, with the sentences that weighed most
+  sentiment: {
+    score: row.sentiment_score,
+    label: row.sentiment_label,
+    sentences: JSON.parse(row.sentiment_sentences || '[]')
+  },
+  // Topics publicReview mentions, each positive, negative or neutral with the clause behind it
+  topics: JSON.parse(row.topics || '[]'),
+  // Team tags and how many internal notes the review has (see ANNOTATION_COLUMNS)
+  tags: JSON.parse(row.tags || '[]'),
+  noteCount: row.note_count || 0,
+  // Moderation workflow: state, assignee, follow-up date and owner attention flag
+  workflow: rowToWorkflow(row),
+  // Manager reply to the guest and whether it has been published (see REPLY_COLUMN)
+  reply: row.reply ? JSON.parse(row.reply) : null,
+  // Include approval flag for website display
+  displayOnWebsite: row.display_on_website === 1,
+  // Auto-approval rule that decided the review when it arrived, if any
+  ruleDecision: row.decision_action
+    ? { ruleId: row.decision_rule_id, ruleName: row.decision_rule_name, action: row.decision_action, decidedAt: row.decided_at }
+    : null
+});
+
+const selectReviewExists = db.prepare('SELECT 1 FROM reviews WHERE id = ?');
+
+const selectStoredRaw = db.prepare('SELECT raw FROM reviews WHERE id = ?').pluck();
+
+const upsertReview = db.prepare(`
+  INSERT INTO reviews (
+    id, source, source_review_id, type, status, rating, rating_scale, normalized_rating, public_review,
+    review_category, submitted_at, guest_name, listing_id, listing_name, channel,
+    sentiment_score, sentiment_label, sentiment_sentences, topics, data_source, raw, created_at, updated_at
+  ) VALUES (
+    @id, @source, @sourceReviewId, @type, @status, @rating, @ratingScale, @normalizedRating, @publicReview,
+    @reviewCategory, @submittedAt, @guestName, @listingId, @listingName, @channel,
+    @sentimentScore, @sentimentLabel, @sentimentSentences, @topics, @dataSource, @raw, @now, @now
+  )
+  ON CONFLICT (id) DO UPDATE SET
+    type = excluded.type,
+    status = excluded.status,
+    rating = excluded.rating,
+    rating_scale = excluded.rating_scale,
+    normalized_rating = excluded.normalized_rating,
+    public_review = excluded.public_review,
+    review_category = excluded.review_category,
+    submitted_at = excluded.submitted_at,
+    guest_name = excluded.guest_name,
+    listing_id = excluded.listing_id,
+    listing_name = excluded.listing_name,
+    channel = excluded.channel,
+    sentiment_score = excluded.sentiment_score,
+    sentiment_label = excluded.sentiment_label,
+    sentiment_sentences = excluded.sentiment_sentences,
+    topics = excluded.topics,
+    data_source = excluded.data_source,
+    raw = excluded.raw,
+    updated_at = excluded.updated_at
+`);
+
+const deleteCategories = db.prepare('DELETE FROM review_categories WHERE review_id = ?');
+
+const insertCategory = db.prepare(`
+  INSERT OR REPLACE INTO review_categories (review_id, category, rating, normalized_rating)
+  VALUES (?, ?, ?, ?)
+`);
+
+const updateTopics = db.prepare('UPDATE reviews SET topics = ? WHERE id = ?');
+
+const deleteTopics = db.prepare('DELETE FROM review_topics WHERE review_id = ?');
+
+const insertTopic = db.prepare('INSERT OR REPLACE INTO review_topics (review_id, topic, polarity) VALUES (?, ?, ?)');
+
+/**
+ * Replaces a review's per-topic rows, which the topic filter and analytics query
+ * @param {string} reviewId - Review ID
+ * @param {object[]} topics - Topics from tagTopics
+ */
+const replaceTopicRows = (reviewId, topics) => {
+  deleteTopics.run(reviewId);
+  topics.forEach(({ topic, polarity }) => insertTopic.run(reviewId, topic, polarity));
+};
+
+const upsertApproval = db.prepare(`
+  INSERT INTO review_approvals (review_id, display_on_website, updated_at)
+  VALUES (?, ?, ?)
+  ON CONFLICT (review_id) DO UPDATE SET
+    display_on_website = excluded.display_on_website,
+    updated_at = excluded.updated_at
+`);
+
+const selectApproval = db.prepare('SELECT display_on_website FROM review_approvals WHERE review_id = ?');
+
+const insertAudit = db.prepare(`
+  INSERT INTO approval_audit (review_id, old_value, new_value, actor_user_id, actor_name, reason, created_at)
+  VALUES (@reviewId, @oldValue, @newValue, @actorUserId, @actorName, @reason, @createdAt)
+`);
+
+/**
+ * Converts an approval_audit row into the shape returned by the API
+ * @param {object} row - Row from the approval_audit table
+ * @returns {object} Audit entry
+ */
+const rowToAuditEntry = (row) => ({
+  id: row.id,
+  reviewId: row.review_id,
+  oldValue: row.old_value === 1,
+  newValue: row.new_value === 1,
+  actor: { id: row.actor_user_id, name: row.actor_name },
+  reason: row.reason,
+  createdAt: row.created_at
+});
+
+/**
+ * Checks whether a review is in the store
+ * @param {string} reviewId - Review ID, e.g. "hostaway:1001"
+ * @returns {boolean} Whether the review exists
+ */
+const reviewExists = (reviewId) => Boolean(selectReviewExists.get(reviewId));
+
+/**
+ * Returns the number of stored reviews
+ * @returns {number} Review count
+ */
+const countReviews = () => db.prepare('SELECT COUNT(*) AS count FROM reviews').get().count;
+
+/**
+ * Returns the number of stored reviews that came from the real Hostaway API,
+ * whether fetched by a sync or pushed by a webhook
+ * @returns {number} Review count
+ */
+const countRealReviews = () => db.prepare(`
+  SELECT COUNT(*) AS count FROM reviews WHERE data_source IN ('real_api', 'webhook')
+`).get().count;
+
+/**
+ * Inserts or updates normalized reviews in a single transaction
+ * @param {object[]} entries - Objects with the normalized `review` and its `raw` payload
+ * @param {string} dataSource - Source of the data ('real_api', 'webhook', 'mock_data' or 'google_places')
+ * @returns {object} Counts of inserted and updated reviews, the IDs of the inserted ones,
+ * and the IDs of updated reviews whose source data actually changed
+ */
+const upsertReviews = db.transaction((entries, dataSource) => {
+  const now = new Date().toISOString();
+  const counts = { inserted: 0, updated: 0, insertedIds: [], changedIds: [] };
+
+  entries.forEach(({ review, raw }) => {
+    const storedRaw = selectStoredRaw.get(review.id);
+    if (storedRaw !== undefined) {
+      counts.updated++;
+      if (storedRaw !== JSON.stringify(raw)) counts.changedIds.push(review.id);
+    } else {
+      counts.inserted++;
+      counts.insertedIds.push(review.id);
+    }
+
+    upsertReview.run({
+      ...review,
+      reviewCategory: JSON.stringify(review.reviewCategory),
+      sentimentScore: review.sentiment.score,
+      sentimentLabel: review.sentiment.label,
+      sentimentSentences: JSON.stringify(review.sentiment.sentences),
+      topics: JSON.stringify(review.topics),
+      dataSource,
+      raw: JSON.stringify(raw),
+      now
+    });
+
+    // Keep the per-category rows in step with the review
+    deleteCategories.run(review.id);
+    review.reviewCategory.forEach(cat => {
+      if (cat && typeof cat.category === 'string' && typeof cat.rating === 'number') {
+        insertCategory.run(review.id, cat.category, cat.rating, toNormalizedRating(cat.rating, review.ratingScale));
+      }
+    });
+    replaceTopicRows(review.id, review.topics);
+  });
+
+  return counts;
+});
+
+/**
+ * Persists the website display flag for a review and records the change in the audit log.
+ * Setting the value a review already has (reviews start hidden) changes nothing and is
+ * not logged, though a first decision is still stored so the review no longer awaits one.
+ * @param {string} reviewId - Review ID
+ * @param {boolean} displayOnWebsite - Whether the review is shown publicly
+ * @param {object} change
+ * @param {object} change.actor - Who made the change: a user ({ id, username }) or a system actor ({ username })
+ * @param {string} [change.reason] - Optional explanation
+ * @returns {object|null} The audit entry, or null when nothing changed
+ */
+const setApproval = db.transaction((reviewId, displayOnWebsite, { actor, reason = null }) => {
+  const current = selectApproval.get(reviewId);
+  const oldValue = current ? current.display_on_website : 0;
+  const newValue = displayOnWebsite ? 1 : 0;
+  const now = new Date().toISOString();
+  if (oldValue === newValue) {
+    // Hiding a review nobody has decided on keeps it hidden, but still marks it decided
+    if (!current) upsertApproval.run(reviewId, newValue, now);
+    return null;
+  }
+
+  upsertApproval.run(reviewId, newValue, now);
+  const { lastInsertRowid } = insertAudit.run({
+    reviewId,
+    oldValue,
+    newValue,
+    actorUserId: actor.id ?? null,
+    actorName: actor.username,
+    reason: reason || null,
+    createdAt: now
+  });
+
+  return rowToAuditEntry(db.prepare('SELECT * FROM approval_audit WHERE id = ?').get(lastInsertRowid));
+});
+
+/**
+ * Sets the website display flag for many reviews in one transaction, so either
+ * every change is stored or none is. Unknown IDs are skipped and reported.
+ * @param {string[]} reviewIds - Review IDs
+ * @param {boolean} displayOnWebsite - Whether the reviews are shown publicly
+ * @param {object} change - Actor and optional reason, as for setApproval
+ * @returns {object[]} Per-ID results with status 'updated', 'unchanged' or 'not_found'
+ */
+const setApprovals = db.transaction((reviewIds, displayOnWebsite, change) => reviewIds.map(reviewId => {
+  if (!reviewExists(reviewId)) {
+    return { id: reviewId, status: 'not_found' };
+  }
+  const auditEntry = setApproval(reviewId, displayOnWebsite, change);
+  return { id: reviewId, status: auditEntry ? 'updated' : 'unchanged', displayOnWebsite };
+}));
+
+/**
+ * Returns the approval change history for a review, newest first
+ * @param {string} reviewId - Review ID
+ * @returns {object[]} Audit entries
+ */
+const getApprovalHistory = (reviewId) => db.prepare(`
+  SELECT * FROM approval_audit WHERE review_id = ? ORDER BY id DESC
+`).all(reviewId).map(rowToAuditEntry);
+
+/**
+ * Reads all sync metadata as a plain object
+ * @returns {object} Sync metadata keyed by name
+ */
+const getSyncMeta = () => db.prepare('SELECT key, value FROM sync_meta').all()
+  .reduce((acc, { key, value }) => {
+    acc[key] = JSON.parse(value);
+    return acc;
+  }, {});
+
+/**
+ * Stores sync metadata values
+ * @param {object} values - Metadata keyed by name
+ */
+const setSyncMeta = (values) => {
+  const upsert = db.prepare(`
+    INSERT INTO sync_meta (key, value) VALUES (?, ?)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value
+  `);
+  db.transaction(() => {
+    Object.entries(values).forEach(([key, value]) => upsert.run(key, JSON.stringify(value)));
+  })();
+};
+
+/**
+ * Tags every stored review again when the topic taxonomy has changed since the
+ * last run (or reviews have never been tagged), so filters and charts use the current topics
+ * @returns {number} Number of reviews re-tagged, 0 when the taxonomy is unchanged
+ */
+const retagTopicsIfChanged = () => {
+  if (getSyncMeta().topicsVersion === TAXONOMY_VERSION) return 0;
+
+  const rows = db.prepare('SELECT id, public_review FROM reviews').all();
+  db.transaction(() => {
+    rows.forEach(row => {
+      const topics = tagTopics(row.public_review);
+      updateTopics.run(JSON.stringify(topics), row.id);
+      replaceTopicRows(row.id, topics);
+    });
+    setSyncMeta({ topicsVersion: TAXONOMY_VERSION });
+  })();
+  return rows.length;
+};
+
+module.exports = {
+  ANNOTATION_COLUMNS,
+  rowToReview,
+  reviewExists,
+  countReviews,
+  countRealReviews,
+  upsertReviews,
+  setApproval,
+  setApprovals,
+  getApprovalHistory,
+  getSyncMeta,
+  setSyncMeta,
+  retagTopicsIfChanged
+};
@@ -0,0 +1,284 @@
+const db = require('./db');
+const reviewStore = require('./reviewStore');
+const { toNormalizedRating } = require('./normalize');
+const { WORKFLOW_JOIN, WORKFLOW_COLUMNS } = require('./workflow');
+const { REPLY_COLUMN } = require('./reviewReplies');
+
+// What a matching rule does with a new review
+const ACTIONS = ['auto_approve', 'auto_hide', 'flag'];
+
+// Most matching reviews returned by a dry run
+const PREVIEW_LIMIT = 50;
+
+/**
+ * Builds an error that the API returns with a 400 status
+ * @param {string} message - Validation message
+ * @returns {Error} Error with `status` 400
+ */
+const validationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Reads an optional number, rejecting anything that isn't one
+ * @param {*} value - Input value
+ * @param {string} field - Field name for the error message
+ * @returns {number|null} The number, or null when not set
+ */
+const optionalNumber = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw validationError(`${field} must be a non-negative number.`);
+  }
+  return value;
+};
+
+/**
+ * Reads an optional list of non-empty strings
+ * @param {*} value - Input value
+ * @param {string} field - Field name for the error message
+ * @returns {string[]} Trimmed strings
+ */
+const stringList = (value, field) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+    throw validationError(`${field} must be a list of strings.`);
+  }
+  return value.map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Validates rule input from the API and fills in defaults
+ * @param {object} input - Request body
+ * @returns {object} Rule with name, enabled, priority, action and conditions
+ * @throws {Error} With `status` 400 when the input is invalid
+ */
+const validateRule = (input = {}) => {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) throw validationError('Rule name is required.');
+  if (!ACTIONS.includes(input.action)) {
+    throw validationError(`action must be one of: ${ACTIONS.join(', ')}`);
+  }
+  if (input.priority !== undefined && !Number.isInteger(input.priority)) {
+    throw validationError('priority must be a whole number.');
+  }
+
+  const conditions = input.conditions || {};
+  const minCategoryRatings = conditions.minCategoryRatings || {};
+  if (typeof minCategoryRatings !== 'object' || Array.isArray(minCategoryRatings)) {
+    throw validationError('minCategoryRatings must map categories to ratings.');
+  }
+
+  return {
+    name,
+    enabled: input.enabled !== false,
+    priority: input.priority ?? 0,
+    action: input.action,
+    conditions: {
+      minRating: optionalNumber(conditions.minRating, 'minRating'),
+      maxRating: optionalNumber(conditions.maxRating, 'maxRating'),
+      minCategoryRatings: Object.fromEntries(
+        Object.entries(minCategoryRatings)
+          .map(([category, rating]) => [category, optionalNumber(rating, `minCategoryRatings.${category}`)])
+          .filter(([, rating]) => rating !== null)
+      ),
+      listings: stringList(conditions.listings, 'listings'),
+      channels: stringList(conditions.channels, 'channels'),
+      minTextLength: optionalNumber(conditions.minTextLength, 'minTextLength'),
+      maxTextLength: optionalNumber(conditions.maxTextLength, 'maxTextLength'),
+      excludedKeywords: stringList(conditions.excludedKeywords, 'excludedKeywords')
+    }
+  };
+};
+
+/**
+ * Checks a normalized review against a rule's conditions. Every condition that
+ * is set must hold; a review missing a rating or category never matches one.
+ * Rating conditions are out of 10 and compared with the review's normalized
+ * ratings, so one rule covers reviews from every source.
+ * @param {object} conditions - Rule conditions from validateRule
+ * @param {object} review - Normalized review
+ * @returns {boolean} Whether the review matches
+ */
+const matchesConditions = (conditions, review) => {
+  const rating = review.normalizedRating;
+  if (conditions.minRating !== null && !(typeof rating === 'number' && rating >= conditions.minRating)) return false;
+  if (conditions.maxRating !== null && !(typeof rating === 'number' && rating <= conditions.maxRating)) return false;
+
+  // Hostaway's category list is stored as received, so skip entries that aren't a rated category
+  const categoryRatings = Object.fromEntries(
+    (review.reviewCategory || [])
+      .filter(cat => cat && typeof cat.category === 'string' && typeof cat.rating === 'number')
+      .map(({ category, rating: categoryRating }) => [
+        category,
+        toNormalizedRating(categoryRating, review.ratingScale)
+      ])
+  );
+  const categoriesMet = Object.entries(conditions.minCategoryRatings).every(([category, min]) =>
+    typeof categoryRatings[category] === 'number' && categoryRatings[category] >= min
+  );
+  if (!categoriesMet) return false;
+
+  if (conditions.listings.length && !conditions.listings.includes(review.listingName)) return false;
+  if (conditions.channels.length && !conditions.channels.includes(review.channel)) return false;
+
+  const text = (review.publicReview || '').trim();
+  if (conditions.minTextLength !== null && text.length < conditions.minTextLength) return false;
+  if (conditions.maxTextLength !== null && text.length > conditions.maxTextLength) return false;
+
+  const lowerText = text.toLowerCase();
+  return !conditions.excludedKeywords.some(keyword => lowerText.includes(keyword.toLowerCase()));
+};
+
+/**
+ * Converts an approval_rules row into the shape returned by the API
+ * @param {object} row - Row from the approval_rules table
+ * @returns {object} Rule
+ */
+const rowToRule = (row) => ({
+  id: row.id,
+  name: row.name,
+  enabled: row.enabled === 1,
+  priority: row.priority,
+  action: row.action,
+  conditions: JSON.parse(row.conditions),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Returns every rule in evaluation order: lowest priority number first
+ * @returns {object[]} Rules
+ */
+const listRules = () => db.prepare('SELECT * FROM approval_rules ORDER BY priority, id')
+  .all()
+  .map(rowToRule);
+
+/**
+ * Returns a single rule
+ * @param {number} ruleId - Rule ID
+ * @returns {object|null} Rule, or null if it doesn't exist
+ */
+const getRule = (ruleId) => {
+  const row = db.prepare('SELECT * FROM approval_rules WHERE id = ?').get(ruleId);
+  return row ? rowToRule(row) : null;
+};
+
+/**
+ * Creates a rule
+ * @param {object} input - Rule fields, validated with validateRule
+ * @returns {object} The created rule
+ */
+const createRule = (input) => {
+  const rule = validateRule(input);
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO approval_rules (name, enabled, priority, conditions, action, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(rule.name, rule.enabled ? 1 : 0, rule.priority, JSON.stringify(rule.conditions), rule.action, now, now);
+  return getRule(lastInsertRowid);
+};
+
+/**
+ * Replaces a rule's fields
+ * @param {number} ruleId - Rule ID
+ * @param {object} input - Rule fields, validated with validateRule
+ * @returns {object|null} The updated rule, or null if it doesn't exist
+ */
+const updateRule = (ruleId, input) => {
+  const rule = validateRule(input);
+  const { changes } = db.prepare(`
+    UPDATE approval_rules
+    SET name = ?, enabled = ?, priority = ?, conditions = ?, action = ?, updated_at = ?
+    WHERE id = ?
+  `).run(rule.name, rule.enabled ? 1 : 0, rule.priority, JSON.stringify(rule.conditions), rule.action,
+    new Date().toISOString(), ruleId);
+  return changes ? getRule(ruleId) : null;
+};
+
+/**
+ * Deletes a rule. Decisions it already made are kept under the rule's name.
+ * @param {number} ruleId - Rule ID
+ * @returns {boolean} Whether a rule was deleted
+ */
+const deleteRule = (ruleId) => db.prepare('DELETE FROM approval_rules WHERE id = ?').run(ruleId).changes > 0;
+
+const selectReviews = (where = '') => db.prepare(`
+  SELECT r.*, a.display_on_website, ${WORKFLOW_COLUMNS}, ${reviewStore.ANNOTATION_COLUMNS}, ${REPLY_COLUMN}
+  FROM reviews r
+  LEFT JOIN review_approvals a ON a.review_id = r.id
+  ${WORKFLOW_JOIN}
+  ${where}
+  ORDER BY r.submitted_at DESC, r.id DESC
+`);
+
+/**
+ * Dry-runs a rule against every stored review without changing anything
+ * @param {object} input - Rule fields, validated with validateRule
+ * @returns {object} Match count, how many would change, and the first matching reviews
+ */
+const previewRule = (input) => {
+  const rule = validateRule(input);
+  const matches = selectReviews().all()
+    .map(reviewStore.rowToReview)
+    .filter(review => matchesConditions(rule.conditions, review));
+
+  let wouldChange = 0;
+  if (rule.action === 'auto_approve') wouldChange = matches.filter(review => !review.displayOnWebsite).length;
+  if (rule.action === 'auto_hide') wouldChange = matches.filter(review => review.displayOnWebsite).length;
+
+  return {
+    matchCount: matches.length,
+    wouldChange,
+    reviews: matches.slice(0, PREVIEW_LIMIT)
+  };
+};
+
+const insertDecision = db.prepare(`
+  INSERT OR IGNORE INTO rule_decisions (review_id, rule_id, rule_name, action, decided_at)
+  VALUES (?, ?, ?, ?, ?)
+`);
+
+/**
+ * Runs the enabled rules over newly stored reviews. The first matching rule
+ * decides each review, and the decision is recorded with the rule that made it.
+ * @param {string[]} reviewIds - IDs of reviews that were just inserted
+ * @returns {object} Number of reviews decided per action
+ */
+const applyRules = db.transaction((reviewIds) => {
+  const counts = { auto_approve: 0, auto_hide: 0, flag: 0 };
+  const rules = listRules().filter(rule => rule.enabled);
+  if (!rules.length || !reviewIds.length) return counts;
+
+  const selectReview = selectReviews('WHERE r.id = ?');
+  const now = new Date().toISOString();
+
+  reviewIds.forEach(reviewId => {
+    const row = selectReview.get(reviewId);
+    if (!row) return;
+
+    const review = reviewStore.rowToReview(row);
+    const rule = rules.find(candidate => matchesConditions(candidate.conditions, review));
+    if (!rule) return;
+
+    if (rule.action !== 'flag') {
+      reviewStore.setApproval(reviewId, rule.action === 'auto_approve', {
+        actor: { id: null, username: `Rule: ${rule.name}` },
+        reason: `Matched auto-approval rule #${rule.id}`
+      });
+    }
+    insertDecision.run(reviewId, rule.id, rule.name, rule.action, now);
+    counts[rule.action]++;
+  });
+
+  return counts;
+});
+
+module.exports = {
+  ACTIONS,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  previewRule,
+  applyRules
+};
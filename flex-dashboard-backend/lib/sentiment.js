@@ -0,0 +1,102 @@
+const Sentiment = require('sentiment');
+
+// Word-list (AFINN) scorer; runs offline and handles simple negation ("not clean")
+const analyzer = new Sentiment();
+
+// Words guests use about stays that the general-purpose list misses or underrates
+const STAY_WORDS = {
+  unfortunately: -2,
+  noisy: -2,
+  loud: -2,
+  smelly: -2,
+  stained: -2,
+  mould: -3,
+  mold: -3,
+  leaking: -2,
+  cramped: -2,
+  broken: -2,
+  unreliable: -2,
+  spotty: -2,
+  patchy: -2,
+  slow: -1,
+  freezing: -2,
+  missing: -2,
+  overpriced: -2,
+  tidy: 2,
+  // Neutral in reviews: "the street noise was noticeable"
+  noticeable: 0,
+  cozy: 2,
+  comfy: 2,
+  immaculate: 3,
+  spotless: 3
+};
+
+// The word list only negates the word right after "not", so "not as clean as we expected"
+// is reduced to "not clean" before scoring
+const SOFTENED_NEGATION = /\bnot\s+(?:as|so|that|very|too|really|particularly)\s+/gi;
+
+const SENTIMENT_LABELS = ['positive', 'mixed', 'negative', 'neutral'];
+
+// A review is mixed when its weaker side carries at least this share of the scored words' weight,
+// e.g. "Great location. The check-in was confusing."
+const MIXED_SHARE = 0.15;
+
+// Sentences kept as the reason for a review's label
+const MAX_DRIVING_SENTENCES = 3;
+
+/**
+ * Splits review text into sentences on end punctuation and line breaks
+ * @param {string} text - Review text
+ * @returns {string[]} Trimmed, non-empty sentences
+ */
+const splitSentences = (text) => text
+  .split(/(?<=[.!?])\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+/**
+ * Scores each sentiment-bearing word in a piece of text
+ * @param {string} text - Sentence or clause
+ * @returns {number[]} Word scores, positive for praise and negative for complaints
+ */
+const scoreWords = (text) => analyzer.analyze(text.replace(SOFTENED_NEGATION, 'not '), { extras: STAY_WORDS }).calculation
+  .map(entry => Object.values(entry)[0]);
+
+/**
+ * Scores the sentiment of review text with a word list, sentence by sentence
+ * @param {string} text - Review text (publicReview)
+ * @returns {object} score from -1 (all negative) to 1 (all positive), label
+ * ('positive', 'mixed', 'negative' or 'neutral') and the sentences that weighed
+ * most, each with its own score
+ */
+const analyzeSentiment = (text) => {
+  const sentences = splitSentences(text || '').map(sentence => {
+    const wordScores = scoreWords(sentence);
+    return {
+      text: sentence,
+      positive: wordScores.filter(score => score > 0).reduce((sum, score) => sum + score, 0),
+      negative: -wordScores.filter(score => score < 0).reduce((sum, score) => sum + score, 0)
+    };
+  });
+
+  const positive = sentences.reduce((sum, sentence) => sum + sentence.positive, 0);
+  const negative = sentences.reduce((sum, sentence) => sum + sentence.negative, 0);
+  const weight = positive + negative;
+  if (!weight) return { score: 0, label: 'neutral', sentences: [] };
+
+  const score = parseFloat(((positive - negative) / weight).toFixed(2));
+  let label = score > 0 ? 'positive' : 'negative';
+  if (Math.min(positive, negative) / weight >= MIXED_SHARE) label = 'mixed';
+
+  return {
+    score,
+    label,
+    sentences: sentences
+      .filter(sentence => sentence.positive + sentence.negative > 0)
+      .sort((a, b) => (b.positive + b.negative) - (a.positive + a.negative))
+      .slice(0, MAX_DRIVING_SENTENCES)
+      .map(sentence => ({ text: sentence.text, score: sentence.positive - sentence.negative }))
+  };
+};
+
+module.exports = { SENTIMENT_LABELS, splitSentences, scoreWords, analyzeSentiment };
@@ -0,0 +1,216 @@
+const fs = require('fs/promises');
+const path = require('path');
+const db = require('./db');
+const { fetchHostawayReviews, getReviewChangedAt, hostawayImportProgress } = require('./hostaway');
+const { ingestReviews } = require('./ingest');
+const { importGoogleReviews } = require('./googleReviews');
+const reviewStore = require('./reviewStore');
+
+// Minutes between scheduled background syncs; 0 disables the scheduler
+const SYNC_INTERVAL_MINUTES = Number(process.env.SYNC_INTERVAL_MINUTES ?? 15);
+
+// Number of past runs returned by the status endpoint
+const RECENT_RUNS_LIMIT = 10;
+
+/**
+ * Read mock reviews from file
+ */
+const readMockReviews = async () => {
+  try {
+    const data = await fs.readFile(path.join(__dirname, '..', 'mock-reviews.json'), 'utf8');
+    const reviewsData = JSON.parse(data);
+    return reviewsData.result || [];
+  } catch (error) {
+    console.error('❌ Error reading mock reviews:', error);
+    return [];
+  }
+};
+
+const insertRun = db.prepare(`
+  INSERT INTO sync_runs (trigger, status, since, started_at)
+  VALUES (?, 'running', ?, ?)
+`);
+
+const finishRun = db.prepare(`
+  UPDATE sync_runs SET
+    status = @status,
+    data_source = @dataSource,
+    fetched = @fetched,
+    inserted = @inserted,
+    updated = @updated,
+    error = @error,
+    finished_at = @finishedAt,
+    duration_ms = @durationMs
+  WHERE id = @id
+`);
+
+/**
+ * Converts a sync_runs row into the shape returned by the API
+ * @param {object} row - Row from the sync_runs table
+ * @returns {object} Sync run
+ */
+const rowToRun = (row) => ({
+  id: row.id,
+  trigger: row.trigger,
+  status: row.status,
+  since: row.since,
+  dataSource: row.data_source,
+  fetched: row.fetched,
+  inserted: row.inserted,
+  updated: row.updated,
+  error: row.error,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at,
+  durationMs: row.duration_ms
+});
+
+// Runs still marked as running were interrupted by a restart
+db.prepare(`
+  UPDATE sync_runs SET status = 'failed', error = 'Interrupted by server restart'
+  WHERE status = 'running'
+`).run();
+
+// Promise for the sync currently in progress, shared by concurrent callers
+let currentSync = null;
+let nextScheduledSyncAt = null;
+
+/**
+ * Pulls new and changed reviews from Hostaway, normalizes them and stores them,
+ * then imports Google reviews for listings linked to a Google place.
+ * Only reviews changed since the stored watermark are requested unless a full
+ * sync is asked for. Falls back to mock data only while the store holds no
+ * real reviews, so real reviews keep being served when Hostaway is slow or down.
+ * @param {object} options
+ * @param {string} options.trigger - What started the run (startup, scheduled, manual, cli)
+ * @param {boolean} options.full - Ignore the watermark and fetch every review
+ * @returns {object} The finished sync run
+ */
+const runSync = async ({ trigger, full }) => {
+  const { hostawayWatermark = null } = reviewStore.getSyncMeta();
+  const since = full ? null : hostawayWatermark;
+  const startedAt = new Date();
+  const runId = insertRun.run(trigger, since, startedAt.toISOString()).lastInsertRowid;
+
+  console.log(`🔄 Syncing reviews from Hostaway (${trigger}${since ? `, since ${since}` : ', full'})...`);
+
+  const outcome = { status: 'success', dataSource: null, fetched: 0, inserted: 0, updated: 0, error: null };
+
+  try {
+    let reviewsToProcess = [];
+    let dataSource = 'real_api';
+
+    try {
+      reviewsToProcess = await fetchHostawayReviews({ since });
+    } catch (fetchError) {
+      if (reviewStore.countRealReviews() > 0) {
+        throw fetchError; // Keep serving the stored reviews
+      }
+      outcome.error = fetchError.message;
+    }
+
+    // Reload mock data until real reviews arrive, so edits to the mock file are picked up
+    if (reviewsToProcess.length === 0 && reviewStore.countRealReviews() === 0) {
+      console.log('📁 No real reviews stored and Hostaway returned nothing, loading mock reviews...');
+      reviewsToProcess = await readMockReviews();
+      dataSource = 'mock_data';
+    }
+
+    const { stored, inserted, updated, decisions } = ingestReviews(reviewsToProcess, dataSource);
+
+    // Advance the watermark from real API data only, so mock data never hides real reviews
+    const meta = { lastSyncedAt: new Date().toISOString(), lastDataSource: dataSource };
+    if (dataSource === 'real_api') {
+      const newestChange = reviewsToProcess.map(getReviewChangedAt).sort().pop();
+      if (newestChange && (!hostawayWatermark || newestChange > hostawayWatermark)) {
+        meta.hostawayWatermark = newestChange;
+      }
+    }
+    reviewStore.setSyncMeta(meta);
+
+    Object.assign(outcome, { dataSource, fetched: reviewsToProcess.length, inserted, updated });
+    console.log(`✅ Synced ${stored} reviews from ${dataSource} (${inserted} new, ${updated} updated)`);
+    if (decisions.auto_approve || decisions.auto_hide || decisions.flag) {
+      console.log(`🤖 Rules: ${decisions.auto_approve} auto-approved, ${decisions.auto_hide} auto-hidden, ${decisions.flag} flagged`);
+    }
+
+    // Google reviews for linked listings ride along; they never fail the Hostaway sync
+    const google = await importGoogleReviews();
+    if (google.places) {
+      console.log(`✅ Imported Google reviews for ${google.places} linked listing(s) (${google.inserted} new, ${google.updated} updated)`);
+    }
+  } catch (error) {
+    console.error('❌ Review sync failed:', error.response?.data || error.message);
+    Object.assign(outcome, { status: 'failed', error: error.response?.data?.message || error.message });
+  }
+
+  const finishedAt = new Date();
+  finishRun.run({
+    id: runId,
+    ...outcome,
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt
+  });
+
+  return rowToRun(db.prepare('SELECT * FROM sync_runs WHERE id = ?').get(runId));
+};
+
+/**
+ * Runs a sync, or joins the one already in progress
+ * @param {object} [options]
+ * @param {string} [options.trigger] - What started the run
+ * @param {boolean} [options.full] - Ignore the watermark and fetch every review
+ * @returns {Promise<object>} The finished sync run
+ */
+const syncReviews = ({ trigger = 'manual', full = false } = {}) => {
+  if (!currentSync) {
+    currentSync = runSync({ trigger, full }).finally(() => {
+      currentSync = null;
+    });
+  }
+  return currentSync;
+};
+
+/**
+ * Starts the background scheduler that syncs on a fixed interval
+ */
+const startSyncScheduler = () => {
+  if (!SYNC_INTERVAL_MINUTES || SYNC_INTERVAL_MINUTES <= 0) {
+    console.log('⏸️ Scheduled review sync disabled (SYNC_INTERVAL_MINUTES=0)');
+    return;
+  }
+
+  const intervalMs = SYNC_INTERVAL_MINUTES * 60 * 1000;
+  nextScheduledSyncAt = new Date(Date.now() + intervalMs);
+
+  setInterval(() => {
+    nextScheduledSyncAt = new Date(Date.now() + intervalMs);
+    syncReviews({ trigger: 'scheduled' });
+  }, intervalMs);
+
+  console.log(`⏰ Scheduled review sync every ${SYNC_INTERVAL_MINUTES} minute(s)`);
+};
+
+/**
+ * Summarizes sync state for the dashboard
+ * @returns {object} Current progress, last successful sync and recent runs
+ */
+const getSyncStatus = () => {
+  const recentRuns = db.prepare('SELECT * FROM sync_runs ORDER BY id DESC LIMIT ?')
+    .all(RECENT_RUNS_LIMIT)
+    .map(rowToRun);
+  const lastSuccess = db.prepare(`
+    SELECT * FROM sync_runs WHERE status = 'success' ORDER BY id DESC LIMIT 1
+  `).get();
+
+  return {
+    running: currentSync !== null,
+    progress: hostawayImportProgress,
+    lastSuccessfulSyncAt: lastSuccess ? lastSuccess.finished_at : null,
+    lastRun: recentRuns[0] || null,
+    recentRuns,
+    intervalMinutes: SYNC_INTERVAL_MINUTES,
+    nextScheduledSyncAt: nextScheduledSyncAt ? nextScheduledSyncAt.toISOString() : null
+  };
+};
+
+module.exports = { syncReviews, startSyncScheduler, getSyncStatus };
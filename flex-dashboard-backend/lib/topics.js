@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { splitSentences, scoreWords } = require('./sentiment');
+
+// Topic taxonomy: each topic's ID, label and the words or phrases that mention it
+const TOPICS_FILE = process.env.TOPICS_FILE || path.join(__dirname, '..', 'config', 'topics.json');
+
+const TOPIC_POLARITIES = ['positive', 'negative', 'neutral'];
+
+// Where a sentence turns, so "clean, but the street was noisy" praises one topic and faults another
+const CLAUSE_BREAK = /[;:]\s*|,?\s+\b(?:but|although|though|however|except|whereas|yet)\b\s+/i;
+
+/**
+ * Reads and checks the topic taxonomy
+ * @param {string} file - Path of the taxonomy JSON
+ * @returns {object[]} Topics with id, label and a regex matching their phrases
+ * @throws {Error} When the file is missing or malformed, so a bad config stops startup
+ */
+const loadTaxonomy = (file) => {
+  const { topics } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(topics) || !topics.length) {
+    throw new Error(`${file} must list at least one topic.`);
+  }
+
+  return topics.map(topic => {
+    const valid = typeof topic.id === 'string' && /^[a-z0-9_]+$/.test(topic.id)
+      && typeof topic.label === 'string'
+      && Array.isArray(topic.phrases) && topic.phrases.length
+      && topic.phrases.every(phrase => typeof phrase === 'string' && phrase.trim());
+    if (!valid) {
+      throw new Error(`Invalid topic in ${file}: each needs an id (a-z, 0-9, _), a label and a list of phrases.`);
+    }
+
+    const alternatives = topic.phrases
+      .map(phrase => phrase.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+      .join('|');
+    return { id: topic.id, label: topic.label, pattern: new RegExp(`\\b(?:${alternatives})\\b`, 'i') };
+  });
+};
+
+const taxonomy = loadTaxonomy(TOPICS_FILE);
+
+// Topic IDs and labels, for filters and charts
+const TOPICS = taxonomy.map(({ id, label }) => ({ id, label }));
+
+// Changes whenever the taxonomy file does, so stored reviews can be re-tagged
+const TAXONOMY_VERSION = crypto.createHash('sha256').update(fs.readFileSync(TOPICS_FILE)).digest('hex').slice(0, 16);
+
+/**
+ * Tags review text with the topics it mentions. Each topic is positive or negative
+ * by the sentiment of the clauses that mention it, or neutral when they carry none.
+ * @param {string} text - Review text (publicReview)
+ * @returns {object[]} Topics in taxonomy order, each with its polarity and the clause
+ * that weighed most (the snippet shown to managers)
+ */
+const tagTopics = (text) => {
+  const clauses = splitSentences(text || '')
+    .flatMap(sentence => sentence.split(CLAUSE_BREAK))
+    .map(clause => clause.trim())
+    .filter(Boolean)
+    .map(clause => ({ text: clause, score: scoreWords(clause).reduce((sum, score) => sum + score, 0) }));
+
+  return taxonomy.flatMap(topic => {
+    const mentions = clauses.filter(clause => topic.pattern.test(clause.text));
+    if (!mentions.length) return [];
+
+    const score = mentions.reduce((sum, clause) => sum + clause.score, 0);
+    const polarity = score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral';
+    const snippet = mentions.reduce((strongest, clause) => (
+      Math.abs(clause.score) > Math.abs(strongest.score) ? clause : strongest
+    )).text;
+    return [{ topic: topic.id, polarity, snippet }];
+  });
+};
+
+/**
+ * Returns a topic's display label
+ * @param {string} topicId - Topic ID
+ * @returns {string} Label, or the ID for topics no longer in the taxonomy
+ */
+const getTopicLabel = (topicId) => TOPICS.find(topic => topic.id === topicId)?.label || topicId;
+
+module.exports = { TOPICS, TOPIC_POLARITIES, TAXONOMY_VERSION, tagTopics, getTopicLabel };
@@ -0,0 +1,232 @@
+const db = require('./db');
+
+const WORKFLOW_STATES = ['new', 'in_review', 'actioned', 'resolved'];
+
+// States each state can move to. Reviews are picked up, then either actioned (a reply,
+// a refund, a fix at the property) and resolved, or resolved directly when nothing needs
+// doing. Actioned and resolved reviews can be reopened.
+const TRANSITIONS = {
+  new: ['in_review'],
+  in_review: ['new', 'actioned', 'resolved'],
+  actioned: ['in_review', 'resolved'],
+  resolved: ['in_review']
+};
+
+// Joined onto `reviews r` wherever reviews are served, so each has its workflow
+const WORKFLOW_JOIN = `
+  LEFT JOIN review_workflow w ON w.review_id = r.id
+  LEFT JOIN users wu ON wu.id = w.assignee_user_id
+`;
+
+const WORKFLOW_COLUMNS = `
+  COALESCE(w.state, 'new') AS workflow_state, w.assignee_user_id, wu.username AS assignee_name,
+  w.due_date, w.needs_owner_attention, w.updated_by AS workflow_updated_by, w.updated_at AS workflow_updated_at
+`;
+
+const validationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Today's date in UTC ("2025-06-30"), which follow-up dates are compared with
+ * @returns {string} Date
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Builds a review's workflow from a row selected with WORKFLOW_COLUMNS
+ * @param {object} row - Row with the workflow columns
+ * @returns {object} State, the states it can move to, assignee, follow-up date,
+ * owner attention flag and last change
+ */
+const rowToWorkflow = (row) => {
+  const state = row.workflow_state || 'new';
+  return {
+    state,
+    nextStates: TRANSITIONS[state],
+    assignee: row.assignee_user_id ? { id: row.assignee_user_id, name: row.assignee_name } : null,
+    dueDate: row.due_date || null,
+    overdue: Boolean(row.due_date) && state !== 'resolved' && row.due_date < today(),
+    needsOwnerAttention: row.needs_owner_attention === 1,
+    updatedBy: row.workflow_updated_by || null,
+    updatedAt: row.workflow_updated_at || null
+  };
+};
+
+/**
+ * Returns a review's workflow
+ * @param {string} reviewId - Review ID
+ * @returns {object} Workflow, 'new' with nothing set when the review was never touched
+ */
+const getWorkflow = (reviewId) => rowToWorkflow(db.prepare(`
+  SELECT ${WORKFLOW_COLUMNS} FROM reviews r ${WORKFLOW_JOIN} WHERE r.id = ?
+`).get(reviewId));
+
+/**
+ * Returns the team members reviews can be assigned to
+ * @returns {object[]} Users with id and username, by name
+ */
+const listAssignees = () => db.prepare('SELECT id, username FROM users ORDER BY username').all();
+
+/**
+ * Checks a workflow change and resolves it against the current workflow
+ * @param {object} current - Current workflow
+ * @param {object} input - Fields to change: state, assigneeId, dueDate, needsOwnerAttention
+ * @returns {object} The workflow fields after the change
+ * @throws {Error} With status 400 for invalid input, 409 for a transition the current state doesn't allow
+ */
+const resolveChange = (current, input) => {
+  const fields = ['state', 'assigneeId', 'dueDate', 'needsOwnerAttention'];
+  if (!input || typeof input !== 'object' || !fields.some(field => input[field] !== undefined)) {
+    throw validationError(`Provide at least one of: ${fields.join(', ')}.`);
+  }
+
+  const next = {
+    state: current.state,
+    assigneeId: current.assignee ? current.assignee.id : null,
+    dueDate: current.dueDate,
+    needsOwnerAttention: current.needsOwnerAttention
+  };
+
+  if (input.state !== undefined && input.state !== current.state) {
+    if (!WORKFLOW_STATES.includes(input.state)) {
+      throw validationError(`state must be one of: ${WORKFLOW_STATES.join(', ')}.`);
+    }
+    if (!TRANSITIONS[current.state].includes(input.state)) {
+      throw Object.assign(
+        new Error(`A ${current.state.replace('_', ' ')} review can't move to ${input.state.replace('_', ' ')}.`),
+        { status: 409 }
+      );
+    }
+    next.state = input.state;
+  }
+
+  if (input.assigneeId !== undefined) {
+    if (input.assigneeId !== null
+      && !(Number.isInteger(input.assigneeId) && db.prepare('SELECT 1 FROM users WHERE id = ?').get(input.assigneeId))) {
+      throw validationError('assigneeId must be the ID of a team member, or null.');
+    }
+    next.assigneeId = input.assigneeId;
+  }
+
+  if (input.dueDate !== undefined) {
+    const valid = input.dueDate === null || (typeof input.dueDate === 'string'
+      && /^\d{4}-\d{2}-\d{2}$/.test(input.dueDate)
+      && !Number.isNaN(Date.parse(input.dueDate))
+      && new Date(input.dueDate).toISOString().startsWith(input.dueDate));
+    if (!valid) {
+      throw validationError('dueDate must be a date (YYYY-MM-DD), or null.');
+    }
+    next.dueDate = input.dueDate;
+  }
+
+  if (input.needsOwnerAttention !== undefined) {
+    if (typeof input.needsOwnerAttention !== 'boolean') {
+      throw validationError('needsOwnerAttention must be a boolean value.');
+    }
+    next.needsOwnerAttention = input.needsOwnerAttention;
+  }
+
+  return next;
+};
+
+const upsertWorkflow = db.prepare(`
+  INSERT INTO review_workflow (review_id, state, assignee_user_id, due_date, needs_owner_attention, updated_by, updated_at)
+  VALUES (@reviewId, @state, @assigneeId, @dueDate, @needsOwnerAttention, @updatedBy, @updatedAt)
+  ON CONFLICT (review_id) DO UPDATE SET
+    state = excluded.state,
+    assignee_user_id = excluded.assignee_user_id,
+    due_date = excluded.due_date,
+    needs_owner_attention = excluded.needs_owner_attention,
+    updated_by = excluded.updated_by,
+    updated_at = excluded.updated_at
+`);
+
+const insertAudit = db.prepare(`
+  INSERT INTO workflow_audit (review_id, from_state, to_state, changes, actor_user_id, actor_name, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+/**
+ * Converts a workflow_audit row into the shape returned by the API
+ * @param {object} row - Row from the workflow_audit table
+ * @returns {object} Audit entry
+ */
+const rowToAuditEntry = (row) => ({
+  id: row.id,
+  reviewId: row.review_id,
+  fromState: row.from_state,
+  toState: row.to_state,
+  changes: JSON.parse(row.changes),
+  actor: { id: row.actor_user_id, name: row.actor_name },
+  createdAt: row.created_at
+});
+
+/**
+ * Changes a review's workflow and records the change. Only the given fields change;
+ * state changes must follow TRANSITIONS. Setting values the review already has is a
+ * no-op and is not logged.
+ * @param {string} reviewId - Review ID
+ * @param {object} input - Fields to change: state, assigneeId, dueDate, needsOwnerAttention
+ * @param {object} actor - User making the change
+ * @returns {object} The workflow after the change, and the audit entry (null when nothing changed)
+ */
+const updateWorkflow = db.transaction((reviewId, input, actor) => {
+  const current = getWorkflow(reviewId);
+  const next = resolveChange(current, input);
+
+  // Assignee, date and flag changes as { from, to }, with assignees by name
+  const assigneeName = (id) => (id ? db.prepare('SELECT username FROM users WHERE id = ?').pluck().get(id) : null);
+  const changes = {};
+  if (next.assigneeId !== (current.assignee ? current.assignee.id : null)) {
+    changes.assignee = { from: current.assignee ? current.assignee.name : null, to: assigneeName(next.assigneeId) };
+  }
+  if (next.dueDate !== current.dueDate) {
+    changes.dueDate = { from: current.dueDate, to: next.dueDate };
+  }
+  if (next.needsOwnerAttention !== current.needsOwnerAttention) {
+    changes.needsOwnerAttention = { from: current.needsOwnerAttention, to: next.needsOwnerAttention };
+  }
+  if (next.state === current.state && !Object.keys(changes).length) {
+    return { workflow: current, auditEntry: null };
+  }
+
+  const now = new Date().toISOString();
+  upsertWorkflow.run({
+    reviewId,
+    state: next.state,
+    assigneeId: next.assigneeId,
+    dueDate: next.dueDate,
+    needsOwnerAttention: next.needsOwnerAttention ? 1 : 0,
+    updatedBy: actor.username,
+    updatedAt: now
+  });
+  const { lastInsertRowid } = insertAudit.run(
+    reviewId, current.state, next.state, JSON.stringify(changes), actor.id ?? null, actor.username, now
+  );
+
+  return {
+    workflow: getWorkflow(reviewId),
+    auditEntry: rowToAuditEntry(db.prepare('SELECT * FROM workflow_audit WHERE id = ?').get(lastInsertRowid))
+  };
+});
+
+/**
+ * Returns every workflow change for a review, newest first
+ * @param {string} reviewId - Review ID
+ * @returns {object[]} Audit entries
+ */
+const getWorkflowHistory = (reviewId) => db.prepare(`
+  SELECT * FROM workflow_audit WHERE review_id = ? ORDER BY id DESC
+`).all(reviewId).map(rowToAuditEntry);
+
+module.exports = {
+  WORKFLOW_STATES,
+  TRANSITIONS,
+  WORKFLOW_JOIN,
+  WORKFLOW_COLUMNS,
+  today,
+  rowToWorkflow,
+  getWorkflow,
+  listAssignees,
+  updateWorkflow,
+  getWorkflowHistory
+};
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+
+/**
+ * Creates a dashboard user in the local review store.
+ * Usage: npm run create-user -- <username> <password> [viewer|manager]
+ */
+require('dotenv').config();
+
+const { createUser } = require('../lib/auth');
+
+const [username, password, role = 'viewer'] = process.argv.slice(2);
+
+createUser(username, password, role)
+  .then(user => {
+    console.log(`👤 Created ${user.role} "${user.username}"`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Failed to create user:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the parts of the Hostaway API the backend uses, so syncs and
+ * review replies can be tested without a Hostaway account. It serves the reviews in
+ * mock-reviews.json and keeps replies in memory (they show as `revieweeResponse` on
+ * the reviews). Point the backend at it with HOSTAWAY_API_URL=http://localhost:4010/v1.
+ * The tests start it in-process through createHostawayStub.
+ * Usage: npm run hostaway-stub -- [--port 4010] [--fail-replies]
+ */
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const TOKEN = 'hostaway-stub-token';
+
+/**
+ * Builds the stand-in app, with its own copy of the mock reviews
+ * @param {object} [options] - Read on every request, so they can be changed while it runs
+ * @param {boolean} [options.failReplies=false] - Reject every reply, to try out failed publishes
+ * @param {boolean} [options.quiet=false] - Don't log requests
+ * @returns {object} Express app
+ */
+const createHostawayStub = (options = {}) => {
+  const { result: reviews } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'mock-reviews.json'), 'utf8'));
+  const log = (...args) => !options.quiet && console.log(...args);
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    log(`➡️ ${req.method} ${req.originalUrl}`);
+    next();
+  });
+
+  app.post('/v1/accessTokens', (req, res) => {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body || {};
+    if (grantType !== 'client_credentials' || !clientId || !clientSecret) {
+      return res.status(403).json({ status: 'fail', message: 'Invalid client credentials' });
+    }
+    res.json({ token_type: 'Bearer', expires_in: 3600, access_token: TOKEN });
+  });
+
+  // Every other endpoint needs the token handed out above
+  app.use('/v1', (req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${TOKEN}`) {
+      return res.status(401).json({ status: 'fail', message: 'Unauthorized' });
+    }
+    next();
+  });
+
+  app.get('/v1/reviews', (req, res) => {
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+    // Newest submissions first, not most recently updated, so syncs can't rely on edits coming first
+    const sorted = req.query.sortOrder === 'desc'
+      ? [...reviews].sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))
+      : reviews;
+    res.json({ status: 'success', result: sorted.slice(offset, offset + limit), count: reviews.length, limit, offset });
+  });
+
+  app.put('/v1/reviews/:id/response', (req, res) => {
+    const review = reviews.find(candidate => String(candidate.id) === req.params.id);
+    if (!review) {
+      return res.status(404).json({ status: 'fail', message: `Review ${req.params.id} not found` });
+    }
+    const { revieweeResponse } = req.body || {};
+    if (typeof revieweeResponse !== 'string' || !revieweeResponse.trim()) {
+      return res.status(400).json({ status: 'fail', message: 'revieweeResponse is required' });
+    }
+    if (options.failReplies) {
+      return res.status(502).json({ status: 'fail', message: 'The channel rejected the response (--fail-replies)' });
+    }
+
+    review.revieweeResponse = revieweeResponse;
+    log(`💬 Reply to review ${review.id}: ${review.revieweeResponse}`);
+    res.json({ status: 'success', result: review });
+  });
+
+  app.locals.reviews = reviews;
+  return app;
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const port = parseInt(option('--port')) || 4010;
+  const failReplies = args.includes('--fail-replies');
+
+  const app = createHostawayStub({ failReplies });
+  app.listen(port, () => {
+    console.log(`🧪 Hostaway stand-in serving ${app.locals.reviews.length} mock reviews on http://localhost:${port}/v1`);
+    if (failReplies) console.log('⚠️ Rejecting every reply');
+  });
+}
+
+module.exports = { createHostawayStub };
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Posts sample Hostaway webhook payloads to the local webhook receiver, so it can
+ * be tested without Hostaway. Reviews are taken from mock-reviews.json by ID
+ * (all of them when none are given), or a full payload is read from --file.
+ * Usage: npm run replay-webhook -- [reviewId...] [--event review.updated] [--file payload.json] [--redeliver]
+ */
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args.splice(index, 2)[1];
+};
+
+const event = option('--event') || 'review.created';
+const file = option('--file');
+const url = option('--url') || `http://localhost:${process.env.PORT || 3001}/api/webhooks/hostaway`;
+const redeliver = args.includes('--redeliver');
+const reviewIds = args.filter(arg => !arg.startsWith('--')).map(Number);
+
+const { HOSTAWAY_WEBHOOK_USERNAME, HOSTAWAY_WEBHOOK_PASSWORD } = process.env;
+if (!HOSTAWAY_WEBHOOK_USERNAME || !HOSTAWAY_WEBHOOK_PASSWORD) {
+  console.error('❌ Set HOSTAWAY_WEBHOOK_USERNAME and HOSTAWAY_WEBHOOK_PASSWORD in .env first');
+  process.exit(1);
+}
+
+/**
+ * Builds the payloads to send
+ * @returns {object[]} Webhook payloads
+ */
+const buildPayloads = () => {
+  if (file) {
+    return [JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))];
+  }
+
+  const { result } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'mock-reviews.json'), 'utf8'));
+  const reviews = reviewIds.length ? result.filter(review => reviewIds.includes(review.id)) : result;
+  const missing = reviewIds.filter(id => !reviews.some(review => review.id === id));
+  if (missing.length) {
+    throw new Error(`No mock reviews with ID ${missing.join(', ')}`);
+  }
+
+  return reviews.map(review => ({ object: 'review', event, data: review }));
+};
+
+const replay = async () => {
+  const payloads = buildPayloads();
+  const auth = { username: HOSTAWAY_WEBHOOK_USERNAME, password: HOSTAWAY_WEBHOOK_PASSWORD };
+
+  for (const payload of payloads) {
+    for (let attempt = 0; attempt < (redeliver ? 2 : 1); attempt++) {
+      const response = await axios.post(url, payload, { auth, validateStatus: () => true });
+      const { result, message } = response.data || {};
+      console.log(`📬 ${payload.event} ${payload.data?.id ?? ''} → ${response.status} ${result ? result.outcome : message}`);
+    }
+  }
+};
+
+replay()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Webhook replay failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * Sends the email digests that are due, or every enabled digest with --force.
+ * Usage: npm run send-digests [-- --force]
+ */
+require('dotenv').config();
+
+const { runDueDigests } = require('../lib/digest');
+
+runDueDigests({ force: process.argv.includes('--force') })
+  .then(results => {
+    console.log(`📋 ${results.filter(result => result.sent).length} of ${results.length} digest(s) sent`);
+    process.exit(results.some(result => result.error) ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('❌ Digest run failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+/**
+ * Runs a single Hostaway review sync into the local review store.
+ * Usage: npm run sync [-- --full]
+ */
+require('dotenv').config();
+
+const { syncReviews } = require('../lib/sync');
+
+syncReviews({ trigger: 'cli', full: process.argv.includes('--full') })
+  .then(run => {
+    console.log('📋 Sync run:', run);
+    process.exit(run.status === 'success' ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('❌ Review sync failed:', error.message);
+    process.exit(1);
+  });
@@ -1,304 +1,1417 @@
 require('dotenv').config();
 
 const express = require('express');
-const fs = require('fs/promises');
-const path = require('path');
 const cors = require('cors'); // Cross-origin middleware
-const axios = require('axios'); // HTTP client for external APIs
+const reviewStore = require('./lib/reviewStore');
+const reviewAnnotations = require('./lib/reviewAnnotations');
+const workflow = require('./lib/workflow');
+const reviewReplies = require('./lib/reviewReplies');
+const { hostawayImportProgress } = require('./lib/hostaway');
+const { syncReviews, startSyncScheduler, getSyncStatus } = require('./lib/sync');
+const { parseReviewQuery, queryReviews, queryReviewIds, getQueueCounts, getReviewFacets } = require('./lib/reviewQuery');
+const { getPublicListingReviews } = require('./lib/publicReviews');
+const auth = require('./lib/auth');
+const rules = require('./lib/rules');
+const googlePlaces = require('./lib/googlePlaces');
+const listingPlaces = require('./lib/listingPlaces');
+const { importGoogleReviews } = require('./lib/googleReviews');
+const hostawayWebhook = require('./lib/hostawayWebhook');
+const events = require('./lib/events');
+const { EXPORT_FORMATS, exportReviews } = require('./lib/reviewExport');
+const { computeAnalytics } = require('./lib/analytics');
+const digest = require('./lib/digest');
+const mailer = require('./lib/mailer');
+const alerts = require('./lib/alerts');
+const replyTemplates = require('./lib/replyTemplates');
 
 const app = express();
 const PORT = process.env.PORT || 3001; // Server port
 
-// Enable CORS for all routes
-app.use(cors());
+// Origins allowed to call manager endpoints; public endpoints are open to any origin
+const ALLOWED_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Enable CORS, restricted to the dashboard's origins except for public routes
+app.use(cors((req, callback) => {
+  callback(null, {
+    origin: req.path.startsWith('/api/public/') ? '*' : ALLOWED_ORIGINS
+  });
+}));
 
 // Parse JSON request bodies
 app.use(express.json());
 
-// File storing review approval states
-const APPROVALS_FILE = path.join(__dirname, 'review-approvals.json');
+// How long browsers and CDNs may cache public review responses
+const PUBLIC_CACHE_SECONDS = 300;
+
+// Most review IDs a single bulk approval request may list
+const MAX_BULK_IDS = 1000;
+
+// Seconds between keep-alive comments on the live event stream
+const EVENT_STREAM_HEARTBEAT_SECONDS = 25;
+
+/**
+ * @api {post} /api/auth/login Log In
+ * @apiName Login
+ * @apiGroup Auth
+ *
+ * @apiParam {String} username Username.
+ * @apiParam {String} password Password.
+ *
+ * @apiSuccess {String} token Session token, sent as "Authorization: Bearer <token>".
+ * @apiSuccess {String} expiresAt When the session expires.
+ * @apiSuccess {Object} user The logged in user (id, username, role).
+ */
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ message: 'Username and password are required.' });
+  }
+
+  try {
+    const session = await auth.login(username, password, req.ip);
+    console.log(`🔓 ${session.user.username} logged in`);
+    res.status(200).json({ status: 'success', result: session });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('❌ Error in /api/auth/login:', error);
+    res.status(500).json({ message: 'Failed to log in.' });
+  }
+});
+
+/**
+ * @api {post} /api/auth/logout Log Out
+ * @apiName Logout
+ * @apiGroup Auth
+ * @apiDescription Ends the current session.
+ */
+app.post('/api/auth/logout', auth.requireAuth, (req, res) => {
+  auth.logout(auth.getRequestToken(req));
+  res.status(200).json({ status: 'success', message: 'Logged out.' });
+});
+
+/**
+ * @api {get} /api/auth/me Get Current User
+ * @apiName GetCurrentUser
+ * @apiGroup Auth
+ *
+ * @apiSuccess {Object} user The logged in user (id, username, role).
+ */
+app.get('/api/auth/me', auth.requireAuth, (req, res) => {
+  res.status(200).json({ status: 'success', result: req.user });
+});
+
+/**
+ * @api {get} /api/reviews/hostaway Get Normalized Hostaway Reviews
+ * @apiName GetHostawayReviews
+ * @apiGroup Reviews
+ * @apiDescription Serves reviews from the local review store. Hostaway is only
+ * contacted by the sync step, so this keeps working when Hostaway is slow or down.
+ * Filtering, sorting and pagination happen in the database. Without `limit`
+ * every matching review is returned.
+ *
+ * @apiParam {String} [property] Only reviews for this listing name.
+ * @apiParam {String} [channel] Only reviews from this channel.
+ * @apiParam {String} [source] Only reviews from this source ('hostaway' or 'google').
+ * @apiParam {String="all","shown","hidden"} [display=all] Public display status.
+ * @apiParam {String="all","positive","mixed","negative","neutral"} [sentiment=all] Sentiment of the review text.
+ * @apiParam {String} [topic] Only reviews mentioning this topic ID (see facets.topics), e.g. "noise".
+ * @apiParam {String="all","positive","negative"} [topicPolarity=all] With `topic`, only reviews praising
+ * or complaining about it.
+ * @apiParam {String="all","new","in_review","actioned","resolved"} [state=all] Workflow state.
+ * @apiParam {String} [assignee] Assignee's user ID, or "unassigned".
+ * @apiParam {Boolean} [ownerAttention=false] Only reviews flagged as needing owner attention.
+ * @apiParam {Boolean} [overdue=false] Only open reviews whose follow-up date has passed.
+ * @apiParam {String} [tags] Comma-separated team tags; only reviews carrying all of them.
+ * @apiParam {String} [search] Text matched against review text, guest and listing name.
+ * @apiParam {String} [categoryRanges] Category rating ranges out of 10, e.g. "cleanliness:8-10,communication:5-10".
+ * @apiParam {String} [sort=date-desc] date-desc, date-asc, rating-desc, rating-asc, sentiment-desc,
+ * sentiment-asc, due-asc, due-desc (follow-up date) or "<category>-desc|asc".
+ * Ratings are filtered and sorted on their normalized 0-10 value.
+ * @apiParam {Number} [limit] Page size (max 200).
+ * @apiParam {Number} [offset=0] Number of matching reviews to skip.
+ *
+ * @apiSuccess {Object[]} result List of normalized reviews.
+ * @apiSuccess {String} result.id Review ID, namespaced by source (e.g. "hostaway:1001", "google:3f9c...").
+ * @apiSuccess {String} result.source Where the review came from: 'hostaway' or 'google'.
+ * @apiSuccess {String} result.sourceReviewId The review's ID within its source.
+ * @apiSuccess {String} result.guestName Name of the guest.
+ * @apiSuccess {String} result.listingName Name of the property listing.
+ * @apiSuccess {String} result.submittedAt The submission date of the review.
+ * @apiSuccess {Number} result.rating The calculated average rating, on the source's scale.
+ * @apiSuccess {Number} result.ratingScale Highest possible rating: 10 for Hostaway, 5 for Google.
+ * @apiSuccess {Number} result.normalizedRating The rating converted to a 0-10 scale, comparable across sources.
+ * @apiSuccess {String} result.publicReview The public text of the review.
+ * @apiSuccess {Object[]} result.reviewCategory Detailed category ratings.
+ * @apiSuccess {Object} result.sentiment Sentiment of the review text: score (-1 to 1), label
+ * ('positive', 'mixed', 'negative' or 'neutral') and the sentences that drove it, each with its score.
+ * @apiSuccess {Object[]} result.topics Topics the text mentions: topic ID, polarity ('positive', 'negative'
+ * or 'neutral') and the snippet it was judged on.
+ * @apiSuccess {Object[]} result.tags Team tags: tag, addedBy and addedAt. Internal only.
+ * @apiSuccess {Number} result.noteCount Number of internal notes (see GET /api/reviews/:id/notes).
+ * @apiSuccess {Object} result.reply Manager reply to the guest, or null: status ('draft', 'sent' or 'failed'),
+ * body (the draft), sentBody, sentBy, sentAt, error (why publishing last failed), updatedBy and updatedAt.
+ * @apiSuccess {Object} result.workflow Moderation workflow: state, nextStates, assignee ({ id, name }),
+ * dueDate, overdue, needsOwnerAttention, updatedBy and updatedAt.
+ * @apiSuccess {Boolean} result.displayOnWebsite A flag for website visibility.
+ * @apiSuccess {Object} meta Pagination metadata.
+ * @apiSuccess {Number} meta.total Number of reviews matching the filters.
+ * @apiSuccess {Number} meta.totalUnfiltered Number of reviews in the store.
+ * @apiSuccess {Number} meta.offset Offset of this page.
+ * @apiSuccess {Number} meta.limit Page size, or null when unpaginated.
+ * @apiSuccess {Number} meta.nextOffset Offset of the next page, or null on the last page.
+ * @apiSuccess {Object} queues Matching reviews per workflow state, per assignee ('unassigned' or user ID),
+ * needing owner attention and overdue. State counts ignore the state filter, assignee counts the assignee filter.
+ * @apiSuccess {Object} facets Properties, channels, sources, categories, topics, tags and assignees available for filtering.
+ */
+app.get('/api/reviews/hostaway', auth.requireAuth, async (req, res) => {
+  try {
+    // Wait for the first sync if the store has never been filled
+    if (reviewStore.countReviews() === 0) {
+      console.log('📭 Review store is empty, waiting for initial sync...');
+      await syncReviews({ trigger: 'initial' });
+    }
+
+    const reviewQuery = parseReviewQuery(req.query);
+    const { reviews, total } = queryReviews(reviewQuery);
+    const nextOffset = reviewQuery.offset + reviews.length;
+
+    console.log(`📊 Serving ${reviews.length} of ${total} matching reviews from the review store`);
+
+    // Hostaway API format, with pagination metadata alongside
+    res.status(200).json({
+      status: "success",
+      result: reviews,
+      meta: {
+        total,
+        totalUnfiltered: reviewStore.countReviews(),
+        offset: reviewQuery.offset,
+        limit: reviewQuery.limit,
+        nextOffset: nextOffset < total ? nextOffset : null
+      },
+      queues: getQueueCounts(reviewQuery.filters),
+      facets: getReviewFacets()
+    });
+    
+  } catch (error) {
+    console.error('❌ Error in /api/reviews/hostaway:', error);
+    res.status(500).json({ 
+      message: 'Failed to retrieve reviews.',
+      error: error.message,
+      source: 'error'
+    });
+  }
+});
+
+/**
+ * @api {get} /api/reviews/export Export Reviews
+ * @apiName ExportReviews
+ * @apiGroup Reviews
+ * @apiDescription Downloads every review matching the filters as a spreadsheet:
+ * one row per review, one column per category rating found in the export,
+ * plus approval status and dates. Takes the same filter and sort parameters as
+ * /api/reviews/hostaway; pagination is ignored.
+ *
+ * @apiParam {String="csv","xlsx"} [format=csv] File format.
+ *
+ * @apiSuccess {File} file reviews-YYYY-MM-DD.csv or .xlsx, sent as an attachment.
+ */
+app.get('/api/reviews/export', auth.requireAuth, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+
+  try {
+    const file = await exportReviews(parseReviewQuery(req.query), format);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    console.log(`📤 ${req.user.username} exported reviews as ${extension}`);
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="reviews-${new Date().toISOString().slice(0, 10)}.${extension}"`
+    });
+    res.status(200).send(file);
+  } catch (error) {
+    console.error('❌ Error in /api/reviews/export:', error);
+    res.status(500).json({ message: 'Failed to export reviews.', error: error.message });
+  }
+});
+
+/**
+ * @api {get} /api/analytics Review Analytics
+ * @apiName GetAnalytics
+ * @apiGroup Reviews
+ * @apiDescription Aggregates for the Analytics tab over the reviews matching the
+ * filters, all on the normalized 0-10 scale. Takes the same filters as
+ * /api/reviews/hostaway. Email digests are built from the same figures.
+ *
+ * @apiSuccess {Object} result Analytics, or null when no review matches.
+ * @apiSuccess {Number} result.totalReviews Matching reviews.
+ * @apiSuccess {Number} result.overallAverage Average rating.
+ * @apiSuccess {Number} result.propertyCount Properties with matching reviews.
+ * @apiSuccess {Object[]} result.categoryAverages Average and count per category.
+ * @apiSuccess {Object[]} result.ratingDistribution Reviews per rating band.
+ * @apiSuccess {Object[]} result.propertiesByRating Reviews, average and low category ratings per property.
+ * @apiSuccess {Object[]} result.channelsByVolume Reviews, share and average per booking channel.
+ * @apiSuccess {Object[]} result.ratingOverTime Average rating per month ("2025-06").
+ * @apiSuccess {Object[]} result.sentimentOverTime Average sentiment and reviews per sentiment label, per month.
+ * @apiSuccess {Object[]} result.topComplaints Per property, the topics guests complained about and how often.
+ * @apiSuccess {Object} facets Properties, channels, sources, categories, topics and tags available for filtering.
+ */
+app.get('/api/analytics', auth.requireAuth, (req, res) => {
+  try {
+    const { filters } = parseReviewQuery(req.query);
+    const { reviews } = queryReviews({ filters, sort: 'date-desc', limit: null, offset: 0 });
+
+    res.status(200).json({
+      status: 'success',
+      result: computeAnalytics(reviews),
+      facets: getReviewFacets()
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/analytics:', error);
+    res.status(500).json({ message: 'Failed to compute analytics.', error: error.message });
+  }
+});
+
+/**
+ * @api {get} /api/reviews/hostaway/progress Get Hostaway Import Progress
+ * @apiName GetHostawayImportProgress
+ * @apiGroup Reviews
+ * @apiDescription Reports how far the current (or last) Hostaway review import got,
+ * so the dashboard can show that a large import is still running.
+ *
+ * @apiSuccess {String} status One of idle, running, completed or failed.
+ * @apiSuccess {Number} pagesFetched Number of pages retrieved so far.
+ * @apiSuccess {Number} reviewsFetched Number of reviews retrieved so far.
+ * @apiSuccess {Number} totalReviews Total reported by Hostaway, or null if unknown.
+ * @apiSuccess {String} startedAt When the import started.
+ * @apiSuccess {String} finishedAt When the import finished, or null while running.
+ * @apiSuccess {String} error Error message if the import failed.
+ */
+app.get('/api/reviews/hostaway/progress', auth.requireAuth, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    result: hostawayImportProgress
+  });
+});
+
+/**
+ * @api {get} /api/public/listings/:listingId/reviews Get Public Listing Reviews
+ * @apiName GetPublicListingReviews
+ * @apiGroup Public
+ * @apiDescription Approved reviews for one listing, for the public property site.
+ * Only public-safe fields are returned: hidden reviews, full guest names and
+ * internal fields never leave the server. Responses are cacheable.
+ *
+ * @apiParam {Number} listingId Hostaway listing ID.
+ *
+ * @apiSuccess {Number} listingId Hostaway listing ID.
+ * @apiSuccess {String} listingName Listing name, or null if it has no approved reviews.
+ * @apiSuccess {Object} stats Aggregate rating stats across approved reviews.
+ * @apiSuccess {Number} stats.reviewCount Number of approved reviews.
+ * @apiSuccess {Number} stats.averageRating Average overall rating out of 10.
+ * @apiSuccess {Object} stats.categoryAverages Average rating per category.
+ * @apiSuccess {Object[]} reviews Approved reviews, newest first.
+ * @apiSuccess {String} reviews.id Review ID.
+ * @apiSuccess {String} reviews.source Where the review came from: 'hostaway' or 'google'.
+ * @apiSuccess {String} reviews.guestName Guest first name.
+ * @apiSuccess {Number} reviews.rating Overall rating.
+ * @apiSuccess {Number} reviews.ratingScale Highest possible rating for the review's source.
+ * @apiSuccess {Number} reviews.normalizedRating The rating converted to a 0-10 scale.
+ * @apiSuccess {Object[]} reviews.reviewCategory Category ratings.
+ * @apiSuccess {String} reviews.publicReview Review text.
+ * @apiSuccess {String} reviews.submittedAt Submission date (YYYY-MM-DD).
+ */
+app.get('/api/public/listings/:listingId/reviews', (req, res) => {
+  try {
+    const listingId = parseInt(req.params.listingId);
+    if (!Number.isInteger(listingId) || String(listingId) !== req.params.listingId) {
+      return res.status(400).json({ message: 'listingId must be a numeric listing ID.' });
+    }
+
+    const result = getPublicListingReviews(listingId);
+
+    res.set('Cache-Control', `public, max-age=${PUBLIC_CACHE_SECONDS}, stale-while-revalidate=${PUBLIC_CACHE_SECONDS}`);
+    res.status(200).json({
+      status: 'success',
+      result
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/public/listings/:listingId/reviews:', error);
+    res.status(500).json({ message: 'Failed to retrieve reviews.' });
+  }
+});
+
+/**
+ * @api {get} /api/sync/status Get Review Sync Status
+ * @apiName GetSyncStatus
+ * @apiGroup Sync
+ * @apiDescription Reports whether a sync is running, when the store was last
+ * synced successfully and the outcome of recent runs.
+ *
+ * @apiSuccess {Boolean} running Whether a sync is in progress.
+ * @apiSuccess {Object} progress Hostaway import progress for the current or last run.
+ * @apiSuccess {String} lastSuccessfulSyncAt When the last successful sync finished.
+ * @apiSuccess {Object} lastRun The most recent run.
+ * @apiSuccess {Object[]} recentRuns Recent runs with trigger, status, counts, timing and error.
+ * @apiSuccess {Number} intervalMinutes Minutes between scheduled syncs (0 when disabled).
+ * @apiSuccess {String} nextScheduledSyncAt When the next scheduled sync will start.
+ */
+app.get('/api/sync/status', auth.requireAuth, (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      result: getSyncStatus()
+    });
+  } catch (error) {
+    console.error('❌ Error in /api/sync/status:', error);
+    res.status(500).json({ message: 'Failed to read sync status.', error: error.message });
+  }
+});
+
+/**
+ * @api {post} /api/sync Sync Reviews Now
+ * @apiName SyncNow
+ * @apiGroup Sync
+ * @apiDescription Starts an incremental sync in the background, or joins the one
+ * already running. Poll /api/sync/status for the outcome.
+ *
+ * @apiParam {Boolean} [full] Ignore the watermark and fetch every review.
+ *
+ * @apiSuccess {Boolean} running Always true; the sync runs in the background.
+ */
+app.post('/api/sync', auth.requireRole('manager'), (req, res) => {
+  const full = req.body?.full === true;
+
+  syncReviews({ trigger: 'manual', full }).catch(error => {
+    console.error('❌ Manual review sync failed:', error.message);
+  });
+
+  res.status(202).json({
+    status: 'success',
+    result: { running: true }
+  });
+});
+
+/**
+ * @api {get} /api/events Live Review Events
+ * @apiName ReviewEvents
+ * @apiGroup Sync
+ * @apiDescription Server-Sent Events stream for open dashboards. EventSource cannot
+ * send headers, so the session token is passed as a query parameter. The stream
+ * closes when the session expires.
+ *
+ * @apiParam {String} token Session token.
+ *
+ * @apiSuccess (Events) {Object} review-added New reviews: count, and the reviews
+ * themselves (null when more than 100 arrived at once).
+ * @apiSuccess (Events) {Object} review-updated Reviews whose source data changed, same shape.
+ * @apiSuccess (Events) {Object} approval-changed changes ([{ id, displayOnWebsite }]) and actor.
+ * @apiSuccess (Events) {Object} annotations-changed A review's id, its tags and noteCount, and actor.
+ * @apiSuccess (Events) {Object} workflow-changed A review's id, its workflow, and actor.
+ * @apiSuccess (Events) {Object} reply-changed A review's id, its reply (null once discarded), and actor.
+ */
+app.get('/api/events', (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : null;
+  if (!auth.getSessionUser(token)) {
+    return res.status(401).json({ message: 'Authentication required.' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = events.subscribe(({ id, type, data }) => {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+
+  // Keep proxies from closing an idle stream, and end it once the session is gone
+  const heartbeat = setInterval(() => {
+    if (!auth.getSessionUser(token)) {
+      res.end();
+      return;
+    }
+    res.write(': keep-alive\n\n');
+  }, EVENT_STREAM_HEARTBEAT_SECONDS * 1000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * @api {post} /api/webhooks/hostaway Hostaway Webhook
+ * @apiName HostawayWebhook
+ * @apiGroup Sync
+ * @apiDescription Receives Hostaway unified webhooks. Authenticated with the basic-auth
+ * login and password configured for the webhook in Hostaway, not a dashboard session.
+ * review.created and review.updated events are stored and run through the auto-approval
+ * rules; other events are acknowledged and ignored. Redelivered payloads are only applied once.
+ *
+ * @apiParam {String} event Event name, e.g. "review.created".
+ * @apiParam {Object} data The Hostaway review.
+ *
+ * @apiSuccess {String} event Event name.
+ * @apiSuccess {String} reviewId Review ID, e.g. "hostaway:1001" (null for ignored events).
+ * @apiSuccess {String} outcome 'inserted', 'updated', 'skipped' (not a guest review), 'duplicate' or 'ignored'.
+ */
+app.post('/api/webhooks/hostaway', (req, res) => {
+  if (!hostawayWebhook.isWebhookConfigured()) {
+    return res.status(503).json({ message: 'The Hostaway webhook is not configured.' });
+  }
+
+  if (!hostawayWebhook.verifyWebhookAuth(req.headers.authorization)) {
+    res.set('WWW-Authenticate', 'Basic realm="hostaway-webhook"');
+    return res.status(401).json({ message: 'Invalid webhook credentials.' });
+  }
+
+  try {
+    res.status(200).json({
+      status: 'success',
+      result: hostawayWebhook.handleWebhookEvent(req.body)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('❌ Error in /api/webhooks/hostaway:', error);
+    res.status(500).json({ message: 'Failed to process webhook.', error: error.message });
+  }
+});
+
+/**
+ * @api {put} /api/reviews/:id/approval Update Review Approval Status
+ * @apiName UpdateReviewApproval
+ * @apiGroup Reviews
+ *
+ * @apiParam {String} id Review ID.
+ * @apiParam {Boolean} displayOnWebsite Whether the review should be displayed on website.
+ * @apiParam {String} [reason] Why the approval was changed, kept in the audit log.
+ *
+ * @apiSuccess {String} message Success message.
+ * @apiSuccess {Boolean} displayOnWebsite Updated approval status.
+ * @apiSuccess {Object} auditEntry The recorded change, or null if the status was already set.
+ */
+app.put('/api/reviews/:id/approval', auth.requireRole('manager'), async (req, res) => {
+  try {
+    const reviewId = req.params.id;
+    const { displayOnWebsite, reason } = req.body || {};
+
+    if (typeof displayOnWebsite !== 'boolean') {
+      return res.status(400).json({ message: 'displayOnWebsite must be a boolean value.' });
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ message: 'reason must be a string.' });
+    }
+    if (!reviewStore.reviewExists(reviewId)) {
+      return res.status(404).json({ message: 'Review not found.' });
+    }
+
+    // Persist the approval status for this review and log who changed it
+    const auditEntry = reviewStore.setApproval(reviewId, displayOnWebsite, {
+      actor: req.user,
+      reason: reason ? reason.trim() : null
+    });
+    if (auditEntry) {
+      events.publish('approval-changed', {
+        changes: [{ id: reviewId, displayOnWebsite }],
+        actor: req.user.username
+      });
+    }
+    
+    res.status(200).json({ 
+      message: 'Review approval status updated successfully.',
+      displayOnWebsite: displayOnWebsite,
+      auditEntry
+    });
+  } catch (error) {
+    console.error('Error updating review approval:', error);
+    res.status(500).json({ message: 'Failed to update review approval status.' });
+  }
+});
+
+/**
+ * @api {post} /api/reviews/approval/bulk Bulk Update Review Approval Status
+ * @apiName BulkUpdateReviewApproval
+ * @apiGroup Reviews
+ * @apiDescription Shows or hides many reviews at once. The change is applied in a
+ * single transaction and every review gets its own audit entry.
+ *
+ * @apiParam {Boolean} displayOnWebsite Whether the reviews should be displayed on website.
+ * @apiParam {String[]} [ids] Review IDs to update.
+ * @apiParam {Object} [filters] Instead of ids: update every review matching these filters
+ * (same parameters as GET /api/reviews/hostaway).
+ * @apiParam {String} [reason] Why the approvals were changed, kept in the audit log.
+ *
+ * @apiSuccess {Object[]} result Per-review results: id, status ('updated', 'unchanged' or 'not_found').
+ * @apiSuccess {Object} summary Count of reviews per status.
+ */
+app.post('/api/reviews/approval/bulk', auth.requireRole('manager'), (req, res) => {
+  try {
+    const { displayOnWebsite, ids, filters, reason } = req.body || {};
+
+    if (typeof displayOnWebsite !== 'boolean') {
+      return res.status(400).json({ message: 'displayOnWebsite must be a boolean value.' });
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return res.status(400).json({ message: 'reason must be a string.' });
+    }
+    if ((ids === undefined) === (filters === undefined)) {
+      return res.status(400).json({ message: 'Provide either ids or filters.' });
+    }
+
+    let reviewIds;
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id)) {
+        return res.status(400).json({ message: 'ids must be a non-empty array of review IDs.' });
+      }
+      if (ids.length > MAX_BULK_IDS) {
+        return res.status(400).json({ message: `At most ${MAX_BULK_IDS} ids can be updated at once.` });
+      }
+      reviewIds = [...new Set(ids)];
+    } else {
+      if (!filters || typeof filters !== 'object') {
+        return res.status(400).json({ message: 'filters must be an object.' });
+      }
+      reviewIds = queryReviewIds(parseReviewQuery(filters).filters);
+    }
+
+    const results = reviewStore.setApprovals(reviewIds, displayOnWebsite, {
+      actor: req.user,
+      reason: reason ? reason.trim() : null
+    });
+
+    const summary = results.reduce((acc, { status }) => {
+      acc[status] = (acc[status] || 0) + 1;
+      return acc;
+    }, { updated: 0, unchanged: 0, not_found: 0 });
+
+    const changes = results
+      .filter(({ status }) => status === 'updated')
+      .map(({ id }) => ({ id, displayOnWebsite }));
+    if (changes.length) {
+      events.publish('approval-changed', { changes, actor: req.user.username });
+    }
+
+    console.log(`✅ Bulk ${displayOnWebsite ? 'show' : 'hide'} by ${req.user.username}: ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.not_found} not found`);
+
+    res.status(200).json({ status: 'success', result: results, summary });
+  } catch (error) {
+    console.error('❌ Error in bulk approval update:', error);
+    res.status(500).json({ message: 'Failed to update review approval status. No changes were saved.' });
+  }
+});
+
+/**
+ * @api {get} /api/reviews/:id/approval/history Get Review Approval History
+ * @apiName GetReviewApprovalHistory
+ * @apiGroup Reviews
+ * @apiDescription Every change to a review's website display status, newest first.
+ *
+ * @apiParam {String} id Review ID.
+ *
+ * @apiSuccess {Object[]} result Audit entries with old and new value, actor, reason and timestamp.
+ */
+app.get('/api/reviews/:id/approval/history', auth.requireAuth, (req, res) => {
+  const reviewId = req.params.id;
+
+  if (!reviewStore.reviewExists(reviewId)) {
+    return res.status(404).json({ message: 'Review not found.' });
+  }
+
+  res.status(200).json({ status: 'success', result: reviewStore.getApprovalHistory(reviewId) });
+});
+
+/**
+ * Sends the response for an error thrown by a lib module (rules, digests, alerts, notes, templates), using
+ * its status for validation and not-found problems
+ * @param {object} res - Express response
+ * @param {Error} error - Error thrown by the module
+ * @param {string} message - Message for unexpected errors
+ */
+const sendLibError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ message: `${message}.` });
+};
+
+/**
+ * Tells open dashboards that a review's tags or notes changed
+ * @param {string} reviewId - Review ID
+ * @param {object} actor - User who made the change
+ */
+const publishAnnotations = (reviewId, actor) => {
+  events.publish('annotations-changed', {
+    id: reviewId,
+    tags: reviewAnnotations.getTags(reviewId),
+    noteCount: reviewAnnotations.countNotes(reviewId),
+    actor: actor.username
+  });
+};
+
+/**
+ * @api {put} /api/reviews/:id/tags Set Review Tags
+ * @apiName SetReviewTags
+ * @apiGroup Reviews
+ * @apiDescription Replaces a review's team tags. Tags are lowercased; ones the review
+ * already had keep who added them and when. Tags are internal and never published.
+ *
+ * @apiParam {String} id Review ID.
+ * @apiParam {String[]} tags The review's complete list of tags (at most 20, 40 characters each).
+ *
+ * @apiSuccess {Object[]} result Tags with tag, addedBy and addedAt.
+ */
+app.put('/api/reviews/:id/tags', auth.requireRole('manager'), (req, res) => {
+  try {
+    const reviewId = req.params.id;
+    if (!reviewStore.reviewExists(reviewId)) {
+      return res.status(404).json({ message: 'Review not found.' });
+    }
+
+    const tags = reviewAnnotations.setTags(reviewId, (req.body || {}).tags, req.user);
+    publishAnnotations(reviewId, req.user);
+    res.status(200).json({ status: 'success', result: tags });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to update tags');
+  }
+});
+
+/**
+ * @api {get} /api/reviews/:id/notes List Review Notes
+ * @apiName ListReviewNotes
+ * @apiGroup Reviews
+ * @apiDescription The team's internal notes on a review, oldest first. Never published.
+ *
+ * @apiParam {String} id Review ID.
+ *
+ * @apiSuccess {Object[]} result Notes with id, body, author ({ id, name }), createdAt and updatedAt.
+ */
+app.get('/api/reviews/:id/notes', auth.requireAuth, (req, res) => {
+  const reviewId = req.params.id;
+
+  if (!reviewStore.reviewExists(reviewId)) {
+    return res.status(404).json({ message: 'Review not found.' });
+  }
+
+  res.status(200).json({ status: 'success', result: reviewAnnotations.listNotes(reviewId) });
+});
+
+/**
+ * @api {post} /api/reviews/:id/notes Add Review Note
+ * @apiName AddReviewNote
+ * @apiGroup Reviews
+ *
+ * @apiParam {String} id Review ID.
+ * @apiParam {String} body Note text (at most 2000 characters).
+ *
+ * @apiSuccess {Object} result The new note.
+ */
+app.post('/api/reviews/:id/notes', auth.requireRole('manager'), (req, res) => {
+  try {
+    const reviewId = req.params.id;
+    if (!reviewStore.reviewExists(reviewId)) {
+      return res.status(404).json({ message: 'Review not found.' });
+    }
+
+    const note = reviewAnnotations.addNote(reviewId, (req.body || {}).body, req.user);
+    publishAnnotations(reviewId, req.user);
+    res.status(201).json({ status: 'success', result: note });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to add note');
+  }
+});
+
+/**
+ * @api {put} /api/reviews/:id/notes/:noteId Edit Review Note
+ * @apiName EditReviewNote
+ * @apiGroup Reviews
+ *
+ * @apiParam {String} id Review ID.
+ * @apiParam {Number} noteId Note ID.
+ * @apiParam {String} body New note text.
+ *
+ * @apiSuccess {Object} result The updated note.
+ */
+app.put('/api/reviews/:id/notes/:noteId', auth.requireRole('manager'), (req, res) => {
+  try {
+    const note = reviewAnnotations.updateNote(req.params.id, parseInt(req.params.noteId), (req.body || {}).body, req.user);
+    res.status(200).json({ status: 'success', result: note });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to update note');
+  }
+});
+
+/**
+ * @api {delete} /api/reviews/:id/notes/:noteId Delete Review Note
+ * @apiName DeleteReviewNote
+ * @apiGroup Reviews
+ *
+ * @apiParam {String} id Review ID.
+ * @apiParam {Number} noteId Note ID.
+ */
+app.delete('/api/reviews/:id/notes/:noteId', auth.requireRole('manager'), (req, res) => {
+  try {
+    reviewAnnotations.deleteNote(req.params.id, parseInt(req.params.noteId), req.user);
+    publishAnnotations(req.params.id, req.user);
+    res.status(200).json({ status: 'success', message: 'Note deleted.' });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to delete note');
+  }
+});
+
+/**
+ * @api {put} /api/reviews/:id/workflow Update Review Workflow
+ * @apiName UpdateReviewWorkflow
+ * @apiGroup Reviews
+ * @apiDescription Moves a review through moderation (new → in review → actioned → resolved)
+ * and sets who handles it. Only the given fields change. State changes must follow the
+ * allowed transitions (see the review's workflow.nextStates), and every change is recorded.
+ *
+ * @apiParam {String} id Review ID.
+ * @apiParam {String="new","in_review","actioned","resolved"} [state] New state.
+ * @apiParam {Number} [assigneeId] Team member handling the review, or null to unassign.
+ * @apiParam {String} [dueDate] Follow-up date (YYYY-MM-DD), or null to clear it.
+ * @apiParam {Boolean} [needsOwnerAttention] Flags the review for the property owner.
+ *
+ * @apiSuccess {Object} result The review's workflow after the change.
+ * @apiSuccess {Object} auditEntry The recorded change, or null if nothing changed.
+ * @apiError (409) TransitionNotAllowed The review's current state can't move to the requested one.
+ */
+app.put('/api/reviews/:id/workflow', auth.requireRole('manager'), (req, res) => {
+  try {
+    const reviewId = req.params.id;
+    if (!reviewStore.reviewExists(reviewId)) {
+      return res.status(404).json({ message: 'Review not found.' });
+    }
+
+    const { workflow: result, auditEntry } = workflow.updateWorkflow(reviewId, req.body, req.user);
+    if (auditEntry) {
+      events.publish('workflow-changed', { id: reviewId, workflow: result, actor: req.user.username });
+    }
+    res.status(200).json({ status: 'success', result, auditEntry });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to update workflow');
+  }
+});
+
+/**
+ * @api {get} /api/reviews/:id/workflow/history Get Review Workflow History
+ * @apiName GetReviewWorkflowHistory
+ * @apiGroup Reviews
+ * @apiDescription Every workflow change for a review, newest first.
+ *
+ * @apiParam {String} id Review ID.
+ *
+ * @apiSuccess {Object[]} result Audit entries with fromState, toState, changes (assignee, dueDate and
+ * needsOwnerAttention as { from, to }), actor and timestamp.
+ */
+app.get('/api/reviews/:id/workflow/history', auth.requireAuth, (req, res) => {
+  const reviewId = req.params.id;
+
+  if (!reviewStore.reviewExists(reviewId)) {
+    return res.status(404).json({ message: 'Review not found.' });
+  }
+
+  res.status(200).json({ status: 'success', result: workflow.getWorkflowHistory(reviewId) });
+});
 
 /**
- * Reads the review approvals from the JSON file
- * @returns {object} Object with review IDs as keys and approval status as values
+ * @api {put} /api/reviews/:id/reply Save Reply Draft
+ * @apiName SaveReplyDraft
+ * @apiGroup Reviews
+ * @apiDescription Saves the draft of a manager's reply to a guest review from Hostaway,
+ * replacing any earlier draft. Nothing is sent until the reply is published.
+ *
+ * @apiParam {String} id Review ID.
+ * @apiParam {String} body Reply text (at most 2000 characters).
+ *
+ * @apiSuccess {Object} result The reply.
+ * @apiError (409) AlreadyPublished The reply has already been published.
  */
-const readApprovals = async () => {
+app.put('/api/reviews/:id/reply', auth.requireRole('manager'), (req, res) => {
   try {
-    const data = await fs.readFile(APPROVALS_FILE, 'utf8');
-    return JSON.parse(data);
+    const reviewId = req.params.id;
+    if (!reviewStore.reviewExists(reviewId)) {
+      return res.status(404).json({ message: 'Review not found.' });
+    }
+
+    const reply = reviewReplies.saveDraft(reviewId, (req.body || {}).body, req.user);
+    events.publish('reply-changed', { id: reviewId, reply, actor: req.user.username });
+    res.status(200).json({ status: 'success', result: reply });
   } catch (error) {
-    // Return empty object if file is missing or invalid
-    return {};
+    sendLibError(res, error, 'Failed to save reply');
   }
-};
+});
 
 /**
- * Writes review approvals to disk
- * @param {object} approvals - Object with review IDs as keys and approval status as values
+ * @api {delete} /api/reviews/:id/reply Discard Reply Draft
+ * @apiName DiscardReplyDraft
+ * @apiGroup Reviews
+ * @apiDescription Discards a reply that hasn't been published.
+ *
+ * @apiParam {String} id Review ID.
+ * @apiError (409) AlreadyPublished The reply has already been published.
  */
-const writeApprovals = async (approvals) => {
-  await fs.writeFile(APPROVALS_FILE, JSON.stringify(approvals, null, 2));
-};
+app.delete('/api/reviews/:id/reply', auth.requireRole('manager'), (req, res) => {
+  try {
+    const reviewId = req.params.id;
+    if (!reviewReplies.discardDraft(reviewId)) {
+      return res.status(404).json({ message: 'Reply not found.' });
+    }
+
+    events.publish('reply-changed', { id: reviewId, reply: null, actor: req.user.username });
+    res.status(204).end();
+  } catch (error) {
+    sendLibError(res, error, 'Failed to discard reply');
+  }
+});
 
 /**
- * Normalizes a raw review object from the Hostaway API format
- * into a structured format suitable for the frontend dashboard.
- * @param {object} review - The raw review object.
- * @param {object} approvals - Object containing approval states for reviews
- * @param {string} dataSource - Source of the data ('real_api' or 'mock_data')
- * @returns {object} A normalized review object.
- */
-const normalizeReview = (review, approvals = {}, dataSource = 'unknown') => {
-  // Validate and safely process review categories
-  const reviewCategories = Array.isArray(review.reviewCategory) ? review.reviewCategory : [];
-  
-  // Flatten review categories into a key-value object with validation
-  const ratings = reviewCategories.reduce((acc, cat) => {
-    if (cat && typeof cat.category === 'string' && typeof cat.rating === 'number') {
-      acc[cat.category] = cat.rating;
-    }
-    return acc;
-  }, {});
-
-  // Calculate the average rating, falling back to overall rating
-  const categoryRatings = Object.values(ratings);
-  const averageRating = categoryRatings.length
-    ? parseFloat((categoryRatings.reduce((sum, val) => sum + val, 0) / categoryRatings.length).toFixed(2))
-    : review.rating || null;
-
-  // Return the normalized review object with safe field access
-  return {
-    id: review.id || null,
-    type: review.type || 'unknown',
-    status: review.status || 'unknown',
-    rating: averageRating,
-    publicReview: review.publicReview || '',
-    reviewCategory: reviewCategories,
-    submittedAt: review.submittedAt || '',
-    guestName: review.guestName || 'Unknown Guest',
-    listingName: review.listingName || 'Unknown Property',
-    // Include approval flag for website display
-    displayOnWebsite: approvals[review.id] || false
-  };
-};
+ * @api {post} /api/reviews/:id/reply/publish Publish Reply
+ * @apiName PublishReply
+ * @apiGroup Reviews
+ * @apiDescription Sends the saved draft through Hostaway to the channel the review came from.
+ * A published reply can no longer be changed. When Hostaway rejects it the reply is kept
+ * as 'failed' with the error, and can be edited and published again.
+ *
+ * @apiParam {String} id Review ID.
+ *
+ * @apiSuccess {Object} result The reply, with status 'sent'.
+ * @apiError (409) AlreadyPublished The reply has already been published, or is being published.
+ * @apiError (502) PublishFailed Hostaway rejected the reply; `result` holds the failed reply.
+ */
+app.post('/api/reviews/:id/reply/publish', auth.requireRole('manager'), async (req, res) => {
+  const reviewId = req.params.id;
+  if (!reviewStore.reviewExists(reviewId)) {
+    return res.status(404).json({ message: 'Review not found.' });
+  }
+
+  try {
+    const reply = await reviewReplies.publishReply(reviewId, req.user);
+    events.publish('reply-changed', { id: reviewId, reply, actor: req.user.username });
+    res.status(200).json({ status: 'success', result: reply });
+  } catch (error) {
+    if (error.reply) {
+      events.publish('reply-changed', { id: reviewId, reply: error.reply, actor: req.user.username });
+      return res.status(error.status).json({ message: error.message, result: error.reply });
+    }
+    sendLibError(res, error, 'Failed to publish reply');
+  }
+});
 
+/**
+ * @api {get} /api/rules List Auto-Approval Rules
+ * @apiName ListRules
+ * @apiGroup Rules
+ * @apiDescription Rules in evaluation order. The first enabled rule matching a new review decides it.
+ *
+ * @apiSuccess {Object[]} result Rules with name, enabled, priority, action and conditions.
+ * @apiSuccess {Object} options Listings, channels and categories available for conditions.
+ */
+app.get('/api/rules', auth.requireAuth, (req, res) => {
+  res.status(200).json({ status: 'success', result: rules.listRules(), options: getReviewFacets() });
+});
 
 /**
- * Hostaway API integration
+ * @api {post} /api/rules Create Auto-Approval Rule
+ * @apiName CreateRule
+ * @apiGroup Rules
+ *
+ * @apiParam {String} name Rule name.
+ * @apiParam {String} action 'auto_approve', 'auto_hide' or 'flag'.
+ * @apiParam {Number} [priority=0] Lower numbers are evaluated first.
+ * @apiParam {Boolean} [enabled=true] Whether the rule runs on new reviews.
+ * @apiParam {Object} conditions minRating, maxRating, minCategoryRatings, listings, channels,
+ * minTextLength, maxTextLength and excludedKeywords. Unset conditions match everything.
+ * Ratings are out of 10 and compared with each review's normalized rating.
+ *
+ * @apiSuccess {Object} result The created rule.
  */
+app.post('/api/rules', auth.requireRole('manager'), (req, res) => {
+  try {
+    const rule = rules.createRule(req.body);
+    console.log(`🤖 ${req.user.username} created rule "${rule.name}"`);
+    res.status(201).json({ status: 'success', result: rule });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to create rule');
+  }
+});
 
-// Cached access token
-let hostawayAccessToken = null;
-let tokenExpiry = null;
+/**
+ * @api {post} /api/rules/preview Preview Auto-Approval Rule
+ * @apiName PreviewRule
+ * @apiGroup Rules
+ * @apiDescription Dry run: which stored reviews a rule would match. Nothing is changed.
+ *
+ * @apiParam {Object} rule Same fields as when creating a rule.
+ *
+ * @apiSuccess {Number} result.matchCount Number of matching reviews.
+ * @apiSuccess {Number} result.wouldChange Matching reviews whose display status the action would change.
+ * @apiSuccess {Object[]} result.reviews The first 50 matching reviews.
+ */
+app.post('/api/rules/preview', auth.requireAuth, (req, res) => {
+  try {
+    res.status(200).json({ status: 'success', result: rules.previewRule(req.body) });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to preview rule');
+  }
+});
 
 /**
- * Authenticate with Hostaway API using OAuth2
+ * @api {put} /api/rules/:id Update Auto-Approval Rule
+ * @apiName UpdateRule
+ * @apiGroup Rules
+ *
+ * @apiParam {Number} id Rule ID.
+ * @apiParam {Object} rule Same fields as when creating a rule.
+ *
+ * @apiSuccess {Object} result The updated rule.
  */
-const authenticateHostaway = async () => {
+app.put('/api/rules/:id', auth.requireRole('manager'), (req, res) => {
   try {
-    if (hostawayAccessToken && tokenExpiry && Date.now() < tokenExpiry) {
-      return hostawayAccessToken; // Token still valid
+    const rule = rules.updateRule(parseInt(req.params.id), req.body);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found.' });
     }
+    console.log(`🤖 ${req.user.username} updated rule "${rule.name}"`);
+    res.status(200).json({ status: 'success', result: rule });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to update rule');
+  }
+});
 
-    console.log('🔑 Authenticating with Hostaway API...');
-    
-    const params = new URLSearchParams();
-    params.append('grant_type', 'client_credentials');
-    params.append('client_id', process.env.HOSTAWAY_ACCOUNT_ID);
-    params.append('client_secret', process.env.HOSTAWAY_API_KEY);
-    params.append('scope', 'general');
-
-    const response = await axios.post('https://api.hostaway.com/v1/accessTokens', params, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Cache-control': 'no-cache'
-      }
-    });
+/**
+ * @api {delete} /api/rules/:id Delete Auto-Approval Rule
+ * @apiName DeleteRule
+ * @apiGroup Rules
+ * @apiDescription Decisions the rule already made stay recorded under its name.
+ *
+ * @apiParam {Number} id Rule ID.
+ */
+app.delete('/api/rules/:id', auth.requireRole('manager'), (req, res) => {
+  if (!rules.deleteRule(parseInt(req.params.id))) {
+    return res.status(404).json({ message: 'Rule not found.' });
+  }
+  res.status(200).json({ status: 'success', message: 'Rule deleted.' });
+});
 
-    if (response.data && response.data.access_token) {
-      hostawayAccessToken = response.data.access_token;
-      // Set token expiry; default is one hour
-      const expiresIn = response.data.expires_in || 3600; // default to 1 hour
-      tokenExpiry = Date.now() + (expiresIn * 1000);
-      
-      console.log('✅ Hostaway authentication successful');
-      return hostawayAccessToken;
-    } else {
-      throw new Error('No access token received');
-    }
+/**
+ * @api {get} /api/listings List Listings
+ * @apiName ListListings
+ * @apiGroup Listings
+ * @apiDescription Listings with reviews, their Hostaway review stats and the Google place
+ * linked to each. Google ratings older than a day are refreshed first.
+ *
+ * @apiSuccess {Object[]} result Listings with listingName, listingId, hostaway and google (or null).
+ */
+app.get('/api/listings', auth.requireAuth, async (req, res) => {
+  try {
+    await listingPlaces.refreshStaleRatings();
+    res.status(200).json({ status: 'success', result: listingPlaces.listListings() });
   } catch (error) {
-    console.error('❌ Hostaway authentication failed:', error.response?.data || error.message);
-    return null;
+    console.error('❌ Failed to list listings:', error);
+    res.status(500).json({ message: 'Failed to list listings.' });
   }
-};
+});
 
 /**
- * Retrieve reviews from Hostaway API
+ * @api {put} /api/listings/:listingName/google-place Link Listing to Google Place
+ * @apiName LinkListingPlace
+ * @apiGroup Listings
+ * @apiDescription Replaces any earlier link. The place's name, address and rating are read from
+ * Google, and the place's Google reviews are imported into the review store for the listing.
+ *
+ * @apiParam {String} listingName Hostaway listing name (URL encoded).
+ * @apiParam {String} placeId Google place ID.
+ *
+ * @apiSuccess {Object} result The listing with its Google place.
+ * @apiSuccess {Object} imported Google reviews imported for the listing (inserted and updated counts).
  */
-const fetchHostawayReviews = async () => {
+app.put('/api/listings/:listingName/google-place', auth.requireRole('manager'), async (req, res) => {
+  const { placeId } = req.body || {};
+
+  if (typeof placeId !== 'string' || !placeId.trim()) {
+    return res.status(400).json({ message: 'placeId is required.' });
+  }
+
+  if (!process.env.GOOGLE_API_KEY) {
+    return res.status(500).json({ message: 'Google API key not configured' });
+  }
+
   try {
-    const token = await authenticateHostaway();
-    if (!token) {
-      console.log('⚠️ Hostaway authentication failed, using mock data');
-      return [];
+    const listing = await listingPlaces.linkListing(req.params.listingName, placeId.trim(), req.user);
+    console.log(`🔗 ${req.user.username} linked "${listing.listingName}" to Google place "${listing.google.placeName}"`);
+    const { inserted, updated } = await importGoogleReviews({ listingName: listing.listingName });
+    res.status(200).json({ status: 'success', result: listing, imported: { inserted, updated } });
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, code: 'quota_exceeded' });
     }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('❌ Failed to link listing:', error.message);
+    res.status(500).json({ message: 'Failed to link listing.' });
+  }
+});
 
-    console.log('📊 Fetching reviews from Hostaway API...');
-    
-    const response = await axios.get('https://api.hostaway.com/v1/reviews', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      params: {
-        limit: 100,
-        includeResources: 'listing,conversation,reservation'
-      }
-    });
+/**
+ * @api {delete} /api/listings/:listingName/google-place Unlink Listing from Google Place
+ * @apiName UnlinkListingPlace
+ * @apiGroup Listings
+ *
+ * @apiParam {String} listingName Hostaway listing name (URL encoded).
+ */
+app.delete('/api/listings/:listingName/google-place', auth.requireRole('manager'), (req, res) => {
+  if (!listingPlaces.unlinkListing(req.params.listingName)) {
+    return res.status(404).json({ message: 'Listing is not linked to a Google place.' });
+  }
+  res.status(200).json({ status: 'success', message: 'Google place unlinked.' });
+});
 
-    if (response.data && response.data.status === 'success') {
-      console.log(`✅ Retrieved ${response.data.result?.length || 0} reviews from Hostaway`);
-      return response.data.result || [];
-    } else {
-      console.log('⚠️ No reviews found in Hostaway API response');
-      return [];
-    }
+/**
+ * @api {get} /api/digests List Email Digests
+ * @apiName ListDigests
+ * @apiGroup Digests
+ * @apiDescription Digest recipients and schedule per property. Managers only.
+ *
+ * @apiSuccess {Object[]} result listingName, recipients, frequency ('daily' or 'weekly'),
+ * dayOfWeek (0 = Sunday), hour (UTC), enabled, lastSentAt and lastError.
+ * @apiSuccess {Boolean} mailConfigured Whether an email transport is configured.
+ * @apiSuccess {Object} options Properties a digest can be set up for.
+ */
+app.get('/api/digests', auth.requireRole('manager'), (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    result: digest.listSubscriptions(),
+    mailConfigured: mailer.isMailConfigured(),
+    options: { properties: getReviewFacets().properties }
+  });
+});
+
+/**
+ * @api {put} /api/digests/:listingName Set Up Email Digest
+ * @apiName SaveDigest
+ * @apiGroup Digests
+ *
+ * @apiParam {String} listingName Listing name (URL encoded).
+ * @apiParam {String[]} recipients Email addresses.
+ * @apiParam {String="daily","weekly"} frequency How often to send.
+ * @apiParam {Number} [dayOfWeek] 0 (Sunday) to 6, for weekly digests.
+ * @apiParam {Number} hour Hour of the day to send, 0-23 UTC.
+ * @apiParam {Boolean} [enabled=true] Whether the digest is sent.
+ */
+app.put('/api/digests/:listingName', auth.requireRole('manager'), (req, res) => {
+  try {
+    const subscription = digest.saveSubscription(req.params.listingName, req.body, req.user);
+    console.log(`✉️ ${req.user.username} set up the ${subscription.frequency} digest for "${subscription.listingName}"`);
+    res.status(200).json({ status: 'success', result: subscription });
   } catch (error) {
-    console.error('❌ Error fetching Hostaway reviews:', error.response?.data || error.message);
-    
-    // Ignore 404 or no-review errors in the sandbox
-    if (error.response?.status === 404 || error.response?.data?.message?.includes('no reviews')) {
-      console.log('ℹ️ No reviews available in Hostaway sandbox (expected)');
+    sendLibError(res, error, 'Failed to save digest');
+  }
+});
+
+/**
+ * @api {delete} /api/digests/:listingName Stop Email Digest
+ * @apiName DeleteDigest
+ * @apiGroup Digests
+ */
+app.delete('/api/digests/:listingName', auth.requireRole('manager'), (req, res) => {
+  if (!digest.deleteSubscription(req.params.listingName)) {
+    return res.status(404).json({ message: 'No digest is set up for this listing.' });
+  }
+  res.status(200).json({ status: 'success', message: 'Digest removed.' });
+});
+
+/**
+ * @api {get} /api/digests/:listingName/preview Preview Email Digest
+ * @apiName PreviewDigest
+ * @apiGroup Digests
+ * @apiDescription The digest's HTML as it would be sent now, covering the time since the last send.
+ */
+app.get('/api/digests/:listingName/preview', auth.requireRole('manager'), (req, res) => {
+  try {
+    const { subject, html } = digest.previewDigest(req.params.listingName);
+    res.status(200).json({ status: 'success', result: { subject, html } });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to preview digest');
+  }
+});
+
+/**
+ * @api {post} /api/digests/:listingName/send Send Email Digest Now
+ * @apiName SendDigest
+ * @apiGroup Digests
+ * @apiDescription Sends the digest immediately, covering the time since the last send.
+ * Nothing is emailed when there are no new or pending reviews.
+ *
+ * @apiSuccess {Object} result listingName, newReviews, pendingReviews and sent.
+ */
+app.post('/api/digests/:listingName/send', auth.requireRole('manager'), async (req, res) => {
+  try {
+    const summary = await digest.sendDigest(req.params.listingName);
+    console.log(`✉️ ${req.user.username} sent the digest for "${summary.listingName}"`);
+    res.status(200).json({ status: 'success', result: summary });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to send digest');
+  }
+});
+
+/**
+ * @api {get} /api/alerts List Low-Rating Alerts
+ * @apiName ListAlerts
+ * @apiGroup Alerts
+ * @apiDescription Alerts posted to outgoing webhooks when a new review matches. Managers only.
+ *
+ * @apiSuccess {Object[]} result Alerts with name, enabled, webhookUrl and conditions.
+ * @apiSuccess {Object} options Listings and categories available for conditions.
+ */
+app.get('/api/alerts', auth.requireRole('manager'), (req, res) => {
+  const { properties, categories } = getReviewFacets();
+  res.status(200).json({ status: 'success', result: alerts.listAlerts(), options: { properties, categories } });
+});
+
+/**
+ * @api {post} /api/alerts Create Low-Rating Alert
+ * @apiName CreateAlert
+ * @apiGroup Alerts
+ *
+ * @apiParam {String} name Alert name, shown in the message.
+ * @apiParam {String} webhookUrl Outgoing webhook receiving Slack-compatible JSON.
+ * @apiParam {Boolean} [enabled=true] Whether the alert runs on new reviews.
+ * @apiParam {Object} conditions maxRating, maxCategoryRating and keywords (at least one is
+ * required; any of them firing triggers the alert), plus categories and listings to narrow
+ * them down. Ratings are out of 10 and "at or below".
+ *
+ * @apiSuccess {Object} result The created alert.
+ */
+app.post('/api/alerts', auth.requireRole('manager'), (req, res) => {
+  try {
+    const alert = alerts.createAlert(req.body, req.user);
+    console.log(`🚨 ${req.user.username} created alert "${alert.name}"`);
+    res.status(201).json({ status: 'success', result: alert });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to create alert');
+  }
+});
+
+/**
+ * @api {get} /api/alerts/deliveries Alert Delivery Log
+ * @apiName ListAlertDeliveries
+ * @apiGroup Alerts
+ * @apiDescription The latest 200 webhook deliveries, newest first, with attempts and errors.
+ *
+ * @apiParam {Number} [alertId] Only this alert's deliveries.
+ * @apiParam {String="pending","delivered","failed"} [status] Only deliveries with this status.
+ */
+app.get('/api/alerts/deliveries', auth.requireRole('manager'), (req, res) => {
+  try {
+    const alertId = req.query.alertId ? parseInt(req.query.alertId) : undefined;
+    res.status(200).json({ status: 'success', result: alerts.listDeliveries({ alertId, status: req.query.status }) });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to list alert deliveries');
+  }
+});
+
+/**
+ * @api {post} /api/alerts/deliveries/:id/retry Retry Alert Delivery
+ * @apiName RetryAlertDelivery
+ * @apiGroup Alerts
+ * @apiDescription Sends a delivery that ran out of retries again, right away.
+ *
+ * @apiParam {Number} id Delivery ID.
+ *
+ * @apiSuccess {Object} result The delivery after the attempt.
+ */
+app.post('/api/alerts/deliveries/:id/retry', auth.requireRole('manager'), async (req, res) => {
+  try {
+    const delivery = await alerts.retryDelivery(parseInt(req.params.id));
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found.' });
     }
-    
-    return [];
+    res.status(200).json({ status: 'success', result: delivery });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to retry delivery');
   }
-};
+});
 
 /**
- * Read mock reviews from file
+ * @api {put} /api/alerts/:id Update Low-Rating Alert
+ * @apiName UpdateAlert
+ * @apiGroup Alerts
+ *
+ * @apiParam {Number} id Alert ID.
+ * @apiParam {Object} alert Same fields as when creating an alert.
+ *
+ * @apiSuccess {Object} result The updated alert.
  */
-const readMockReviews = async () => {
+app.put('/api/alerts/:id', auth.requireRole('manager'), (req, res) => {
   try {
-    const data = await fs.readFile(path.join(__dirname, 'mock-reviews.json'), 'utf8');
-    const reviewsData = JSON.parse(data);
-    return reviewsData.result || [];
+    const alert = alerts.updateAlert(parseInt(req.params.id), req.body, req.user);
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found.' });
+    }
+    console.log(`🚨 ${req.user.username} updated alert "${alert.name}"`);
+    res.status(200).json({ status: 'success', result: alert });
   } catch (error) {
-    console.error('❌ Error reading mock reviews:', error);
-    return [];
+    sendLibError(res, error, 'Failed to update alert');
   }
-};
+});
 
 /**
- * @api {get} /api/reviews/hostaway Get and Normalize Hostaway Reviews
- * @apiName GetHostawayReviews
- * @apiGroup Reviews
+ * @api {delete} /api/alerts/:id Delete Low-Rating Alert
+ * @apiName DeleteAlert
+ * @apiGroup Alerts
+ * @apiDescription The delivery log is kept; deliveries still waiting for a retry are dropped.
+ *
+ * @apiParam {Number} id Alert ID.
+ */
+app.delete('/api/alerts/:id', auth.requireRole('manager'), (req, res) => {
+  if (!alerts.deleteAlert(parseInt(req.params.id))) {
+    return res.status(404).json({ message: 'Alert not found.' });
+  }
+  res.status(200).json({ status: 'success', message: 'Alert deleted.' });
+});
+
+/**
+ * @api {post} /api/alerts/:id/test Send Test Alert
+ * @apiName TestAlert
+ * @apiGroup Alerts
+ * @apiDescription Posts a sample message to the alert's webhook and logs the delivery.
+ *
+ * @apiParam {Number} id Alert ID.
  *
- * @apiSuccess {Object[]} reviews List of normalized reviews.
- * @apiSuccess {Number} reviews.id Review ID.
- * @apiSuccess {String} reviews.guestName Name of the guest.
- * @apiSuccess {String} reviews.listingName Name of the property listing.
- * @apiSuccess {String} reviews.channel The channel the review came from (e.g., Hostaway).
- * @apiSuccess {String} reviews.date The submission date of the review.
- * @apiSuccess {Number} reviews.overallRating The calculated average rating.
- * @apiSuccess {String} reviews.body The public text of the review.
- * @apiSuccess {Object} reviews.ratings An object with detailed category ratings.
- * @apiSuccess {Boolean} reviews.displayOnWebsite A flag for website visibility.
+ * @apiSuccess {Object} result The delivery, with status 'delivered' or the error.
  */
-app.get('/api/reviews/hostaway', async (req, res) => {
+app.post('/api/alerts/:id/test', auth.requireRole('manager'), async (req, res) => {
   try {
-    console.log('🔍 Starting Hostaway reviews fetch...');
-    
-    // Attempt to fetch from Hostaway API first
-    let reviewsToProcess = [];
-    let dataSource = 'unknown';
-    
-    try {
-      console.log('🌐 Attempting to fetch from real Hostaway API...');
-      const realHostawayReviews = await fetchHostawayReviews();
-      
-      if (realHostawayReviews && realHostawayReviews.length > 0) {
-        reviewsToProcess = realHostawayReviews;
-        dataSource = 'real_api';
-        console.log(`✅ Using ${reviewsToProcess.length} reviews from REAL Hostaway API`);
-      } else {
-        throw new Error('No reviews from real API, falling back to mock');
-      }
-    } catch (apiError) {
-      console.log('⚠️ Real Hostaway API unavailable, using mock data');
-      console.log('📁 Fetching mock reviews...');
-      
-      // Fallback to mock data
-      const mockReviews = await readMockReviews();
-      reviewsToProcess = mockReviews;
-      dataSource = 'mock_data';
-      console.log(`🔄 Using ${reviewsToProcess.length} reviews from MOCK data`);
-    }
-
-    // Read approval states
-    const approvals = await readApprovals();
-
-    // Filter for relevant reviews and normalize
-    const normalizedReviews = reviewsToProcess
-      // We only care about reviews written by guests about the property
-      .filter(review => review.type === 'guest-to-host')
-      // Map each valid review to our clean, normalized structure
-      .map(review => normalizeReview(review, approvals, dataSource));
-      
-    console.log(`📊 Processed ${normalizedReviews.length} normalized reviews from ${dataSource}`);
-    
-    // Return in exact Hostaway API format as specified in requirements
-    res.status(200).json({
-      status: "success",
-      result: normalizedReviews
-    });
-    
+    const delivery = await alerts.sendTestAlert(parseInt(req.params.id));
+    if (!delivery) {
+      return res.status(404).json({ message: 'Alert not found.' });
+    }
+    res.status(200).json({ status: 'success', result: delivery });
   } catch (error) {
-    console.error('❌ Error in /api/reviews/hostaway:', error);
-    res.status(500).json({ 
-      message: 'Failed to retrieve reviews.',
-      error: error.message,
-      source: 'error'
-    });
+    sendLibError(res, error, 'Failed to send test alert');
   }
 });
 
 /**
- * @api {put} /api/reviews/:id/approval Update Review Approval Status
- * @apiName UpdateReviewApproval
- * @apiGroup Reviews
+ * @api {get} /api/reply-templates List Reply Templates
+ * @apiName ListReplyTemplates
+ * @apiGroup ReplyTemplates
+ * @apiDescription Templates managers start replies to guests from. Managers only.
  *
- * @apiParam {Number} id Review ID.
- * @apiParam {Boolean} displayOnWebsite Whether the review should be displayed on website.
+ * @apiSuccess {Object[]} result Templates with name and body, by name.
+ * @apiSuccess {Object} syntax The merge variables ({{name}}) and rating band sections
+ * ({{#band}}...{{/band}}) templates can use, each with a description.
+ */
+app.get('/api/reply-templates', auth.requireRole('manager'), (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    result: replyTemplates.listTemplates(),
+    syntax: {
+      variables: replyTemplates.TEMPLATE_VARIABLES,
+      ratingBands: replyTemplates.RATING_BANDS.map(({ name, description }) => ({ name, description }))
+    }
+  });
+});
+
+/**
+ * @api {post} /api/reply-templates Create Reply Template
+ * @apiName CreateReplyTemplate
+ * @apiGroup ReplyTemplates
  *
- * @apiSuccess {String} message Success message.
- * @apiSuccess {Boolean} displayOnWebsite Updated approval status.
+ * @apiParam {String} name Template name (unique).
+ * @apiParam {String} body Reply text with merge variables and rating band sections.
+ *
+ * @apiSuccess {Object} result The created template.
+ * @apiError (400) InvalidTemplate Unknown variables or sections, or a section left open.
+ * @apiError (409) NameTaken Another template has the name.
  */
-app.put('/api/reviews/:id/approval', async (req, res) => {
+app.post('/api/reply-templates', auth.requireRole('manager'), (req, res) => {
   try {
-    const reviewId = parseInt(req.params.id);
-    const { displayOnWebsite } = req.body;
+    const template = replyTemplates.createTemplate(req.body, req.user);
+    res.status(201).json({ status: 'success', result: template });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to create template');
+  }
+});
 
-    if (typeof displayOnWebsite !== 'boolean') {
-      return res.status(400).json({ message: 'displayOnWebsite must be a boolean value.' });
+/**
+ * @api {put} /api/reply-templates/:id Update Reply Template
+ * @apiName UpdateReplyTemplate
+ * @apiGroup ReplyTemplates
+ *
+ * @apiParam {Number} id Template ID.
+ * @apiParam {String} name Template name (unique).
+ * @apiParam {String} body Reply text with merge variables and rating band sections.
+ *
+ * @apiSuccess {Object} result The updated template.
+ */
+app.put('/api/reply-templates/:id', auth.requireRole('manager'), (req, res) => {
+  try {
+    const template = replyTemplates.updateTemplate(parseInt(req.params.id), req.body, req.user);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found.' });
     }
+    res.status(200).json({ status: 'success', result: template });
+  } catch (error) {
+    sendLibError(res, error, 'Failed to update template');
+  }
+});
 
-    // Read current approvals
-    const approvals = await readApprovals();
-    
-    // Update the approval status for this review
-    approvals[reviewId] = displayOnWebsite;
-    
-    // Save back to file
-    await writeApprovals(approvals);
-    
-    res.status(200).json({ 
-      message: 'Review approval status updated successfully.',
-      displayOnWebsite: displayOnWebsite
-    });
+/**
+ * @api {delete} /api/reply-templates/:id Delete Reply Template
+ * @apiName DeleteReplyTemplate
+ * @apiGroup ReplyTemplates
+ * @apiDescription Replies already written from the template are unaffected.
+ *
+ * @apiParam {Number} id Template ID.
+ */
+app.delete('/api/reply-templates/:id', auth.requireRole('manager'), (req, res) => {
+  if (!replyTemplates.deleteTemplate(parseInt(req.params.id))) {
+    return res.status(404).json({ message: 'Template not found.' });
+  }
+  res.status(200).json({ status: 'success', message: 'Template deleted.' });
+});
+
+/**
+ * @api {post} /api/reply-templates/:id/render Render Reply Template
+ * @apiName RenderReplyTemplate
+ * @apiGroup ReplyTemplates
+ * @apiDescription Fills a template in for a review: only the section for the review's rating
+ * band is kept, and variables are replaced with the review's values. Nothing is saved.
+ *
+ * @apiParam {Number} id Template ID.
+ * @apiParam {String} reviewId Review to fill the template in for.
+ *
+ * @apiSuccess {String} result.body The reply text.
+ * @apiSuccess {String[]} result.missing Variables used that the review has no value for (left blank).
+ */
+app.post('/api/reply-templates/:id/render', auth.requireRole('manager'), (req, res) => {
+  try {
+    const rendered = replyTemplates.renderForReview(parseInt(req.params.id), (req.body || {}).reviewId);
+    if (!rendered) {
+      return res.status(404).json({ message: 'Template not found.' });
+    }
+    res.status(200).json({ status: 'success', result: rendered });
   } catch (error) {
-    console.error('Error updating review approval:', error);
-    res.status(500).json({ message: 'Failed to update review approval status.' });
+    sendLibError(res, error, 'Failed to render template');
   }
 });
 
@@ -317,7 +1430,7 @@ app.put('/api/reviews/:id/approval', async (req, res) => {
  * @apiSuccess {String} data.predictions.description The full text of the prediction.
  * @apiSuccess {String} data.predictions.place_id The Google Place ID for the prediction.
  */
-app.get('/api/google-places/autocomplete', async (req, res) => {
+app.get('/api/google-places/autocomplete', auth.requireAuth, async (req, res) => {
   const { input, types } = req.query;
 
   if (!input) {
@@ -332,28 +1445,30 @@ app.get('/api/google-places/autocomplete', async (req, res) => {
   try {
     const params = {
       input,
-      key: process.env.GOOGLE_API_KEY,
       types: types || 'establishment', // Default type if none supplied
     };
 
-    console.log('🔮 Fetching Google Autocomplete with params:', { input, types: params.types });
+    console.log('🔮 Fetching Google Autocomplete with params:', params);
 
-    const response = await axios.get('https://maps.googleapis.com/maps/api/place/autocomplete/json', { params });
+    const data = await googlePlaces.fetchPlaces('autocomplete', params);
 
-    if (response.data.status !== 'OK' && response.data.status !== 'ZERO_RESULTS') {
-      console.error('❌ Google Autocomplete API error:', response.data.status, response.data.error_message);
+    if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
+      console.error('❌ Google Autocomplete API error:', data.status, data.error_message);
       return res.status(500).json({ 
         message: 'Google Places Autocomplete API error',
-        details: response.data.error_message || response.data.status
+        details: data.error_message || data.status
       });
     }
 
     res.status(200).json({
       status: 'success',
-      predictions: response.data.predictions,
+      predictions: data.predictions,
     });
 
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, code: 'quota_exceeded' });
+    }
     console.error('❌ Error calling Google Autocomplete API:', error.message);
     res.status(500).json({ 
       message: 'An unexpected error occurred while fetching autocomplete suggestions.',
@@ -378,8 +1493,11 @@ app.get('/api/google-places/autocomplete', async (req, res) => {
  * @apiSuccess {Number} places.rating Overall rating (1-5)
  * @apiSuccess {Number} places.user_ratings_total Total number of ratings
  * @apiSuccess {String[]} places.types Array of place types
+ * @apiSuccess {String[]} places.linked_listings Hostaway listings already linked to the place
+ * @apiSuccess {Object} places.suggested_listing Listing whose name best matches the place's name and address
+ * (listingName and score between 0 and 1), or null when nothing matches well
  */
-app.get('/api/google-places/search', async (req, res) => {
+app.get('/api/google-places/search', auth.requireAuth, async (req, res) => {
   try {
     const { query, location, radius } = req.query;
     
@@ -391,32 +1509,21 @@ app.get('/api/google-places/search', async (req, res) => {
       return res.status(500).json({ message: 'Google API key not configured' });
     }
 
-    // Build the API URL
-    let apiUrl = `https://maps.googleapis.com/maps/api/place/textsearch/json?query=${encodeURIComponent(query)}&key=${process.env.GOOGLE_API_KEY}`;
-    
-    if (location) {
-      apiUrl += `&location=${location}`;
-    }
-    
-    if (radius) {
-      apiUrl += `&radius=${radius}`;
-    }
-
     console.log('📍 Google Places API request:', { query, location, radius });
 
-    const response = await axios.get(apiUrl);
+    const data = await googlePlaces.fetchPlaces('search', { query, location, radius });
     
-    if (response.data.status !== 'OK') {
-      console.error('❌ Google Places API error:', response.data.status, response.data.error_message);
+    if (data.status !== 'OK') {
+      console.error('❌ Google Places API error:', data.status, data.error_message);
       return res.status(400).json({ 
         message: 'Google Places API error', 
-        status: response.data.status,
-        error: response.data.error_message 
+        status: data.status,
+        error: data.error_message 
       });
     }
 
     // Normalize the response for our frontend
-    const normalizedPlaces = response.data.results.map(place => ({
+    const normalizedPlaces = data.results.map(place => ({
       place_id: place.place_id,
       name: place.name,
       formatted_address: place.formatted_address,
@@ -424,7 +1531,9 @@ app.get('/api/google-places/search', async (req, res) => {
       user_ratings_total: place.user_ratings_total || 0,
       types: place.types || [],
       geometry: place.geometry,
-      price_level: place.price_level || null
+      price_level: place.price_level || null,
+      linked_listings: listingPlaces.getLinkedListings(place.place_id),
+      suggested_listing: listingPlaces.suggestListing({ name: place.name, address: place.formatted_address })
     }));
 
     console.log(`✅ Found ${normalizedPlaces.length} places for query: "${query}"`);
@@ -436,6 +1545,9 @@ app.get('/api/google-places/search', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, code: 'quota_exceeded' });
+    }
     console.error('❌ Error in Google Places search:', error.message);
     res.status(500).json({ 
       message: 'Failed to search Google Places',
@@ -463,7 +1575,7 @@ app.get('/api/google-places/search', async (req, res) => {
  * @apiSuccess {String} place.website Website URL
  * @apiSuccess {Object} place.opening_hours Opening hours information
  */
-app.get('/api/google-places/details/:place_id', async (req, res) => {
+app.get('/api/google-places/details/:place_id', auth.requireAuth, async (req, res) => {
   try {
     const { place_id } = req.params;
     const { fields } = req.query;
@@ -480,22 +1592,20 @@ app.get('/api/google-places/details/:place_id', async (req, res) => {
     const defaultFields = 'place_id,name,formatted_address,rating,user_ratings_total,reviews,formatted_phone_number,website,opening_hours,photos,types,geometry';
     const requestFields = fields || defaultFields;
 
-    const apiUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${place_id}&fields=${requestFields}&key=${process.env.GOOGLE_API_KEY}`;
-
     console.log('📍 Google Place Details API request:', { place_id, fields: requestFields });
 
-    const response = await axios.get(apiUrl);
+    const data = await googlePlaces.fetchPlaces('details', { place_id, fields: requestFields });
     
-    if (response.data.status !== 'OK') {
-      console.error('❌ Google Place Details API error:', response.data.status, response.data.error_message);
+    if (data.status !== 'OK') {
+      console.error('❌ Google Place Details API error:', data.status, data.error_message);
       return res.status(400).json({ 
         message: 'Google Place Details API error', 
-        status: response.data.status,
-        error: response.data.error_message 
+        status: data.status,
+        error: data.error_message 
       });
     }
 
-    const place = response.data.result;
+    const place = data.result;
     
     // Normalize the reviews for consistent format
     const normalizedPlace = {
@@ -529,6 +1639,9 @@ app.get('/api/google-places/details/:place_id', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, code: 'quota_exceeded' });
+    }
     console.error('❌ Error in Google Place Details:', error.message);
     res.status(500).json({ 
       message: 'Failed to get place details',
@@ -554,7 +1667,7 @@ app.get('/api/google-places/details/:place_id', async (req, res) => {
  * @apiSuccess {String} data.reviews.text Review text
  * @apiSuccess {String} data.reviews.relative_time_description When review was posted
  */
-app.get('/api/google-places/reviews/:place_id', async (req, res) => {
+app.get('/api/google-places/reviews/:place_id', auth.requireAuth, async (req, res) => {
   try {
     const { place_id } = req.params;
     
@@ -568,22 +1681,20 @@ app.get('/api/google-places/reviews/:place_id', async (req, res) => {
 
     // Request only review-related fields to minimize cost
     const fields = 'place_id,name,rating,user_ratings_total,reviews';
-    const apiUrl = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${place_id}&fields=${fields}&key=${process.env.GOOGLE_API_KEY}`;
-
     console.log('📍 Google Place Reviews API request:', { place_id });
 
-    const response = await axios.get(apiUrl);
+    const data = await googlePlaces.fetchPlaces('reviews', { place_id, fields });
     
-    if (response.data.status !== 'OK') {
-      console.error('❌ Google Place Reviews API error:', response.data.status, response.data.error_message);
+    if (data.status !== 'OK') {
+      console.error('❌ Google Place Reviews API error:', data.status, data.error_message);
       return res.status(400).json({ 
         message: 'Google Place Reviews API error', 
-        status: response.data.status,
-        error: response.data.error_message 
+        status: data.status,
+        error: data.error_message 
       });
     }
 
-    const place = response.data.result;
+    const place = data.result;
     
     const reviewData = {
       place_id: place.place_id,
@@ -611,6 +1722,9 @@ app.get('/api/google-places/reviews/:place_id', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(429).json({ message: error.message, code: 'quota_exceeded' });
+    }
     console.error('❌ Error in Google Place Reviews:', error.message);
     res.status(500).json({ 
       message: 'Failed to get Google reviews',
@@ -619,7 +1733,50 @@ app.get('/api/google-places/reviews/:place_id', async (req, res) => {
   }
 });
 
+/**
+ * @api {get} /api/google-places/usage Get Google Places Usage
+ * @apiName GooglePlacesUsage
+ * @apiGroup GooglePlaces
+ * @apiDescription Today's estimated spend per SKU against the daily budget, cache hit
+ * rates per endpoint, daily totals for the last week and current cache size.
+ *
+ * @apiSuccess {Object} result Usage report.
+ */
+app.get('/api/google-places/usage', auth.requireRole('manager'), (req, res) => {
+  res.status(200).json({ status: 'success', result: googlePlaces.getUsageReport() });
+});
+
+/**
+ * @api {delete} /api/google-places/cache Clear Google Places Cache
+ * @apiName ClearGooglePlacesCache
+ * @apiGroup GooglePlaces
+ *
+ * @apiSuccess {Number} cleared Number of cached responses removed.
+ */
+app.delete('/api/google-places/cache', auth.requireRole('manager'), (req, res) => {
+  const cleared = googlePlaces.clearCache();
+  console.log(`🧹 ${req.user.username} cleared ${cleared} cached Google responses`);
+  res.status(200).json({ status: 'success', cleared });
+});
+
 app.listen(PORT, () => {
   console.log(`✅ Server is running on http://localhost:${PORT}`);
   console.log(`🔑 Google API Key configured: ${process.env.GOOGLE_API_KEY ? 'Yes' : 'No'}`);
+  console.log(`📬 Hostaway webhook configured: ${hostawayWebhook.isWebhookConfigured() ? 'Yes' : 'No'}`);
+
+  auth.ensureInitialUser().catch(error => {
+    console.error('❌ Failed to create initial manager account:', error.message);
+  });
+
+  // Tag stored reviews with the current topic taxonomy before anything reads them
+  const retagged = reviewStore.retagTopicsIfChanged();
+  if (retagged) console.log(`🏷️ Tagged the topics of ${retagged} stored reviews`);
+
+  // Refresh the review store in the background, then keep it fresh on a schedule
+  syncReviews({ trigger: 'startup' }).catch(error => {
+    console.error('❌ Startup review sync failed:', error.message);
+  });
+  startSyncScheduler();
+  digest.startDigestScheduler();
+  alerts.startAlertScheduler();
 });
\ No newline at end of file
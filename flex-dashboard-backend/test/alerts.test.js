@@ -0,0 +1,83 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Alerts post to a local webhook receiver, with reviews stored in a throwaway database
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flex-alerts-'));
+const received = [];
+
+let server;
+let alerts;
+let ingestReviews;
+
+// Reviews' submittedAt is "YYYY-MM-DD HH:mm:ss"
+const toSubmittedAt = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const hostawayReview = (id, submittedAt) => ({
+  id,
+  type: 'guest-to-host',
+  status: 'published',
+  rating: 3,
+  publicReview: 'The flat was dirty.',
+  reviewCategory: [{ category: 'cleanliness', rating: 2 }],
+  submittedAt,
+  guestName: 'Test Guest',
+  listingName: 'Test Flat',
+  channelId: 2005
+});
+
+// Queued deliveries are sent in the background; waits until none are pending
+const waitForDeliveries = async (alertId) => {
+  for (let i = 0; i < 50 && alerts.listDeliveries({ alertId, status: 'pending' }).length; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+before(async () => {
+  // The backend's progress logs would bury the test report
+  mock.method(console, 'log', () => {});
+
+  const receiver = express();
+  receiver.use(express.json());
+  receiver.post('/hook', (req, res) => {
+    received.push(req.body);
+    res.sendStatus(200);
+  });
+  server = await new Promise(resolve => {
+    const listener = receiver.listen(0, () => resolve(listener));
+  });
+
+  process.env.DATABASE_PATH = path.join(dataDir, 'reviews.db');
+  alerts = require('../lib/alerts');
+  ({ ingestReviews } = require('../lib/ingest'));
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+  require('../lib/db').close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('only reviews submitted since an alert was created are posted to it', async () => {
+  const alert = alerts.createAlert({
+    name: 'Low ratings',
+    webhookUrl: `http://localhost:${server.address().port}/hook`,
+    conditions: { maxRating: 5 }
+  }, { username: 'manager' });
+
+  // A first sync brings in the history along with a review written after the alert
+  const { inserted } = ingestReviews([
+    hostawayReview(9101, '2024-01-10 09:00:00'),
+    hostawayReview(9102, toSubmittedAt(new Date(Date.now() + 1000)))
+  ], 'real_api');
+  assert.equal(inserted, 2);
+  await waitForDeliveries(alert.id);
+
+  assert.deepEqual(alerts.listDeliveries({ alertId: alert.id }).map(delivery => delivery.reviewId), ['hostaway:9102']);
+  assert.deepEqual(received.map(payload => payload.review.id), ['hostaway:9102']);
+  assert.match(received[0].reasons[0], /^Overall rating/);
+});
@@ -0,0 +1,99 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHostawayStub } = require('../scripts/hostaway-stub');
+
+// Replies are published to the local Hostaway stand-in, with the reviews synced
+// from it into a throwaway database
+const stubOptions = { failReplies: false, quiet: true };
+const stub = createHostawayStub(stubOptions);
+const manager = { id: 1, username: 'manager', role: 'manager' };
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flex-replies-'));
+
+let server;
+let reviewReplies;
+
+before(async () => {
+  // The backend's progress logs would bury the test report
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  server = await new Promise(resolve => {
+    const listener = stub.listen(0, () => resolve(listener));
+  });
+  Object.assign(process.env, {
+    DATABASE_PATH: path.join(dataDir, 'reviews.db'),
+    HOSTAWAY_API_URL: `http://localhost:${server.address().port}/v1`,
+    HOSTAWAY_ACCOUNT_ID: 'test-account',
+    HOSTAWAY_API_KEY: 'test-key'
+  });
+
+  // Loaded once the environment points at the stand-in
+  const { fetchHostawayReviews } = require('../lib/hostaway');
+  const { ingestReviews } = require('../lib/ingest');
+  reviewReplies = require('../lib/reviewReplies');
+  ingestReviews(await fetchHostawayReviews(), 'real_api');
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+  require('../lib/db').close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const stubReview = (hostawayId) => stub.locals.reviews.find(review => review.id === hostawayId);
+
+test('a draft is saved, edited and published, ending up sent with the sent text', async () => {
+  const draft = reviewReplies.saveDraft('hostaway:1001', 'Thanks for staying!', manager);
+  assert.equal(draft.status, 'draft');
+  assert.equal(draft.body, 'Thanks for staying!');
+
+  const edited = reviewReplies.saveDraft('hostaway:1001', '  Thanks for staying, come back soon!  ', manager);
+  assert.equal(edited.status, 'draft');
+  assert.equal(edited.body, 'Thanks for staying, come back soon!');
+
+  const sent = await reviewReplies.publishReply('hostaway:1001', manager);
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.sentBody, 'Thanks for staying, come back soon!');
+  assert.equal(sent.sentBy, 'manager');
+  assert.ok(sent.sentAt);
+  assert.equal(stubReview(1001).revieweeResponse, 'Thanks for staying, come back soon!');
+});
+
+test('a sent reply can no longer be edited, discarded or published again', async () => {
+  reviewReplies.saveDraft('hostaway:1002', 'Glad you enjoyed it.', manager);
+  await reviewReplies.publishReply('hostaway:1002', manager);
+
+  assert.throws(() => reviewReplies.saveDraft('hostaway:1002', 'Changed my mind', manager), { status: 409 });
+  assert.throws(() => reviewReplies.discardDraft('hostaway:1002'), { status: 409 });
+  await assert.rejects(reviewReplies.publishReply('hostaway:1002', manager), { status: 409 });
+  assert.equal(reviewReplies.getReply('hostaway:1002').sentBody, 'Glad you enjoyed it.');
+});
+
+test('a publish Hostaway rejects ends up failed with the error stored, and can be retried', async () => {
+  reviewReplies.saveDraft('hostaway:1004', 'Sorry about the noise.', manager);
+
+  stubOptions.failReplies = true;
+  try {
+    await assert.rejects(reviewReplies.publishReply('hostaway:1004', manager), (error) => {
+      assert.equal(error.status, 502);
+      assert.equal(error.reply.status, 'failed');
+      return true;
+    });
+  } finally {
+    stubOptions.failReplies = false;
+  }
+
+  const failed = reviewReplies.getReply('hostaway:1004');
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /rejected the response/);
+  assert.equal(failed.sentAt, null);
+  assert.equal(stubReview(1004).revieweeResponse, undefined);
+
+  const sent = await reviewReplies.publishReply('hostaway:1004', manager);
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.error, null);
+});
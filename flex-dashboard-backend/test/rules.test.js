@@ -0,0 +1,105 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Rules run against reviews stored in a throwaway database. Hostaway's category
+// lists are stored as received, so some of these carry nulls and other junk.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flex-rules-'));
+
+const hostawayReview = (id, rating, reviewCategory, listingName = 'Test Flat A') => ({
+  id,
+  type: 'guest-to-host',
+  status: 'published',
+  rating,
+  publicReview: `Review ${id} of ${listingName}.`,
+  reviewCategory,
+  submittedAt: `2025-05-0${id % 10} 10:00:00`,
+  guestName: 'Test Guest',
+  listingName,
+  channelId: 2005
+});
+
+const REVIEWS = [
+  hostawayReview(9001, 10, [null, 'cleanliness', { category: 'cleanliness', rating: 10 }]),
+  hostawayReview(9002, 9, [{ category: 'cleanliness', rating: 6 }]),
+  hostawayReview(9003, 4, [{ category: 'cleanliness', rating: null }, { rating: 9 }, 7]),
+  hostawayReview(9004, 10, [{ category: 'cleanliness', rating: 9 }], 'Test Flat B')
+];
+
+const cleanRule = {
+  name: 'Spotless',
+  action: 'auto_approve',
+  conditions: { minCategoryRatings: { cleanliness: 9 } }
+};
+
+let rules;
+let reviewStore;
+let ingestReviews;
+let getReviewsByIds;
+
+before(() => {
+  // The backend's progress logs would bury the test report
+  mock.method(console, 'log', () => {});
+
+  process.env.DATABASE_PATH = path.join(dataDir, 'reviews.db');
+  rules = require('../lib/rules');
+  reviewStore = require('../lib/reviewStore');
+  ({ ingestReviews } = require('../lib/ingest'));
+  ({ getReviewsByIds } = require('../lib/reviewQuery'));
+  ingestReviews(REVIEWS, 'real_api');
+});
+
+after(() => {
+  mock.restoreAll();
+  require('../lib/db').close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('category conditions skip malformed category entries instead of throwing', () => {
+  const preview = rules.previewRule(cleanRule);
+  assert.deepEqual(preview.reviews.map(review => review.id).sort(), ['hostaway:9001', 'hostaway:9004']);
+});
+
+test('a dry run counts the matches and how many would change', () => {
+  const lowRated = { name: 'Low', action: 'auto_hide', conditions: { maxRating: 5 } };
+  const { matchCount, wouldChange } = rules.previewRule(cleanRule);
+  assert.deepEqual({ matchCount, wouldChange }, { matchCount: 2, wouldChange: 2 });
+  assert.equal(rules.previewRule(lowRated).matchCount, 1);
+  assert.equal(rules.previewRule(lowRated).wouldChange, 0); // Reviews start hidden
+
+  reviewStore.setApproval('hostaway:9003', true, { actor: { id: null, username: 'test' } });
+  assert.equal(rules.previewRule(lowRated).wouldChange, 1);
+
+  const flatB = { ...cleanRule, conditions: { ...cleanRule.conditions, listings: ['Test Flat B'] } };
+  assert.equal(rules.previewRule(flatB).matchCount, 1);
+  assert.equal(rules.previewRule({ ...cleanRule, action: 'flag' }).wouldChange, 0);
+});
+
+test('a dry run changes nothing', () => {
+  rules.previewRule(cleanRule);
+  const [review] = getReviewsByIds(['hostaway:9001']);
+  assert.equal(review.displayOnWebsite, false);
+  assert.equal(review.ruleDecision, null);
+});
+
+test('new reviews with malformed category entries are decided by the first matching rule', () => {
+  const rule = rules.createRule(cleanRule);
+  rules.createRule({ name: 'Everything else', action: 'flag', priority: 10 });
+
+  const { inserted, decisions } = ingestReviews([
+    hostawayReview(9005, 10, [null, { category: 'cleanliness', rating: 10 }]),
+    hostawayReview(9006, 8, [null, { category: 'cleanliness', rating: 7 }])
+  ], 'webhook');
+  assert.equal(inserted, 2);
+  assert.deepEqual(decisions, { auto_approve: 1, auto_hide: 0, flag: 1 });
+
+  const stored = getReviewsByIds(['hostaway:9005', 'hostaway:9006']);
+  const approved = stored.find(review => review.id === 'hostaway:9005');
+  const flagged = stored.find(review => review.id === 'hostaway:9006');
+  assert.equal(approved.displayOnWebsite, true);
+  assert.equal(approved.ruleDecision.ruleId, rule.id);
+  assert.equal(flagged.displayOnWebsite, false);
+  assert.equal(flagged.ruleDecision.action, 'flag');
+});
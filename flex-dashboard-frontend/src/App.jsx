@@ -3,84 +3,118 @@ import { BrowserRouter, Routes, Route, Link } from 'react-router-dom';
 import DashboardPage from './pages/DashboardPage';
 import PropertyPage from './pages/PropertyPage';
 import GoogleReviewsPage from './pages/GoogleReviewsPage';
+import LoginPage from './pages/LoginPage';
+import AuthProvider from './auth/AuthProvider';
+import RequireAuth from './auth/RequireAuth';
+import { useAuth } from './auth/AuthContext';
 import { Box, AppBar, Toolbar, Button, Typography } from '@mui/material';
-import { Dashboard, Home, Reviews } from '@mui/icons-material';
+import { Dashboard, Home, Reviews, Logout } from '@mui/icons-material';
+
+// Navigation bar with the logged in user
+const NavBar = () => {
+  const { user, logout } = useAuth();
 
-export default function App() {
   return (
-    <BrowserRouter>
-      {/* Navigation bar */}
-      <AppBar position="sticky" sx={{ backgroundColor: '#284E4C' }} elevation={1}>
-        <Toolbar>
-          {/* Logo link to property page */}
-          <Box 
-            component={Link} 
-            to="/property" 
-            sx={{ 
-              flexGrow: 1, 
-              display: 'flex', 
-              alignItems: 'center',
-              textDecoration: 'none'
-            }}
-          >
-            <img 
-              src="/TheFlexWhite_V3 Symbol & Wordmark.png" 
-              alt="The Flex" 
-              style={{ 
-                height: '32px', 
-                objectFit: 'contain',
-                cursor: 'pointer'
-              }} 
-            />
+    <AppBar position="sticky" sx={{ backgroundColor: '#284E4C' }} elevation={1}>
+      <Toolbar>
+        {/* Logo link to property page */}
+        <Box 
+          component={Link} 
+          to="/property" 
+          sx={{ 
+            flexGrow: 1, 
+            display: 'flex', 
+            alignItems: 'center',
+            textDecoration: 'none'
+          }}
+        >
+          <img 
+            src="/TheFlexWhite_V3 Symbol & Wordmark.png" 
+            alt="The Flex" 
+            style={{ 
+              height: '32px', 
+              objectFit: 'contain',
+              cursor: 'pointer'
+            }} 
+          />
+        </Box>
+        
+        <Button
+          component={Link}
+          to="/dashboard"
+          startIcon={<Dashboard />}
+          sx={{
+            color: 'white',
+            textTransform: 'none',
+            mr: 2
+          }}
+        >
+          Manager Dashboard
+        </Button>
+
+        <Button
+          component={Link}
+          to="/google-reviews"
+          startIcon={<Reviews />}
+          sx={{
+            color: 'white',
+            textTransform: 'none',
+            mr: 2
+          }}
+        >
+          Google Reviews
+        </Button>
+        
+        <Button 
+          component={Link} 
+          to="/property" 
+          startIcon={<Home />}
+          sx={{ 
+            color: 'white',
+            textTransform: 'none'
+          }}
+        >
+          Public Property Page
+        </Button>
+
+        {user && (
+          <Box sx={{ display: 'flex', alignItems: 'center', ml: 2 }}>
+            <Typography variant="body2" sx={{ color: 'white', opacity: 0.8, mr: 1 }}>
+              {user.username} ({user.role})
+            </Typography>
+            <Button
+              onClick={logout}
+              startIcon={<Logout />}
+              sx={{
+                color: 'white',
+                textTransform: 'none'
+              }}
+            >
+              Log Out
+            </Button>
           </Box>
-          
-          <Button
-            component={Link}
-            to="/dashboard"
-            startIcon={<Dashboard />}
-            sx={{
-              color: 'white',
-              textTransform: 'none',
-              mr: 2
-            }}
-          >
-            Manager Dashboard
-          </Button>
+        )}
+      </Toolbar>
+    </AppBar>
+  );
+};
 
-          <Button
-            component={Link}
-            to="/google-reviews"
-            startIcon={<Reviews />}
-            sx={{
-              color: 'white',
-              textTransform: 'none',
-              mr: 2
-            }}
-          >
-            Google Reviews
-          </Button>
-          
-          <Button 
-            component={Link} 
-            to="/property" 
-            startIcon={<Home />}
-            sx={{ 
-              color: 'white',
-              textTransform: 'none'
-            }}
-          >
-            Public Property Page
-          </Button>
-        </Toolbar>
-      </AppBar>
+export default function App() {
+  return (
+    <BrowserRouter>
+      <AuthProvider>
+        {/* Navigation bar */}
+        <NavBar />
 
-      {/* Route configuration */}
-      <Routes>
-        <Route path="/dashboard/*" element={<DashboardPage />} />
-        <Route path="/property" element={<PropertyPage />} />
-        <Route path="/google-reviews" element={<GoogleReviewsPage />} />
-        <Route path="/" element={<DashboardPage />} /> {/* Fallback route */}
-      </Routes>
+        {/* Route configuration */}
+        <Routes>
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/dashboard/*" element={<RequireAuth><DashboardPage /></RequireAuth>} />
+          <Route path="/property" element={<PropertyPage />} />
+          <Route path="/google-reviews" element={<RequireAuth><GoogleReviewsPage /></RequireAuth>} />
+          <Route path="/" element={<RequireAuth><DashboardPage /></RequireAuth>} /> {/* Fallback route */}
+        </Routes>
+      </AuthProvider>
     </BrowserRouter>
   );
 }
\ No newline at end of file
@@ -0,0 +1,46 @@
+import axios from 'axios';
+
+// Base URL of the backend API
+export const API_BASE_URL = 'http://localhost:3001';
+
+// localStorage key holding the session token
+const TOKEN_KEY = 'flexAuthToken';
+
+// Event dispatched when the backend rejects the stored session
+export const SESSION_EXPIRED_EVENT = 'flex:session-expired';
+
+export const getStoredToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setStoredToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Axios instance for dashboard endpoints, which require a login
+const api = axios.create({ baseURL: API_BASE_URL });
+
+// Send the session token with every request
+api.interceptors.request.use((config) => {
+  const token = getStoredToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Drop the session when the backend no longer accepts it
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && getStoredToken()) {
+      setStoredToken(null);
+      window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    }
+    return Promise.reject(error);
+  }
+);
+
+export default api;
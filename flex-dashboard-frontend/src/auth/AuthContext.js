@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react';
+
+// Logged in user plus login/logout actions, provided by AuthProvider
+export const AuthContext = createContext(null);
+
+export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,54 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import api, { getStoredToken, setStoredToken, SESSION_EXPIRED_EVENT } from '../api';
+import { AuthContext } from './AuthContext';
+
+// Keeps track of the logged in user and restores the session on page load
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(() => Boolean(getStoredToken()));
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    if (!getStoredToken()) return;
+
+    api.get('/api/auth/me')
+      .then(response => setUser(response.data.result))
+      .catch(() => setStoredToken(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  // Log out locally when the backend rejects the session
+  useEffect(() => {
+    const handleExpired = () => setUser(null);
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const response = await api.post('/api/auth/login', { username, password });
+    setStoredToken(response.data.result.token);
+    setUser(response.data.result.user);
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await api.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Failed to end session:', error);
+    }
+    setStoredToken(null);
+    setUser(null);
+  }, []);
+
+  const value = useMemo(() => ({
+    user,
+    checking,
+    isManager: user?.role === 'manager',
+    login,
+    logout
+  }), [user, checking, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
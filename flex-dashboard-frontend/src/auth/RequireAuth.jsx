@@ -0,0 +1,26 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { Box, CircularProgress } from '@mui/material';
+import { useAuth } from './AuthContext';
+
+// Renders its children only for logged in users, otherwise sends them to the login page
+const RequireAuth = ({ children }) => {
+  const { user, checking } = useAuth();
+  const location = useLocation();
+
+  if (checking) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
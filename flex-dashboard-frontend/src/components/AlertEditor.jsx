@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import api from '../api';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, Grid, Typography,
+  Switch, FormControlLabel, Autocomplete, Alert, Divider
+} from '@mui/material';
+import { LOW_CATEGORY_RATING } from '../ratings';
+
+// Alert as edited in the form; number inputs are kept as strings until saved
+const toDraft = (alert) => ({
+  name: alert?.name || '',
+  webhookUrl: alert?.webhookUrl || '',
+  enabled: alert?.enabled ?? true,
+  maxRating: alert?.conditions.maxRating ?? '',
+  // New alerts start from the Analytics tab's "issues detected" threshold
+  maxCategoryRating: alert ? (alert.conditions.maxCategoryRating ?? '') : String(LOW_CATEGORY_RATING),
+  categories: alert?.conditions.categories || [],
+  keywords: alert?.conditions.keywords || [],
+  listings: alert?.conditions.listings || []
+});
+
+const toNumberOrNull = (value) => (value === '' || value === null ? null : Number(value));
+
+// Draft as the API expects it
+const toPayload = (draft) => ({
+  name: draft.name,
+  webhookUrl: draft.webhookUrl,
+  enabled: draft.enabled,
+  conditions: {
+    maxRating: toNumberOrNull(draft.maxRating),
+    maxCategoryRating: toNumberOrNull(draft.maxCategoryRating),
+    categories: draft.categories,
+    keywords: draft.keywords,
+    listings: draft.listings
+  }
+});
+
+// Dialog for creating or editing a low-rating alert
+const AlertEditor = ({ alert, options, onClose, onSaved }) => {
+  const [draft, setDraft] = useState(() => toDraft(alert));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (field) => (value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = alert
+        ? await api.put(`/api/alerts/${alert.id}`, toPayload(draft))
+        : await api.post('/api/alerts', toPayload(draft));
+      onSaved(response.data.result);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save alert.');
+      setSaving(false);
+    }
+  };
+
+  const ratingField = (field, label) => (
+    <TextField
+      label={label}
+      type="number"
+      size="small"
+      fullWidth
+      value={draft[field]}
+      onChange={(e) => update(field)(e.target.value)}
+      slotProps={{ htmlInput: { min: 0, max: 10 } }}
+    />
+  );
+
+  return (
+    <Dialog open onClose={() => !saving && onClose()} fullWidth maxWidth="md">
+      <DialogTitle>{alert ? 'Edit Alert' : 'New Alert'}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 12, md: 5 }}>
+            <TextField
+              label="Alert name"
+              size="small"
+              fullWidth
+              required
+              value={draft.name}
+              onChange={(e) => update('name')(e.target.value)}
+            />
+          </Grid>
+          <Grid size={{ xs: 12, md: 7 }}>
+            <TextField
+              label="Webhook URL"
+              size="small"
+              fullWidth
+              required
+              value={draft.webhookUrl}
+              onChange={(e) => update('webhookUrl')(e.target.value)}
+              helperText="Receives Slack-compatible JSON, e.g. a Slack incoming webhook"
+            />
+          </Grid>
+          <Grid size={12}>
+            <FormControlLabel
+              control={<Switch checked={draft.enabled} onChange={(e) => update('enabled')(e.target.checked)} />}
+              label="Check new reviews against this alert"
+            />
+          </Grid>
+        </Grid>
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2" gutterBottom>
+          Alert when any of these match (leave blank to skip)
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 6, md: 3 }}>{ratingField('maxRating', 'Overall rating at or below')}</Grid>
+          <Grid size={{ xs: 6, md: 3 }}>{ratingField('maxCategoryRating', 'Category rating at or below')}</Grid>
+          <Grid size={{ xs: 12, md: 6 }}>
+            <Autocomplete
+              multiple
+              size="small"
+              options={options.categories}
+              value={draft.categories}
+              onChange={(event, newValue) => update('categories')(newValue)}
+              getOptionLabel={(category) => category.replace(/_/g, ' ')}
+              renderInput={(params) => <TextField {...params} label="Categories" placeholder="Any category" />}
+            />
+          </Grid>
+          <Grid size={12}>
+            <Autocomplete
+              multiple
+              freeSolo
+              size="small"
+              options={[]}
+              value={draft.keywords}
+              onChange={(event, newValue) => update('keywords')(newValue)}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  label="Review mentions"
+                  placeholder="Type a keyword and press Enter"
+                />
+              )}
+            />
+          </Grid>
+        </Grid>
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2" gutterBottom>
+          Properties
+        </Typography>
+        <Autocomplete
+          multiple
+          size="small"
+          options={options.properties}
+          value={draft.listings}
+          onChange={(event, newValue) => update('listings')(newValue)}
+          renderInput={(params) => <TextField {...params} label="Listings" placeholder="All properties" />}
+        />
+        <Typography variant="caption" color="text.secondary">
+          Ratings are out of 10 for every source.
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={saving || !draft.name.trim() || !draft.webhookUrl.trim()}
+        >
+          {alert ? 'Save Alert' : 'Create Alert'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlertEditor;
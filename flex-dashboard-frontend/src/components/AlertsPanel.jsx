@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import {
+  Box, Card, CardContent, Typography, Button, Chip, Switch, IconButton, Tooltip, CircularProgress,
+  Alert, Table, TableHead, TableBody, TableRow, TableCell, TableContainer, Paper
+} from '@mui/material';
+import { Add, Edit, Delete, Send, Refresh, Replay } from '@mui/icons-material';
+import AlertEditor from './AlertEditor';
+
+// Chip color per delivery status
+const STATUS_COLORS = { pending: 'warning', delivered: 'success', failed: 'error' };
+
+// Human-readable summary of an alert's conditions
+const describeConditions = (conditions) => {
+  const parts = [];
+  if (conditions.maxRating !== null) parts.push(`Overall ≤ ${conditions.maxRating}`);
+  if (conditions.maxCategoryRating !== null) {
+    const categories = conditions.categories.length
+      ? conditions.categories.map(category => category.replace(/_/g, ' ')).join(', ')
+      : 'Any category';
+    parts.push(`${categories} ≤ ${conditions.maxCategoryRating}`);
+  }
+  if (conditions.keywords.length) parts.push(`Mentions: ${conditions.keywords.join(', ')}`);
+  parts.push(conditions.listings.length ? `Listing: ${conditions.listings.join(', ')}` : 'All properties');
+  return parts;
+};
+
+// Host of a webhook URL, so the full (secret) URL isn't on screen
+const webhookHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+// Automation tab (managers): low-rating alerts posted to webhooks, and their delivery log
+const AlertsPanel = () => {
+  const [alerts, setAlerts] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [options, setOptions] = useState({ properties: [], categories: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [editing, setEditing] = useState(null); // Alert being edited, or 'new'
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const [alertsResponse, deliveriesResponse] = await Promise.all([
+        api.get('/api/alerts'),
+        api.get('/api/alerts/deliveries')
+      ]);
+      setAlerts(alertsResponse.data.result);
+      setOptions(alertsResponse.data.options);
+      setDeliveries(deliveriesResponse.data.result);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch alerts:', err);
+      setError('Failed to load alerts.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const handleToggleEnabled = async (alert) => {
+    try {
+      await api.put(`/api/alerts/${alert.id}`, { ...alert, enabled: !alert.enabled });
+      fetchAlerts();
+    } catch (err) {
+      console.error('Failed to update alert:', err);
+      setError(err.response?.data?.message || 'Failed to update alert.');
+    }
+  };
+
+  const handleDelete = async (alert) => {
+    if (!window.confirm(`Delete the alert "${alert.name}"? Its delivery log is kept.`)) return;
+    try {
+      await api.delete(`/api/alerts/${alert.id}`);
+      fetchAlerts();
+    } catch (err) {
+      console.error('Failed to delete alert:', err);
+      setError(err.response?.data?.message || 'Failed to delete alert.');
+    }
+  };
+
+  // Sends a test message or retries a delivery, then reports how it went
+  const reportDelivery = async (request, label) => {
+    setMessage(null);
+    try {
+      const response = await request();
+      const delivery = response.data.result;
+      setMessage(delivery.status === 'delivered'
+        ? { severity: 'success', text: `${label} delivered.` }
+        : { severity: 'error', text: `${label} failed: ${delivery.lastError}` });
+      fetchAlerts();
+    } catch (err) {
+      console.error(`${label} failed:`, err);
+      setError(err.response?.data?.message || `${label} failed.`);
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    fetchAlerts();
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2, gap: 2 }}>
+        <Box>
+          <Typography variant="h6">Low-Rating Alerts</Typography>
+          <Typography variant="body2" color="text.secondary">
+            New reviews matching an alert are posted to its webhook within a minute. Failed deliveries are retried.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<Add />} onClick={() => setEditing('new')}>
+          New Alert
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+      {message && <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message.text}</Alert>}
+
+      {alerts.length === 0 ? (
+        <Typography color="text.secondary">No alerts yet.</Typography>
+      ) : alerts.map(alert => (
+        <Card key={alert.id} sx={{ mb: 2, opacity: alert.enabled ? 1 : 0.6 }}>
+          <CardContent sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Typography variant="subtitle1">{alert.name}</Typography>
+                <Chip label={webhookHost(alert.webhookUrl)} size="small" />
+              </Box>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                {describeConditions(alert.conditions).map(part => (
+                  <Chip key={part} label={part} size="small" variant="outlined" sx={{ textTransform: 'capitalize' }} />
+                ))}
+              </Box>
+            </Box>
+            <Tooltip title={alert.enabled ? 'Disable alert' : 'Enable alert'}>
+              <Switch checked={alert.enabled} onChange={() => handleToggleEnabled(alert)} />
+            </Tooltip>
+            <Tooltip title="Send test message">
+              <IconButton onClick={() => reportDelivery(() => api.post(`/api/alerts/${alert.id}/test`), 'Test message')}>
+                <Send />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Edit alert">
+              <IconButton onClick={() => setEditing(alert)}><Edit /></IconButton>
+            </Tooltip>
+            <Tooltip title="Delete alert">
+              <IconButton onClick={() => handleDelete(alert)}><Delete /></IconButton>
+            </Tooltip>
+          </CardContent>
+        </Card>
+      ))}
+
+      {/* Delivery log */}
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 3, mb: 1 }}>
+        <Typography variant="subtitle1">Recent Deliveries</Typography>
+        <Tooltip title="Refresh">
+          <IconButton size="small" onClick={fetchAlerts}><Refresh /></IconButton>
+        </Tooltip>
+      </Box>
+      {deliveries.length === 0 ? (
+        <Typography color="text.secondary">Nothing sent yet.</Typography>
+      ) : (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Queued</TableCell>
+                <TableCell>Alert</TableCell>
+                <TableCell>Reasons</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="center">Attempts</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {deliveries.map(delivery => (
+                <TableRow key={delivery.id}>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{new Date(delivery.createdAt).toLocaleString()}</TableCell>
+                  <TableCell>{delivery.alertName}</TableCell>
+                  <TableCell>{delivery.reasons.join(', ')}</TableCell>
+                  <TableCell>
+                    <Tooltip
+                      title={delivery.lastError || (delivery.nextAttemptAt
+                        ? `Next attempt ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`
+                        : '')}
+                    >
+                      <Chip
+                        label={delivery.responseStatus ? `${delivery.status} (${delivery.responseStatus})` : delivery.status}
+                        color={STATUS_COLORS[delivery.status]}
+                        size="small"
+                        sx={{ textTransform: 'capitalize' }}
+                      />
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell align="center">{delivery.attempts}</TableCell>
+                  <TableCell align="right">
+                    {delivery.status === 'failed' && (
+                      <Tooltip title="Retry now">
+                        <IconButton
+                          size="small"
+                          onClick={() => reportDelivery(() => api.post(`/api/alerts/deliveries/${delivery.id}/retry`), 'Retry')}
+                        >
+                          <Replay fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {editing && (
+        <AlertEditor
+          alert={editing === 'new' ? null : editing}
+          options={options}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default AlertsPanel;
@@ -1,4 +1,5 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import api from '../api';
 import {
   Box,
   Typography,
@@ -17,6 +18,9 @@ import {
   TableHead,
   TableRow,
   Popper,
+  CircularProgress,
+  MenuItem,
+  Button,
 } from '@mui/material';
 import {
   Star,
@@ -28,9 +32,21 @@ import {
 import { PieChart } from '@mui/x-charts/PieChart';
 import { RadarChart } from '@mui/x-charts/RadarChart';
 import { LineChart } from '@mui/x-charts/LineChart';
+import { getSourceLabel } from '../reviewSources';
+import { LOW_CATEGORY_RATING } from '../ratings';
+import useReviewEvents from '../hooks/useReviewEvents';
 
 const COLORS = ['#4CAF50', '#8BC34A', '#FFC107', '#FF9800', '#F44336'];
 
+// Complaint topics listed per property in Top Complaints
+const MAX_COMPLAINTS_SHOWN = 5;
+
+// "2025-06" as the first day of that month, for time axes
+const monthToDate = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber - 1, 1);
+};
+
 // Custom Popper for dropdown width
 const CustomPopper = (props) => {
   return (
@@ -45,158 +61,121 @@ const CustomPopper = (props) => {
   );
 };
 
-const AnalyticsTab = ({ reviews, onNavigateToReviews }) => {
+const AnalyticsTab = ({ onNavigateToReviews }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [facets, setFacets] = useState({ properties: [], sources: [] });
+  const [loading, setLoading] = useState(true);
   const [selectedProperty, setSelectedProperty] = useState('all');
+  const [selectedSource, setSelectedSource] = useState('all');
+  const [googleByListing, setGoogleByListing] = useState({}); // Linked Google place per listing name
 
-  const uniqueProperties = useMemo(() => 
-    ['All Properties', ...[...new Set(reviews.map(r => r.listingName))]]
-  , [reviews]);
-
-  const analytics = useMemo(() => {
-    const filteredReviews = selectedProperty === 'all' 
-      ? reviews 
-      : reviews.filter(r => r.listingName === selectedProperty);
-
-    if (!filteredReviews || filteredReviews.length === 0) return null;
-
-    // Dynamically detect categories from actual data
-    const detectCategories = (reviews) => {
-      const categories = new Set();
-      reviews.forEach(review => {
-        if (Array.isArray(review.reviewCategory)) {
-          review.reviewCategory.forEach(cat => {
-            if (cat && cat.category) {
-              categories.add(cat.category);
-            }
-          });
-        }
+  // Figures are computed by the backend, the same ones used in the email digests
+  const fetchAnalytics = useCallback(async () => {
+    try {
+      const response = await api.get('/api/analytics', {
+        params: { property: selectedProperty, source: selectedSource }
       });
-      return Array.from(categories).sort();
-    };
-
-    const propertyStats = {};
-    
-    // Initialize category averages dynamically
-    const availableCategories = detectCategories(filteredReviews);
-    const categoryAverages = {};
-    availableCategories.forEach(category => {
-      categoryAverages[category] = { total: 0, count: 0 };
-    });
-    const ratingDistribution = { 'Excellent (9-10)': 0, 'Good (7-8)': 0, 'Average (5-6)': 0, 'Poor (1-4)': 0 };
-
-    filteredReviews.forEach(review => {
-      const property = review.listingName;
-      if (!propertyStats[property]) {
-        propertyStats[property] = {
-          totalReviews: 0, totalRating: 0, lowRatings: 0
-        };
-      }
-      propertyStats[property].totalReviews++;
-
-      if (review.rating) {
-        propertyStats[property].totalRating += review.rating;
-        if (review.rating >= 9) ratingDistribution['Excellent (9-10)']++;
-        else if (review.rating >= 7) ratingDistribution['Good (7-8)']++;
-        else if (review.rating >= 5) ratingDistribution['Average (5-6)']++;
-        else ratingDistribution['Poor (1-4)']++;
-      }
-
-      if (review.reviewCategory && review.reviewCategory.length > 0) {
-        review.reviewCategory.forEach(cat => {
-          if (categoryAverages[cat.category]) {
-            categoryAverages[cat.category].total += cat.rating;
-            categoryAverages[cat.category].count++;
-            if (cat.rating <= 6) propertyStats[property].lowRatings++;
-          }
-        });
+      if (response.data.status === 'success') {
+        setAnalytics(response.data.result);
+        setFacets(response.data.facets);
       }
-    });
-
-    const totalReviews = filteredReviews.length;
-    const reviewsWithRating = filteredReviews.filter(r => r.rating);
-    const overallAverage = reviewsWithRating.length > 0
-      ? reviewsWithRating.reduce((sum, r) => sum + r.rating, 0) / reviewsWithRating.length
-      : 0;
-
-    const categoryChartData = Object.entries(categoryAverages)
-      .map(([name, { total, count }]) => ({
-        subject: name.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase()),
-        A: count > 0 ? (total / count) : 0,
-        fullMark: 10,
-      }));
-
-    const ratingPieData = Object.entries(ratingDistribution)
-      .map(([name, value]) => ({ name, value }))
-      .filter(d => d.value > 0);
+    } catch (error) {
+      console.error('Failed to fetch analytics:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedProperty, selectedSource]);
 
-    const propertiesByRating = Object.entries(propertyStats)
-      .map(([name, stats]) => ({
-        name,
-        ...stats,
-        averageRating: stats.totalReviews > 0 ? stats.totalRating / stats.totalReviews : 0,
-      }))
-      .sort((a, b) => b.averageRating - a.averageRating);
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
 
-    // Compute average rating over time
-    const timeSeriesData = filteredReviews
-      .filter(review => review.submittedAt && review.rating)
-      .map(review => ({
-        date: new Date(review.submittedAt),
-        rating: review.rating
-      }))
-      .sort((a, b) => a.date - b.date);
+  // Keep the figures live as reviews arrive or change
+  useReviewEvents({
+    'review-added': fetchAnalytics,
+    'review-updated': fetchAnalytics
+  });
 
-    // Group by month and calculate averages
-    const monthlyAverages = timeSeriesData.reduce((acc, { date, rating }) => {
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      if (!acc[monthKey]) {
-        acc[monthKey] = { total: 0, count: 0, date: new Date(date.getFullYear(), date.getMonth(), 1) };
+  // Google ratings for listings linked to a Google place, shown beside the Hostaway stats
+  useEffect(() => {
+    const fetchListings = async () => {
+      try {
+        const response = await api.get('/api/listings');
+        setGoogleByListing(Object.fromEntries(
+          response.data.result
+            .filter(listing => listing.google)
+            .map(listing => [listing.listingName, listing.google])
+        ));
+      } catch (error) {
+        console.error('Failed to fetch linked Google places:', error);
       }
-      acc[monthKey].total += rating;
-      acc[monthKey].count += 1;
-      return acc;
-    }, {});
+    };
+    fetchListings();
+  }, []);
 
-    const ratingOverTimeData = Object.values(monthlyAverages)
-      .map(({ total, count, date }) => ({
-        date,
-        averageRating: total / count
-      }))
-      .sort((a, b) => a.date - b.date);
+  const uniqueProperties = useMemo(() => ['All Properties', ...facets.properties], [facets]);
 
-    return {
-      totalReviews,
-      overallAverage,
-      uniquePropertiesCount: Object.keys(propertyStats).length,
-      categoryChartData,
-      ratingPieData,
-      propertiesByRating,
-      ratingOverTimeData,
-    };
-  }, [reviews, selectedProperty]);
+  // Chart-ready shapes of the backend figures
+  const chartData = useMemo(() => analytics && {
+    categoryChartData: analytics.categoryAverages.map(({ category, average }) => ({
+      subject: category.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase()),
+      A: average,
+      fullMark: 10,
+    })),
+    ratingOverTimeData: analytics.ratingOverTime.map(({ month, averageRating }) => ({
+      date: monthToDate(month),
+      averageRating
+    })),
+    sentimentOverTimeData: analytics.sentimentOverTime.map(({ month, averageScore, mixed, negative, count }) => ({
+      date: monthToDate(month),
+      averageScore,
+      // Share of the month's reviews with complaints in their wording
+      criticalShare: (mixed + negative) / count
+    })),
+  }, [analytics]);
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
 
   if (!analytics) {
     return (
       <Box sx={{ p: 3 }}>
         <Typography variant="h6">No data available for the selected property.</Typography>
+        {(selectedProperty !== 'all' || selectedSource !== 'all') && (
+          <Button
+            sx={{ mt: 1 }}
+            onClick={() => {
+              setSelectedProperty('all');
+              setSelectedSource('all');
+            }}
+          >
+            Clear filters
+          </Button>
+        )}
       </Box>
     );
   }
 
-  const { 
-    totalReviews, overallAverage, uniquePropertiesCount, 
-    categoryChartData, ratingPieData, propertiesByRating, ratingOverTimeData 
-  } = analytics || {};
+  const {
+    totalReviews, overallAverage, propertyCount,
+    ratingDistribution: ratingPieData, propertiesByRating, channelsByVolume, topComplaints
+  } = analytics;
+  const { categoryChartData, ratingOverTimeData, sentimentOverTimeData } = chartData;
 
   return (
     <Box sx={{ p: { xs: 2, sm: 3 }, maxWidth: '100%', width: '100%', zoom: 0.9 }}>
       <Grid container spacing={2} alignItems="center" sx={{ mb: 4 }}>
-        <Grid item xs={12} md={6}>
+        <Grid item xs={12} md={4}>
           <Typography variant="h4" component="h1" sx={{ fontWeight: 'bold' }}>
             Analytics Dashboard
           </Typography>
         </Grid>
-        <Grid item xs={12} md={6}>
+        <Grid item xs={12} md={5}>
           <Autocomplete
             fullWidth
             options={uniqueProperties}
@@ -215,6 +194,21 @@ const AnalyticsTab = ({ reviews, onNavigateToReviews }) => {
             }
           />
         </Grid>
+        <Grid item xs={12} md={3}>
+          <TextField
+            select
+            fullWidth
+            label="Review Source"
+            value={selectedSource}
+            onChange={(e) => setSelectedSource(e.target.value)}
+            sx={{ minWidth: '160px' }}
+          >
+            <MenuItem value="all">All sources</MenuItem>
+            {facets.sources.map(source => (
+              <MenuItem key={source} value={source}>{getSourceLabel(source)}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
       </Grid>
 
       {/* Overview Cards */}
@@ -223,7 +217,7 @@ const AnalyticsTab = ({ reviews, onNavigateToReviews }) => {
           <Card component={Paper} elevation={2} sx={{ textAlign: 'center', p: 2 }}><CardContent>
             <Star sx={{ fontSize: 40, mb: 1, color: 'primary.main' }} />
             <Typography variant="h4" sx={{ fontWeight: 'bold' }}>{overallAverage.toFixed(1)}</Typography>
-            <Typography variant="body1" color="text.secondary">Overall Avg Rating</Typography>
+            <Typography variant="body1" color="text.secondary">Overall Avg Rating (out of 10)</Typography>
           </CardContent></Card>
         </Grid>
         <Grid item xs={12} sm={4}>
@@ -263,7 +257,7 @@ const AnalyticsTab = ({ reviews, onNavigateToReviews }) => {
         <Grid item xs={12} sm={4}>
           <Card component={Paper} elevation={2} sx={{ textAlign: 'center', p: 2 }}><CardContent>
             <Home sx={{ fontSize: 40, mb: 1, color: 'primary.main' }} />
-            <Typography variant="h4" sx={{ fontWeight: 'bold' }}>{uniquePropertiesCount}</Typography>
+            <Typography variant="h4" sx={{ fontWeight: 'bold' }}>{propertyCount}</Typography>
             <Typography variant="body1" color="text.secondary">Properties</Typography>
           </CardContent></Card>
         </Grid>
@@ -359,6 +353,91 @@ const AnalyticsTab = ({ reviews, onNavigateToReviews }) => {
           </Grid>
         )}
 
+        {/* Sentiment of the review text over time */}
+        {sentimentOverTimeData.length > 0 && (
+          <Grid item xs={12} sx={{ mt: 3 }}>
+            <Card component={Paper} elevation={2} sx={{ p: 2 }}>
+              <CardContent>
+                <Typography variant="h6" gutterBottom sx={{ fontWeight: 'bold' }}>
+                  Review Sentiment Over Time
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Scored from the wording of each review: 1 is entirely positive, -1 entirely negative.
+                </Typography>
+                <Box sx={{ height: 350, overflow: 'visible' }}>
+                  <LineChart
+                    height={350}
+                    series={[
+                      {
+                        data: sentimentOverTimeData.map(item => item.averageScore),
+                        label: 'Average sentiment',
+                        color: '#4CAF50',
+                        valueFormatter: (value) => value.toFixed(2),
+                      },
+                      {
+                        data: sentimentOverTimeData.map(item => item.criticalShare),
+                        label: 'Share with complaints (mixed or negative)',
+                        color: '#FF9800',
+                        valueFormatter: (value) => `${Math.round(value * 100)}%`,
+                      },
+                    ]}
+                    xAxis={[
+                      {
+                        data: sentimentOverTimeData.map(item => item.date),
+                        scaleType: 'time',
+                        valueFormatter: (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' }),
+                      },
+                    ]}
+                    yAxis={[{ min: -1, max: 1 }]}
+                    margin={{ top: 20, right: 60, bottom: 60, left: 60 }}
+                    grid={{ vertical: true, horizontal: true }}
+                  />
+                </Box>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
+        {/* Booking Channel Breakdown */}
+        {channelsByVolume.length > 0 && (
+          <Grid item xs={12} sx={{ mt: 4 }}>
+            <Card component={Paper} elevation={2}><CardContent>
+              <Typography variant="h6" gutterBottom sx={{ fontWeight: 'bold' }}>Reviews by Booking Channel</Typography>
+              <TableContainer>
+                <Table size="small" aria-label="reviews by booking channel">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={{ fontWeight: 'bold' }}>Channel</TableCell>
+                      <TableCell align="center" sx={{ fontWeight: 'bold' }}>Avg Rating</TableCell>
+                      <TableCell align="center" sx={{ fontWeight: 'bold' }}>Total Reviews</TableCell>
+                      <TableCell align="center" sx={{ fontWeight: 'bold' }}>Share</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {channelsByVolume.map((channel) => (
+                      <TableRow hover key={channel.name}>
+                        <TableCell>{channel.name}</TableCell>
+                        <TableCell align="center">
+                          {channel.averageRating !== null ? (
+                            <Chip
+                              label={channel.averageRating.toFixed(1)}
+                              color={channel.averageRating >= 8 ? 'success' : channel.averageRating >= 6 ? 'warning' : 'error'}
+                              size="small"
+                              icon={<Star />}
+                            />
+                          ) : 'N/A'}
+                        </TableCell>
+                        <TableCell align="center">{channel.totalReviews}</TableCell>
+                        <TableCell align="center">{Math.round(channel.share * 100)}%</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent></Card>
+          </Grid>
+        )}
+
         {/* Property Performance Table */}
         {selectedProperty === 'all' && propertiesByRating.length > 0 && (
           <Grid item xs={12} sx={{ mt: 4 }}>
@@ -372,6 +451,7 @@ const AnalyticsTab = ({ reviews, onNavigateToReviews }) => {
                         <TableCell sx={{ fontWeight: 'bold' }}>Property</TableCell>
                         <TableCell align="center" sx={{ fontWeight: 'bold' }}>Avg Rating</TableCell>
                         <TableCell align="center" sx={{ fontWeight: 'bold' }}>Total Reviews</TableCell>
+                        <TableCell align="center" sx={{ fontWeight: 'bold' }}>Google Rating</TableCell>
                         <TableCell align="center" sx={{ fontWeight: 'bold' }}>Issues Detected</TableCell>
                       </TableRow>
                     </TableHead>
@@ -405,9 +485,23 @@ const AnalyticsTab = ({ reviews, onNavigateToReviews }) => {
                             />
                           </TableCell>
                           <TableCell align="center">{prop.totalReviews}</TableCell>
+                          <TableCell align="center">
+                            {googleByListing[prop.name] ? (
+                              <Tooltip title={`Linked to ${googleByListing[prop.name].placeName}`}>
+                                <Typography variant="body2">
+                                  {googleByListing[prop.name].rating !== null
+                                    ? `${googleByListing[prop.name].rating.toFixed(1)} / 5`
+                                    : 'No rating'}
+                                  {' '}({googleByListing[prop.name].ratingCount} reviews)
+                                </Typography>
+                              </Tooltip>
+                            ) : (
+                              <Typography variant="body2" color="text.secondary">Not linked</Typography>
+                            )}
+                          </TableCell>
                           <TableCell align="center">
                             {prop.lowRatings > 0 ? (
-                              <Tooltip title={`${prop.lowRatings} low ratings (<=6) detected`}>
+                              <Tooltip title={`${prop.lowRatings} low ratings (<=${LOW_CATEGORY_RATING}) detected`}>
                                 <Chip label={prop.lowRatings} color="error" size="small" icon={<Warning />} />
                               </Tooltip>
                             ) : (
@@ -423,6 +517,46 @@ const AnalyticsTab = ({ reviews, onNavigateToReviews }) => {
             </CardContent></Card>
           </Grid>
         )}
+
+        {/* What guests complain about, from the topics tagged in review text */}
+        {topComplaints.length > 0 && (
+          <Grid item xs={12} sx={{ mt: 4 }}>
+            <Card component={Paper} elevation={2}><CardContent>
+              <Typography variant="h6" gutterBottom sx={{ fontWeight: 'bold' }}>Top Complaints by Property</Typography>
+              <TableContainer>
+                <Table size="small" aria-label="top complaints by property">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={{ fontWeight: 'bold' }}>Property</TableCell>
+                      <TableCell align="center" sx={{ fontWeight: 'bold' }}>Reviews</TableCell>
+                      <TableCell sx={{ fontWeight: 'bold' }}>Complaints</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {topComplaints.map((property) => (
+                      <TableRow hover key={property.name}>
+                        <TableCell>{property.name}</TableCell>
+                        <TableCell align="center">{property.totalReviews}</TableCell>
+                        <TableCell>
+                          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                            {property.complaints.slice(0, MAX_COMPLAINTS_SHOWN).map(complaint => (
+                              <Tooltip
+                                key={complaint.topic}
+                                title={`${complaint.count} of ${property.totalReviews} reviews complain about ${complaint.label.toLowerCase()}`}
+                              >
+                                <Chip label={`${complaint.label} (${complaint.count})`} color="error" variant="outlined" size="small" />
+                              </Tooltip>
+                            ))}
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent></Card>
+          </Grid>
+        )}
       </Grid>
     </Box>
   );
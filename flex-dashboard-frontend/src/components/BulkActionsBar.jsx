@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import {
+  Paper, Box, Checkbox, Typography, Button, Link,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, DialogContentText
+} from '@mui/material';
+import { Visibility, VisibilityOff } from '@mui/icons-material';
+
+// Selection controls and bulk show/hide actions above the review list
+const BulkActionsBar = ({
+  selectedCount,
+  loadedCount,
+  total,
+  allLoadedSelected,
+  selectAllMatching,
+  onToggleAllLoaded,
+  onSelectAllMatching,
+  onClearSelection,
+  onApply
+}) => {
+  const [pendingValue, setPendingValue] = useState(null); // Display value awaiting confirmation
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    await onApply(pendingValue, reason.trim());
+    setSaving(false);
+    setPendingValue(null);
+    setReason('');
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ px: 1.5, py: 1, mb: 2, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+      <Checkbox
+        checked={loadedCount > 0 && allLoadedSelected}
+        indeterminate={selectedCount > 0 && !allLoadedSelected}
+        onChange={onToggleAllLoaded}
+        disabled={loadedCount === 0}
+        inputProps={{ 'aria-label': 'Select all loaded reviews' }}
+      />
+      <Typography variant="body2" sx={{ flexGrow: 1 }}>
+        {selectedCount > 0 ? `${selectedCount} selected` : 'Select reviews to show or hide them in bulk'}
+        {/* Offer to extend the selection beyond the loaded pages */}
+        {allLoadedSelected && !selectAllMatching && total > loadedCount && (
+          <>
+            {' · '}
+            <Link component="button" variant="body2" onClick={onSelectAllMatching}>
+              Select all {total} reviews matching the current filters
+            </Link>
+          </>
+        )}
+        {selectedCount > 0 && (
+          <>
+            {' · '}
+            <Link component="button" variant="body2" onClick={onClearSelection}>
+              Clear selection
+            </Link>
+          </>
+        )}
+      </Typography>
+      <Button
+        size="small"
+        variant="outlined"
+        color="success"
+        startIcon={<Visibility />}
+        disabled={selectedCount === 0}
+        onClick={() => setPendingValue(true)}
+        sx={{ textTransform: 'none' }}
+      >
+        Show on website
+      </Button>
+      <Button
+        size="small"
+        variant="outlined"
+        color="inherit"
+        startIcon={<VisibilityOff />}
+        disabled={selectedCount === 0}
+        onClick={() => setPendingValue(false)}
+        sx={{ textTransform: 'none' }}
+      >
+        Hide
+      </Button>
+
+      {/* Confirm the bulk change with an optional reason for the audit log */}
+      <Dialog open={pendingValue !== null} onClose={() => !saving && setPendingValue(null)} fullWidth maxWidth="xs">
+        <DialogTitle>
+          {pendingValue ? 'Publish' : 'Hide'} {selectedCount} {selectedCount === 1 ? 'review' : 'reviews'}?
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText variant="body2" sx={{ mb: 1 }}>
+            {pendingValue
+              ? 'The selected reviews will be shown on the public property pages.'
+              : 'The selected reviews will be removed from the public property pages.'}
+          </DialogContentText>
+          <TextField
+            label="Reason (optional)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            fullWidth
+            multiline
+            minRows={2}
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPendingValue(null)} disabled={saving}>Cancel</Button>
+          <Button onClick={handleConfirm} variant="contained" disabled={saving}>
+            {pendingValue ? 'Publish' : 'Hide'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default BulkActionsBar;
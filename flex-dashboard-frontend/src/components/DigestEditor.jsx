@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import api from '../api';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, Grid, Autocomplete,
+  MenuItem, Switch, FormControlLabel, Alert
+} from '@mui/material';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Dialog for a property's email digest: recipients and schedule
+const DigestEditor = ({ listingName, digest, onClose, onSaved }) => {
+  const [recipients, setRecipients] = useState(digest?.recipients || []);
+  const [frequency, setFrequency] = useState(digest?.frequency || 'weekly');
+  const [dayOfWeek, setDayOfWeek] = useState(digest?.dayOfWeek ?? 1);
+  const [hour, setHour] = useState(digest?.hour ?? 8);
+  const [enabled, setEnabled] = useState(digest?.enabled ?? true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await api.put(`/api/digests/${encodeURIComponent(listingName)}`, {
+        recipients,
+        frequency,
+        dayOfWeek: frequency === 'weekly' ? dayOfWeek : undefined,
+        hour,
+        enabled
+      });
+      onSaved();
+    } catch (err) {
+      console.error('Failed to save digest:', err);
+      setError(err.response?.data?.message || 'Failed to save digest.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Email digest for {listingName}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Grid container spacing={2} sx={{ mt: 0.5 }}>
+          <Grid size={12}>
+            <Autocomplete
+              multiple
+              freeSolo
+              options={[]}
+              value={recipients}
+              onChange={(e, value) => setRecipients(value.map(email => email.trim()).filter(Boolean))}
+              renderInput={(params) => (
+                <TextField {...params} label="Recipients" helperText="Type an email address and press Enter" />
+              )}
+            />
+          </Grid>
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <TextField select fullWidth label="Frequency" value={frequency} onChange={(e) => setFrequency(e.target.value)}>
+              <MenuItem value="daily">Daily</MenuItem>
+              <MenuItem value="weekly">Weekly</MenuItem>
+            </TextField>
+          </Grid>
+          {frequency === 'weekly' && (
+            <Grid size={{ xs: 12, sm: 4 }}>
+              <TextField select fullWidth label="Day" value={dayOfWeek} onChange={(e) => setDayOfWeek(e.target.value)}>
+                {DAY_NAMES.map((day, index) => <MenuItem key={day} value={index}>{day}</MenuItem>)}
+              </TextField>
+            </Grid>
+          )}
+          <Grid size={{ xs: 12, sm: 4 }}>
+            <TextField select fullWidth label="Time (UTC)" value={hour} onChange={(e) => setHour(e.target.value)}>
+              {Array.from({ length: 24 }, (_, value) => (
+                <MenuItem key={value} value={value}>{`${String(value).padStart(2, '0')}:00`}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid size={12}>
+            <FormControlLabel
+              control={<Switch checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />}
+              label="Send this digest"
+            />
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || recipients.length === 0}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DigestEditor;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import {
+  Box, Card, CardContent, Typography, Button, Chip, Switch, IconButton, Tooltip, CircularProgress,
+  Alert, TextField, MenuItem, Dialog, DialogTitle, DialogContent, DialogActions
+} from '@mui/material';
+import { Add, Edit, Delete, Send, Visibility } from '@mui/icons-material';
+import DigestEditor from './DigestEditor';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// "Weekly on Monday at 08:00 UTC"
+const describeSchedule = ({ frequency, dayOfWeek, hour }) => {
+  const time = `${String(hour).padStart(2, '0')}:00 UTC`;
+  return frequency === 'weekly' ? `Weekly on ${DAY_NAMES[dayOfWeek]} at ${time}` : `Daily at ${time}`;
+};
+
+// Automation tab (managers): per-property email digests of new reviews and rating changes
+const DigestsPanel = () => {
+  const [digests, setDigests] = useState([]);
+  const [properties, setProperties] = useState([]);
+  const [mailConfigured, setMailConfigured] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [newListing, setNewListing] = useState('');
+  const [editing, setEditing] = useState(null); // { listingName, digest }
+  const [preview, setPreview] = useState(null); // { subject, html }
+
+  const fetchDigests = useCallback(async () => {
+    try {
+      const response = await api.get('/api/digests');
+      setDigests(response.data.result);
+      setProperties(response.data.options.properties);
+      setMailConfigured(response.data.mailConfigured);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch digests:', err);
+      setError('Failed to load email digests.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDigests();
+  }, [fetchDigests]);
+
+  const digestUrl = (digest) => `/api/digests/${encodeURIComponent(digest.listingName)}`;
+
+  const handleToggleEnabled = async (digest) => {
+    try {
+      await api.put(digestUrl(digest), { ...digest, enabled: !digest.enabled });
+      fetchDigests();
+    } catch (err) {
+      console.error('Failed to update digest:', err);
+      setError(err.response?.data?.message || 'Failed to update digest.');
+    }
+  };
+
+  const handleDelete = async (digest) => {
+    if (!window.confirm(`Stop the email digest for "${digest.listingName}"?`)) return;
+    try {
+      await api.delete(digestUrl(digest));
+      fetchDigests();
+    } catch (err) {
+      console.error('Failed to delete digest:', err);
+      setError(err.response?.data?.message || 'Failed to delete digest.');
+    }
+  };
+
+  const handlePreview = async (digest) => {
+    try {
+      const response = await api.get(`${digestUrl(digest)}/preview`);
+      setPreview(response.data.result);
+    } catch (err) {
+      console.error('Failed to preview digest:', err);
+      setError(err.response?.data?.message || 'Failed to preview digest.');
+    }
+  };
+
+  const handleSend = async (digest) => {
+    setMessage(null);
+    try {
+      const response = await api.post(`${digestUrl(digest)}/send`);
+      const { sent, newReviews, pendingReviews } = response.data.result;
+      setMessage(sent
+        ? `Digest for ${digest.listingName} sent (${newReviews} new, ${pendingReviews} pending).`
+        : `Nothing new or pending for ${digest.listingName}, so no email was sent.`);
+      fetchDigests();
+    } catch (err) {
+      console.error('Failed to send digest:', err);
+      setError(err.response?.data?.message || 'Failed to send digest.');
+      fetchDigests();
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    setNewListing('');
+    fetchDigests();
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const subscribed = new Set(digests.map(digest => digest.listingName));
+  const available = properties.filter(property => !subscribed.has(property));
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2, gap: 2 }}>
+        <Box>
+          <Typography variant="h6">Email Digests</Typography>
+          <Typography variant="body2" color="text.secondary">
+            A summary of new reviews, reviews awaiting approval and rating changes, emailed per property.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            select
+            size="small"
+            label="Property"
+            value={newListing}
+            onChange={(e) => setNewListing(e.target.value)}
+            sx={{ minWidth: 220 }}
+            disabled={available.length === 0}
+          >
+            {available.map(property => <MenuItem key={property} value={property}>{property}</MenuItem>)}
+          </TextField>
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            disabled={!newListing}
+            onClick={() => setEditing({ listingName: newListing, digest: null })}
+          >
+            New Digest
+          </Button>
+        </Box>
+      </Box>
+
+      {!mailConfigured && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Email is not configured on the server, so digests won't be sent. Set SMTP_HOST (or MAIL_TRANSPORT=log).
+        </Alert>
+      )}
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+      {digests.length === 0 ? (
+        <Typography color="text.secondary">No digests set up yet.</Typography>
+      ) : digests.map(digest => (
+        <Card key={digest.listingName} sx={{ mb: 2, opacity: digest.enabled ? 1 : 0.6 }}>
+          <CardContent sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Box sx={{ flexGrow: 1 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Typography variant="subtitle1">{digest.listingName}</Typography>
+                <Chip label={describeSchedule(digest)} size="small" variant="outlined" />
+              </Box>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+                {digest.recipients.map(email => <Chip key={email} label={email} size="small" />)}
+              </Box>
+              <Typography variant="caption" color="text.secondary">
+                {digest.lastSentAt ? `Last sent ${new Date(digest.lastSentAt).toLocaleString()}` : 'Not sent yet'}
+              </Typography>
+              {digest.lastError && (
+                <Typography variant="caption" color="error" sx={{ display: 'block' }}>
+                  Last attempt failed: {digest.lastError}
+                </Typography>
+              )}
+            </Box>
+            <Tooltip title={digest.enabled ? 'Pause digest' : 'Resume digest'}>
+              <Switch checked={digest.enabled} onChange={() => handleToggleEnabled(digest)} />
+            </Tooltip>
+            <Tooltip title="Preview">
+              <IconButton onClick={() => handlePreview(digest)}><Visibility /></IconButton>
+            </Tooltip>
+            <Tooltip title="Send now">
+              <span>
+                <IconButton onClick={() => handleSend(digest)} disabled={!mailConfigured}><Send /></IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title="Edit digest">
+              <IconButton onClick={() => setEditing({ listingName: digest.listingName, digest })}><Edit /></IconButton>
+            </Tooltip>
+            <Tooltip title="Stop digest">
+              <IconButton onClick={() => handleDelete(digest)}><Delete /></IconButton>
+            </Tooltip>
+          </CardContent>
+        </Card>
+      ))}
+
+      {editing && (
+        <DigestEditor
+          listingName={editing.listingName}
+          digest={editing.digest}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+
+      <Dialog open={Boolean(preview)} onClose={() => setPreview(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{preview?.subject}</DialogTitle>
+        <DialogContent dividers>
+          <Box
+            component="iframe"
+            title="Digest preview"
+            sandbox=""
+            srcDoc={preview?.html}
+            sx={{ width: '100%', height: 500, border: 0 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPreview(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default DigestsPanel;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { Button, Menu, MenuItem, ListItemText, CircularProgress } from '@mui/material';
+import { FileDownload } from '@mui/icons-material';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV', description: 'Opens in any spreadsheet app' },
+  { value: 'xlsx', label: 'Excel', description: 'Formatted .xlsx workbook' }
+];
+
+// Downloads every review matching the current filters as a spreadsheet
+const ExportButton = ({ queryParams, disabled, onError }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setAnchorEl(null);
+    setExporting(true);
+
+    try {
+      const response = await api.get('/api/reviews/export', {
+        params: { ...queryParams, format },
+        responseType: 'blob'
+      });
+
+      // Save the file through a temporary link
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `reviews-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export reviews:', error);
+      onError?.('Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        size="small"
+        startIcon={exporting ? <CircularProgress size={16} /> : <FileDownload />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={disabled || exporting}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {FORMATS.map(({ value, label, description }) => (
+          <MenuItem key={value} onClick={() => handleExport(value)}>
+            <ListItemText primary={label} secondary={description} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default ExportButton;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import {
+  Accordion, AccordionSummary, AccordionDetails, Typography, Box, LinearProgress, Button,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Chip, Stack
+} from '@mui/material';
+import { ExpandMore, Insights } from '@mui/icons-material';
+
+const formatUsd = (value) => `$${value.toFixed(value < 1 ? 3 : 2)}`;
+const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+// Admin view of Google Places spend against the daily budget and cache hit rates
+const GoogleUsagePanel = () => {
+  const [usage, setUsage] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+
+  const fetchUsage = useCallback(async () => {
+    try {
+      const response = await api.get('/api/google-places/usage');
+      setUsage(response.data.result);
+    } catch (error) {
+      console.error('Failed to fetch Google Places usage:', error);
+    }
+  }, []);
+
+  // Refresh whenever the panel is opened
+  useEffect(() => {
+    if (expanded) {
+      fetchUsage();
+    }
+  }, [expanded, fetchUsage]);
+
+  const handleClearCache = async () => {
+    try {
+      await api.delete('/api/google-places/cache');
+      fetchUsage();
+    } catch (error) {
+      console.error('Failed to clear Google Places cache:', error);
+    }
+  };
+
+  const budgetUsed = usage?.budget ? Math.min(usage.spend / usage.budget, 1) : 0;
+
+  return (
+    <Accordion expanded={expanded} onChange={(event, isExpanded) => setExpanded(isExpanded)} sx={{ mb: 4 }}>
+      <AccordionSummary expandIcon={<ExpandMore />}>
+        <Typography sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Insights color="primary" />
+          API Usage &amp; Cache
+        </Typography>
+      </AccordionSummary>
+      <AccordionDetails>
+        {!usage ? (
+          <LinearProgress />
+        ) : (
+          <Stack spacing={3}>
+            {/* Today's spend against the daily budget */}
+            <Box>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                <Typography variant="body2">
+                  Estimated spend today ({usage.day}, UTC): <strong>{formatUsd(usage.spend)}</strong>
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {usage.budget ? `Daily budget ${formatUsd(usage.budget)}` : 'No daily budget'}
+                </Typography>
+              </Box>
+              {usage.budget && (
+                <LinearProgress
+                  variant="determinate"
+                  value={budgetUsed * 100}
+                  color={budgetUsed >= 1 ? 'error' : budgetUsed >= 0.8 ? 'warning' : 'primary'}
+                  sx={{ height: 8, borderRadius: 4 }}
+                />
+              )}
+            </Box>
+
+            {/* Per-endpoint calls, cache hits and spend */}
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 'bold' }}>Endpoint</TableCell>
+                    <TableCell sx={{ fontWeight: 'bold' }}>SKU</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>Google calls</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>Cache hits</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>Hit rate</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>Spend</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>Cache TTL</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {usage.endpoints.map(row => (
+                    <TableRow key={row.endpoint}>
+                      <TableCell sx={{ textTransform: 'capitalize' }}>{row.endpoint}</TableCell>
+                      <TableCell>{row.sku}</TableCell>
+                      <TableCell align="right">{row.apiCalls}</TableCell>
+                      <TableCell align="right">{row.cacheHits}</TableCell>
+                      <TableCell align="right">{formatRate(row.hitRate)}</TableCell>
+                      <TableCell align="right">{formatUsd(row.spend)}</TableCell>
+                      <TableCell align="right">
+                        {row.ttlMinutes >= 60 ? `${row.ttlMinutes / 60} h` : `${row.ttlMinutes} min`}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            {/* Recent days */}
+            <Box>
+              <Typography variant="subtitle2" gutterBottom>Last {usage.history.length} days</Typography>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                {usage.history.map(day => (
+                  <Chip
+                    key={day.day}
+                    variant="outlined"
+                    label={`${day.day}: ${formatUsd(day.spend)} · ${formatRate(day.hitRate)} cached`}
+                  />
+                ))}
+              </Box>
+            </Box>
+
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <Typography variant="body2" color="text.secondary">
+                {Object.values(usage.cacheEntries).reduce((sum, count) => sum + count, 0)} cached responses.
+                Spend is estimated from Google's list prices.
+              </Typography>
+              <Button size="small" onClick={handleClearCache} sx={{ textTransform: 'none' }}>
+                Clear cache
+              </Button>
+            </Box>
+          </Stack>
+        )}
+      </AccordionDetails>
+    </Accordion>
+  );
+};
+
+export default GoogleUsagePanel;
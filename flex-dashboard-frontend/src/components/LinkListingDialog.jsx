@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import api from '../api';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Autocomplete, TextField,
+  Alert, Typography
+} from '@mui/material';
+
+// Dialog for linking a Google search result to one of our Hostaway listings
+const LinkListingDialog = ({ place, listings, onClose, onLinked }) => {
+  const [listingName, setListingName] = useState(() => (
+    place.linked_listings[0] || place.suggested_listing?.listingName || null
+  ));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const selected = listings.find(listing => listing.listingName === listingName);
+  const replacesLink = selected?.google && selected.google.placeId !== place.place_id;
+
+  const handleLink = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await api.put(
+        `/api/listings/${encodeURIComponent(listingName)}/google-place`,
+        { placeId: place.place_id }
+      );
+      onLinked(response.data.result);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to link listing.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open onClose={() => !saving && onClose()} fullWidth maxWidth="sm">
+      <DialogTitle>Link to Listing</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {place.name} · {place.formatted_address}
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Autocomplete
+          options={listings.map(listing => listing.listingName)}
+          value={listingName}
+          onChange={(event, newValue) => setListingName(newValue)}
+          renderInput={(params) => <TextField {...params} label="Hostaway listing" size="small" />}
+        />
+
+        {place.suggested_listing && listingName === place.suggested_listing.listingName && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            Suggested from the place name and address
+            ({Math.round(place.suggested_listing.score * 100)}% of the listing name matches).
+          </Typography>
+        )}
+
+        {replacesLink && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            This listing is currently linked to {selected.google.placeName}. Linking replaces it.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button onClick={handleLink} variant="contained" disabled={saving || !listingName}>
+          Link
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default LinkListingDialog;
@@ -0,0 +1,104 @@
+import React, { useState, useRef } from 'react';
+import api from '../api';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, Typography, Chip, Box, Tooltip, Alert
+} from '@mui/material';
+
+// Dialog for creating or editing a reply template. The variable and section chips
+// insert their tag where the cursor is.
+const ReplyTemplateEditor = ({ template, syntax, onClose, onSaved }) => {
+  const [name, setName] = useState(template?.name || '');
+  const [body, setBody] = useState(template?.body || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const bodyRef = useRef(null);
+
+  const insert = (text) => {
+    const input = bodyRef.current;
+    const start = input ? input.selectionStart : body.length;
+    const end = input ? input.selectionEnd : body.length;
+    setBody(body.slice(0, start) + text + body.slice(end));
+    // Put the cursor after the inserted tag once the text has updated
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + text.length, start + text.length);
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = template
+        ? await api.put(`/api/reply-templates/${template.id}`, { name, body })
+        : await api.post('/api/reply-templates', { name, body });
+      onSaved(response.data.result);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save template.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open onClose={() => !saving && onClose()} fullWidth maxWidth="md">
+      <DialogTitle>{template ? 'Edit Reply Template' : 'New Reply Template'}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <TextField
+          label="Template name"
+          size="small"
+          fullWidth
+          required
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          label="Reply"
+          fullWidth
+          required
+          multiline
+          minRows={6}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          inputRef={bodyRef}
+        />
+
+        <Typography variant="subtitle2" sx={{ mt: 2 }}>Variables</Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+          {syntax.variables.map(variable => (
+            <Tooltip key={variable.name} title={variable.description}>
+              <Chip label={`{{${variable.name}}}`} size="small" variant="outlined" onClick={() => insert(`{{${variable.name}}}`)} />
+            </Tooltip>
+          ))}
+        </Box>
+
+        <Typography variant="subtitle2" sx={{ mt: 2 }}>Sections by rating</Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 0.5 }}>
+          {syntax.ratingBands.map(band => (
+            <Tooltip key={band.name} title={band.description}>
+              <Chip
+                label={`{{#${band.name}}}...{{/${band.name}}}`}
+                size="small"
+                variant="outlined"
+                onClick={() => insert(`{{#${band.name}}}{{/${band.name}}}`)}
+              />
+            </Tooltip>
+          ))}
+        </Box>
+        <Typography variant="caption" color="text.secondary">
+          Text inside a section is only used for reviews in that rating band (overall rating out of 10).
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={saving || !name.trim() || !body.trim()}>
+          {template ? 'Save Template' : 'Create Template'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReplyTemplateEditor;
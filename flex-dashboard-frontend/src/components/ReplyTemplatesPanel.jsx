@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import { Box, Card, CardContent, Typography, Button, IconButton, Tooltip, CircularProgress, Alert } from '@mui/material';
+import { Add, Edit, Delete } from '@mui/icons-material';
+import ReplyTemplateEditor from './ReplyTemplateEditor';
+
+// Automation tab (managers): the templates replies to guests start from
+const ReplyTemplatesPanel = () => {
+  const [templates, setTemplates] = useState([]);
+  const [syntax, setSyntax] = useState({ variables: [], ratingBands: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // Template being edited, or 'new'
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const response = await api.get('/api/reply-templates');
+      setTemplates(response.data.result);
+      setSyntax(response.data.syntax);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch reply templates:', err);
+      setError('Failed to load reply templates.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Replies written from it are kept.`)) return;
+    try {
+      await api.delete(`/api/reply-templates/${template.id}`);
+      fetchTemplates();
+    } catch (err) {
+      console.error('Failed to delete reply template:', err);
+      setError(err.response?.data?.message || 'Failed to delete template.');
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    fetchTemplates();
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2, gap: 2 }}>
+        <Box>
+          <Typography variant="h6">Reply Templates</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Pick a template when replying to a guest and it is filled in with their name, the property,
+            the month of the stay and their best- or worst-rated category.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<Add />} onClick={() => setEditing('new')}>
+          New Template
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+      {templates.length === 0 ? (
+        <Typography color="text.secondary">No reply templates yet.</Typography>
+      ) : templates.map(template => (
+        <Card key={template.id} sx={{ mb: 2 }}>
+          <CardContent sx={{ display: 'flex', alignItems: 'flex-start', gap: 2 }}>
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              <Typography variant="subtitle1">{template.name}</Typography>
+              <Typography
+                variant="body2"
+                color="text.secondary"
+                sx={{ whiteSpace: 'pre-wrap', display: '-webkit-box', WebkitLineClamp: 3, WebkitBoxOrient: 'vertical', overflow: 'hidden' }}
+              >
+                {template.body}
+              </Typography>
+            </Box>
+            <Tooltip title="Edit template">
+              <IconButton onClick={() => setEditing(template)}><Edit /></IconButton>
+            </Tooltip>
+            <Tooltip title="Delete template">
+              <IconButton onClick={() => handleDelete(template)}><Delete /></IconButton>
+            </Tooltip>
+          </CardContent>
+        </Card>
+      ))}
+
+      {editing && (
+        <ReplyTemplateEditor
+          template={editing === 'new' ? null : editing}
+          syntax={syntax}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default ReplyTemplatesPanel;
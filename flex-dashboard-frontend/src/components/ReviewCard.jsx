@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import {
+  Card, CardContent, Chip, Box, Typography, Grid, Switch, FormControlLabel, Button, Checkbox,
+  Collapse, CircularProgress, Dialog, DialogTitle, DialogContent, DialogActions, TextField, Tooltip
+} from '@mui/material';
+import { History, Visibility, VisibilityOff, SmartToy, Comment, AssignmentTurnedIn } from '@mui/icons-material';
+import { formatRating, normalizeRating, ratingColor } from '../ratings';
+import { SENTIMENT_LABELS, TOPIC_POLARITY_COLORS, sentenceColor } from '../sentiment';
+import ReviewTags from './ReviewTags';
+import ReviewNotes from './ReviewNotes';
+import ReviewWorkflow from './ReviewWorkflow';
+import ReviewReply from './ReviewReply';
+import { getStateLabel } from '../workflow';
+
+// How each auto-approval rule action is labelled on the card
+const RULE_DECISION_LABELS = {
+  auto_approve: { label: 'Auto-approved', color: 'success' },
+  auto_hide: { label: 'Auto-hidden', color: 'default' },
+  flag: { label: 'Flagged for review', color: 'warning' }
+};
+
+// Vertical timeline of approval changes, newest first
+const ApprovalHistory = ({ history }) => {
+  if (history.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No approval changes recorded yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box component="ol" sx={{ listStyle: 'none', m: 0, p: 0 }}>
+      {history.map((entry, index) => (
+        <Box component="li" key={entry.id} sx={{ display: 'flex', gap: 1.5 }}>
+          {/* Timeline marker and connector */}
+          <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+            {entry.newValue
+              ? <Visibility fontSize="small" color="success" />
+              : <VisibilityOff fontSize="small" color="action" />}
+            {index < history.length - 1 && (
+              <Box sx={{ flexGrow: 1, width: '2px', backgroundColor: 'grey.300', my: 0.5 }} />
+            )}
+          </Box>
+          <Box sx={{ pb: 2 }}>
+            <Typography variant="body2">
+              <strong>{entry.actor.name}</strong> {entry.newValue ? 'published' : 'hid'} this review
+              {' '}(was {entry.oldValue ? 'shown' : 'hidden'})
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              {new Date(entry.createdAt).toLocaleString()}
+            </Typography>
+            {entry.reason && (
+              <Typography variant="body2" sx={{ fontStyle: 'italic', mt: 0.5 }}>
+                "{entry.reason}"
+              </Typography>
+            )}
+          </Box>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+// What a workflow change did, e.g. "moved it from New to In review, assigned it to sam"
+const describeWorkflowChange = (entry) => {
+  const parts = [];
+  if (entry.fromState !== entry.toState) {
+    parts.push(`moved it from ${getStateLabel(entry.fromState)} to ${getStateLabel(entry.toState)}`);
+  }
+  const { assignee, dueDate, needsOwnerAttention } = entry.changes;
+  if (assignee) {
+    parts.push(assignee.to ? `assigned it to ${assignee.to}` : 'unassigned it');
+  }
+  if (dueDate) {
+    parts.push(dueDate.to ? `set the follow-up date to ${new Date(dueDate.to).toLocaleDateString()}` : 'cleared the follow-up date');
+  }
+  if (needsOwnerAttention) {
+    parts.push(needsOwnerAttention.to ? 'flagged it for owner attention' : 'cleared the owner attention flag');
+  }
+  return parts.join(', ');
+};
+
+// Workflow changes, newest first
+const WorkflowHistory = ({ history }) => (
+  history.length === 0 ? (
+    <Typography variant="body2" color="text.secondary">
+      No workflow changes recorded yet.
+    </Typography>
+  ) : (
+    <Box component="ol" sx={{ listStyle: 'none', m: 0, p: 0 }}>
+      {history.map(entry => (
+        <Box component="li" key={entry.id} sx={{ display: 'flex', gap: 1.5, pb: 1.5 }}>
+          <AssignmentTurnedIn fontSize="small" color="action" />
+          <Box>
+            <Typography variant="body2">
+              <strong>{entry.actor.name}</strong> {describeWorkflowChange(entry)}
+            </Typography>
+            <Typography variant="caption" color="text.secondary">
+              {new Date(entry.createdAt).toLocaleString()}
+            </Typography>
+          </Box>
+        </Box>
+      ))}
+    </Box>
+  )
+);
+
+// Sentences that drove a review's sentiment, shown when hovering its sentiment chip
+const SentimentSentences = ({ sentences }) => (
+  sentences.length === 0 ? 'No positive or negative wording found' : (
+    <Box component="ul" sx={{ m: 0, pl: 0, listStyle: 'none' }}>
+      {sentences.map(sentence => (
+        <Box
+          component="li"
+          key={sentence.text}
+          sx={{ borderLeft: 3, borderColor: sentenceColor(sentence.score), pl: 1, my: 0.5 }}
+        >
+          {sentence.text}
+        </Box>
+      ))}
+    </Box>
+  )
+);
+
+// Review card with category ratings, the website display switch and its change history.
+// When `onSelect` is given the card shows a checkbox for bulk actions. `topicLabels`
+// maps topic IDs to the names shown on the review's topic chips. Team tags and notes
+// changes are reported through `onAnnotationsChange(reviewId, { tags } or { noteCount })`,
+// workflow changes through `onWorkflowChange(reviewId, workflow)` and reply changes through
+// `onReplyChange(reviewId, reply)`. Managers can reply to guest reviews from Hostaway,
+// starting from one of the `replyTemplates`.
+const ReviewCard = ({
+  review, onToggleDisplay, canApprove, selected = false, onSelect, topicLabels = {}, tagOptions = [], onAnnotationsChange,
+  assignees = [], onWorkflowChange, onReplyChange, replyTemplates = []
+}) => {
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [notesOpen, setNotesOpen] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [workflowHistory, setWorkflowHistory] = useState(null);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const [approvalResponse, workflowResponse] = await Promise.all([
+        api.get(`/api/reviews/${review.id}/approval/history`),
+        api.get(`/api/reviews/${review.id}/workflow/history`)
+      ]);
+      setHistory(approvalResponse.data.result);
+      setWorkflowHistory(workflowResponse.data.result);
+    } catch (error) {
+      console.error('Failed to fetch review history:', error);
+      setHistory([]);
+      setWorkflowHistory([]);
+    }
+  }, [review.id]);
+
+  // Load the history when opened, and again after the approval or workflow changes
+  useEffect(() => {
+    if (historyOpen) {
+      fetchHistory();
+    }
+  }, [historyOpen, review.displayOnWebsite, review.workflow?.updatedAt, fetchHistory]);
+
+  const handleConfirm = async () => {
+    setSaving(true);
+    await onToggleDisplay(review.id, reason.trim());
+    setSaving(false);
+    setConfirmOpen(false);
+    setReason('');
+  };
+
+  return (
+    <Card sx={{ mb: 2, width: '100%', outline: selected ? 2 : 0, outlineColor: 'primary.main' }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start' }}>
+            {onSelect && (
+              <Checkbox
+                checked={selected}
+                onChange={() => onSelect(review.id)}
+                inputProps={{ 'aria-label': `Select review by ${review.guestName}` }}
+                sx={{ ml: -1, mt: -0.5 }}
+              />
+            )}
+            <Box>
+              <Typography variant="h6">{review.listingName}</Typography>
+              <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                By {review.guestName} on {new Date(review.submittedAt).toLocaleDateString()} via {review.channel}
+              </Typography>
+            </Box>
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            {review.ruleDecision && (
+              <Chip
+                icon={<SmartToy />}
+                label={`${RULE_DECISION_LABELS[review.ruleDecision.action]?.label || review.ruleDecision.action}: ${review.ruleDecision.ruleName}`}
+                color={RULE_DECISION_LABELS[review.ruleDecision.action]?.color || 'default'}
+                variant="outlined"
+                size="small"
+              />
+            )}
+            {review.sentiment?.label && (
+              <Tooltip title={<SentimentSentences sentences={review.sentiment.sentences} />}>
+                <Chip
+                  label={`Sentiment: ${SENTIMENT_LABELS[review.sentiment.label].label}`}
+                  color={SENTIMENT_LABELS[review.sentiment.label].color}
+                  size="small"
+                />
+              </Tooltip>
+            )}
+            <Chip label={`Overall: ${formatRating(review.rating, review.ratingScale)}`} color="primary" />
+          </Box>
+        </Box>
+        
+        {/* Category Ratings Display */}
+        {review.reviewCategory && review.reviewCategory.length > 0 && (
+          <Box sx={{ my: 2, p: 2, backgroundColor: 'grey.50', borderRadius: 1 }}>
+            <Grid container spacing={1}>
+              {review.reviewCategory.map(cat => (
+                <Grid item xs="auto" key={cat.category}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    <Typography variant="body2" sx={{ textTransform: 'capitalize' }}>
+                      {cat.category.replace('_', ' ')}:
+                    </Typography>
+                    <Chip 
+                      label={formatRating(cat.rating, review.ratingScale)} 
+                      size="small" 
+                      color={ratingColor(normalizeRating(cat.rating, review.ratingScale))}
+                      variant="outlined"
+                    />
+                  </Box>
+                </Grid>
+              ))}
+            </Grid>
+          </Box>
+        )}
+        
+        <Typography variant="body1" sx={{ my: 2 }}>
+          {review.publicReview}
+        </Typography>
+
+        {/* Topics the text mentions: green when praised, red when complained about */}
+        {review.topics?.length > 0 && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 2 }}>
+            {review.topics.map(topic => (
+              <Tooltip key={topic.topic} title={`"${topic.snippet}"`}>
+                <Chip
+                  label={topicLabels[topic.topic] || topic.topic}
+                  color={TOPIC_POLARITY_COLORS[topic.polarity]}
+                  variant="outlined"
+                  size="small"
+                />
+              </Tooltip>
+            ))}
+          </Box>
+        )}
+        {/* Host reply, published through Hostaway to the review's channel */}
+        {review.source === 'hostaway' && review.type === 'guest-to-host' && (
+          <ReviewReply
+            key={review.reply?.updatedAt || 'none'}
+            reviewId={review.id}
+            reply={review.reply}
+            canReply={canApprove}
+            templates={replyTemplates}
+            onChange={(reply) => onReplyChange?.(review.id, reply)}
+          />
+        )}
+
+        {/* Moderation workflow */}
+        {review.workflow && (
+          <ReviewWorkflow
+            reviewId={review.id}
+            workflow={review.workflow}
+            assignees={assignees}
+            canEdit={canApprove}
+            onChange={(workflow) => onWorkflowChange?.(review.id, workflow)}
+          />
+        )}
+
+        {/* Team tags, internal only */}
+        <ReviewTags
+          reviewId={review.id}
+          tags={review.tags || []}
+          tagOptions={tagOptions}
+          canEdit={canApprove}
+          onChange={(tags) => onAnnotationsChange?.(review.id, { tags })}
+        />
+
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={review.displayOnWebsite}
+                onChange={() => setConfirmOpen(true)}
+                disabled={!canApprove}
+                color="success"
+              />
+            }
+            label="Show on public website"
+          />
+          <Box sx={{ flexGrow: 1 }} />
+          <Button
+            size="small"
+            startIcon={<Comment />}
+            onClick={() => setNotesOpen(open => !open)}
+            sx={{ textTransform: 'none' }}
+          >
+            {notesOpen ? 'Hide notes' : `Notes${review.noteCount ? ` (${review.noteCount})` : ''}`}
+          </Button>
+          <Button
+            size="small"
+            startIcon={<History />}
+            onClick={() => setHistoryOpen(open => !open)}
+            sx={{ textTransform: 'none' }}
+          >
+            {historyOpen ? 'Hide history' : 'History'}
+          </Button>
+        </Box>
+
+        {/* Internal notes */}
+        <Collapse in={notesOpen} unmountOnExit>
+          <Box sx={{ mt: 2, pt: 2, borderTop: 1, borderColor: 'divider' }}>
+            <ReviewNotes
+              reviewId={review.id}
+              onCountChange={(noteCount) => onAnnotationsChange?.(review.id, { noteCount })}
+            />
+          </Box>
+        </Collapse>
+
+        {/* Approval and workflow change timelines */}
+        <Collapse in={historyOpen} unmountOnExit>
+          <Box sx={{ mt: 2, pt: 2, borderTop: 1, borderColor: 'divider' }}>
+            {history === null ? <CircularProgress size={20} /> : (
+              <>
+                <Typography variant="subtitle2" gutterBottom>Website display</Typography>
+                <ApprovalHistory history={history} />
+                <Typography variant="subtitle2" gutterBottom sx={{ mt: 1 }}>Workflow</Typography>
+                <WorkflowHistory history={workflowHistory} />
+              </>
+            )}
+          </Box>
+        </Collapse>
+      </CardContent>
+
+      {/* Confirm the change with an optional reason for the audit log */}
+      <Dialog open={confirmOpen} onClose={() => !saving && setConfirmOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>
+          {review.displayOnWebsite ? 'Hide this review from the website?' : 'Publish this review on the website?'}
+        </DialogTitle>
+        <DialogContent>
+          <TextField
+            label="Reason (optional)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            fullWidth
+            multiline
+            minRows={2}
+            autoFocus
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)} disabled={saving}>Cancel</Button>
+          <Button onClick={handleConfirm} variant="contained" disabled={saving}>
+            {review.displayOnWebsite ? 'Hide' : 'Publish'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default ReviewCard;
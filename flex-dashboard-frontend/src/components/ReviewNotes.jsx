@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import { Box, Typography, TextField, Button, IconButton, Tooltip, CircularProgress, Alert } from '@mui/material';
+import { Edit, Delete } from '@mui/icons-material';
+import { useAuth } from '../auth/AuthContext';
+
+// Internal notes on a review, oldest first. Managers add them and can edit or delete
+// any; viewers only read them. `onCountChange` receives the new note count.
+const ReviewNotes = ({ reviewId, onCountChange }) => {
+  const { isManager } = useAuth();
+  const [notes, setNotes] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [editing, setEditing] = useState(null); // { id, body } of the note being edited
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchNotes = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/reviews/${reviewId}/notes`);
+      setNotes(response.data.result);
+    } catch (err) {
+      console.error('Failed to fetch notes:', err);
+      setError('Failed to load notes.');
+      setNotes([]);
+    }
+  }, [reviewId]);
+
+  useEffect(() => {
+    fetchNotes();
+  }, [fetchNotes]);
+
+  // Runs a change, then reloads the notes and reports the new count
+  const saveChange = async (request, failure) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await request();
+      const response = await api.get(`/api/reviews/${reviewId}/notes`);
+      setNotes(response.data.result);
+      onCountChange(response.data.result.length);
+      return true;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(err.response?.data?.message || `${failure}.`);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (await saveChange(() => api.post(`/api/reviews/${reviewId}/notes`, { body: draft }), 'Failed to add note')) {
+      setDraft('');
+    }
+  };
+
+  const handleUpdate = async () => {
+    const request = () => api.put(`/api/reviews/${reviewId}/notes/${editing.id}`, { body: editing.body });
+    if (await saveChange(request, 'Failed to update note')) {
+      setEditing(null);
+    }
+  };
+
+  const handleDelete = (note) => {
+    if (!window.confirm('Delete this note?')) return;
+    saveChange(() => api.delete(`/api/reviews/${reviewId}/notes/${note.id}`), 'Failed to delete note');
+  };
+
+  if (notes === null) {
+    return <CircularProgress size={20} />;
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError(null)}>{error}</Alert>}
+
+      {notes.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          No notes yet. Notes are only visible to the team.
+        </Typography>
+      ) : notes.map(note => (
+        <Box key={note.id} sx={{ mb: 1.5, pl: 1.5, borderLeft: 3, borderColor: 'grey.300' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Typography variant="body2"><strong>{note.author.name}</strong></Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+              {new Date(note.createdAt).toLocaleString()}
+              {note.updatedAt !== note.createdAt && ' (edited)'}
+            </Typography>
+            {isManager && editing?.id !== note.id && (
+              <>
+                <Tooltip title="Edit note">
+                  <IconButton size="small" onClick={() => setEditing({ id: note.id, body: note.body })}>
+                    <Edit fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Delete note">
+                  <IconButton size="small" onClick={() => handleDelete(note)} disabled={saving}>
+                    <Delete fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </>
+            )}
+          </Box>
+          {editing?.id === note.id ? (
+            <Box sx={{ mt: 1 }}>
+              <TextField
+                value={editing.body}
+                onChange={(e) => setEditing({ ...editing, body: e.target.value })}
+                fullWidth
+                multiline
+                size="small"
+                autoFocus
+              />
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+                <Button size="small" onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+                <Button size="small" variant="contained" onClick={handleUpdate} disabled={saving || !editing.body.trim()}>
+                  Save
+                </Button>
+              </Box>
+            </Box>
+          ) : (
+            <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{note.body}</Typography>
+          )}
+        </Box>
+      ))}
+
+      {isManager && (
+        <>
+          <TextField
+            label="Add a note for the team"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            fullWidth
+            multiline
+            minRows={2}
+            size="small"
+            sx={{ mt: 1 }}
+          />
+          <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+            <Button size="small" variant="contained" onClick={handleAdd} disabled={saving || !draft.trim()}>
+              Add Note
+            </Button>
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ReviewNotes;
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import api from '../api';
+import {
+  Box, Typography, TextField, Button, Chip, Alert, FormControl, InputLabel, Select, MenuItem
+} from '@mui/material';
+import { Reply, Send } from '@mui/icons-material';
+
+// How each reply status is labelled on the card
+const REPLY_STATUSES = {
+  draft: { label: 'Draft reply', color: 'default' },
+  sent: { label: 'Reply sent', color: 'success' },
+  failed: { label: 'Reply failed', color: 'error' }
+};
+
+// The host's reply to a guest review. Managers write a draft, which is saved on the
+// server, and publish it through Hostaway to the review's channel; once sent it can't
+// change. Everyone sees the status and the text that was sent. Choosing one of the
+// `templates` fills it in for the review. `onChange` receives the reply after each
+// change (null once discarded).
+const ReviewReply = ({ reviewId, reply, canReply, templates = [], onChange }) => {
+  const [composing, setComposing] = useState(false);
+  const [draft, setDraft] = useState(reply?.body || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [templateNotice, setTemplateNotice] = useState(null); // Variables the review had no value for
+
+  if (!reply && !composing) {
+    return canReply ? (
+      <Button size="small" startIcon={<Reply />} onClick={() => setComposing(true)} sx={{ textTransform: 'none', mb: 2 }}>
+        Reply to guest
+      </Button>
+    ) : null;
+  }
+
+  // Runs a request that returns the reply
+  const saveChange = async (request, failure) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await request();
+      onChange(response.data.result);
+      return response.data.result;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      // A rejected publish comes back with the failed reply, which shows Hostaway's error
+      if (err.response?.data?.result) {
+        onChange(err.response.data.result);
+      } else {
+        setError(err.response?.data?.message || `${failure}.`);
+      }
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Replaces the text with a template filled in for this review; nothing is saved yet
+  const handleTemplate = async (templateId) => {
+    if (draft.trim() && !window.confirm('Replace the current text with this template?')) return;
+    setError(null);
+    try {
+      const response = await api.post(`/api/reply-templates/${templateId}/render`, { reviewId });
+      const { body, missing } = response.data.result;
+      setDraft(body);
+      setTemplateNotice(missing.length
+        ? `This review has no value for ${missing.join(', ')}, so it was left blank. Check the text before publishing.`
+        : null);
+    } catch (err) {
+      console.error('Failed to fill in template:', err);
+      setError(err.response?.data?.message || 'Failed to fill in template.');
+    }
+  };
+
+  const saveDraft = () => saveChange(
+    () => api.put(`/api/reviews/${reviewId}/reply`, { body: draft }),
+    'Failed to save reply'
+  );
+
+  // Saves the text first when it changed since the last save
+  const handlePublish = async () => {
+    if (!window.confirm('Publish this reply? It will appear on the review\'s channel and can\'t be changed afterwards.')) return;
+    if (draft.trim() !== reply?.body && !(await saveDraft())) return;
+    saveChange(() => api.post(`/api/reviews/${reviewId}/reply/publish`), 'Failed to publish reply');
+  };
+
+  const handleDiscard = async () => {
+    if (reply) {
+      if (!window.confirm('Discard this draft reply?')) return;
+      setSaving(true);
+      try {
+        await api.delete(`/api/reviews/${reviewId}/reply`);
+        onChange(null);
+      } catch (err) {
+        console.error('Failed to discard reply:', err);
+        setError(err.response?.data?.message || 'Failed to discard reply.');
+        setSaving(false);
+        return;
+      }
+      setSaving(false);
+    }
+    setDraft('');
+    setComposing(false);
+  };
+
+  const status = reply ? REPLY_STATUSES[reply.status] : null;
+
+  return (
+    <Box sx={{ mb: 2, p: 2, backgroundColor: 'grey.50', borderRadius: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <Reply fontSize="small" color="action" />
+        {status && <Chip label={status.label} color={status.color} size="small" />}
+        <Typography variant="caption" color="text.secondary">
+          {reply?.status === 'sent'
+            ? `Published by ${reply.sentBy} on ${new Date(reply.sentAt).toLocaleString()}`
+            : reply && `Last saved by ${reply.updatedBy} on ${new Date(reply.updatedAt).toLocaleString()}`}
+        </Typography>
+      </Box>
+
+      {reply?.status === 'failed' && (
+        <Alert severity="error" sx={{ mb: 1 }}>Hostaway did not accept the reply: {reply.error}</Alert>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      {reply?.status === 'sent' ? (
+        <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{reply.sentBody}</Typography>
+      ) : canReply ? (
+        <>
+          {templates.length > 0 && (
+            <FormControl size="small" sx={{ minWidth: 220, mb: 1.5, backgroundColor: 'background.paper' }}>
+              <InputLabel id={`reply-template-${reviewId}`}>Start from a template</InputLabel>
+              <Select
+                labelId={`reply-template-${reviewId}`}
+                label="Start from a template"
+                value=""
+                onChange={(e) => handleTemplate(e.target.value)}
+                disabled={saving}
+              >
+                {templates.map(template => (
+                  <MenuItem key={template.id} value={template.id}>{template.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          {templateNotice && (
+            <Alert severity="warning" sx={{ mb: 1 }} onClose={() => setTemplateNotice(null)}>{templateNotice}</Alert>
+          )}
+          <TextField
+            label="Reply to the guest"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            fullWidth
+            multiline
+            minRows={3}
+            size="small"
+            autoFocus={composing}
+            sx={{ backgroundColor: 'background.paper' }}
+          />
+          <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+            <Button size="small" onClick={handleDiscard} disabled={saving}>
+              {reply ? 'Discard' : 'Cancel'}
+            </Button>
+            <Button size="small" onClick={saveDraft} disabled={saving || !draft.trim() || draft.trim() === reply?.body}>
+              Save Draft
+            </Button>
+            <Button size="small" variant="contained" startIcon={<Send />} onClick={handlePublish} disabled={saving || !draft.trim()}>
+              Publish
+            </Button>
+          </Box>
+        </>
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: 'pre-wrap' }}>{reply.body}</Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ReviewReply;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { Box, Chip, Tooltip, Autocomplete, TextField, Typography } from '@mui/material';
+import { Add, LocalOffer } from '@mui/icons-material';
+
+// Team tags on a review card: who added each one shows on hover, and `canEdit` users
+// (managers) can add or remove them. Tags are internal and never reach the public site.
+const ReviewTags = ({ reviewId, tags, tagOptions = [], canEdit, onChange }) => {
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const saveTags = async (nextTags) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await api.put(`/api/reviews/${reviewId}/tags`, { tags: nextTags });
+      onChange(response.data.result);
+      setAdding(false);
+    } catch (err) {
+      console.error('Failed to update tags:', err);
+      setError(err.response?.data?.message || 'Failed to update tags.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const tagNames = tags.map(({ tag }) => tag);
+
+  const handleAdd = (value) => {
+    const tag = (value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    if (!tag || tagNames.includes(tag)) {
+      setAdding(false);
+      return;
+    }
+    saveTags([...tagNames, tag]);
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 0.5 }}>
+        <LocalOffer fontSize="small" color="action" sx={{ mr: 0.5 }} />
+        {tags.map(({ tag, addedBy, addedAt }) => (
+          <Tooltip key={tag} title={`Added by ${addedBy} on ${new Date(addedAt).toLocaleDateString()}`}>
+            <Chip
+              label={tag}
+              size="small"
+              disabled={saving}
+              onDelete={canEdit ? () => saveTags(tagNames.filter(name => name !== tag)) : undefined}
+            />
+          </Tooltip>
+        ))}
+        {!canEdit ? (
+          tags.length === 0 && <Typography variant="caption" color="text.secondary">No tags</Typography>
+        ) : adding ? (
+          <Autocomplete
+            freeSolo
+            size="small"
+            options={tagOptions.filter(option => !tagNames.includes(option))}
+            onChange={(event, value) => handleAdd(value)}
+            onBlur={() => !saving && setAdding(false)}
+            disabled={saving}
+            sx={{ width: 200 }}
+            renderInput={(params) => <TextField {...params} autoFocus placeholder="Tag, then Enter" />}
+          />
+        ) : (
+          <Chip icon={<Add />} label="Add tag" size="small" variant="outlined" onClick={() => setAdding(true)} />
+        )}
+      </Box>
+      {error && (
+        <Typography variant="caption" color="error">{error}</Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ReviewTags;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { Box, Chip, FormControl, InputLabel, Select, MenuItem, TextField, Typography } from '@mui/material';
+import { Flag, OutlinedFlag } from '@mui/icons-material';
+import { WORKFLOW_STATES, getStateLabel } from '../workflow';
+
+// Moderation controls on a review card: its state (only the moves the backend allows
+// are offered), assignee, follow-up date and owner attention flag. `canEdit` users
+// (managers) can change them; `onChange` receives the review's workflow after each change.
+const ReviewWorkflow = ({ reviewId, workflow, assignees = [], canEdit, onChange }) => {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const saveChange = async (changes) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await api.put(`/api/reviews/${reviewId}/workflow`, changes);
+      onChange(response.data.result);
+    } catch (err) {
+      console.error('Failed to update workflow:', err);
+      setError(err.response?.data?.message || 'Failed to update workflow.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1.5 }}>
+        <FormControl size="small" sx={{ minWidth: 150 }}>
+          <InputLabel id={`workflow-state-${reviewId}`}>State</InputLabel>
+          <Select
+            labelId={`workflow-state-${reviewId}`}
+            label="State"
+            value={workflow.state}
+            onChange={(e) => saveChange({ state: e.target.value })}
+            disabled={saving || !canEdit}
+            renderValue={(state) => (
+              <Chip label={getStateLabel(state)} color={WORKFLOW_STATES[state]?.color || 'default'} size="small" />
+            )}
+            sx={{ '& .MuiSelect-select': { py: 0.75 } }}
+          >
+            <MenuItem value={workflow.state} sx={{ display: 'none' }}>{getStateLabel(workflow.state)}</MenuItem>
+            {workflow.nextStates.map(state => (
+              <MenuItem key={state} value={state}>Move to {getStateLabel(state)}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel id={`workflow-assignee-${reviewId}`}>Assignee</InputLabel>
+          <Select
+            labelId={`workflow-assignee-${reviewId}`}
+            label="Assignee"
+            value={workflow.assignee?.id ?? ''}
+            onChange={(e) => saveChange({ assigneeId: e.target.value === '' ? null : e.target.value })}
+            disabled={saving || !canEdit}
+            displayEmpty
+          >
+            <MenuItem value="">Unassigned</MenuItem>
+            {assignees.map(assignee => (
+              <MenuItem key={assignee.id} value={assignee.id}>{assignee.username}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        <TextField
+          label="Follow up by"
+          type="date"
+          size="small"
+          value={workflow.dueDate || ''}
+          onChange={(e) => saveChange({ dueDate: e.target.value || null })}
+          disabled={saving || !canEdit}
+          error={workflow.overdue}
+          helperText={workflow.overdue ? 'Overdue' : undefined}
+          slotProps={{ inputLabel: { shrink: true } }}
+        />
+
+        <Chip
+          icon={workflow.needsOwnerAttention ? <Flag /> : <OutlinedFlag />}
+          label="Needs owner attention"
+          color={workflow.needsOwnerAttention ? 'error' : 'default'}
+          variant={workflow.needsOwnerAttention ? 'filled' : 'outlined'}
+          size="small"
+          disabled={saving}
+          onClick={canEdit ? () => saveChange({ needsOwnerAttention: !workflow.needsOwnerAttention }) : undefined}
+        />
+
+        {workflow.updatedBy && (
+          <Typography variant="caption" color="text.secondary">
+            Last changed by {workflow.updatedBy} on {new Date(workflow.updatedAt).toLocaleDateString()}
+          </Typography>
+        )}
+      </Box>
+      {error && (
+        <Typography variant="caption" color="error">{error}</Typography>
+      )}
+    </Box>
+  );
+};
+
+export default ReviewWorkflow;
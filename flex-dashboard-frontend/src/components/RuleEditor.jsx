@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import api from '../api';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, Grid, Typography,
+  FormControl, InputLabel, Select, MenuItem, Switch, FormControlLabel, Autocomplete,
+  Alert, Box, Divider, CircularProgress, List, ListItem, ListItemText, Chip
+} from '@mui/material';
+import { Visibility } from '@mui/icons-material';
+import { formatRating } from '../ratings';
+
+// Actions a rule can take, with their labels in the editor
+const RULE_ACTIONS = [
+  { value: 'auto_approve', label: 'Auto-approve (show on website)' },
+  { value: 'auto_hide', label: 'Auto-hide' },
+  { value: 'flag', label: 'Flag for manual review' }
+];
+
+// Rule as edited in the form; number inputs are kept as strings until saved
+const toDraft = (rule) => ({
+  name: rule?.name || '',
+  action: rule?.action || 'auto_approve',
+  priority: String(rule?.priority ?? 0),
+  enabled: rule?.enabled ?? true,
+  minRating: rule?.conditions.minRating ?? '',
+  maxRating: rule?.conditions.maxRating ?? '',
+  minCategoryRatings: Object.fromEntries(
+    Object.entries(rule?.conditions.minCategoryRatings || {}).map(([category, rating]) => [category, String(rating)])
+  ),
+  listings: rule?.conditions.listings || [],
+  channels: rule?.conditions.channels || [],
+  minTextLength: rule?.conditions.minTextLength ?? '',
+  maxTextLength: rule?.conditions.maxTextLength ?? '',
+  excludedKeywords: rule?.conditions.excludedKeywords || []
+});
+
+const toNumberOrNull = (value) => (value === '' || value === null ? null : Number(value));
+
+// Draft as the API expects it
+const toPayload = (draft) => ({
+  name: draft.name,
+  action: draft.action,
+  priority: parseInt(draft.priority) || 0,
+  enabled: draft.enabled,
+  conditions: {
+    minRating: toNumberOrNull(draft.minRating),
+    maxRating: toNumberOrNull(draft.maxRating),
+    minCategoryRatings: Object.fromEntries(
+      Object.entries(draft.minCategoryRatings)
+        .filter(([, rating]) => rating !== '')
+        .map(([category, rating]) => [category, Number(rating)])
+    ),
+    listings: draft.listings,
+    channels: draft.channels,
+    minTextLength: toNumberOrNull(draft.minTextLength),
+    maxTextLength: toNumberOrNull(draft.maxTextLength),
+    excludedKeywords: draft.excludedKeywords
+  }
+});
+
+// Dialog for creating or editing an auto-approval rule, with a dry-run preview
+const RuleEditor = ({ rule, options, onClose, onSaved }) => {
+  const [draft, setDraft] = useState(() => toDraft(rule));
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (field) => (value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setPreview(null); // The preview no longer reflects the draft
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    setError(null);
+    try {
+      const response = await api.post('/api/rules/preview', toPayload(draft));
+      setPreview(response.data.result);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to preview rule.');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = rule
+        ? await api.put(`/api/rules/${rule.id}`, toPayload(draft))
+        : await api.post('/api/rules', toPayload(draft));
+      onSaved(response.data.result);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save rule.');
+      setSaving(false);
+    }
+  };
+
+  const numberField = (field, label) => (
+    <TextField
+      label={label}
+      type="number"
+      size="small"
+      fullWidth
+      value={draft[field]}
+      onChange={(e) => update(field)(e.target.value)}
+      slotProps={{ htmlInput: { min: 0 } }}
+    />
+  );
+
+  return (
+    <Dialog open onClose={() => !saving && onClose()} fullWidth maxWidth="md">
+      <DialogTitle>{rule ? 'Edit Rule' : 'New Rule'}</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 12, md: 6 }}>
+            <TextField
+              label="Rule name"
+              size="small"
+              fullWidth
+              required
+              value={draft.name}
+              onChange={(e) => update('name')(e.target.value)}
+            />
+          </Grid>
+          <Grid size={{ xs: 12, md: 4 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="rule-action-label">Action</InputLabel>
+              <Select
+                labelId="rule-action-label"
+                label="Action"
+                value={draft.action}
+                onChange={(e) => update('action')(e.target.value)}
+              >
+                {RULE_ACTIONS.map(action => (
+                  <MenuItem key={action.value} value={action.value}>{action.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid size={{ xs: 6, md: 2 }}>
+            <TextField
+              label="Priority"
+              type="number"
+              size="small"
+              fullWidth
+              value={draft.priority}
+              onChange={(e) => update('priority')(e.target.value)}
+              helperText="Lower runs first"
+            />
+          </Grid>
+          <Grid size={12}>
+            <FormControlLabel
+              control={<Switch checked={draft.enabled} onChange={(e) => update('enabled')(e.target.checked)} />}
+              label="Run this rule on new reviews"
+            />
+          </Grid>
+        </Grid>
+
+        <Divider sx={{ my: 2 }} />
+        <Typography variant="subtitle2" gutterBottom>
+          Conditions (leave blank to match anything)
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid size={{ xs: 6, md: 3 }}>{numberField('minRating', 'Min overall rating (out of 10)')}</Grid>
+          <Grid size={{ xs: 6, md: 3 }}>{numberField('maxRating', 'Max overall rating (out of 10)')}</Grid>
+          <Grid size={{ xs: 6, md: 3 }}>{numberField('minTextLength', 'Min text length')}</Grid>
+          <Grid size={{ xs: 6, md: 3 }}>{numberField('maxTextLength', 'Max text length')}</Grid>
+
+          {options.categories.map(category => (
+            <Grid size={{ xs: 6, md: 3 }} key={category}>
+              <TextField
+                label={`Min ${category.replace('_', ' ')}`}
+                type="number"
+                size="small"
+                fullWidth
+                value={draft.minCategoryRatings[category] || ''}
+                onChange={(e) => update('minCategoryRatings')({ ...draft.minCategoryRatings, [category]: e.target.value })}
+                slotProps={{ htmlInput: { min: 0 } }}
+              />
+            </Grid>
+          ))}
+
+          <Grid size={{ xs: 12, md: 6 }}>
+            <Autocomplete
+              multiple
+              size="small"
+              options={options.properties}
+              value={draft.listings}
+              onChange={(event, newValue) => update('listings')(newValue)}
+              renderInput={(params) => <TextField {...params} label="Listings" placeholder="Any listing" />}
+            />
+          </Grid>
+          <Grid size={{ xs: 12, md: 6 }}>
+            <Autocomplete
+              multiple
+              size="small"
+              options={options.channels}
+              value={draft.channels}
+              onChange={(event, newValue) => update('channels')(newValue)}
+              renderInput={(params) => <TextField {...params} label="Channels" placeholder="Any channel" />}
+            />
+          </Grid>
+          <Grid size={12}>
+            <Autocomplete
+              multiple
+              freeSolo
+              size="small"
+              options={[]}
+              value={draft.excludedKeywords}
+              onChange={(event, newValue) => update('excludedKeywords')(newValue)}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  label="Does not contain"
+                  placeholder="Type a keyword and press Enter"
+                />
+              )}
+            />
+          </Grid>
+        </Grid>
+
+        {/* Dry-run preview against the reviews already stored */}
+        <Box sx={{ mt: 3 }}>
+          <Button
+            variant="outlined"
+            startIcon={previewing ? <CircularProgress size={16} /> : <Visibility />}
+            onClick={handlePreview}
+            disabled={previewing}
+            sx={{ textTransform: 'none' }}
+          >
+            Preview matching reviews
+          </Button>
+
+          {preview && (
+            <Box sx={{ mt: 2 }}>
+              <Alert severity="info" sx={{ mb: 1 }}>
+                Matches {preview.matchCount} existing {preview.matchCount === 1 ? 'review' : 'reviews'}
+                {draft.action !== 'flag' && ` (${preview.wouldChange} would change)`}.
+                Rules only run on new reviews, so nothing is changed now.
+              </Alert>
+              <List dense sx={{ maxHeight: 240, overflow: 'auto' }}>
+                {preview.reviews.map(review => (
+                  <ListItem key={review.id} disableGutters>
+                    <ListItemText
+                      primary={`${review.guestName} · ${review.listingName}`}
+                      secondary={review.publicReview}
+                      secondaryTypographyProps={{ noWrap: true }}
+                    />
+                    <Chip label={formatRating(review.rating, review.ratingScale)} size="small" sx={{ ml: 1 }} />
+                  </ListItem>
+                ))}
+              </List>
+              {preview.matchCount > preview.reviews.length && (
+                <Typography variant="caption" color="text.secondary">
+                  Showing the first {preview.reviews.length} matches.
+                </Typography>
+              )}
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={saving || !draft.name.trim()}>
+          {rule ? 'Save Rule' : 'Create Rule'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default RuleEditor;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../api';
+import {
+  Box, Card, CardContent, Typography, Button, Chip, Switch, IconButton, Tooltip,
+  CircularProgress, Alert
+} from '@mui/material';
+import { Add, Edit, Delete } from '@mui/icons-material';
+import RuleEditor from './RuleEditor';
+import { useAuth } from '../auth/AuthContext';
+
+// Chip label and color per rule action
+const ACTION_CHIPS = {
+  auto_approve: { label: 'Auto-approve', color: 'success' },
+  auto_hide: { label: 'Auto-hide', color: 'default' },
+  flag: { label: 'Flag for review', color: 'warning' }
+};
+
+// Human-readable summary of a rule's conditions
+const describeConditions = (conditions) => {
+  const parts = [];
+  if (conditions.minRating !== null) parts.push(`Rating ≥ ${conditions.minRating}`);
+  if (conditions.maxRating !== null) parts.push(`Rating ≤ ${conditions.maxRating}`);
+  Object.entries(conditions.minCategoryRatings).forEach(([category, min]) => {
+    parts.push(`${category.replace('_', ' ')} ≥ ${min}`);
+  });
+  if (conditions.listings.length) parts.push(`Listing: ${conditions.listings.join(', ')}`);
+  if (conditions.channels.length) parts.push(`Channel: ${conditions.channels.join(', ')}`);
+  if (conditions.minTextLength !== null) parts.push(`At least ${conditions.minTextLength} characters`);
+  if (conditions.maxTextLength !== null) parts.push(`At most ${conditions.maxTextLength} characters`);
+  if (conditions.excludedKeywords.length) parts.push(`Doesn't contain: ${conditions.excludedKeywords.join(', ')}`);
+  return parts.length ? parts : ['Every review'];
+};
+
+// Automation tab: manage the auto-approval rules run on new reviews
+const RulesTab = () => {
+  const { isManager } = useAuth();
+  const [rules, setRules] = useState([]);
+  const [options, setOptions] = useState({ properties: [], channels: [], categories: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // Rule being edited, or 'new'
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await api.get('/api/rules');
+      setRules(response.data.result);
+      setOptions(response.data.options);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch rules:', err);
+      setError('Failed to load rules.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const handleToggleEnabled = async (rule) => {
+    try {
+      await api.put(`/api/rules/${rule.id}`, { ...rule, enabled: !rule.enabled });
+      fetchRules();
+    } catch (err) {
+      console.error('Failed to update rule:', err);
+      setError(err.response?.data?.message || 'Failed to update rule.');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Decisions it already made stay recorded.`)) return;
+    try {
+      await api.delete(`/api/rules/${rule.id}`);
+      fetchRules();
+    } catch (err) {
+      console.error('Failed to delete rule:', err);
+      setError(err.response?.data?.message || 'Failed to delete rule.');
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    fetchRules();
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2, gap: 2 }}>
+        <Box>
+          <Typography variant="h6">Auto-Approval Rules</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Rules run in priority order on every new review. The first rule that matches decides it.
+          </Typography>
+        </Box>
+        {isManager && (
+          <Button variant="contained" startIcon={<Add />} onClick={() => setEditing('new')}>
+            New Rule
+          </Button>
+        )}
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {!isManager && (
+        <Alert severity="info" sx={{ mb: 2 }}>Only managers can change rules.</Alert>
+      )}
+
+      {rules.length === 0 ? (
+        <Typography color="text.secondary">
+          No rules yet. New reviews wait for a manager to approve them.
+        </Typography>
+      ) : rules.map(rule => (
+        <Card key={rule.id} sx={{ mb: 2, opacity: rule.enabled ? 1 : 0.6 }}>
+          <CardContent sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Chip label={`#${rule.priority}`} size="small" variant="outlined" />
+            <Box sx={{ flexGrow: 1 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Typography variant="subtitle1">{rule.name}</Typography>
+                <Chip
+                  label={ACTION_CHIPS[rule.action].label}
+                  color={ACTION_CHIPS[rule.action].color}
+                  size="small"
+                />
+              </Box>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                {describeConditions(rule.conditions).map(part => (
+                  <Chip key={part} label={part} size="small" variant="outlined" sx={{ textTransform: 'capitalize' }} />
+                ))}
+              </Box>
+            </Box>
+            {isManager && (
+              <>
+                <Tooltip title={rule.enabled ? 'Disable rule' : 'Enable rule'}>
+                  <Switch checked={rule.enabled} onChange={() => handleToggleEnabled(rule)} />
+                </Tooltip>
+                <Tooltip title="Edit rule">
+                  <IconButton onClick={() => setEditing(rule)}><Edit /></IconButton>
+                </Tooltip>
+                <Tooltip title="Delete rule">
+                  <IconButton onClick={() => handleDelete(rule)}><Delete /></IconButton>
+                </Tooltip>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      ))}
+
+      {editing && (
+        <RuleEditor
+          rule={editing === 'new' ? null : editing}
+          options={options}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default RulesTab;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../api';
+import { Box, Typography, IconButton, Tooltip, CircularProgress } from '@mui/material';
+import { Sync, ErrorOutline } from '@mui/icons-material';
+import { useAuth } from '../auth/AuthContext';
+
+// Poll slowly while idle and quickly while a sync is running
+const IDLE_POLL_MS = 30000;
+const RUNNING_POLL_MS = 2000;
+
+// Formats a timestamp as "3 minutes ago"
+const formatRelativeTime = (timestamp) => {
+  const seconds = Math.round((Date.now() - new Date(timestamp).getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+// Header indicator showing when reviews were last synced, with a "sync now" button
+const SyncStatus = ({ onSyncComplete }) => {
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [requesting, setRequesting] = useState(false);
+  const wasRunning = useRef(false);
+  const { isManager } = useAuth();
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/api/sync/status');
+      if (response.data.status === 'success') {
+        setSyncStatus(response.data.result);
+      }
+    } catch (error) {
+      console.error('Failed to fetch sync status:', error);
+    }
+  }, []);
+
+  // Poll the status endpoint, faster while a sync is running
+  const running = Boolean(syncStatus?.running);
+  useEffect(() => {
+    fetchStatus();
+    const interval = setInterval(fetchStatus, running ? RUNNING_POLL_MS : IDLE_POLL_MS);
+    return () => clearInterval(interval);
+  }, [fetchStatus, running]);
+
+  // Reload reviews once a running sync finishes
+  useEffect(() => {
+    if (wasRunning.current && !running && onSyncComplete) {
+      onSyncComplete();
+    }
+    wasRunning.current = running;
+  }, [running, onSyncComplete]);
+
+  const handleSyncNow = async () => {
+    setRequesting(true);
+    try {
+      await api.post('/api/sync');
+      await fetchStatus();
+    } catch (error) {
+      console.error('Failed to start sync:', error);
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  if (!syncStatus) return null;
+
+  const { lastSuccessfulSyncAt, lastRun, progress } = syncStatus;
+  const lastRunFailed = lastRun?.status === 'failed';
+
+  let label = lastSuccessfulSyncAt
+    ? `Last synced ${formatRelativeTime(lastSuccessfulSyncAt)}`
+    : 'Not synced yet';
+  if (running) {
+    label = progress?.status === 'running'
+      ? `Syncing... ${progress.reviewsFetched} reviews`
+      : 'Syncing...';
+  }
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+      {lastRunFailed && !running && (
+        <Tooltip title={`Last sync failed: ${lastRun.error || 'unknown error'}`}>
+          <ErrorOutline color="error" fontSize="small" />
+        </Tooltip>
+      )}
+      <Typography variant="body2" color="text.secondary">
+        {label}
+      </Typography>
+      {/* Only managers can start a sync */}
+      {isManager ? (
+        <Tooltip title="Sync now">
+          <span>
+            <IconButton size="small" onClick={handleSyncNow} disabled={running || requesting}>
+              {running || requesting ? <CircularProgress size={18} /> : <Sync fontSize="small" />}
+            </IconButton>
+          </span>
+        </Tooltip>
+      ) : running && <CircularProgress size={18} />}
+    </Box>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+import { API_BASE_URL, getStoredToken } from '../api';
+
+const EVENT_TYPES = [
+  'review-added', 'review-updated', 'approval-changed', 'annotations-changed', 'workflow-changed', 'reply-changed'
+];
+
+// Subscribes to live review events from the backend. Handlers are keyed by event
+// type and receive the parsed payload; the latest handlers are always used, so
+// passing new functions on every render doesn't reconnect.
+const useReviewEvents = (handlers) => {
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const token = getStoredToken();
+    if (!token) return;
+
+    // EventSource can't send headers, so the session token goes in the URL
+    const source = new EventSource(`${API_BASE_URL}/api/events?token=${encodeURIComponent(token)}`);
+    EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (event) => {
+        handlersRef.current[type]?.(JSON.parse(event.data));
+      });
+    });
+
+    return () => source.close();
+  }, []);
+};
+
+export default useReviewEvents;
@@ -1,106 +1,82 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import api from '../api';
 import { 
-  Container, Typography, Card, CardContent, Chip, Box, CircularProgress, 
-  Grid, FormControl, InputLabel, Select, MenuItem, Switch, FormControlLabel,
-  Slider, Divider, Autocomplete, TextField, Tabs, Tab
+  Container, Typography, Card, CardContent, Box, CircularProgress, 
+  Grid, FormControl, InputLabel, Select, MenuItem,
+  Slider, Divider, Autocomplete, TextField, Tabs, Tab, Button, Snackbar, Alert, Chip
 } from '@mui/material';
+import { Flag, EventBusy } from '@mui/icons-material';
 import AnalyticsTab from '../components/AnalyticsTab';
+import RulesTab from '../components/RulesTab';
+import DigestsPanel from '../components/DigestsPanel';
+import AlertsPanel from '../components/AlertsPanel';
+import ReplyTemplatesPanel from '../components/ReplyTemplatesPanel';
+import SyncStatus from '../components/SyncStatus';
+import ReviewCard from '../components/ReviewCard';
+import BulkActionsBar from '../components/BulkActionsBar';
+import ExportButton from '../components/ExportButton';
+import useDebounce from '../hooks/useDebounce';
+import useReviewEvents from '../hooks/useReviewEvents';
+import { useAuth } from '../auth/AuthContext';
+import { getSourceLabel } from '../reviewSources';
+import { SENTIMENT_LABELS } from '../sentiment';
+import { WORKFLOW_STATES, shiftQueues } from '../workflow';
 
-// Review card component
-const ReviewCard = ({ review, onToggleDisplay }) => (
-  <Card sx={{ mb: 2, width: '100%' }}>
-    <CardContent>
-      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
-        <Box>
-          <Typography variant="h6">{review.listingName}</Typography>
-          <Typography variant="subtitle2" color="text.secondary" gutterBottom>
-            By {review.guestName} on {new Date(review.submittedAt).toLocaleDateString()} via Hostaway
-          </Typography>
-        </Box>
-        <Chip label={`Overall: ${review.rating || 'N/A'}`} color="primary" />
-      </Box>
-      
-      {/* Category Ratings Display */}
-      {review.reviewCategory && review.reviewCategory.length > 0 && (
-        <Box sx={{ my: 2, p: 2, backgroundColor: 'grey.50', borderRadius: 1 }}>
-          <Grid container spacing={1}>
-            {review.reviewCategory.map(cat => (
-              <Grid item xs="auto" key={cat.category}>
-                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
-                  <Typography variant="body2" sx={{ textTransform: 'capitalize' }}>
-                    {cat.category.replace('_', ' ')}:
-                  </Typography>
-                  <Chip 
-                    label={`${cat.rating}/10`} 
-                    size="small" 
-                    color={cat.rating >= 9 ? 'success' : cat.rating >= 7 ? 'warning' : 'error'}
-                    variant="outlined"
-                  />
-                </Box>
-              </Grid>
-            ))}
-          </Grid>
-        </Box>
-      )}
-      
-      <Typography variant="body1" sx={{ my: 2 }}>
-        {review.publicReview}
-      </Typography>
-      <FormControlLabel
-        control={
-          <Switch
-            checked={review.displayOnWebsite}
-            onChange={() => onToggleDisplay(review.id)}
-            color="success"
-          />
-        }
-        label="Show on public website"
-      />
-    </CardContent>
-  </Card>
-);
-
+// Number of reviews requested per page
+const PAGE_SIZE = 25;
 
 export default function DashboardPage() {
   // Router hooks
   const location = useLocation();
   const navigate = useNavigate();
+  const { user, isManager } = useAuth();
   
   // State management
-  const [reviews, setReviews] = useState([]); // Original, unmodified list from API
+  const [reviews, setReviews] = useState([]); // Pages of reviews loaded so far for the current filters
+  const [pageMeta, setPageMeta] = useState({ total: 0, totalUnfiltered: 0, nextOffset: null });
+  const [facets, setFacets] = useState({ properties: [], channels: [], sources: [], categories: [], topics: [], tags: [], assignees: [] });
+  const [queues, setQueues] = useState({ states: {}, assignees: {}, ownerAttention: 0, overdue: 0 }); // Review counts per moderation queue
   const [loading, setLoading] = useState(true);
+  const [pageLoading, setPageLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [importProgress, setImportProgress] = useState(null); // Hostaway import progress while loading
+  const [replyTemplates, setReplyTemplates] = useState([]); // Templates for the reply composer (managers)
+  const latestRequest = useRef(0); // Ignores responses to superseded requests
+
+  // Bulk selection: individual reviews, or every review matching the current filters
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [bulkMessage, setBulkMessage] = useState(null);
+
+  // Live updates: new reviews are announced rather than inserted, so the list doesn't move under the user
+  const [newReviewCount, setNewReviewCount] = useState(0);
+  const [reviewsChanged, setReviewsChanged] = useState(false); // Too many updates arrived to patch in place
   
   // Determine current tab from URL
   const getCurrentTab = () => {
     const path = location.pathname;
     if (path.includes('/analytics')) return 1;
+    if (path.includes('/automation')) return 2;
     return 0; // Default to reviews management
   };
   
   const currentTab = getCurrentTab();
 
-  // Helper function to detect available categories from reviews
-  const detectCategories = (reviews) => {
-    const categories = new Set();
-    reviews.forEach(review => {
-      if (Array.isArray(review.reviewCategory)) {
-        review.reviewCategory.forEach(cat => {
-          if (cat && cat.category) {
-            categories.add(cat.category);
-          }
-        });
-      }
-    });
-    return Array.from(categories).sort();
-  };
-
   // State for our filter and sort controls
   const [propertyFilter, setPropertyFilter] = useState('all');
   const [channelFilter, setChannelFilter] = useState('all');
+  const [sourceFilter, setSourceFilter] = useState('all');
   const [publicDisplayFilter, setPublicDisplayFilter] = useState('all');
+  const [decisionFilter, setDecisionFilter] = useState('all');
+  const [sentimentFilter, setSentimentFilter] = useState('all');
+  const [topicFilter, setTopicFilter] = useState('all');
+  const [topicPolarityFilter, setTopicPolarityFilter] = useState('all');
+  const [tagFilter, setTagFilter] = useState([]);
+  const [stateFilter, setStateFilter] = useState('all');
+  const [assigneeFilter, setAssigneeFilter] = useState('all');
+  const [ownerAttentionFilter, setOwnerAttentionFilter] = useState(false);
+  const [overdueFilter, setOverdueFilter] = useState(false);
   const [sortBy, setSortBy] = useState('date-desc');
   const [searchQuery, setSearchQuery] = useState('');
   
@@ -117,39 +93,186 @@ export default function DashboardPage() {
     }
   }, [location.pathname, navigate]);
 
-  // Data fetching
-  useEffect(() => {
-    const fetchReviews = async () => {
-      try {
-        const response = await axios.get('http://localhost:3001/api/reviews/hostaway');
+  // Category ranges as "cleanliness:8-10,communication:5-10"
+  const categoryRanges = useMemo(() => Object.entries(categoryFilters)
+    .filter(([, [min, max]]) => !(min === 0 && max === 10)) // No filter applied
+    .map(([category, [min, max]]) => `${category}:${min}-${max}`)
+    .join(','), [categoryFilters]);
+
+  // Topic names by ID, for the topic chips on review cards
+  const topicLabels = useMemo(
+    () => Object.fromEntries(facets.topics.map(topic => [topic.id, topic.label])),
+    [facets.topics]
+  );
+
+  // Filter and sort state as reviews API query parameters
+  const queryParams = useMemo(() => ({
+    property: propertyFilter,
+    channel: channelFilter,
+    source: sourceFilter,
+    display: publicDisplayFilter,
+    decision: decisionFilter,
+    sentiment: sentimentFilter,
+    topic: topicFilter,
+    topicPolarity: topicPolarityFilter,
+    tags: tagFilter.join(','),
+    state: stateFilter,
+    assignee: assigneeFilter === 'all' ? undefined : assigneeFilter,
+    ownerAttention: ownerAttentionFilter || undefined,
+    overdue: overdueFilter || undefined,
+    search: searchQuery.trim(),
+    categoryRanges,
+    sort: sortBy
+  }), [propertyFilter, channelFilter, sourceFilter, publicDisplayFilter, decisionFilter, sentimentFilter, topicFilter, topicPolarityFilter, tagFilter, stateFilter, assigneeFilter, ownerAttentionFilter, overdueFilter, searchQuery, categoryRanges, sortBy]);
+
+  // Wait for typing and slider dragging to settle before querying
+  const debouncedQueryParams = useDebounce(queryParams, 300);
+
+  // Data fetching: offset 0 replaces the list, later offsets append the next page
+  const fetchReviews = useCallback(async (offset = 0) => {
+    const requestId = ++latestRequest.current;
+    setPageLoading(true);
+
+    try {
+      const response = await api.get('/api/reviews/hostaway', {
+        params: { ...debouncedQueryParams, limit: PAGE_SIZE, offset }
+      });
+      if (requestId !== latestRequest.current) return;
+      
+      // Handle Hostaway API format: {status: "success", result: [...]}
+      if (response.data.status === "success") {
+        const { result, meta, queues: queueCounts, facets: availableFacets } = response.data;
+        console.log(`📊 Loaded ${result.length} of ${meta.total} matching reviews`);
+        setReviews(currentReviews => (offset === 0 ? result : [...currentReviews, ...result]));
+        setPageMeta(meta);
+        if (offset === 0) {
+          setNewReviewCount(0);
+          setReviewsChanged(false);
+        }
+        setFacets(availableFacets);
+        setQueues(queueCounts);
         
-        // Handle Hostaway API format: {status: "success", result: [...]}
-        if (response.data.status === "success") {
-          console.log(`📊 Loaded ${response.data.result.length} reviews from Hostaway API`);
-          setReviews(response.data.result);
-          
-          // Initialize category filters dynamically from actual data
-          const availableCategories = detectCategories(response.data.result);
-          const initialCategoryFilters = {};
-          availableCategories.forEach(category => {
-            initialCategoryFilters[category] = [0, 10];
+        // Initialize category filters dynamically from actual data, keeping any ranges already set
+        // (the same object is returned when nothing changed so the query isn't re-run)
+        setCategoryFilters(prev => {
+          const unchanged = availableFacets.categories.length === Object.keys(prev).length
+            && availableFacets.categories.every(category => prev[category]);
+          if (unchanged) return prev;
+
+          const nextCategoryFilters = {};
+          availableFacets.categories.forEach(category => {
+            nextCategoryFilters[category] = prev[category] || [0, 10];
           });
-          setCategoryFilters(initialCategoryFilters);
-        } else {
-          throw new Error('Invalid API response format');
-        }
-      } catch (err) {
-        setError('Failed to fetch reviews. Is the backend server running?');
-        console.error(err);
-      } finally {
+          return nextCategoryFilters;
+        });
+      } else {
+        throw new Error('Invalid API response format');
+      }
+    } catch (err) {
+      setError('Failed to fetch reviews. Is the backend server running?');
+      console.error(err);
+    } finally {
+      if (requestId === latestRequest.current) {
         setLoading(false);
+        setPageLoading(false);
+      }
+    }
+  }, [debouncedQueryParams]);
+
+  // Reload from the first page whenever the filters change
+  useEffect(() => {
+    fetchReviews(0);
+  }, [fetchReviews]);
+
+  // A selection only makes sense for the filters it was made under
+  useEffect(() => {
+    setSelectedIds(new Set());
+    setSelectAllMatching(false);
+  }, [debouncedQueryParams]);
+
+  // Poll Hostaway import progress while the initial load is running
+  useEffect(() => {
+    if (!loading) return;
+
+    const pollProgress = async () => {
+      try {
+        const response = await api.get('/api/reviews/hostaway/progress');
+        if (response.data.status === 'success') {
+          setImportProgress(response.data.result);
+        }
+      } catch {
+        // Progress is informational only; ignore polling errors
       }
     };
-    fetchReviews();
-  }, []);
+
+    const interval = setInterval(pollProgress, 1000);
+    return () => clearInterval(interval);
+  }, [loading]);
+
+  // Load the reply templates for the composer, again each time the reviews tab opens
+  // so templates edited on the Automation tab are picked up
+  useEffect(() => {
+    if (!isManager || currentTab !== 0) return;
+
+    api.get('/api/reply-templates')
+      .then(response => setReplyTemplates(response.data.result))
+      .catch(err => console.error('Failed to fetch reply templates:', err));
+  }, [isManager, currentTab]);
+
+  // Applies a review's new tags or note count, and offers new tags in the tag filter
+  const handleAnnotationsChange = (reviewId, changes) => {
+    setReviews(currentReviews => currentReviews.map(review => (
+      review.id === reviewId ? { ...review, ...changes } : review
+    )));
+    if (changes.tags) {
+      setFacets(current => ({
+        ...current,
+        tags: [...new Set([...current.tags, ...changes.tags.map(({ tag }) => tag)])].sort()
+      }));
+    }
+  };
+
+  // Applies a review's new workflow, moving it between the queue counts
+  const handleWorkflowChange = (reviewId, workflow) => {
+    const current = reviews.find(review => review.id === reviewId);
+    if (!current) return;
+    setQueues(currentQueues => shiftQueues(currentQueues, current.workflow, workflow));
+    setReviews(currentReviews => currentReviews.map(review => (
+      review.id === reviewId ? { ...review, workflow } : review
+    )));
+  };
+
+  // Applies a review's new or discarded reply
+  const handleReplyChange = (reviewId, reply) => {
+    setReviews(currentReviews => currentReviews.map(review => (
+      review.id === reviewId ? { ...review, reply } : review
+    )));
+  };
+
+  // Patch loaded reviews in place as other managers and syncs change them
+  useReviewEvents({
+    'review-added': ({ count }) => setNewReviewCount(current => current + count),
+    'review-updated': ({ reviews: updatedReviews }) => {
+      if (!updatedReviews) {
+        setReviewsChanged(true);
+        return;
+      }
+      const updatedById = new Map(updatedReviews.map(review => [review.id, review]));
+      setReviews(currentReviews => currentReviews.map(review => updatedById.get(review.id) || review));
+    },
+    'annotations-changed': ({ id, tags, noteCount }) => handleAnnotationsChange(id, { tags, noteCount }),
+    'workflow-changed': ({ id, workflow }) => handleWorkflowChange(id, workflow),
+    'reply-changed': ({ id, reply }) => handleReplyChange(id, reply),
+    'approval-changed': ({ changes }) => {
+      const displayById = new Map(changes.map(({ id, displayOnWebsite }) => [id, displayOnWebsite]));
+      setReviews(currentReviews => currentReviews.map(review => (
+        displayById.has(review.id) ? { ...review, displayOnWebsite: displayById.get(review.id) } : review
+      )));
+    }
+  });
 
   // Event handlers
-  const handleDisplayToggle = async (reviewId) => {
+  const handleDisplayToggle = async (reviewId, reason) => {
     // Find the current review to get its current state
     const currentReview = reviews.find(review => review.id === reviewId);
     if (!currentReview) return;
@@ -158,8 +281,9 @@ export default function DashboardPage() {
 
     try {
       // Call the API to persist the change
-      const response = await axios.put(`http://localhost:3001/api/reviews/${reviewId}/approval`, {
-        displayOnWebsite: newDisplayStatus
+      const response = await api.put(`/api/reviews/${reviewId}/approval`, {
+        displayOnWebsite: newDisplayStatus,
+        reason: reason || undefined
       });
 
       if (response.status === 200) {
@@ -177,103 +301,69 @@ export default function DashboardPage() {
     }
   };
 
-  // Derived state & memoization
-  // These values are calculated from the original 'reviews' state
-  const uniqueProperties = useMemo(() => [...new Set(reviews.map(r => r.listingName))], [reviews]);
-  const uniqueChannels = useMemo(() => ['Hostaway'], []); // Currently only Hostaway reviews
+  const handleSelectReview = (reviewId) => {
+    setSelectAllMatching(false);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(reviewId)) {
+        next.delete(reviewId);
+      } else {
+        next.add(reviewId);
+      }
+      return next;
+    });
+  };
 
-  // Core logic: applying filters and sorting.
-  const displayableReviews = useMemo(() => {
-    let processedReviews = [...reviews];
+  const allLoadedSelected = selectAllMatching
+    || (reviews.length > 0 && reviews.every(review => selectedIds.has(review.id)));
 
-    // 1. Apply Filters
-    if (propertyFilter !== 'all') {
-      processedReviews = processedReviews.filter(r => r.listingName === propertyFilter);
-    }
-    if (channelFilter !== 'all') {
-      processedReviews = processedReviews.filter(() => 'Hostaway' === channelFilter);
-    }
-    if (publicDisplayFilter !== 'all') {
-      if (publicDisplayFilter === 'shown') {
-        processedReviews = processedReviews.filter(review => review.displayOnWebsite === true);
-      } else if (publicDisplayFilter === 'hidden') {
-        processedReviews = processedReviews.filter(review => review.displayOnWebsite === false);
-      }
-      // If 'all', no filtering needed
-    }
-    
-    // Apply search filter
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase();
-      processedReviews = processedReviews.filter(review => 
-        review.publicReview?.toLowerCase().includes(query) ||
-        review.guestName?.toLowerCase().includes(query) ||
-        review.listingName?.toLowerCase().includes(query)
-      );
-    }
-    
-    // Apply category range filters
-    processedReviews = processedReviews.filter(review => {
-      if (!review.reviewCategory) return true;
-      
-      return Object.entries(categoryFilters).every(([category, [minRating, maxRating]]) => {
-        if (minRating === 0 && maxRating === 10) return true; // No filter applied
-        
-        // Gracefully handle missing categories - don't filter out the review
-        if (!Array.isArray(review.reviewCategory)) return true;
-        
-        const categoryRating = review.reviewCategory.find(cat => cat.category === category);
-        if (!categoryRating) return true; // Skip filtering for missing categories instead of excluding
-        
-        return categoryRating.rating >= minRating && categoryRating.rating <= maxRating;
+  const handleToggleAllLoaded = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(allLoadedSelected ? new Set() : new Set(reviews.map(review => review.id)));
+  };
+
+  const handleClearSelection = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(new Set());
+  };
+
+  const handleBulkApply = async (displayOnWebsite, reason) => {
+    try {
+      const response = await api.post('/api/reviews/approval/bulk', {
+        displayOnWebsite,
+        reason: reason || undefined,
+        ...(selectAllMatching ? { filters: debouncedQueryParams } : { ids: [...selectedIds] })
       });
-    });
 
-    // 2. Apply Sorting
-    switch (sortBy) {
-      case 'date-desc':
-        processedReviews.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
-        break;
-      case 'date-asc':
-        processedReviews.sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
-        break;
-      case 'rating-desc':
-        processedReviews.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-        break;
-      case 'rating-asc':
-        processedReviews.sort((a, b) => (a.rating || 0) - (b.rating || 0));
-        break;
-      // Category-specific sorting (dynamic for any category)
-      default: {
-        // Check if it's a category sorting format (category-direction)
-        if (sortBy.includes('-') && (sortBy.endsWith('-desc') || sortBy.endsWith('-asc'))) {
-          const [categoryName, direction] = sortBy.split('-');
-          processedReviews.sort((a, b) => {
-            const aCategory = Array.isArray(a.reviewCategory) ? a.reviewCategory.find(cat => cat.category === categoryName) : null;
-            const bCategory = Array.isArray(b.reviewCategory) ? b.reviewCategory.find(cat => cat.category === categoryName) : null;
-            
-            // Handle missing categories by sorting them to the end
-            if (!aCategory && !bCategory) return 0;
-            if (!aCategory) return 1; // a goes to end
-            if (!bCategory) return -1; // b goes to end
-            
-            const aRating = aCategory.rating;
-            const bRating = bCategory.rating;
-            return direction === 'desc' ? bRating - aRating : aRating - bRating;
-          });
-        }
-        break;
-      }
+      const { updated, unchanged, not_found: notFound } = response.data.summary;
+      setBulkMessage({
+        severity: 'success',
+        text: `${updated} ${updated === 1 ? 'review' : 'reviews'} ${displayOnWebsite ? 'published' : 'hidden'}`
+          + (unchanged ? `, ${unchanged} already ${displayOnWebsite ? 'shown' : 'hidden'}` : '')
+          + (notFound ? `, ${notFound} no longer exist` : '')
+      });
+      handleClearSelection();
+      fetchReviews(0);
+    } catch (error) {
+      console.error('Failed to update review approval status in bulk:', error);
+      setBulkMessage({ severity: 'error', text: error.response?.data?.message || 'Bulk update failed. No changes were saved.' });
     }
+  };
 
-    return processedReviews;
-  }, [reviews, propertyFilter, channelFilter, publicDisplayFilter, searchQuery, categoryFilters, sortBy]);
+  const handleSyncComplete = useCallback(() => fetchReviews(0), [fetchReviews]);
 
   // --- Render Logic ---
   if (loading) {
     return (
-      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 5 }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mt: 5, gap: 2 }}>
         <CircularProgress />
+        {importProgress?.status === 'running' && (
+          <Typography variant="body2" color="text.secondary">
+            Importing reviews from Hostaway... {importProgress.reviewsFetched}
+            {importProgress.totalReviews ? ` of ${importProgress.totalReviews}` : ''} reviews
+            ({importProgress.pagesFetched} {importProgress.pagesFetched === 1 ? 'page' : 'pages'})
+          </Typography>
+        )}
       </Box>
     );
   }
@@ -291,6 +381,8 @@ export default function DashboardPage() {
       navigate('/dashboard/reviews');
     } else if (newValue === 1) {
       navigate('/dashboard/analytics');
+    } else if (newValue === 2) {
+      navigate('/dashboard/automation');
     }
   };
 
@@ -303,15 +395,19 @@ export default function DashboardPage() {
   return (
     <Box sx={{ backgroundColor: '#FFFDF6', py: 4, minHeight: 'calc(100vh - 64px)' }}>
       <Container maxWidth={false} sx={{ px: { xs: 4, sm: 6, md: 8 } }}>
-        <Typography variant="h4" component="h1" gutterBottom>
-          Reviews Dashboard
-        </Typography>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 1 }}>
+          <Typography variant="h4" component="h1">
+            Reviews Dashboard
+          </Typography>
+          <SyncStatus onSyncComplete={handleSyncComplete} />
+        </Box>
         
         {/* Tab navigation */}
         <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}>
           <Tabs value={currentTab} onChange={handleTabChange} aria-label="dashboard tabs">
             <Tab label="Reviews Management" />
             <Tab label="Analytics" />
+            <Tab label="Automation" />
           </Tabs>
         </Box>
 
@@ -326,7 +422,7 @@ export default function DashboardPage() {
                     Category Filters
                   </Typography>
                   <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
-                    Set minimum thresholds for each category
+                    Set minimum thresholds for each category (out of 10 for every source)
                   </Typography>
                   
                   {Object.entries(categoryFilters).map(([category, [min, max]]) => (
@@ -350,18 +446,169 @@ export default function DashboardPage() {
                       />
                     </Box>
                   ))}
+
+                  {/* Decisions made by auto-approval rules */}
+                  <FormControl fullWidth size="small">
+                    <InputLabel id="decision-filter-label">Rule Decision</InputLabel>
+                    <Select
+                      labelId="decision-filter-label"
+                      label="Rule Decision"
+                      value={decisionFilter}
+                      onChange={(e) => setDecisionFilter(e.target.value)}
+                    >
+                      <MenuItem value="all">Any</MenuItem>
+                      <MenuItem value="flag">Flagged for manual review</MenuItem>
+                      <MenuItem value="auto_approve">Auto-approved</MenuItem>
+                      <MenuItem value="auto_hide">Auto-hidden</MenuItem>
+                      <MenuItem value="none">No rule matched</MenuItem>
+                    </Select>
+                  </FormControl>
+
+                  {/* Tone of the review text, which can disagree with its rating */}
+                  <FormControl fullWidth size="small" sx={{ mt: 2 }}>
+                    <InputLabel id="sentiment-filter-label">Sentiment</InputLabel>
+                    <Select
+                      labelId="sentiment-filter-label"
+                      label="Sentiment"
+                      value={sentimentFilter}
+                      onChange={(e) => setSentimentFilter(e.target.value)}
+                    >
+                      <MenuItem value="all">Any</MenuItem>
+                      {Object.entries(SENTIMENT_LABELS).map(([value, { label }]) => (
+                        <MenuItem key={value} value={value}>{label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+
+                  {/* What the review talks about (check-in, noise, Wi-Fi...) and whether it complains */}
+                  <FormControl fullWidth size="small" sx={{ mt: 2 }}>
+                    <InputLabel id="topic-filter-label">Topic</InputLabel>
+                    <Select
+                      labelId="topic-filter-label"
+                      label="Topic"
+                      value={topicFilter}
+                      onChange={(e) => setTopicFilter(e.target.value)}
+                    >
+                      <MenuItem value="all">Any</MenuItem>
+                      {facets.topics.map(topic => (
+                        <MenuItem key={topic.id} value={topic.id}>{topic.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  {topicFilter !== 'all' && (
+                    <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+                      <InputLabel id="topic-polarity-filter-label">Mentioned As</InputLabel>
+                      <Select
+                        labelId="topic-polarity-filter-label"
+                        label="Mentioned As"
+                        value={topicPolarityFilter}
+                        onChange={(e) => setTopicPolarityFilter(e.target.value)}
+                      >
+                        <MenuItem value="all">Any mention</MenuItem>
+                        <MenuItem value="negative">Complaint</MenuItem>
+                        <MenuItem value="positive">Praise</MenuItem>
+                      </Select>
+                    </FormControl>
+                  )}
+
+                  {/* Team tags; reviews must carry every selected tag */}
+                  <Autocomplete
+                    multiple
+                    size="small"
+                    options={facets.tags}
+                    value={tagFilter}
+                    onChange={(event, newValue) => setTagFilter(newValue)}
+                    renderInput={(params) => <TextField {...params} label="Tags" placeholder={tagFilter.length ? '' : 'Any'} />}
+                    sx={{ mt: 2 }}
+                  />
+
+                  {/* Where the review was written: Hostaway channels or Google */}
+                  <FormControl fullWidth size="small" sx={{ mt: 2 }}>
+                    <InputLabel id="source-filter-label">Review Source</InputLabel>
+                    <Select
+                      labelId="source-filter-label"
+                      label="Review Source"
+                      value={sourceFilter}
+                      onChange={(e) => setSourceFilter(e.target.value)}
+                    >
+                      <MenuItem value="all">All sources</MenuItem>
+                      {facets.sources.map(source => (
+                        <MenuItem key={source} value={source}>{getSourceLabel(source)}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
                   
                   <Divider sx={{ my: 2 }} />
                   
-                  <Typography variant="body2" color="text.secondary">
-                    Showing {displayableReviews.length} of {reviews.length} reviews
-                  </Typography>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="body2" color="text.secondary">
+                      Showing {pageMeta.total} of {pageMeta.totalUnfiltered} reviews
+                    </Typography>
+                    {/* Exports every matching review, not just the loaded pages */}
+                    <ExportButton
+                      queryParams={debouncedQueryParams}
+                      disabled={pageMeta.total === 0}
+                      onError={(text) => setBulkMessage({ severity: 'error', text })}
+                    />
+                  </Box>
                 </CardContent>
               </Card>
             </Grid>
 
             {/* --- Main Content Area --- */}
             <Grid size={{ xs: 12, lg: 9 }}>
+              {/* Moderation queues: counts per state and assignee under the other filters */}
+              <Card sx={{ mb: 3 }}>
+                <CardContent sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, '&:last-child': { pb: 2 } }}>
+                  <Chip
+                    label={`All (${Object.values(queues.states).reduce((sum, count) => sum + count, 0)})`}
+                    color={stateFilter === 'all' ? 'primary' : 'default'}
+                    onClick={() => setStateFilter('all')}
+                  />
+                  {Object.entries(WORKFLOW_STATES).map(([state, { label, color }]) => (
+                    <Chip
+                      key={state}
+                      label={`${label} (${queues.states[state] || 0})`}
+                      color={stateFilter === state ? color : 'default'}
+                      variant={stateFilter === state ? 'filled' : 'outlined'}
+                      onClick={() => setStateFilter(state)}
+                    />
+                  ))}
+                  <Divider orientation="vertical" flexItem sx={{ mx: 1 }} />
+                  <FormControl size="small" sx={{ minWidth: 200 }}>
+                    <InputLabel id="assignee-filter-label">Assignee</InputLabel>
+                    <Select
+                      labelId="assignee-filter-label"
+                      label="Assignee"
+                      value={assigneeFilter}
+                      onChange={(e) => setAssigneeFilter(e.target.value)}
+                    >
+                      <MenuItem value="all">Anyone</MenuItem>
+                      <MenuItem value="unassigned">Unassigned ({queues.assignees.unassigned || 0})</MenuItem>
+                      {facets.assignees.map(assignee => (
+                        <MenuItem key={assignee.id} value={String(assignee.id)}>
+                          {assignee.username}{assignee.id === user?.id ? ' (you)' : ''} ({queues.assignees[assignee.id] || 0})
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <Chip
+                    icon={<Flag />}
+                    label={`Needs owner attention (${queues.ownerAttention})`}
+                    color={ownerAttentionFilter ? 'error' : 'default'}
+                    variant={ownerAttentionFilter ? 'filled' : 'outlined'}
+                    onClick={() => setOwnerAttentionFilter(on => !on)}
+                  />
+                  <Chip
+                    icon={<EventBusy />}
+                    label={`Overdue (${queues.overdue})`}
+                    color={overdueFilter ? 'error' : 'default'}
+                    variant={overdueFilter ? 'filled' : 'outlined'}
+                    onClick={() => setOverdueFilter(on => !on)}
+                  />
+                </CardContent>
+              </Card>
+
               {/* Search bar */}
               <Box sx={{ mb: 3 }}>
                 <TextField
@@ -379,7 +626,7 @@ export default function DashboardPage() {
                   <Autocomplete
                     fullWidth
                     autoHighlight
-                    options={['All Properties', ...uniqueProperties]}
+                    options={['All Properties', ...facets.properties]}
                     value={propertyFilter === 'all' ? 'All Properties' : propertyFilter}
                     onChange={(event, newValue) => {
                       setPropertyFilter(newValue === 'All Properties' ? 'all' : newValue || 'all');
@@ -398,7 +645,7 @@ export default function DashboardPage() {
                   <Autocomplete
                     fullWidth
                     autoHighlight
-                    options={['All Channels', ...uniqueChannels]}
+                    options={['All Channels', ...facets.channels]}
                     value={channelFilter === 'all' ? 'All Channels' : channelFilter}
                     onChange={(event, newValue) => {
                       setChannelFilter(newValue === 'All Channels' ? 'all' : newValue || 'all');
@@ -448,7 +695,11 @@ export default function DashboardPage() {
                       { value: 'date-desc', label: 'Date (Newest First)' },
                       { value: 'date-asc', label: 'Date (Oldest First)' },
                       { value: 'rating-desc', label: 'Overall Rating (High to Low)' },
-                      { value: 'rating-asc', label: 'Overall Rating (Low to High)' }
+                      { value: 'rating-asc', label: 'Overall Rating (Low to High)' },
+                      { value: 'sentiment-desc', label: 'Sentiment (Most Positive First)' },
+                      { value: 'sentiment-asc', label: 'Sentiment (Most Negative First)' },
+                      { value: 'due-asc', label: 'Follow-up Date (Soonest First)' },
+                      { value: 'due-desc', label: 'Follow-up Date (Latest First)' }
                     ];
                     
                     // Add category-specific sorting options dynamically
@@ -491,13 +742,68 @@ export default function DashboardPage() {
               
               {/* Review list */}
               <Box sx={{ mt: 3 }}>
-                {displayableReviews.length > 0 ? (
-                  displayableReviews.map((review) => (
-                    <ReviewCard key={review.id} review={review} onToggleDisplay={handleDisplayToggle} />
+                {(newReviewCount > 0 || reviewsChanged) && (
+                  <Alert
+                    severity="info"
+                    sx={{ mb: 2 }}
+                    action={
+                      <Button color="inherit" size="small" onClick={() => fetchReviews(0)}>
+                        Show
+                      </Button>
+                    }
+                  >
+                    {newReviewCount > 0
+                      ? `${newReviewCount} new ${newReviewCount === 1 ? 'review' : 'reviews'}`
+                      : 'Reviews have been updated'}
+                  </Alert>
+                )}
+
+                {isManager && (
+                  <BulkActionsBar
+                    selectedCount={selectAllMatching ? pageMeta.total : selectedIds.size}
+                    loadedCount={reviews.length}
+                    total={pageMeta.total}
+                    allLoadedSelected={allLoadedSelected}
+                    selectAllMatching={selectAllMatching}
+                    onToggleAllLoaded={handleToggleAllLoaded}
+                    onSelectAllMatching={() => setSelectAllMatching(true)}
+                    onClearSelection={handleClearSelection}
+                    onApply={handleBulkApply}
+                  />
+                )}
+
+                {reviews.length > 0 ? (
+                  reviews.map((review) => (
+                    <ReviewCard
+                      key={review.id}
+                      review={review}
+                      onToggleDisplay={handleDisplayToggle}
+                      canApprove={isManager}
+                      selected={selectAllMatching || selectedIds.has(review.id)}
+                      onSelect={isManager ? handleSelectReview : undefined}
+                      topicLabels={topicLabels}
+                      tagOptions={facets.tags}
+                      onAnnotationsChange={handleAnnotationsChange}
+                      assignees={facets.assignees}
+                      onWorkflowChange={handleWorkflowChange}
+                      onReplyChange={handleReplyChange}
+                      replyTemplates={replyTemplates}
+                    />
                   ))
                 ) : (
-                  <Typography>No reviews match the current filters.</Typography>
+                  !pageLoading && <Typography>No reviews match the current filters.</Typography>
                 )}
+
+                {/* Pagination */}
+                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                  {pageLoading ? (
+                    <CircularProgress size={28} />
+                  ) : pageMeta.nextOffset !== null && (
+                    <Button variant="outlined" onClick={() => fetchReviews(pageMeta.nextOffset)}>
+                      Load more ({pageMeta.total - reviews.length} remaining)
+                    </Button>
+                  )}
+                </Box>
               </Box>
             </Grid>
           </Grid>
@@ -505,11 +811,36 @@ export default function DashboardPage() {
         
         {/* Analytics tab */}
         {currentTab === 1 && (
-          <AnalyticsTab 
-            reviews={reviews} 
-            onNavigateToReviews={navigateToReviewsWithFilter}
-          />
+          <AnalyticsTab onNavigateToReviews={navigateToReviewsWithFilter} />
         )}
+
+        {/* Automation tab */}
+        {currentTab === 2 && (
+          <>
+            <RulesTab />
+            {isManager && (
+              <>
+                <AlertsPanel />
+                <DigestsPanel />
+                <ReplyTemplatesPanel />
+              </>
+            )}
+          </>
+        )}
+
+        {/* Bulk action outcome */}
+        <Snackbar
+          open={Boolean(bulkMessage)}
+          autoHideDuration={6000}
+          onClose={() => setBulkMessage(null)}
+          anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        >
+          {bulkMessage && (
+            <Alert severity={bulkMessage.severity} onClose={() => setBulkMessage(null)} variant="filled">
+              {bulkMessage.text}
+            </Alert>
+          )}
+        </Snackbar>
       </Container>
     </Box>
   );
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, useRef } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../api';
 import {
   Container,
   Typography,
@@ -25,27 +25,21 @@ import {
   LocationOn as LocationIcon,
   Star as StarIcon,
   ExpandMore as ExpandMoreIcon,
-  ExpandLess as ExpandLessIcon
+  ExpandLess as ExpandLessIcon,
+  Link as LinkIcon
 } from '@mui/icons-material';
+import useDebounce from '../hooks/useDebounce';
+import GoogleUsagePanel from '../components/GoogleUsagePanel';
+import LinkListingDialog from '../components/LinkListingDialog';
+import { useAuth } from '../auth/AuthContext';
 
-// Debounce helper for API calls
-const useDebounce = (value, delay) => {
-  const [debouncedValue, setDebouncedValue] = useState(value);
-
-  useEffect(() => {
-    const handler = setTimeout(() => {
-      setDebouncedValue(value);
-    }, delay);
-
-    return () => {
-      clearTimeout(handler);
-    };
-  }, [value, delay]);
-
-  return debouncedValue;
-};
+// Error message for a failed Google request, surfacing the daily budget error from the backend
+const googleErrorMessage = (error, fallback) => (
+  error.response?.data?.code === 'quota_exceeded' ? error.response.data.message : fallback
+);
 
 const GoogleReviewsPage = () => {
+  const { isManager } = useAuth();
   const [query, setQuery] = useState('');
   const [autocompleteOptions, setAutocompleteOptions] = useState([]);
   const [results, setResults] = useState([]);
@@ -56,17 +50,32 @@ const GoogleReviewsPage = () => {
   const [loadingDetails, setLoadingDetails] = useState(null); // Track place loading state
   const [error, setError] = useState(null);
   const [selectedAutocompleteValue, setSelectedAutocompleteValue] = useState(null);
+  const [listings, setListings] = useState([]); // Our listings, for linking places to them
+  const [linkingPlace, setLinkingPlace] = useState(null);
   
   const searchInputRef = useRef(null);
   const debouncedQuery = useDebounce(query, 300); // 300ms debounce delay
 
+  const fetchListings = useCallback(async () => {
+    try {
+      const res = await api.get('/api/listings');
+      setListings(res.data.result);
+    } catch (error) {
+      console.error('Failed to fetch listings:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchListings();
+  }, [fetchListings]);
+
   // Fetch autocomplete suggestions when the user types
   useEffect(() => {
     const fetchAutocomplete = async () => {
       if (debouncedQuery && debouncedQuery.length >= 2) {
         setAutocompleteLoading(true);
         try {
-          const res = await axios.get('http://localhost:3001/api/google-places/autocomplete', {
+          const res = await api.get('/api/google-places/autocomplete', {
             params: { 
               input: debouncedQuery,
               types: 'establishment' // Business or property results
@@ -78,6 +87,9 @@ const GoogleReviewsPage = () => {
         } catch (error) {
           console.log('Autocomplete error:', error);
           setAutocompleteOptions([]);
+          if (error.response?.data?.code === 'quota_exceeded') {
+            setError(error.response.data.message);
+          }
         } finally {
           setAutocompleteLoading(false);
         }
@@ -100,7 +112,7 @@ const GoogleReviewsPage = () => {
     setExpandedPlaceId(null);
     
     try {
-      const res = await axios.get('http://localhost:3001/api/google-places/search', {
+      const res = await api.get('/api/google-places/search', {
         params: { query: queryToSearch.trim() }
       });
       if (res.data.status === 'success') {
@@ -111,8 +123,8 @@ const GoogleReviewsPage = () => {
       } else {
         setError('Search failed');
       }
-    } catch {
-      setError('Search failed - please check your connection and try again.');
+    } catch (error) {
+      setError(googleErrorMessage(error, 'Search failed - please check your connection and try again.'));
     } finally {
       setLoading(false);
     }
@@ -146,20 +158,33 @@ const GoogleReviewsPage = () => {
     setError(null);
     
     try {
-      const res = await axios.get(`http://localhost:3001/api/google-places/reviews/${placeId}`);
+      const res = await api.get(`/api/google-places/reviews/${placeId}`);
       if (res.data.status === 'success') {
         setExpandedPlace(res.data.data);
         setExpandedPlaceId(placeId);
       } else {
         setError('Failed to load details');
       }
-    } catch {
-      setError('Failed to load details');
+    } catch (error) {
+      setError(googleErrorMessage(error, 'Failed to load details'));
     } finally {
       setLoadingDetails(null);
     }
   };
 
+  // Show the new link on the search results, moving the listing off any other place
+  const handleLinked = (listing) => {
+    setResults(prev => prev.map(place => {
+      const others = place.linked_listings.filter(name => name !== listing.listingName);
+      return {
+        ...place,
+        linked_listings: place.place_id === listing.google.placeId ? [...others, listing.listingName] : others
+      };
+    }));
+    setLinkingPlace(null);
+    fetchListings();
+  };
+
 
   return (
     <Box sx={{ backgroundColor: '#FFFDF6', py: 4, minHeight: '100vh' }}>
@@ -173,6 +198,9 @@ const GoogleReviewsPage = () => {
         Use this tool to research competitive analysis and understand guest feedback patterns.
       </Typography>
 
+      {/* API usage and cache stats for managers */}
+      {isManager && <GoogleUsagePanel />}
+
       {/* Search Section */}
       <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
         <Stack spacing={3}>
@@ -431,6 +459,33 @@ const GoogleReviewsPage = () => {
                     </Box>
                   </Collapse>
                 </ListItem>
+
+                {/* Link to one of our listings */}
+                {(place.linked_listings.length > 0 || place.suggested_listing || isManager) && (
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', px: 2, pb: 2 }}>
+                    {place.linked_listings.map(listingName => (
+                      <Chip key={listingName} icon={<LinkIcon />} label={`Linked to ${listingName}`} color="primary" size="small" />
+                    ))}
+                    {place.linked_listings.length === 0 && place.suggested_listing && (
+                      <Chip
+                        label={`Possible match: ${place.suggested_listing.listingName}`}
+                        variant="outlined"
+                        size="small"
+                      />
+                    )}
+                    {isManager && (
+                      <Button
+                        size="small"
+                        startIcon={<LinkIcon />}
+                        onClick={() => setLinkingPlace(place)}
+                        disabled={listings.length === 0}
+                        sx={{ textTransform: 'none' }}
+                      >
+                        {place.linked_listings.length > 0 ? 'Change link' : 'Link to listing'}
+                      </Button>
+                    )}
+                  </Box>
+                )}
                 {index < results.length - 1 && <Divider />}
               </React.Fragment>
             ))}
@@ -445,6 +500,15 @@ const GoogleReviewsPage = () => {
         </Box>
       )}
       </Container>
+
+      {linkingPlace && (
+        <LinkListingDialog
+          place={linkingPlace}
+          listings={listings}
+          onClose={() => setLinkingPlace(null)}
+          onLinked={handleLinked}
+        />
+      )}
     </Box>
   );
 };
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { Container, Card, CardContent, Typography, TextField, Button, Alert, Box } from '@mui/material';
+import { Lock } from '@mui/icons-material';
+import { useAuth } from '../auth/AuthContext';
+
+export default function LoginPage() {
+  const { user, login } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Page the user was sent here from
+  const from = location.state?.from?.pathname || '/dashboard';
+
+  if (user) {
+    return <Navigate to={from} replace />;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(username, password);
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to log in. Is the backend running?');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="xs" sx={{ mt: 8 }}>
+      <Card>
+        <CardContent sx={{ p: 4 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
+            <Lock color="primary" />
+            <Typography variant="h5" component="h1">
+              Manager Login
+            </Typography>
+          </Box>
+
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+          <Box component="form" onSubmit={handleSubmit}>
+            <TextField
+              label="Username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              autoFocus
+              fullWidth
+              required
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              fullWidth
+              required
+              sx={{ mb: 3 }}
+            />
+            <Button type="submit" variant="contained" fullWidth disabled={submitting}>
+              {submitting ? 'Logging in...' : 'Log In'}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Container>
+  );
+}
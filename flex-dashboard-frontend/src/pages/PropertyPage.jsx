@@ -1,16 +1,19 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { API_BASE_URL } from '../api';
 import { 
   Container, Typography, Box, Grid, Card, CardContent, Chip, Stack,
   Button, TextField, Select, MenuItem, InputAdornment
 } from '@mui/material';
 import { 
   People, Bed, Bathtub, Chair, Wifi, Kitchen, AcUnit,
-  CalendarToday, ChatBubbleOutline, ShieldOutlined
+  CalendarToday, ChatBubbleOutline, ShieldOutlined, Star
 } from '@mui/icons-material';
+import { formatRating, normalizeRating, ratingColor } from '../ratings';
 
 // Mock data for the property
 const propertyData = {
+  listingId: 128651, // Hostaway listing ID
   name: '2 Bed Balcony Flat Chelsea Harbour',
   guests: 5,
   bedrooms: 2,
@@ -35,15 +38,17 @@ const StatItem = ({ icon, value, label }) => (
 );
 
 const PropertyPage = () => {
-  const [reviews, setReviews] = useState([]);
+  const [approvedReviews, setApprovedReviews] = useState([]);
+  const [reviewStats, setReviewStats] = useState(null);
 
   useEffect(() => {
-    axios.get('http://localhost:3001/api/reviews/hostaway')
+    // The public endpoint only returns approved reviews with public-safe fields
+    axios.get(`${API_BASE_URL}/api/public/listings/${propertyData.listingId}/reviews`)
       .then(response => { 
-        // Handle Hostaway API format: {status: "success", result: [...]}
         if (response.data.status === "success") {
-          console.log(`📊 Property page loaded ${response.data.result.length} reviews from Hostaway API`);
-          setReviews(response.data.result);
+          console.log(`📊 Property page loaded ${response.data.result.reviews.length} approved reviews`);
+          setApprovedReviews(response.data.result.reviews);
+          setReviewStats(response.data.result.stats);
         } else {
           console.error("Invalid API response format");
         }
@@ -51,13 +56,6 @@ const PropertyPage = () => {
       .catch(error => { console.error("Failed to fetch reviews:", error); });
   }, []);
 
-  const approvedReviews = useMemo(() => {
-    // In production this would use a property ID, but for now we match the name.
-    return reviews.filter(review =>
-      review.listingName === "2 Bed Balcony Flat Chelsea Harbour" && review.displayOnWebsite
-    );
-  }, [reviews]);
-
   return (
     // Page container with background color and padding
     <Box sx={{ backgroundColor: '#FFFDF6', py: 4, minHeight: '100vh' }}>
@@ -228,15 +226,35 @@ const PropertyPage = () => {
 
             <Card>
               <CardContent>
-                <Typography variant="h5" component="h2" sx={{ fontWeight: 'bold' }} gutterBottom>
-                  Guest Reviews
-                </Typography>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, mb: 1 }}>
+                  <Typography variant="h5" component="h2" sx={{ fontWeight: 'bold' }}>
+                    Guest Reviews
+                  </Typography>
+                  {reviewStats?.averageRating && (
+                    <Stack direction="row" alignItems="center" spacing={0.5} sx={{ color: 'text.secondary' }}>
+                      <Star sx={{ color: '#ffa726' }} />
+                      <Typography variant="body1" sx={{ fontWeight: 'bold', color: 'text.primary' }}>
+                        {reviewStats.averageRating.toFixed(1)}
+                      </Typography>
+                      <Typography variant="body1">
+                        ({reviewStats.reviewCount} {reviewStats.reviewCount === 1 ? 'review' : 'reviews'})
+                      </Typography>
+                    </Stack>
+                  )}
+                </Box>
                 {approvedReviews.length > 0 ? (
                   approvedReviews.map(review => (
                     <Box key={review.id} sx={{ borderTop: 1, borderColor: 'grey.200', pt: 2, mt: 2 }}>
                        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
-                          <Typography variant="h6" sx={{ fontWeight: 'bold' }}>{review.guestName}</Typography>
-                          <Chip label={`Overall: ${review.rating || 'N/A'}`} color="primary" />
+                          <Typography variant="h6" sx={{ fontWeight: 'bold' }}>
+                            {review.guestName}
+                            {review.source === 'google' && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                                on Google
+                              </Typography>
+                            )}
+                          </Typography>
+                          <Chip label={`Overall: ${formatRating(review.rating, review.ratingScale)}`} color="primary" />
                        </Box>
                        
                        {/* Category ratings display */}
@@ -250,9 +268,9 @@ const PropertyPage = () => {
                                      {cat.category.replace('_', ' ')}:
                                    </Typography>
                                    <Chip 
-                                     label={`${cat.rating}/10`} 
+                                     label={formatRating(cat.rating, review.ratingScale)} 
                                      size="small" 
-                                     color={cat.rating >= 9 ? 'success' : cat.rating >= 7 ? 'warning' : 'error'}
+                                     color={ratingColor(normalizeRating(cat.rating, review.ratingScale))}
                                      variant="outlined"
                                    />
                                  </Box>
@@ -0,0 +1,20 @@
+// Reviews keep the rating from their source (Google is out of 5, Hostaway out of 10)
+// plus a normalized rating out of 10 used for comparing, filtering and charts
+export const NORMALIZED_SCALE = 10;
+
+export const normalizeRating = (rating, ratingScale) => (
+  typeof rating === 'number' ? (rating * NORMALIZED_SCALE) / ratingScale : null
+);
+
+// Native rating as shown to users, e.g. "4/5" or "8.67/10"
+export const formatRating = (rating, ratingScale) => (
+  typeof rating === 'number' ? `${rating}/${ratingScale}` : 'N/A'
+);
+
+// Chip color for a normalized rating
+export const ratingColor = (normalizedRating) => (
+  normalizedRating >= 9 ? 'success' : normalizedRating >= 7 ? 'warning' : 'error'
+);
+
+// Category ratings at or below this (out of 10) count as issues, on the Analytics tab and in alerts
+export const LOW_CATEGORY_RATING = 6;
@@ -0,0 +1,7 @@
+// Display names for the review sources the backend ingests
+export const SOURCE_LABELS = {
+  hostaway: 'Hostaway',
+  google: 'Google'
+};
+
+export const getSourceLabel = (source) => SOURCE_LABELS[source] || source;
@@ -0,0 +1,13 @@
+// Sentiment labels the backend scores review text with, and how they are shown
+export const SENTIMENT_LABELS = {
+  positive: { label: 'Positive', color: 'success' },
+  mixed: { label: 'Mixed', color: 'warning' },
+  negative: { label: 'Negative', color: 'error' },
+  neutral: { label: 'Neutral', color: 'default' }
+};
+
+// Sentences of a review by their own score: praise, complaint or both
+export const sentenceColor = (score) => (score > 0 ? 'success.main' : score < 0 ? 'error.main' : 'warning.main');
+
+// Chip color of a review topic by whether the guest praised or complained about it
+export const TOPIC_POLARITY_COLORS = { positive: 'success', negative: 'error', neutral: 'default' };
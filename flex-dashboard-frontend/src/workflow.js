@@ -0,0 +1,26 @@
+// Moderation workflow states, in the order reviews move through them, and how they are shown
+export const WORKFLOW_STATES = {
+  new: { label: 'New', color: 'info' },
+  in_review: { label: 'In review', color: 'warning' },
+  actioned: { label: 'Actioned', color: 'secondary' },
+  resolved: { label: 'Resolved', color: 'success' }
+};
+
+export const getStateLabel = (state) => WORKFLOW_STATES[state]?.label || state;
+
+// Queue a review's assignee counts under, as keyed in the reviews API `queues`
+const assigneeKey = (workflow) => (workflow.assignee ? String(workflow.assignee.id) : 'unassigned');
+
+// Moves a loaded review between queue counts when its workflow changes. Loaded reviews
+// match the current filters, so each count it left or joined shifts by one.
+export const shiftQueues = (queues, from, to) => {
+  const add = (counts, key, amount) => ({ ...counts, [key]: Math.max(0, (counts[key] || 0) + amount) });
+  const states = add(add(queues.states, from.state, -1), to.state, 1);
+  const assignees = add(add(queues.assignees, assigneeKey(from), -1), assigneeKey(to), 1);
+  return {
+    states,
+    assignees,
+    ownerAttention: queues.ownerAttention + Number(to.needsOwnerAttention) - Number(from.needsOwnerAttention),
+    overdue: queues.overdue + Number(to.overdue) - Number(from.overdue)
+  };
+};